@@ -12,6 +12,7 @@ declare module 'color-utils' {
     r: number;
     g: number;
     b: number;
+    alpha?: number;  // Optional alpha [0, 1]
   }
 
   /** Linear sRGB color (gamma-decoded) */
@@ -19,6 +20,7 @@ declare module 'color-utils' {
     r: number;
     g: number;
     b: number;
+    alpha?: number;  // Optional alpha [0, 1]
   }
 
   /** CIE XYZ color with Y normalized to 1 for white point */
@@ -26,6 +28,7 @@ declare module 'color-utils' {
     X: number;
     Y: number;
     Z: number;
+    alpha?: number;  // Optional alpha [0, 1]
   }
 
   /** CIELAB color space */
@@ -33,6 +36,7 @@ declare module 'color-utils' {
     L: number;  // Lightness [0, 100]
     a: number;  // Green-red axis (unbounded, typically ±128)
     b: number;  // Blue-yellow axis (unbounded, typically ±128)
+    alpha?: number;  // Optional alpha [0, 1]
   }
 
   /** CIELCH color space (cylindrical Lab) */
@@ -40,6 +44,23 @@ declare module 'color-utils' {
     L: number;  // Lightness [0, 100]
     C: number;  // Chroma [0, ∞)
     h: number;  // Hue [0, 360)
+    alpha?: number;  // Optional alpha [0, 1]
+  }
+
+  /** CIE 1976 L*u*v* color space */
+  export interface LuvColor {
+    L: number;  // Lightness [0, 100]
+    u: number;  // Green-red axis (unbounded)
+    v: number;  // Blue-yellow axis (unbounded)
+    alpha?: number;  // Optional alpha [0, 1]
+  }
+
+  /** CIE LChuv color space (cylindrical Luv) */
+  export interface LchuvColor {
+    L: number;  // Lightness [0, 100]
+    C: number;  // Chroma [0, ∞)
+    h: number;  // Hue [0, 360)
+    alpha?: number;  // Optional alpha [0, 1]
   }
 
   /** Oklab perceptual color space */
@@ -47,6 +68,7 @@ declare module 'color-utils' {
     L: number;  // Lightness [0, 1]
     a: number;  // Green-red axis (unbounded, typically ±0.4)
     b: number;  // Blue-yellow axis (unbounded, typically ±0.4)
+    alpha?: number;  // Optional alpha [0, 1]
   }
 
   /** OkLCH color space (cylindrical Oklab) */
@@ -54,6 +76,7 @@ declare module 'color-utils' {
     L: number;  // Lightness [0, 1]
     C: number;  // Chroma [0, ∞)
     h: number;  // Hue [0, 360)
+    alpha?: number;  // Optional alpha [0, 1]
   }
 
   /** Display P3 color space */
@@ -70,6 +93,20 @@ declare module 'color-utils' {
     b: number;
   }
 
+  /** A98 RGB (Adobe RGB 1998) color space, D65 */
+  export interface A98RgbColor {
+    r: number;
+    g: number;
+    b: number;
+  }
+
+  /** ProPhoto RGB (ROMM RGB) color space, D50 */
+  export interface ProPhotoRgbColor {
+    r: number;
+    g: number;
+    b: number;
+  }
+
   /** CIECAM16 appearance correlates */
   export interface Ciecam16Appearance {
     J: number;  // Lightness
@@ -87,6 +124,46 @@ declare module 'color-utils' {
     b: number;  // Yellow-blue
   }
 
+  /** HSL color (cylindrical sRGB) */
+  export interface HslColor {
+    h: number;  // Hue in degrees [0, 360)
+    s: number;  // Saturation [0, 1]
+    l: number;  // Lightness [0, 1]
+    alpha?: number;  // Optional alpha [0, 1]
+  }
+
+  /** HSLuv color (saturation relative to the sRGB gamut in LChuv) */
+  export interface HsluvColor {
+    h: number;  // Hue in degrees [0, 360)
+    s: number;  // Saturation [0, 100]
+    l: number;  // Lightness [0, 100]
+    alpha?: number;  // Optional alpha [0, 1]
+  }
+
+  /** HPLuv color (pastel: chroma relative to the largest chroma safe at every hue) */
+  export interface HpluvColor {
+    h: number;  // Hue in degrees [0, 360)
+    p: number;  // Saturation [0, 100] for pastels, above 100 otherwise
+    l: number;  // Lightness [0, 100]
+    alpha?: number;  // Optional alpha [0, 1]
+  }
+
+  /** HSV color (also called HSB) */
+  export interface HsvColor {
+    h: number;  // Hue in degrees [0, 360)
+    s: number;  // Saturation [0, 1]
+    v: number;  // Value [0, 1]
+    alpha?: number;  // Optional alpha [0, 1]
+  }
+
+  /** HWB color */
+  export interface HwbColor {
+    h: number;  // Hue in degrees [0, 360)
+    w: number;  // Whiteness [0, 1]
+    b: number;  // Blackness [0, 1]
+    alpha?: number;  // Optional alpha [0, 1]
+  }
+
   // ============= Option Types =============
 
   /** Viewing conditions for CIECAM16 */
@@ -129,14 +206,53 @@ declare module 'color-utils' {
 
   // ============= CIELAB Functions =============
 
-  export function srgbToLab(srgb: SrgbColor): LabColor;
-  export function labToSrgb(lab: LabColor): SrgbColor;
+  // Library functions default to D65; CSS lab()/lch() use D50_WHITE_POINT_XYZ
+  export function srgbToLab(srgb: SrgbColor, referenceWhite?: XyzColor): LabColor;
+  export function labToSrgb(lab: LabColor, referenceWhite?: XyzColor): SrgbColor;
   export function xyzToLab(xyz: XyzColor, referenceWhite?: XyzColor): LabColor;
   export function labToXyz(lab: LabColor, referenceWhite?: XyzColor): XyzColor;
   export function labToLch(lab: LabColor): LchColor;
   export function lchToLab(lch: LchColor): LabColor;
-  export function srgbToLch(srgb: SrgbColor): LchColor;
-  export function lchToSrgb(lch: LchColor): SrgbColor;
+  export function srgbToLch(srgb: SrgbColor, referenceWhite?: XyzColor): LchColor;
+  export function lchToSrgb(lch: LchColor, referenceWhite?: XyzColor): SrgbColor;
+
+  // ============= CIELUV Functions =============
+
+  // Reference white defaults to D65, as for CIELAB
+  export function xyzToLuv(xyz: XyzColor, referenceWhite?: XyzColor): LuvColor;
+  export function luvToXyz(luv: LuvColor, referenceWhite?: XyzColor): XyzColor;
+  export function luvToLchuv(luv: LuvColor): LchuvColor;
+  export function lchuvToLuv(lchuv: LchuvColor): LuvColor;
+  export function srgbToLuv(srgb: SrgbColor, referenceWhite?: XyzColor): LuvColor;
+  export function luvToSrgb(luv: LuvColor, referenceWhite?: XyzColor): SrgbColor;
+  export function srgbToLchuv(srgb: SrgbColor, referenceWhite?: XyzColor): LchuvColor;
+  export function lchuvToSrgb(lchuv: LchuvColor, referenceWhite?: XyzColor): SrgbColor;
+
+  // ============= HSL, HSV and HWB Functions =============
+
+  export function srgbToHsl(srgb: SrgbColor): HslColor;
+  export function hslToSrgb(hsl: HslColor): SrgbColor;
+  export function srgbToHsv(srgb: SrgbColor): HsvColor;
+  export function hsvToSrgb(hsv: HsvColor): SrgbColor;
+  export function srgbToHwb(srgb: SrgbColor): HwbColor;
+  export function hwbToSrgb(hwb: HwbColor): SrgbColor;
+  export function hsvToHwb(hsv: HsvColor): HwbColor;
+  export function hwbToHsv(hwb: HwbColor): HsvColor;
+
+  // ============= HSLuv and HPLuv Functions =============
+
+  export function lchuvToHsluv(lchuv: LchuvColor): HsluvColor;
+  export function hsluvToLchuv(hsluv: HsluvColor): LchuvColor;
+  export function lchuvToHpluv(lchuv: LchuvColor): HpluvColor;
+  export function hpluvToLchuv(hpluv: HpluvColor): LchuvColor;
+  export function srgbToHsluv(srgb: SrgbColor): HsluvColor;
+  export function hsluvToSrgb(hsluv: HsluvColor): SrgbColor;
+  export function srgbToHpluv(srgb: SrgbColor): HpluvColor;
+  export function hpluvToSrgb(hpluv: HpluvColor): SrgbColor;
+  export function hexToHsluv(hex: string): HsluvColor;
+  export function hsluvToHex(hsluv: HsluvColor): string;
+  export function hexToHpluv(hex: string): HpluvColor;
+  export function hpluvToHex(hpluv: HpluvColor): string;
 
   // ============= Oklab Functions =============
 
@@ -144,6 +260,8 @@ declare module 'color-utils' {
   export function oklabToSrgb(oklab: OklabColor): SrgbColor;
   export function linearSrgbToOklab(linear: LinearSrgbColor): OklabColor;
   export function oklabToLinearSrgb(oklab: OklabColor): LinearSrgbColor;
+  export function xyzToOklab(xyz: XyzColor): OklabColor;
+  export function oklabToXyz(oklab: OklabColor): XyzColor;
   export function oklabToOklch(oklab: OklabColor): OklchColor;
   export function oklchToOklab(oklch: OklchColor): OklabColor;
   export function srgbToOklch(srgb: SrgbColor): OklchColor;
@@ -170,10 +288,16 @@ declare module 'color-utils' {
     toHex(oklab: OklabColor): string;
     
     static fromHex(hex: string, options?: AdaptiveOklabOptions): OklabColor;
+
+    fromSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+    fromXyzBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+    toSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+    toXyzBatch(input: FloatArray, options?: BatchOptions): FloatArray;
   }
 
   // ============= Display P3 Functions =============
 
+  export const DISPLAY_P3_PRIMARIES: Readonly<RgbPrimaries>;
   export function srgbToDisplayP3(srgb: SrgbColor): DisplayP3Color;
   export function displayP3ToSrgb(p3: DisplayP3Color): SrgbColor;
   export function linearSrgbToLinearDisplayP3(linear: LinearSrgbColor): DisplayP3Color;
@@ -182,16 +306,260 @@ declare module 'color-utils' {
 
   // ============= Rec. 2020 Functions =============
 
+  export const REC2020_PRIMARIES: Readonly<RgbPrimaries>;
   export function srgbToRec2020(srgb: SrgbColor): Rec2020Color;
   export function rec2020ToSrgb(rec2020: Rec2020Color): SrgbColor;
   export function linearSrgbToLinearRec2020(linear: LinearSrgbColor): Rec2020Color;
   export function linearRec2020ToLinearSrgb(rec2020: Rec2020Color): LinearSrgbColor;
   export function parseRec2020FromCSS(css: string): Rec2020Color | null;
 
+  // ============= A98 RGB Functions =============
+
+  export const A98_RGB_PRIMARIES: Readonly<RgbPrimaries>;
+  export const MATRIX_LINEAR_A98_RGB_TO_XYZ_D65: ReadonlyArray<ReadonlyArray<number>>;
+  export const MATRIX_XYZ_TO_LINEAR_A98_RGB_D65: ReadonlyArray<ReadonlyArray<number>>;
+  export function a98RgbToLinearA98Rgb(a98: A98RgbColor): A98RgbColor;
+  export function linearA98RgbToA98Rgb(linear: A98RgbColor): A98RgbColor;
+  export function srgbToA98Rgb(srgb: SrgbColor): A98RgbColor;
+  export function a98RgbToSrgb(a98: A98RgbColor): SrgbColor;
+  export function linearA98RgbToXyz(linear: A98RgbColor): XyzColor;
+  export function xyzToLinearA98Rgb(xyz: XyzColor): A98RgbColor;
+  export function isA98RgbInSrgbGamut(a98: A98RgbColor): boolean;
+  export function isA98RgbInGamut(a98: A98RgbColor): boolean;
+  export function formatA98RgbForCSS(a98: A98RgbColor, precision?: number): string;
+  export function parseA98RgbFromCSS(css: string): A98RgbColor | null;
+
+  // ============= ProPhoto RGB Functions =============
+
+  export const PROPHOTO_RGB_PRIMARIES: Readonly<RgbPrimaries>;
+  export const MATRIX_LINEAR_PROPHOTO_RGB_TO_XYZ_D50: ReadonlyArray<ReadonlyArray<number>>;
+  export const MATRIX_XYZ_TO_LINEAR_PROPHOTO_RGB_D50: ReadonlyArray<ReadonlyArray<number>>;
+  export function proPhotoRgbToLinearProPhotoRgb(proPhoto: ProPhotoRgbColor): ProPhotoRgbColor;
+  export function linearProPhotoRgbToProPhotoRgb(linear: ProPhotoRgbColor): ProPhotoRgbColor;
+  export function srgbToProPhotoRgb(srgb: SrgbColor): ProPhotoRgbColor;
+  export function proPhotoRgbToSrgb(proPhoto: ProPhotoRgbColor): SrgbColor;
+  export function linearProPhotoRgbToXyz(linear: ProPhotoRgbColor): XyzColor;        // D65, Bradford-adapted
+  export function xyzToLinearProPhotoRgb(xyz: XyzColor): ProPhotoRgbColor;           // From D65
+  export function linearProPhotoRgbToXyzD50(linear: ProPhotoRgbColor): XyzColor;
+  export function xyzD50ToLinearProPhotoRgb(xyzD50: XyzColor): ProPhotoRgbColor;
+  export function isProPhotoRgbInSrgbGamut(proPhoto: ProPhotoRgbColor): boolean;
+  export function isProPhotoRgbInGamut(proPhoto: ProPhotoRgbColor): boolean;
+  export function formatProPhotoRgbForCSS(proPhoto: ProPhotoRgbColor, precision?: number): string;
+  export function parseProPhotoRgbFromCSS(css: string): ProPhotoRgbColor | null;
+
+  // ============= RGB Space Factory =============
+
+  export interface Chromaticity {
+    x: number;
+    y: number;
+  }
+
+  /** Channels of an RGB space made by createRgbSpace */
+  export interface RgbColor {
+    r: number;
+    g: number;
+    b: number;
+  }
+
+  export interface RgbPrimaries {
+    red: Chromaticity;
+    green: Chromaticity;
+    blue: Chromaticity;
+    white?: Chromaticity;
+  }
+
+  export interface TransferFunction {
+    toLinear(value: number): number;    // Encoded to linear
+    fromLinear(value: number): number;  // Linear to encoded
+  }
+
+  export type TransferFunctionName = 'srgb' | 'linear' | 'bt709' | 'bt1886' | 'pq' | 'hlg';
+
+  export interface RgbSpaceOptions {
+    name: string;
+    primaries: RgbPrimaries;
+    white?: Chromaticity | Illuminant;                       // Defaults to primaries.white
+    transfer?: TransferFunctionName | number | TransferFunction;  // Name, gamma exponent or functions
+  }
+
+  export interface RgbSpace {
+    readonly name: string;
+    readonly whitePoint: XyzColor;                          // Y = 100
+    readonly transfer: TransferFunction;
+    readonly toXyzMatrix: ReadonlyArray<ReadonlyArray<number>>;
+    readonly fromXyzMatrix: ReadonlyArray<ReadonlyArray<number>>;
+    toLinear(color: RgbColor): RgbColor;
+    fromLinear(color: RgbColor): RgbColor;
+    toXyz(color: RgbColor): XyzColor;                       // Relative to the space's white, Y = 1
+    fromXyz(xyz: XyzColor): RgbColor;
+    toSrgb(color: RgbColor): SrgbColor;
+    fromSrgb(srgb: SrgbColor): RgbColor;
+    isInGamut(color: RgbColor, epsilon?: number): boolean;
+    isInSrgbGamut(color: RgbColor): boolean;
+    formatCSS(color: RgbColor, precision?: number): string;
+    register(): Readonly<ColorSpaceInfo>;
+  }
+
+  export const TRANSFER_FUNCTIONS: Readonly<Record<TransferFunctionName, TransferFunction>>;
+  export function gammaTransfer(gamma: number): TransferFunction;
+  export function bt1886Transfer(options?: { gamma?: number; white?: number; black?: number }): TransferFunction;
+  export function iccParametricTransfer(params: number[]): TransferFunction;
+  export function computeRgbToXyzMatrix(primaries: RgbPrimaries, white: Chromaticity | XyzColor): number[][];  // xy, or XYZ of the white
+  export function createRgbSpace(options: RgbSpaceOptions): Readonly<RgbSpace>;
+
+  // ============= Batch Conversions =============
+
+  export type FloatArray = Float32Array | Float64Array;
+
+  export interface BatchOptions {
+    output?: FloatArray;   // Defaults to the input (converted in place)
+    stride?: number;       // Components per pixel: 3 (RGB, default) or 4 (RGBA)
+  }
+
+  export interface LabBatchOptions extends BatchOptions {
+    referenceWhite?: XyzColor;  // Y = 100, default D65
+  }
+
+  export function srgbToLinearSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function linearSrgbToSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function linearSrgbToXyzBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function xyzToLinearSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function srgbToXyzBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function xyzToSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function xyzToLabBatch(input: FloatArray, options?: LabBatchOptions): FloatArray;
+  export function labToXyzBatch(input: FloatArray, options?: LabBatchOptions): FloatArray;
+  export function srgbToLabBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function labToSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function linearSrgbToOklabBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function oklabToLinearSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function srgbToOklabBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function oklabToSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function xyzToOklabBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function oklabToXyzBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function srgbToDisplayP3Batch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function displayP3ToSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function srgbToRec2020Batch(input: FloatArray, options?: BatchOptions): FloatArray;
+  export function rec2020ToSrgbBatch(input: FloatArray, options?: BatchOptions): FloatArray;
+
+  // ============= HDR: PQ, HLG, ICtCp and Jzazbz =============
+
+  /** Linear or encoded Rec. 2020 RGB; display-linear values are in cd/m² */
+  export interface HdrRgbColor {
+    r: number;
+    g: number;
+    b: number;
+  }
+
+  export interface AbsoluteLuminanceOptions {
+    referenceWhite?: number;   // cd/m² of diffuse white (Y = 1), default 203 (BT.2408)
+  }
+
+  export interface HlgDisplayOptions {
+    peakLuminance?: number;    // cd/m², default 1000
+    blackLuminance?: number;   // cd/m², default 0
+  }
+
+  export const PQ_MAX_LUMINANCE: number;             // 10000 cd/m²
+  export const SDR_REFERENCE_WHITE: number;          // 203 cd/m²
+  export const HLG_NOMINAL_PEAK_LUMINANCE: number;   // 1000 cd/m²
+
+  export function pqEotf(encoded: number): number;          // Signal to cd/m²
+  export function pqInverseEotf(luminance: number): number; // cd/m² to signal
+  export function hlgOetf(sceneLinear: number): number;
+  export function hlgInverseOetf(encoded: number): number;
+  export function hlgSystemGamma(peakLuminance?: number): number;
+  export function hlgOotf(scene: HdrRgbColor, options?: { peakLuminance?: number }): HdrRgbColor;
+  export function hlgInverseOotf(display: HdrRgbColor, options?: { peakLuminance?: number }): HdrRgbColor;
+  export function hlgEotf(hlg: HdrRgbColor, options?: HlgDisplayOptions): HdrRgbColor;
+  export function hlgInverseEotf(display: HdrRgbColor, options?: HlgDisplayOptions): HdrRgbColor;
+  export function xyzToAbsoluteXyz(xyz: XyzColor, options?: AbsoluteLuminanceOptions): XyzColor;
+  export function absoluteXyzToXyz(absoluteXyz: XyzColor, options?: AbsoluteLuminanceOptions): XyzColor;
+
+  export interface IctcpColor {
+    I: number;
+    Ct: number;
+    Cp: number;
+    alpha?: number;
+  }
+
+  export interface IctcpOptions {
+    transfer?: 'pq' | 'hlg';   // Default 'pq'
+    peakLuminance?: number;    // cd/m², HLG only, default 1000
+  }
+
+  export const MATRIX_XYZ_TO_ICTCP_LMS: ReadonlyArray<ReadonlyArray<number>>;
+  export const MATRIX_ICTCP_LMS_TO_XYZ: ReadonlyArray<ReadonlyArray<number>>;
+
+  // XYZ is absolute (D65, cd/m²)
+  export function xyzToIctcp(absoluteXyz: XyzColor, options?: IctcpOptions): IctcpColor;
+  export function ictcpToXyz(ictcp: IctcpColor, options?: IctcpOptions): XyzColor;
+  export function srgbToIctcp(srgb: SrgbColor, options?: IctcpOptions & AbsoluteLuminanceOptions): IctcpColor;
+  export function ictcpToSrgb(ictcp: IctcpColor, options?: IctcpOptions & AbsoluteLuminanceOptions): SrgbColor;
+
+  export interface JzazbzColor {
+    Jz: number;
+    az: number;
+    bz: number;
+    alpha?: number;
+  }
+
+  export interface JzczhzColor {
+    Jz: number;
+    Cz: number;
+    hz: number;   // Degrees
+    alpha?: number;
+  }
+
+  // XYZ is absolute (D65, cd/m²)
+  export function xyzToJzazbz(absoluteXyz: XyzColor): JzazbzColor;
+  export function jzazbzToXyz(jzazbz: JzazbzColor): XyzColor;
+  export function jzazbzToJzczhz(jzazbz: JzazbzColor): JzczhzColor;
+  export function jzczhzToJzazbz(jzczhz: JzczhzColor): JzazbzColor;
+  export function srgbToJzazbz(srgb: SrgbColor, options?: AbsoluteLuminanceOptions): JzazbzColor;
+  export function jzazbzToSrgb(jzazbz: JzazbzColor, options?: AbsoluteLuminanceOptions): SrgbColor;
+  export function srgbToJzczhz(srgb: SrgbColor, options?: AbsoluteLuminanceOptions): JzczhzColor;
+  export function jzczhzToSrgb(jzczhz: JzczhzColor, options?: AbsoluteLuminanceOptions): SrgbColor;
+
+  // ============= Rec. 2100 (HDR) =============
+
+  /** PQ- or HLG-encoded Rec. 2100, or linear with 1 = 203 cd/m² */
+  export interface Rec2100Color {
+    r: number;
+    g: number;
+    b: number;
+  }
+
+  export const HLG_REFERENCE_WHITE_SIGNAL: number;   // 0.75
+  export const REC2100_LINEAR_MAX: number;           // 10000 / 203
+
+  export function rec2100PqToLinearRec2100(pq: Rec2100Color): Rec2100Color;
+  export function linearRec2100ToRec2100Pq(linear: Rec2100Color): Rec2100Color;
+  export function rec2100HlgToLinearRec2100(hlg: Rec2100Color): Rec2100Color;   // As CSS, without the OOTF
+  export function linearRec2100ToRec2100Hlg(linear: Rec2100Color): Rec2100Color;
+  export function linearRec2100ToXyz(linear: Rec2100Color): XyzColor;
+  export function xyzToLinearRec2100(xyz: XyzColor): Rec2100Color;
+  export function srgbToRec2100Pq(srgb: SrgbColor): Rec2100Color;
+  export function rec2100PqToSrgb(pq: Rec2100Color): SrgbColor;
+  export function srgbToRec2100Hlg(srgb: SrgbColor): Rec2100Color;
+  export function rec2100HlgToSrgb(hlg: Rec2100Color): SrgbColor;
+  export function rec2100PqToNits(pq: Rec2100Color): HdrRgbColor;
+  export function nitsToRec2100Pq(nits: HdrRgbColor): Rec2100Color;
+  export function rec2100HlgToNits(hlg: Rec2100Color, options?: HlgDisplayOptions): HdrRgbColor;
+  export function nitsToRec2100Hlg(nits: HdrRgbColor, options?: HlgDisplayOptions): Rec2100Color;
+
+  // Headroom in stops above the SDR reference white
+  export function calculateHdrHeadroom(peakLuminance: number, options?: AbsoluteLuminanceOptions): number;
+  export function headroomToPeakLuminance(headroom: number, options?: AbsoluteLuminanceOptions): number;
+  export function getLinearRec2100Headroom(linear: Rec2100Color): number;
+  export function limitLinearRec2100Headroom(linear: Rec2100Color, headroom: number): Rec2100Color;
+  export function getHdrHeadroom(color: string | SrgbColor | CssColor): number;   // Stops above 203 cd/m²
+  export function limitToHdrHeadroom(color: string | SrgbColor | CssColor, headroom: number): CssColor;
+
   // ============= Color Metrics =============
 
   export function getSrgbRelativeLuminance(srgb: SrgbColor): number;
   export function calculateWcagContrast(fg: SrgbColor, bg: SrgbColor): number;
+  export function calculateApcaContrast(text: SrgbColor | string, background: SrgbColor | string): number;
   export function isWcagContrastSufficient(
     fg: SrgbColor, 
     bg: SrgbColor, 
@@ -200,6 +568,7 @@ declare module 'color-utils' {
   ): boolean;
   export function calculateCiede2000(lab1: LabColor, lab2: LabColor): number;
   export function calculateOklchDifference(oklch1: OklchColor, oklch2: OklchColor): number;
+  export function calculateDeltaEITP(ictcp1: IctcpColor, ictcp2: IctcpColor): number;  // BT.2124, PQ ICtCp
 
   // ============= Gamut Management =============
 
@@ -241,8 +610,8 @@ declare module 'color-utils' {
   
   export function isInGamut(
     color: any, 
-    colorSpace: string, 
-    targetGamut: string
+    colorSpace?: string, 
+    targetGamut?: string
   ): boolean;
   
   export function clipGamutMapping(color: SrgbColor): SrgbColor;
@@ -251,9 +620,168 @@ declare module 'color-utils' {
     targetGamut: string
   ): OklchColor;
 
+  // ============= Color Space Registry =============
+
+  export interface ColorSpaceDefinition {
+    base: string;                                    // Space this one converts to and from
+    toBase?: (coords: number[]) => number[];         // Omit both for an XYZ space with another white point
+    fromBase?: (coords: number[]) => number[];
+    whitePoint?: string | XyzColor;                  // Illuminant name or XYZ (default: the base's)
+    ranges?: Array<[number, number]>;                // Gamut of each coordinate (bounded spaces only)
+    channels?: [string, string, string];             // Channel names (default ['r', 'g', 'b'])
+    hue?: number;                                    // Index of the hue coordinate
+    powerless?: (coords: number[]) => boolean;       // Whether the hue is powerless
+    components?: Array<string | null>;               // Analogous component categories
+    aliases?: string[];                              // Other names of the space
+  }
+
+  export interface ColorSpaceInfo {
+    name: string;
+    base: string | null;
+    whitePoint: XyzColor;                            // Scaled to Y = 100
+    ranges: ReadonlyArray<readonly [number, number]> | null;
+    channels: readonly string[];
+    hue: number;                                     // -1 for rectangular spaces
+  }
+
+  export function registerColorSpace(name: string, definition: ColorSpaceDefinition): Readonly<ColorSpaceInfo>;
+  export function getColorSpace(space: string): Readonly<ColorSpaceInfo> | null;
+  export function convert(coords: number[], fromSpace: string, toSpace: string): number[];
+
   // ============= CSS Color Parsing =============
 
+  /** Parsed CSS color in the space the author wrote */
+  export interface CssColor {
+    space: string;
+    coords: [number, number, number];  // NaN marks a missing (`none`) component
+    alpha: number;
+  }
+
+  /** Values for currentcolor and system colors (CSS strings or color objects) */
+  export interface CssColorContext {
+    currentColor?: string | SrgbColor | CssColor;
+    systemColors?: Record<string, string | SrgbColor | CssColor>;  // Keys are case-insensitive
+    colorScheme?: 'light' | 'dark';          // Picks the color of light-dark() (default 'light')
+    contrastAlgorithm?: 'wcag' | 'apca';     // Contrast used by contrast-color() (default 'wcag')
+    variables?: Record<string, string | number>;  // Custom property values for var(), keyed by '--name'
+  }
+
+  export interface ParseCSSOptions {
+    preserveSpace?: boolean;
+    context?: CssColorContext;
+  }
+
   export function parseCSS(css: string): SrgbColor | null;
+  export function parseCSS(css: string, options: ParseCSSOptions & { preserveSpace: true }): CssColor | null;
+  export function parseCSS(css: string, options?: ParseCSSOptions): SrgbColor | CssColor | null;
+  export function parseCSSStrict(css: string): SrgbColor;
+  export function parseCSSStrict(css: string, options: ParseCSSOptions & { preserveSpace: true }): CssColor;
+  export function parseCSSStrict(css: string, options?: ParseCSSOptions): SrgbColor | CssColor;
+
+  /** Thrown by parseCSSStrict at the first problem in the input */
+  export class CssParseError extends SyntaxError {
+    constructor(details: { functionName?: string | null; offset: number; token: string; expected: string });
+    functionName: string | null;  // Color function being parsed, e.g. 'rgb'
+    offset: number;               // Character offset of the offending token
+    token: string;                // Offending token ('' at the end of the input)
+    expected: string;             // What was expected instead
+    input?: string;               // The complete input string (after var() substitution)
+  }
+
+  export function resolveCssVariables(value: string, variables?: Record<string, string | number>): string;
+
+  export interface FormatCSSOptions {
+    preset?: 'spec';                       // Start from a preset, overridden by the other options
+    precision?: number | number[];         // Decimals for all components, or per component
+    significantDigits?: number;            // Significant digits instead of the per-format decimals
+    alphaPrecision?: number | '8bit';      // Decimals of alpha (default 3)
+    legacy?: boolean;                      // Comma syntax for rgb() and hsl()
+    percentages?: boolean;                 // Write non-hue components as percentages or numbers
+    hueUnit?: 'deg' | '';                  // Unit after hues (default 'deg')
+    gamut?: 'clip' | 'map' | 'none';       // Fit into the output gamut before serializing
+  }
+
+  export function formatCSS(color: SrgbColor | CssColor, format?: string, options?: FormatCSSOptions | 'spec'): string;
+  export function convertCssColor(color: CssColor, targetSpace: string): CssColor;
+
+  /** A color in any CSS space with cached conversions; immutable unless created mutable */
+  export class Color {
+    constructor(css: string, options?: { mutable?: boolean; context?: CssColorContext });
+    constructor(space: string, coords: number[], alpha?: number, options?: { mutable?: boolean });
+    constructor(space: string, coords: number[], options?: { mutable?: boolean });
+    constructor(color: Color | CssColor, options?: { mutable?: boolean });
+    readonly space: string;      // Canonical space name, e.g. 'oklch'
+    readonly coords: number[];   // NaN marks a missing component
+    readonly alpha: number;
+    readonly mutable: boolean;
+    coordsIn(space: string): number[];
+    to(space: string): Color;
+    get(path: string): number;   // 'alpha', 'l' or 'oklch.l'
+    set(path: string, value: number | ((value: number) => number)): Color;
+    set(changes: Record<string, number | ((value: number) => number)>): Color;
+    toString(options?: FormatCSSOptions & { format?: string }): string;
+    toJSON(): CssColor;
+    deltaE(other: Color | CssColor | string, method?: '2000' | '76' | 'ok'): number;
+  }
+
+  export interface CssColorMatch {
+    text: string;      // The color exactly as written
+    start: number;     // Offset of the first character
+    end: number;       // Offset just past the last character
+    line: number;      // 1-based line of start
+    column: number;    // 1-based column of start
+    property: string;  // Declaration property, e.g. 'color' or '--brand'
+    color: CssColor;   // Parsed color in its authored space
+  }
+
+  export function findCssColors(cssText: string, options?: { context?: CssColorContext }): CssColorMatch[];
+  export function replaceCssColors(
+    cssText: string,
+    replacement: string | ((match: CssColorMatch) => string | null | undefined),
+    options?: { context?: CssColorContext }
+  ): string;
+
+  export interface WideGamutFallbackOptions {
+    fallbackFormat?: string;                 // formatCSS format of the sRGB fallback (default 'rgb')
+    query?: 'supports' | 'media' | 'both';   // Conditions guarding wide-gamut values (default 'supports')
+    indent?: string;                         // Indentation unit (default two spaces)
+  }
+
+  export function getWideGamutFallbacks(
+    color: string | SrgbColor | CssColor,
+    options?: WideGamutFallbackOptions
+  ): { srgb: string; 'display-p3'?: string; rec2020?: string };
+  export function createWideGamutCss(
+    selector: string,
+    declarations: Record<string, string | SrgbColor | CssColor>,
+    options?: WideGamutFallbackOptions
+  ): string;
+
+  export const CSS_NAMED_COLORS: Readonly<Record<string, readonly [number, number, number]>>;
+  export const CSS_SYSTEM_COLORS: readonly string[];
+  export function findCssColorName(rgb255: [number, number, number]): string | null;
+
+  export type HueInterpolationMethod = 'shorter' | 'longer' | 'increasing' | 'decreasing';
+  export const HUE_INTERPOLATION_METHODS: readonly HueInterpolationMethod[];
+
+  export interface ColorMixOptions {
+    space?: string;                  // Interpolation space (default 'oklab')
+    hue?: HueInterpolationMethod;    // Hue method for cylindrical spaces (default 'shorter')
+    p1?: number;                     // Percentage of the first color [0, 100]
+    p2?: number;                     // Percentage of the second color [0, 100]
+  }
+
+  export function colorMix(
+    color1: SrgbColor | CssColor,
+    color2: SrgbColor | CssColor,
+    options?: ColorMixOptions
+  ): CssColor;
+  export function interpolateColor(
+    color1: SrgbColor | CssColor,
+    color2: SrgbColor | CssColor,
+    t: number,
+    options?: Pick<ColorMixOptions, 'space' | 'hue'>
+  ): CssColor;
   export function formatCssRgb(srgb: SrgbColor): string;
   export function formatCssLab(lab: LabColor): string;
   export function formatCssLch(lch: LchColor): string;
@@ -305,6 +833,52 @@ declare module 'color-utils' {
 
   export const ILLUMINANTS: Record<Illuminant, XyzColor>;
 
+  // ============= Chromaticity =============
+
+  /** CIE xyY: chromaticity plus luminance on the scale of the XYZ input */
+  export interface XyyColor extends Chromaticity {
+    Y: number;
+    alpha?: number;
+  }
+
+  /** CIE 1976 u'v' chromaticity plus luminance */
+  export interface UvColor {
+    u: number;
+    v: number;
+    Y: number;
+    alpha?: number;
+  }
+
+  export interface SpectralLocusPoint {
+    wavelength: number;  // nm
+    x: number;
+    y: number;
+  }
+
+  export interface WavelengthOptions {
+    white?: Chromaticity;  // Default D65 (0.3127, 0.3290)
+  }
+
+  // Black gets the chromaticity of the reference white (default D65)
+  export function xyzToXyy(xyz: XyzColor, referenceWhite?: XyzColor): XyyColor;
+  export function xyyToXyz(xyy: XyyColor): XyzColor;
+  export function xyzToUv(xyz: XyzColor, referenceWhite?: XyzColor): UvColor;
+  export function uvToXyz(uv: { u: number; v: number; Y?: number }): XyzColor;
+  export function xyToUv(xy: Chromaticity): { u: number; v: number };
+  export function uvToXy(uv: { u: number; v: number }): Chromaticity;
+
+  /** CIE 1931 2° spectral locus, 380-700 nm in 5 nm steps */
+  export const SPECTRAL_LOCUS: ReadonlyArray<Readonly<SpectralLocusPoint>>;
+  /** Ends of the spectral locus (380 and 700 nm) */
+  export const PURPLE_LINE: ReadonlyArray<Readonly<SpectralLocusPoint>>;
+
+  // Negative for purples (complementary wavelength), NaN at the white point
+  export function getDominantWavelength(xy: Chromaticity, options?: WavelengthOptions): number;
+  // NaN at the white point and for greens opposite the purple line
+  export function getComplementaryWavelength(xy: Chromaticity, options?: WavelengthOptions): number;
+  export function getExcitationPurity(xy: Chromaticity, options?: WavelengthOptions): number;
+  export function isInGamutTriangle(xy: Chromaticity, primaries: RgbPrimaries): boolean;
+
   // ============= Chroma Control =============
 
   export function findMaxAokChromaForLabL(
@@ -328,6 +902,10 @@ declare module 'color-utils' {
 
   // ============= Utility Functions =============
 
+  /** Reference whites in XYZ scaled to Y=100 */
+  export const D65_WHITE_POINT_XYZ: Readonly<XyzColor>;
+  export const D50_WHITE_POINT_XYZ: Readonly<XyzColor>;
+
   export function degreesToRadians(degrees: number): number;
   export function radiansToDegrees(radians: number): number;
   export function normalizeHue(hue: number): number;
@@ -0,0 +1,73 @@
+/**
+ * Benchmark of the batch conversions against the per-object API.
+ *
+ * Usage: node scripts/benchmark-batch.js [pixels]
+ *
+ * Converts the same random RGBA image (default 250,000 pixels) with each
+ * per-object function in a loop and with its batch counterpart in place,
+ * and prints the time of each and the speedup.
+ */
+
+import { srgbToXyz } from '../src/srgb.js';
+import { srgbToLab } from '../src/cielab.js';
+import { srgbToOklab } from '../src/oklab.js';
+import { srgbToDisplayP3 } from '../src/display-p3.js';
+import { srgbToRec2020 } from '../src/rec2020.js';
+import { AdaptiveOklab } from '../src/aoklab.js';
+import {
+  srgbToXyzBatch,
+  srgbToLabBatch,
+  srgbToOklabBatch,
+  srgbToDisplayP3Batch,
+  srgbToRec2020Batch
+} from '../src/batch.js';
+
+const PIXELS = Number(process.argv[2]) || 250000;
+const STRIDE = 4;
+const RUNS = 5;
+
+const image = new Float32Array(PIXELS * STRIDE);
+for (let i = 0; i < image.length; i++) image[i] = i % STRIDE === 3 ? 1 : Math.random();
+
+const aok = new AdaptiveOklab({ surround: 'dark' });
+
+const CASES = [
+  ['sRGB → XYZ', srgbToXyz, srgbToXyzBatch],
+  ['sRGB → Lab', srgbToLab, srgbToLabBatch],
+  ['sRGB → Oklab', srgbToOklab, srgbToOklabBatch],
+  ['sRGB → Display P3', srgbToDisplayP3, srgbToDisplayP3Batch],
+  ['sRGB → Rec. 2020', srgbToRec2020, srgbToRec2020Batch],
+  ['sRGB → AdaptiveOklab', color => aok.fromSrgb(color), (input, options) => aok.fromSrgbBatch(input, options)]
+];
+
+/**
+ * Best time of several runs, in milliseconds
+ */
+function time(run) {
+  let best = Infinity;
+  for (let i = 0; i < RUNS; i++) {
+    const start = performance.now();
+    run();
+    best = Math.min(best, performance.now() - start);
+  }
+  return best;
+}
+
+console.log(`${PIXELS.toLocaleString('en-US')} RGBA pixels, best of ${RUNS} runs\n`);
+console.log('Conversion              Objects (ms)   Batch (ms)   Speedup');
+
+for (const [name, single, batch] of CASES) {
+  const objects = time(() => {
+    for (let i = 0; i < image.length; i += STRIDE) {
+      single({ r: image[i], g: image[i + 1], b: image[i + 2], alpha: image[i + 3] });
+    }
+  });
+  const buffer = new Float32Array(image.length);
+  const batched = time(() => {
+    buffer.set(image);
+    batch(buffer, { stride: STRIDE });
+  });
+  console.log(
+    `${name.padEnd(22)} ${objects.toFixed(1).padStart(13)} ${batched.toFixed(1).padStart(12)} ${(objects / batched).toFixed(1).padStart(8)}x`
+  );
+}
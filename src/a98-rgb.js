@@ -0,0 +1,191 @@
+/**
+ * @module a98-rgb
+ * @description A98 RGB (Adobe RGB 1998) color space conversions and utilities.
+ * A98 RGB is a wide-gamut RGB space common in photography and print workflows.
+ * It covers most of the CMYK gamut and, compared to sRGB, extends mainly into
+ * the greens and cyans.
+ *
+ * A98 RGB uses a D65 white point and a pure 563/256 (≈ 2.2) gamma, extended
+ * symmetrically to negative values. This implementation follows the CSS Color
+ * Module Level 4 specification.
+ *
+ * @see {@link https://www.w3.org/TR/css-color-4/#predefined-a98-rgb}
+ */
+
+import { multiplyMatrixVector, withAlpha } from './utils.js';
+import { srgbToLinearSrgb, linearSrgbToSrgb, linearSrgbToXyz, xyzToLinearSrgb } from './srgb.js';
+import { createRgbSpace, parseColorFunction } from './rgb-space-core.js';
+
+/** @typedef {{r: number, g: number, b: number}} A98RgbColor */
+/** @typedef {{r: number, g: number, b: number}} LinearA98RgbColor */
+
+// --- A98 RGB Constants ---
+
+/**
+ * A98 RGB primaries and white point in CIE xy chromaticity coordinates
+ */
+export const A98_RGB_PRIMARIES = Object.freeze({
+  red: { x: 0.640, y: 0.330 },
+  green: { x: 0.210, y: 0.710 },
+  blue: { x: 0.150, y: 0.060 },
+  white: { x: 0.3127, y: 0.3290 } // D65
+});
+
+/**
+ * A98 RGB as an RGB space: its primaries, D65 white and a 563/256 gamma
+ * @private
+ */
+export const A98_RGB_SPACE = createRgbSpace({ name: 'a98-rgb', primaries: A98_RGB_PRIMARIES, transfer: 563 / 256 });
+
+/**
+ * Matrix to convert from linear A98 RGB to XYZ (D65)
+ * Derived from the A98 RGB primaries
+ * @private
+ */
+export const MATRIX_LINEAR_A98_RGB_TO_XYZ_D65 = A98_RGB_SPACE.toXyzMatrix;
+
+/**
+ * Matrix to convert from XYZ (D65) to linear A98 RGB
+ * Inverse of MATRIX_LINEAR_A98_RGB_TO_XYZ_D65
+ * @private
+ */
+export const MATRIX_XYZ_TO_LINEAR_A98_RGB_D65 = A98_RGB_SPACE.fromXyzMatrix;
+
+// --- A98 RGB ↔ Linear A98 RGB ---
+
+/**
+ * Convert A98 RGB to linear A98 RGB
+ * @param {A98RgbColor} a98Color - A98 RGB color with gamma correction
+ * @returns {LinearA98RgbColor} Linear A98 RGB color
+ */
+export function a98RgbToLinearA98Rgb(a98Color) {
+  return A98_RGB_SPACE.toLinear(a98Color);
+}
+
+/**
+ * Convert linear A98 RGB to A98 RGB with gamma correction
+ * @param {LinearA98RgbColor} linearA98Color - Linear A98 RGB color
+ * @returns {A98RgbColor} A98 RGB color with gamma correction
+ */
+export function linearA98RgbToA98Rgb(linearA98Color) {
+  return A98_RGB_SPACE.fromLinear(linearA98Color);
+}
+
+// --- XYZ ↔ A98 RGB Conversions ---
+
+/**
+ * Convert linear A98 RGB to XYZ (D65)
+ * @param {LinearA98RgbColor} linearA98Color - Linear A98 RGB color
+ * @returns {{X: number, Y: number, Z: number}} XYZ color
+ */
+export function linearA98RgbToXyz(linearA98Color) {
+  const [X, Y, Z] = multiplyMatrixVector(
+    MATRIX_LINEAR_A98_RGB_TO_XYZ_D65,
+    [linearA98Color.r, linearA98Color.g, linearA98Color.b]
+  );
+  return { X, Y, Z };
+}
+
+/**
+ * Convert XYZ (D65) to linear A98 RGB
+ * @param {{X: number, Y: number, Z: number}} xyzColor - XYZ color
+ * @returns {LinearA98RgbColor} Linear A98 RGB color
+ */
+export function xyzToLinearA98Rgb(xyzColor) {
+  const [r, g, b] = multiplyMatrixVector(
+    MATRIX_XYZ_TO_LINEAR_A98_RGB_D65,
+    [xyzColor.X, xyzColor.Y, xyzColor.Z]
+  );
+  return { r, g, b };
+}
+
+// --- sRGB ↔ A98 RGB Conversions ---
+
+/**
+ * Convert sRGB to A98 RGB
+ * @param {SrgbColor} srgbColor - sRGB color
+ * @returns {A98RgbColor} A98 RGB color, with the alpha of the input if it has one
+ * @example
+ * // Convert pure green from sRGB to A98 RGB
+ * const a98Green = srgbToA98Rgb({ r: 0, g: 1, b: 0 });
+ * // Result: { r: 0.5650, g: 1.0000, b: 0.2344 }
+ */
+export function srgbToA98Rgb(srgbColor) {
+  const xyz = linearSrgbToXyz(srgbToLinearSrgb(srgbColor));
+  return withAlpha(A98_RGB_SPACE.fromXyz(xyz), srgbColor);
+}
+
+/**
+ * Convert A98 RGB to sRGB
+ * Note: A98 RGB has a wider gamut than sRGB, so the result may be out of [0, 1]
+ * @param {A98RgbColor} a98Color - A98 RGB color
+ * @returns {SrgbColor} sRGB color (not clipped), with the alpha of the input if it has one
+ */
+export function a98RgbToSrgb(a98Color) {
+  const xyz = A98_RGB_SPACE.toXyz(a98Color);
+  return withAlpha(linearSrgbToSrgb(xyzToLinearSrgb(xyz)), a98Color);
+}
+
+// --- Utility Functions ---
+
+/**
+ * Check if an A98 RGB color is within sRGB gamut
+ * @param {A98RgbColor} a98Color - A98 RGB color to check
+ * @returns {boolean} True if the color can be represented in sRGB
+ */
+export function isA98RgbInSrgbGamut(a98Color) {
+  const srgb = a98RgbToSrgb(a98Color);
+  const epsilon = 0.00001;
+  return (
+    srgb.r >= -epsilon && srgb.r <= 1 + epsilon &&
+    srgb.g >= -epsilon && srgb.g <= 1 + epsilon &&
+    srgb.b >= -epsilon && srgb.b <= 1 + epsilon
+  );
+}
+
+/**
+ * Check if an A98 RGB color is within its own gamut
+ * @param {A98RgbColor} a98Color - A98 RGB color to check
+ * @returns {boolean} True if every channel is in [0, 1]
+ */
+export function isA98RgbInGamut(a98Color) {
+  const epsilon = 0.00001;
+  return (
+    a98Color.r >= -epsilon && a98Color.r <= 1 + epsilon &&
+    a98Color.g >= -epsilon && a98Color.g <= 1 + epsilon &&
+    a98Color.b >= -epsilon && a98Color.b <= 1 + epsilon
+  );
+}
+
+/**
+ * Format an A98 RGB color for CSS Color Module Level 4
+ * @param {A98RgbColor} a98Color - A98 RGB color
+ * @param {number} [precision=4] - Decimal precision
+ * @returns {string} CSS color() function string
+ * @example
+ * formatA98RgbForCSS({ r: 0.565, g: 1, b: 0.2344 })
+ * // Returns: "color(a98-rgb 0.5650 1.0000 0.2344)"
+ */
+export function formatA98RgbForCSS(a98Color, precision = 4) {
+  const r = a98Color.r.toFixed(precision);
+  const g = a98Color.g.toFixed(precision);
+  const b = a98Color.b.toFixed(precision);
+  return `color(a98-rgb ${r} ${g} ${b})`;
+}
+
+/**
+ * Parse a CSS Color Module Level 4 a98-rgb color
+ * Negative and percentage channels, `none` (read as NaN), exponents and
+ * `/ alpha` are all accepted.
+ * @param {string} cssString - CSS color() function string
+ * @returns {A98RgbColor|null} A98 RGB color, with alpha unless it is 1, or null if
+ *   the string is not a valid a98-rgb color
+ * @example
+ * parseA98RgbFromCSS("color(a98-rgb 0.565 1 0.2344)")
+ * // Returns: { r: 0.565, g: 1, b: 0.2344 }
+ * parseA98RgbFromCSS("color(a98-rgb -0.1 50% 2e-1 / 0.5)")
+ * // Returns: { r: -0.1, g: 0.5, b: 0.2, alpha: 0.5 }
+ */
+export function parseA98RgbFromCSS(cssString) {
+  return parseColorFunction(cssString, 'a98-rgb');
+}
@@ -59,8 +59,20 @@ import {
   linearSrgbToXyz,  // For the .toXyz() method
   parseSrgbHex,
   formatSrgbAsHex,
+  MATRIX_LINEAR_SRGB_TO_XYZ_D65,
+  MATRIX_XYZ_TO_LINEAR_SRGB_D65,
 } from './srgb.js';
 
+// --- Batch Imports ---
+import {
+  transformBatch,
+  applyMatrix,
+  applyPow,
+  clipNegative,
+  decodeSrgb,
+  encodeSrgb,
+} from './batch-core.js';
+
 // --- Standard Oklab Transformation Matrices (as defined in oklab.js or by Ottosson) ---
 // These are the matrices from the standard Oklab model.
 
@@ -527,4 +539,97 @@ export class AdaptiveOklab {
     const srgbColor = this.toSrgb(adaptiveOklabColor);
     return formatSrgbAsHex(srgbColor); // from srgb.js
   }
-}
\ No newline at end of file
+
+  // --- Batch Conversions ---
+
+  /**
+   * Converts sRGB pixels of a typed array to Adaptive Oklab, in place or into
+   * `options.output`. See the batch module for the buffer layout.
+   * @param {Float32Array|Float64Array} input - sRGB pixels (0-1)
+   * @param {BatchOptions} [options={}] - Output buffer and stride (3 for RGB, 4 for RGBA)
+   * @returns {Float32Array|Float64Array} The output buffer
+   * @example
+   * const aok = new AdaptiveOklab({ surround: 'dark' });
+   * const pixels = new Float32Array([0.8, 0.2, 0.3, 1, 0.1, 0.5, 0.9, 1]);
+   * aok.fromSrgbBatch(pixels, { stride: 4 }); // pixels now hold L, a, b, alpha
+   */
+  fromSrgbBatch(input, options = {}) {
+    return transformBatch(input, options, (v) => {
+      decodeSrgb(v);
+      this._fromLinearSrgbBatch(v);
+    });
+  }
+
+  /**
+   * Converts CIE XYZ (D65, Y=1) pixels of a typed array to Adaptive Oklab.
+   * @param {Float32Array|Float64Array} input - XYZ pixels
+   * @param {BatchOptions} [options={}] - Output buffer and stride
+   * @returns {Float32Array|Float64Array} The output buffer
+   */
+  fromXyzBatch(input, options = {}) {
+    return transformBatch(input, options, (v) => {
+      applyMatrix(v, MATRIX_XYZ_TO_LINEAR_SRGB_D65);
+      this._fromLinearSrgbBatch(v);
+    });
+  }
+
+  /**
+   * Converts Adaptive Oklab pixels of a typed array back to sRGB (not clipped).
+   * @param {Float32Array|Float64Array} input - Adaptive Oklab pixels
+   * @param {BatchOptions} [options={}] - Output buffer and stride
+   * @returns {Float32Array|Float64Array} The output buffer
+   */
+  toSrgbBatch(input, options = {}) {
+    return transformBatch(input, options, (v) => {
+      this._toLinearSrgbBatch(v);
+      encodeSrgb(v);
+    });
+  }
+
+  /**
+   * Converts Adaptive Oklab pixels of a typed array to CIE XYZ (D65, Y=1).
+   * @param {Float32Array|Float64Array} input - Adaptive Oklab pixels
+   * @param {BatchOptions} [options={}] - Output buffer and stride
+   * @returns {Float32Array|Float64Array} The output buffer
+   */
+  toXyzBatch(input, options = {}) {
+    return transformBatch(input, options, (v) => {
+      this._toLinearSrgbBatch(v);
+      applyMatrix(v, MATRIX_LINEAR_SRGB_TO_XYZ_D65);
+    });
+  }
+
+  /**
+   * Pixel transform from linear sRGB to Adaptive Oklab, as {@link AdaptiveOklab#_fromLinearSrgbToAOkLab}.
+   * @private
+   * @param {Float64Array} v - Components of one pixel, converted in place
+   */
+  _fromLinearSrgbBatch(v) {
+    clipNegative(v);
+    applyMatrix(v, MATRIX_LINEAR_SRGB_TO_LMS_OKLAB);
+    applyPow(v, this._exponent);
+    applyMatrix(v, MATRIX_LMS_PRIME_TO_OKLAB);
+    if (this._toneMapping) v[0] = this._applyToneMapping(v[0]);
+    v[1] *= this._correctionFactor;
+    v[2] *= this._correctionFactor;
+  }
+
+  /**
+   * Pixel transform from Adaptive Oklab to linear sRGB, as {@link AdaptiveOklab#toLinearSrgb}.
+   * @private
+   * @param {Float64Array} v - Components of one pixel, converted in place
+   */
+  _toLinearSrgbBatch(v) {
+    if (this._toneMapping) v[0] = this._reverseToneMapping(v[0]);
+    if (this._correctionFactor === 0 || Number.isNaN(this._correctionFactor)) {
+      v[1] = 0;
+      v[2] = 0;
+    } else {
+      v[1] /= this._correctionFactor;
+      v[2] /= this._correctionFactor;
+    }
+    applyMatrix(v, MATRIX_OKLAB_TO_LMS_PRIME);
+    applyPow(v, (this._exponent === 0 || Number.isNaN(this._exponent)) ? Infinity : 1 / this._exponent);
+    applyMatrix(v, MATRIX_LMS_OKLAB_TO_LINEAR_SRGB);
+  }
+}
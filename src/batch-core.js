@@ -0,0 +1,121 @@
+/**
+ * @module batch-core
+ * @private
+ * @description The pixel loop and per-pixel helpers of the batch conversions,
+ * shared by `batch.js` and the batch methods of `AdaptiveOklab`. Not part of
+ * the public API.
+ */
+
+import { srgbChannelToLinear, linearChannelToSrgb } from './srgb.js';
+
+/**
+ * Transforms the three components of one pixel in place.
+ * @callback PixelTransform
+ * @param {Float64Array} v - Components of one pixel
+ * @returns {void}
+ */
+
+// --- Pixel Transforms ---
+
+/**
+ * Multiply the components by a 3x3 matrix.
+ * @param {Float64Array} v - Components, replaced by the product
+ * @param {number[][]} m - Row-major 3x3 matrix
+ */
+export function applyMatrix(v, m) {
+  const c0 = v[0], c1 = v[1], c2 = v[2];
+  v[0] = m[0][0] * c0 + m[0][1] * c1 + m[0][2] * c2;
+  v[1] = m[1][0] * c0 + m[1][1] * c1 + m[1][2] * c2;
+  v[2] = m[2][0] * c0 + m[2][1] * c1 + m[2][2] * c2;
+}
+
+/**
+ * Raise the components to a power, preserving their sign (as `signPreservingPow`).
+ * @param {Float64Array} v - Components
+ * @param {number} exponent - The exponent
+ */
+export function applyPow(v, exponent) {
+  for (let k = 0; k < 3; k++) {
+    const c = v[k];
+    v[k] = c < 0 ? -Math.pow(-c, exponent) : Math.pow(c, exponent);
+  }
+}
+
+/**
+ * Clip negative components to 0, as the linear sRGB → Oklab conversions do.
+ * @param {Float64Array} v - Components
+ */
+export function clipNegative(v) {
+  v[0] = Math.max(0, v[0]);
+  v[1] = Math.max(0, v[1]);
+  v[2] = Math.max(0, v[2]);
+}
+
+/**
+ * sRGB transfer function, encoded → linear. Display P3 uses the same curve.
+ * @param {Float64Array} v - Components
+ */
+export function decodeSrgb(v) {
+  v[0] = srgbChannelToLinear(v[0]);
+  v[1] = srgbChannelToLinear(v[1]);
+  v[2] = srgbChannelToLinear(v[2]);
+}
+
+/**
+ * sRGB transfer function, linear → encoded.
+ * @param {Float64Array} v - Components
+ */
+export function encodeSrgb(v) {
+  v[0] = linearChannelToSrgb(v[0]);
+  v[1] = linearChannelToSrgb(v[1]);
+  v[2] = linearChannelToSrgb(v[2]);
+}
+
+// --- Pixel Loop ---
+
+/**
+ * Run a pixel transform over every pixel of a typed array.
+ * @param {FloatArray} input - Pixels, `stride` components each
+ * @param {BatchOptions} options - Output buffer and stride
+ * @param {PixelTransform} transform - Applied to the first three components of each pixel
+ * @returns {FloatArray} The output buffer
+ * @throws {TypeError} If the input or output is not a Float32Array or Float64Array
+ * @throws {RangeError} If the stride is invalid, the input is not a whole number of
+ *   pixels, or the output is too short
+ */
+export function transformBatch(input, options, transform) {
+  const { output = input, stride = 3 } = options;
+
+  if (!(input instanceof Float32Array || input instanceof Float64Array)) {
+    throw new TypeError('Input must be a Float32Array or Float64Array.');
+  }
+  if (!(output instanceof Float32Array || output instanceof Float64Array)) {
+    throw new TypeError('Output must be a Float32Array or Float64Array.');
+  }
+  if (!Number.isInteger(stride) || stride < 3) {
+    throw new RangeError(`Stride must be an integer of at least 3, got ${stride}.`);
+  }
+  if (input.length % stride !== 0) {
+    throw new RangeError(`Input length ${input.length} is not a multiple of the stride ${stride}.`);
+  }
+  if (output.length < input.length) {
+    throw new RangeError(`Output length ${output.length} is shorter than the input length ${input.length}.`);
+  }
+
+  const copyExtra = output !== input && stride > 3;
+  const v = new Float64Array(3);
+
+  for (let i = 0; i < input.length; i += stride) {
+    v[0] = input[i];
+    v[1] = input[i + 1];
+    v[2] = input[i + 2];
+    transform(v);
+    output[i] = v[0];
+    output[i + 1] = v[1];
+    output[i + 2] = v[2];
+    if (copyExtra) {
+      for (let k = 3; k < stride; k++) output[i + k] = input[i + k];
+    }
+  }
+  return output;
+}
@@ -0,0 +1,411 @@
+/**
+ * @module batch
+ * @description Batch conversions over flat typed arrays of pixels.
+ *
+ * The per-object API (`srgbToOklab({ r, g, b })`) allocates an object, and
+ * usually a few intermediate arrays, for every color. For images and large
+ * palettes these functions convert a whole `Float32Array` or `Float64Array`
+ * in one pass instead: pixels are packed as `[c0, c1, c2, c0, c1, c2, ...]`
+ * (stride 3) or with a fourth component such as alpha (stride 4), which is
+ * left untouched.
+ *
+ * Every function converts in place by default, or writes into `options.output`
+ * (which may be the input, or another typed array at least as long). Results
+ * match the per-object functions: same matrices, same transfer functions,
+ * same units (XYZ with Y=1 for white, Lab L in 0-100, Oklab L in 0-1).
+ *
+ * @example
+ * const pixels = new Float32Array([1, 0, 0, 1,  0, 0.5, 1, 0.5]); // RGBA
+ * srgbToOklabBatch(pixels, { stride: 4 });
+ * // pixels ≈ [0.628, 0.225, 0.126, 1,  0.614, -0.050, -0.205, 0.5]
+ */
+
+import { D65_WHITE_POINT_XYZ } from './utils.js';
+import { MATRIX_LINEAR_SRGB_TO_XYZ_D65, MATRIX_XYZ_TO_LINEAR_SRGB_D65 } from './srgb.js';
+import { cielabForwardTransform, cielabInverseTransform } from './cielab.js';
+import {
+  MATRIX_LINEAR_SRGB_TO_LMS_OKLAB,
+  MATRIX_LMS_PRIME_TO_OKLAB,
+  MATRIX_OKLAB_TO_LMS_PRIME,
+  MATRIX_LMS_OKLAB_TO_LINEAR_SRGB,
+  MATRIX_XYZ_TO_LMS_OKLAB,
+  MATRIX_LMS_OKLAB_TO_XYZ,
+} from './oklab.js';
+import {
+  MATRIX_LINEAR_SRGB_TO_LINEAR_DISPLAY_P3,
+  MATRIX_LINEAR_DISPLAY_P3_TO_LINEAR_SRGB,
+} from './display-p3.js';
+import {
+  MATRIX_LINEAR_SRGB_TO_LINEAR_REC2020,
+  MATRIX_LINEAR_REC2020_TO_LINEAR_SRGB,
+  rec2020ChannelToLinear,
+  linearChannelToRec2020,
+} from './rec2020.js';
+import {
+  transformBatch,
+  applyMatrix,
+  applyPow,
+  clipNegative,
+  decodeSrgb,
+  encodeSrgb,
+} from './batch-core.js';
+
+/**
+ * @typedef {Float32Array|Float64Array} FloatArray
+ */
+
+/**
+ * @typedef {object} BatchOptions
+ * @property {FloatArray} [output] - Buffer to write to (default: the input, converted in place)
+ * @property {number} [stride=3] - Components per pixel: 3 for RGB, 4 for RGBA. Components
+ *   after the third are copied unchanged into a separate output buffer.
+ */
+
+// --- Pixel Transforms ---
+// Each conversion is one function calling these helpers (and those of
+// batch-core.js) directly, rather than a list of steps, so that V8 can inline
+// the whole per-pixel pipeline.
+
+/**
+ * Rec. 2020 transfer function, encoded → linear.
+ * @private
+ */
+function decodeRec2020(v) {
+  v[0] = rec2020ChannelToLinear(v[0]);
+  v[1] = rec2020ChannelToLinear(v[1]);
+  v[2] = rec2020ChannelToLinear(v[2]);
+}
+
+/**
+ * Rec. 2020 transfer function, linear → encoded.
+ * @private
+ */
+function encodeRec2020(v) {
+  v[0] = linearChannelToRec2020(v[0]);
+  v[1] = linearChannelToRec2020(v[1]);
+  v[2] = linearChannelToRec2020(v[2]);
+}
+
+/**
+ * XYZ (Y=1) → CIELAB relative to a reference white (Y=100).
+ * @private
+ */
+function xyzToLab(v, white) {
+  const fx = cielabForwardTransform((v[0] * 100) / white.X);
+  const fy = cielabForwardTransform((v[1] * 100) / white.Y);
+  const fz = cielabForwardTransform((v[2] * 100) / white.Z);
+  v[0] = 116 * fy - 16;
+  v[1] = 500 * (fx - fy);
+  v[2] = 200 * (fy - fz);
+}
+
+/**
+ * CIELAB → XYZ (Y=1) relative to a reference white (Y=100).
+ * @private
+ */
+function labToXyz(v, white) {
+  const fy = (v[0] + 16) / 116;
+  const fx = v[1] / 500 + fy;
+  const fz = fy - v[2] / 200;
+  v[0] = (cielabInverseTransform(fx) * white.X) / 100;
+  v[1] = (cielabInverseTransform(fy) * white.Y) / 100;
+  v[2] = (cielabInverseTransform(fz) * white.Z) / 100;
+}
+
+/**
+ * Oklab LMS → Oklab (cube root, then M2).
+ * @private
+ */
+function lmsToOklab(v) {
+  v[0] = Math.cbrt(v[0]);
+  v[1] = Math.cbrt(v[1]);
+  v[2] = Math.cbrt(v[2]);
+  applyMatrix(v, MATRIX_LMS_PRIME_TO_OKLAB);
+}
+
+/**
+ * Oklab → Oklab LMS (inverse M2, then cube).
+ * @private
+ */
+function oklabToLms(v) {
+  applyMatrix(v, MATRIX_OKLAB_TO_LMS_PRIME);
+  v[0] = v[0] * v[0] * v[0];
+  v[1] = v[1] * v[1] * v[1];
+  v[2] = v[2] * v[2] * v[2];
+}
+
+/**
+ * Linear sRGB → Oklab, clipping negative components as {@link linearSrgbToOklab} does.
+ * @private
+ */
+function linearSrgbToOklab(v) {
+  clipNegative(v);
+  applyMatrix(v, MATRIX_LINEAR_SRGB_TO_LMS_OKLAB);
+  lmsToOklab(v);
+}
+
+/**
+ * Oklab → linear sRGB.
+ * @private
+ */
+function oklabToLinearSrgb(v) {
+  oklabToLms(v);
+  applyMatrix(v, MATRIX_LMS_OKLAB_TO_LINEAR_SRGB);
+}
+
+// --- sRGB ↔ Linear sRGB ---
+
+/**
+ * sRGB → linear sRGB, over a typed array.
+ * @param {FloatArray} input - sRGB pixels (0-1)
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function srgbToLinearSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, decodeSrgb);
+}
+
+/**
+ * Linear sRGB → sRGB, over a typed array.
+ * @param {FloatArray} input - Linear sRGB pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function linearSrgbToSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, encodeSrgb);
+}
+
+// --- XYZ ---
+
+/**
+ * Linear sRGB → XYZ (D65, Y=1), over a typed array.
+ * @param {FloatArray} input - Linear sRGB pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function linearSrgbToXyzBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => applyMatrix(v, MATRIX_LINEAR_SRGB_TO_XYZ_D65));
+}
+
+/**
+ * XYZ (D65, Y=1) → linear sRGB, over a typed array.
+ * @param {FloatArray} input - XYZ pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function xyzToLinearSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => applyMatrix(v, MATRIX_XYZ_TO_LINEAR_SRGB_D65));
+}
+
+/**
+ * sRGB → XYZ (D65, Y=1), over a typed array.
+ * @param {FloatArray} input - sRGB pixels (0-1)
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function srgbToXyzBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    decodeSrgb(v);
+    applyMatrix(v, MATRIX_LINEAR_SRGB_TO_XYZ_D65);
+  });
+}
+
+/**
+ * XYZ (D65, Y=1) → sRGB, over a typed array. Out-of-gamut colors are not clipped.
+ * @param {FloatArray} input - XYZ pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function xyzToSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    applyMatrix(v, MATRIX_XYZ_TO_LINEAR_SRGB_D65);
+    encodeSrgb(v);
+  });
+}
+
+// --- CIELAB ---
+
+/**
+ * XYZ (Y=1) → CIELAB, over a typed array.
+ * @param {FloatArray} input - XYZ pixels
+ * @param {BatchOptions & {referenceWhite?: XyzColor}} [options] - Output buffer, stride and
+ *   reference white (Y=100, default D65)
+ * @returns {FloatArray} The output buffer
+ */
+export function xyzToLabBatch(input, options = {}) {
+  const { referenceWhite = D65_WHITE_POINT_XYZ } = options;
+  return transformBatch(input, options, (v) => xyzToLab(v, referenceWhite));
+}
+
+/**
+ * CIELAB → XYZ (Y=1), over a typed array.
+ * @param {FloatArray} input - Lab pixels
+ * @param {BatchOptions & {referenceWhite?: XyzColor}} [options] - Output buffer, stride and
+ *   reference white (Y=100, default D65)
+ * @returns {FloatArray} The output buffer
+ */
+export function labToXyzBatch(input, options = {}) {
+  const { referenceWhite = D65_WHITE_POINT_XYZ } = options;
+  return transformBatch(input, options, (v) => labToXyz(v, referenceWhite));
+}
+
+/**
+ * sRGB → CIELAB (D65), over a typed array.
+ * @param {FloatArray} input - sRGB pixels (0-1)
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function srgbToLabBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    decodeSrgb(v);
+    applyMatrix(v, MATRIX_LINEAR_SRGB_TO_XYZ_D65);
+    xyzToLab(v, D65_WHITE_POINT_XYZ);
+  });
+}
+
+/**
+ * CIELAB (D65) → sRGB, over a typed array. Out-of-gamut colors are not clipped.
+ * @param {FloatArray} input - Lab pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function labToSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    labToXyz(v, D65_WHITE_POINT_XYZ);
+    applyMatrix(v, MATRIX_XYZ_TO_LINEAR_SRGB_D65);
+    encodeSrgb(v);
+  });
+}
+
+// --- Oklab ---
+
+/**
+ * Linear sRGB → Oklab, over a typed array. Negative components are clipped to 0,
+ * as in {@link linearSrgbToOklab}.
+ * @param {FloatArray} input - Linear sRGB pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function linearSrgbToOklabBatch(input, options = {}) {
+  return transformBatch(input, options, linearSrgbToOklab);
+}
+
+/**
+ * Oklab → linear sRGB, over a typed array.
+ * @param {FloatArray} input - Oklab pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function oklabToLinearSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, oklabToLinearSrgb);
+}
+
+/**
+ * sRGB → Oklab, over a typed array.
+ * @param {FloatArray} input - sRGB pixels (0-1)
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function srgbToOklabBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    decodeSrgb(v);
+    linearSrgbToOklab(v);
+  });
+}
+
+/**
+ * Oklab → sRGB, over a typed array. Out-of-gamut colors are not clipped.
+ * @param {FloatArray} input - Oklab pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function oklabToSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    oklabToLinearSrgb(v);
+    encodeSrgb(v);
+  });
+}
+
+/**
+ * XYZ (D65, Y=1) → Oklab, over a typed array, unclipped as {@link xyzToOklab}.
+ * @param {FloatArray} input - XYZ pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function xyzToOklabBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    applyMatrix(v, MATRIX_XYZ_TO_LMS_OKLAB);
+    lmsToOklab(v);
+  });
+}
+
+/**
+ * Oklab → XYZ (D65, Y=1), over a typed array.
+ * @param {FloatArray} input - Oklab pixels
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function oklabToXyzBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    oklabToLms(v);
+    applyMatrix(v, MATRIX_LMS_OKLAB_TO_XYZ);
+  });
+}
+
+// --- Display P3 and Rec. 2020 ---
+
+/**
+ * sRGB → Display P3, over a typed array.
+ * @param {FloatArray} input - sRGB pixels (0-1)
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function srgbToDisplayP3Batch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    decodeSrgb(v);
+    applyMatrix(v, MATRIX_LINEAR_SRGB_TO_LINEAR_DISPLAY_P3);
+    encodeSrgb(v);
+  });
+}
+
+/**
+ * Display P3 → sRGB, over a typed array. Out-of-gamut colors are not clipped.
+ * @param {FloatArray} input - Display P3 pixels (0-1)
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function displayP3ToSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    decodeSrgb(v);
+    applyMatrix(v, MATRIX_LINEAR_DISPLAY_P3_TO_LINEAR_SRGB);
+    encodeSrgb(v);
+  });
+}
+
+/**
+ * sRGB → Rec. 2020, over a typed array.
+ * @param {FloatArray} input - sRGB pixels (0-1)
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function srgbToRec2020Batch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    decodeSrgb(v);
+    applyMatrix(v, MATRIX_LINEAR_SRGB_TO_LINEAR_REC2020);
+    encodeRec2020(v);
+  });
+}
+
+/**
+ * Rec. 2020 → sRGB, over a typed array. Out-of-gamut colors are not clipped.
+ * @param {FloatArray} input - Rec. 2020 pixels (0-1)
+ * @param {BatchOptions} [options] - Output buffer and stride
+ * @returns {FloatArray} The output buffer
+ */
+export function rec2020ToSrgbBatch(input, options = {}) {
+  return transformBatch(input, options, (v) => {
+    decodeRec2020(v);
+    applyMatrix(v, MATRIX_LINEAR_REC2020_TO_LINEAR_SRGB);
+    encodeSrgb(v);
+  });
+}
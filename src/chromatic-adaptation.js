@@ -10,6 +10,7 @@
  */
 
 import { multiplyMatrixVector } from './utils.js';
+import { xyzToXyy, xyyToXyz } from './chromaticity.js';
 
 /** @typedef {{X: number, Y: number, Z: number}} XyzColor */
 /** @typedef {{X: number, Y: number, Z: number}} WhitePoint */
@@ -56,13 +57,14 @@ const BRADFORD_MATRIX = Object.freeze([
 ]);
 
 /**
- * Inverse Bradford matrix
+ * Inverse Bradford matrix, at full precision so that adapting a white point
+ * gives exactly the destination white
  * @private
  */
 const BRADFORD_MATRIX_INV = Object.freeze([
-  Object.freeze([0.9869929, -0.1470543, 0.1599627]),
-  Object.freeze([0.4323053, 0.5183603, 0.0492912]),
-  Object.freeze([-0.0085287, 0.0400428, 0.9684867])
+  Object.freeze([0.9869929054667123, -0.14705425642099013, 0.15996265166373122]),
+  Object.freeze([0.43230526972339456, 0.5183602715367776, 0.0492912282128556]),
+  Object.freeze([-0.008528664575177328, 0.04004282165408487, 0.9684866957875501])
 ]);
 
 /**
@@ -231,10 +233,7 @@ export function xyzD50ToD65(xyzD50, method = 'bradford') {
  * @returns {number} CCT in Kelvin
  */
 export function calculateCCT(whitePoint) {
-  // Convert to chromaticity coordinates
-  const sum = whitePoint.X + whitePoint.Y + whitePoint.Z;
-  const x = whitePoint.X / sum;
-  const y = whitePoint.Y / sum;
+  const { x, y } = xyzToXyy(whitePoint);
   
   // McCamy's formula
   const n = (x - 0.3320) / (0.1858 - y);
@@ -251,7 +250,7 @@ export function calculateCCT(whitePoint) {
  */
 export function getWhitePointFromTemperature(temperature) {
   const T = temperature;
-  let x, y;
+  let x;
   
   // Calculate chromaticity coordinates
   if (T >= 4000 && T <= 7000) {
@@ -263,14 +262,10 @@ export function getWhitePointFromTemperature(temperature) {
   }
   
   // Calculate y from x
-  y = -3.000 * x * x + 2.870 * x - 0.275;
+  const y = -3.000 * x * x + 2.870 * x - 0.275;
   
   // Convert to XYZ (normalized to Y=100)
-  const Y = 100;
-  const X = (x * Y) / y;
-  const Z = ((1 - x - y) * Y) / y;
-  
-  return { X, Y, Z };
+  return xyyToXyz({ x, y, Y: 100 });
 }
 
 /**
@@ -0,0 +1,307 @@
+/**
+ * @module chromaticity
+ * @description CIE chromaticity coordinates and chromaticity-diagram geometry.
+ *
+ * Conversions between XYZ and the CIE 1931 xyY and CIE 1976 u'v' (UCS)
+ * chromaticity spaces, and the geometry of the CIE 1931 xy diagram: the
+ * spectral locus and purple line as data, dominant and complementary
+ * wavelength, excitation purity, and whether a chromaticity lies inside the
+ * gamut triangle of a set of RGB primaries.
+ *
+ * RANGE CONVENTIONS:
+ *   - XYZ: any scale; Y is carried through unchanged (xyY, u'v'Y)
+ *   - x, y, u', v' are scale-free, in 0-1 for real colors
+ *   - Wavelengths in nanometres
+ *
+ * Black has no chromaticity; `xyzToXyy` and `xyzToUv` give it the chromaticity
+ * of the reference white (D65 by default), so that gradients to black keep a
+ * stable hue. An optional `alpha` property is passed through unchanged.
+ *
+ * @see {@link http://www.brucelindbloom.com/index.html?Eqn_XYZ_to_xyY.html}
+ * @see {@link https://cie.co.at/publications/colorimetry-4th-edition} (CIE 15)
+ */
+
+import { D65_WHITE_POINT_XYZ, withAlpha } from './utils.js';
+
+/** @typedef {{x: number, y: number}} XyChromaticity */
+/** @typedef {{x: number, y: number, Y: number}} XyyColor */
+/** @typedef {{u: number, v: number, Y: number}} UvColor */
+
+/**
+ * D65 in xy, as in the primaries of `srgb`, `display-p3` and `rec2020`
+ * @private
+ */
+const D65_XY = Object.freeze({ x: 0.3127, y: 0.3290 });
+
+/**
+ * Tolerance of the gamut triangle test, for primaries on the edges
+ * @private
+ */
+const TRIANGLE_EPSILON = 1e-12;
+
+// --- XYZ ↔ xyY ---
+
+/**
+ * Converts CIE XYZ to CIE xyY.
+ * @param {XyzColor} xyzColor - XYZ color, any scale.
+ * @param {Object} [referenceWhite=D65_WHITE_POINT_XYZ] - White whose chromaticity black gets.
+ * @returns {XyyColor} xyY color { x, y, Y }, with Y as in the input.
+ * @example
+ * xyzToXyy({ X: 0.95047, Y: 1, Z: 1.08883 }) // { x: 0.3127, y: 0.3290, Y: 1 }
+ */
+export function xyzToXyy(xyzColor, referenceWhite = D65_WHITE_POINT_XYZ) {
+  const { X, Y, Z } = xyzColor;
+  const source = X + Y + Z === 0 ? referenceWhite : xyzColor;
+  const sum = source.X + source.Y + source.Z;
+  return withAlpha({ x: source.X / sum, y: source.Y / sum, Y }, xyzColor);
+}
+
+/**
+ * Converts CIE xyY to CIE XYZ.
+ * @param {XyyColor} xyyColor - xyY color { x, y, Y }.
+ * @returns {XyzColor} XYZ color on the scale of Y; black when y = 0.
+ */
+export function xyyToXyz(xyyColor) {
+  const { x, y, Y } = xyyColor;
+  if (y === 0) {
+    return withAlpha({ X: 0, Y: 0, Z: 0 }, xyyColor);
+  }
+  return withAlpha({ X: (x * Y) / y, Y, Z: ((1 - x - y) * Y) / y }, xyyColor);
+}
+
+// --- XYZ ↔ u'v' ---
+
+/**
+ * Converts CIE XYZ to CIE 1976 u'v' chromaticity, keeping Y so the
+ * conversion can be inverted.
+ * @param {XyzColor} xyzColor - XYZ color, any scale.
+ * @param {Object} [referenceWhite=D65_WHITE_POINT_XYZ] - White whose chromaticity black gets.
+ * @returns {UvColor} u'v'Y color { u, v, Y }.
+ * @example
+ * xyzToUv({ X: 0.95047, Y: 1, Z: 1.08883 }) // { u: 0.1978, v: 0.4683, Y: 1 }
+ */
+export function xyzToUv(xyzColor, referenceWhite = D65_WHITE_POINT_XYZ) {
+  const { X, Y, Z } = xyzColor;
+  const source = X + 15 * Y + 3 * Z === 0 ? referenceWhite : xyzColor;
+  const denominator = source.X + 15 * source.Y + 3 * source.Z;
+  return withAlpha({ u: (4 * source.X) / denominator, v: (9 * source.Y) / denominator, Y }, xyzColor);
+}
+
+/**
+ * Converts CIE 1976 u'v' chromaticity and luminance to CIE XYZ.
+ * @param {UvColor} uvColor - u'v'Y color { u, v, Y }; Y defaults to 1.
+ * @returns {XyzColor} XYZ color on the scale of Y; black when v' = 0.
+ */
+export function uvToXyz(uvColor) {
+  const { u, v, Y = 1 } = uvColor;
+  if (v === 0) {
+    return withAlpha({ X: 0, Y: 0, Z: 0 }, uvColor);
+  }
+  return withAlpha({
+    X: (Y * 9 * u) / (4 * v),
+    Y,
+    Z: (Y * (12 - 3 * u - 20 * v)) / (4 * v)
+  }, uvColor);
+}
+
+/**
+ * Converts CIE 1931 xy chromaticity to CIE 1976 u'v'.
+ * @param {XyChromaticity} xy - Chromaticity { x, y }.
+ * @returns {{u: number, v: number}} Chromaticity { u, v }.
+ */
+export function xyToUv({ x, y }) {
+  const denominator = -2 * x + 12 * y + 3;
+  return { u: (4 * x) / denominator, v: (9 * y) / denominator };
+}
+
+/**
+ * Converts CIE 1976 u'v' chromaticity to CIE 1931 xy.
+ * @param {{u: number, v: number}} uv - Chromaticity { u, v }.
+ * @returns {XyChromaticity} Chromaticity { x, y }.
+ */
+export function uvToXy({ u, v }) {
+  const denominator = 6 * u - 16 * v + 12;
+  return { x: (9 * u) / denominator, y: (4 * v) / denominator };
+}
+
+// --- Spectral Locus ---
+
+/**
+ * CIE 1931 2° standard observer spectral locus, 380-700 nm in 5 nm steps,
+ * as xy chromaticities. Beyond 700 nm the locus stays at the 700 nm point.
+ * @type {ReadonlyArray<Readonly<{wavelength: number, x: number, y: number}>>}
+ */
+export const SPECTRAL_LOCUS = Object.freeze([
+  [380, 0.1741, 0.0050], [385, 0.1740, 0.0050], [390, 0.1738, 0.0049], [395, 0.1736, 0.0049],
+  [400, 0.1733, 0.0048], [405, 0.1730, 0.0048], [410, 0.1726, 0.0048], [415, 0.1721, 0.0048],
+  [420, 0.1714, 0.0051], [425, 0.1703, 0.0058], [430, 0.1689, 0.0069], [435, 0.1669, 0.0086],
+  [440, 0.1644, 0.0109], [445, 0.1611, 0.0138], [450, 0.1566, 0.0177], [455, 0.1510, 0.0227],
+  [460, 0.1440, 0.0297], [465, 0.1355, 0.0399], [470, 0.1241, 0.0578], [475, 0.1096, 0.0868],
+  [480, 0.0913, 0.1327], [485, 0.0687, 0.2007], [490, 0.0454, 0.2950], [495, 0.0235, 0.4127],
+  [500, 0.0082, 0.5384], [505, 0.0039, 0.6548], [510, 0.0139, 0.7502], [515, 0.0389, 0.8120],
+  [520, 0.0743, 0.8338], [525, 0.1142, 0.8262], [530, 0.1547, 0.8059], [535, 0.1929, 0.7816],
+  [540, 0.2296, 0.7543], [545, 0.2658, 0.7243], [550, 0.3016, 0.6923], [555, 0.3373, 0.6589],
+  [560, 0.3731, 0.6245], [565, 0.4087, 0.5896], [570, 0.4441, 0.5547], [575, 0.4788, 0.5202],
+  [580, 0.5125, 0.4866], [585, 0.5448, 0.4544], [590, 0.5752, 0.4242], [595, 0.6029, 0.3965],
+  [600, 0.6270, 0.3725], [605, 0.6482, 0.3514], [610, 0.6658, 0.3340], [615, 0.6801, 0.3197],
+  [620, 0.6915, 0.3083], [625, 0.7006, 0.2993], [630, 0.7079, 0.2920], [635, 0.7140, 0.2859],
+  [640, 0.7190, 0.2809], [645, 0.7230, 0.2770], [650, 0.7260, 0.2740], [655, 0.7283, 0.2717],
+  [660, 0.7300, 0.2700], [665, 0.7311, 0.2689], [670, 0.7320, 0.2680], [675, 0.7327, 0.2673],
+  [680, 0.7334, 0.2666], [685, 0.7340, 0.2660], [690, 0.7344, 0.2656], [695, 0.7346, 0.2654],
+  [700, 0.7347, 0.2653]
+].map(([wavelength, x, y]) => Object.freeze({ wavelength, x, y })));
+
+/**
+ * The purple line: the straight line closing the spectral locus between its
+ * short- and long-wavelength ends. Purples on it are mixtures of the two and
+ * have no wavelength of their own.
+ * @type {ReadonlyArray<Readonly<{wavelength: number, x: number, y: number}>>}
+ */
+export const PURPLE_LINE = Object.freeze([SPECTRAL_LOCUS[0], SPECTRAL_LOCUS[SPECTRAL_LOCUS.length - 1]]);
+
+/**
+ * Validate an xy chromaticity
+ * @private
+ */
+function checkChromaticity(xy, name) {
+  if (typeof xy !== 'object' || xy === null || !Number.isFinite(xy.x) || !Number.isFinite(xy.y)) {
+    throw new TypeError(`${name} must be an xy chromaticity object with finite x and y.`);
+  }
+}
+
+/**
+ * Nearest intersection of the ray from `origin` along `direction` with the
+ * boundary of the diagram (spectral locus segments, then the purple line)
+ * @private
+ * @returns {{t: number, wavelength: number, purple: boolean} | null} Ray
+ *   parameter of the hit and the wavelength interpolated along the locus
+ */
+function intersectBoundary(origin, direction) {
+  let nearest = null;
+  const count = SPECTRAL_LOCUS.length;
+
+  for (let i = 0; i < count; i++) {
+    const a = SPECTRAL_LOCUS[i];
+    const b = SPECTRAL_LOCUS[(i + 1) % count];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denominator = direction.x * ey - direction.y * ex;
+    if (denominator === 0) continue;
+
+    const wx = a.x - origin.x;
+    const wy = a.y - origin.y;
+    const t = (wx * ey - wy * ex) / denominator;
+    const s = (wx * direction.y - wy * direction.x) / denominator;
+    if (t > 0 && s >= 0 && s <= 1 && (nearest === null || t < nearest.t)) {
+      const purple = i === count - 1;
+      nearest = { t, wavelength: purple ? NaN : a.wavelength + s * (b.wavelength - a.wavelength), purple };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Boundary hit of the ray from the white point through (or, reversed, away
+ * from) a chromaticity; null at the white point itself
+ * @private
+ */
+function castFromWhite(xy, options, reverse) {
+  const { white = D65_XY } = options;
+  checkChromaticity(xy, 'Chromaticity');
+  checkChromaticity(white, 'White point');
+
+  const sign = reverse ? -1 : 1;
+  const direction = { x: sign * (xy.x - white.x), y: sign * (xy.y - white.y) };
+  if (direction.x === 0 && direction.y === 0) return null;
+  return intersectBoundary(white, direction);
+}
+
+// --- Dominant Wavelength and Purity ---
+
+/**
+ * Dominant wavelength of a chromaticity: where the line from the white point
+ * through it meets the spectral locus. Purples, whose line meets the purple
+ * line instead, get the negative of their complementary wavelength, as in CIE 15.
+ * @param {XyChromaticity} xy - Chromaticity { x, y }, e.g. from `xyzToXyy`.
+ * @param {Object} [options] - Options
+ * @param {XyChromaticity} [options.white] - White point; defaults to D65 (0.3127, 0.3290)
+ * @returns {number} Wavelength in nm, negative for purples, NaN at the white point.
+ * @throws {TypeError} If the chromaticity or white point is not an { x, y } object.
+ * @example
+ * getDominantWavelength({ x: 0.64, y: 0.33 })  // ≈ 611 (sRGB red)
+ * getDominantWavelength({ x: 0.35, y: 0.15 })  // ≈ -539 (a magenta)
+ */
+export function getDominantWavelength(xy, options = {}) {
+  const hit = castFromWhite(xy, options, false);
+  if (hit === null) return NaN;
+  if (!hit.purple) return hit.wavelength;
+  return -getComplementaryWavelength(xy, options);
+}
+
+/**
+ * Complementary wavelength of a chromaticity: where the line from it through
+ * the white point meets the spectral locus on the other side.
+ * @param {XyChromaticity} xy - Chromaticity { x, y }.
+ * @param {Object} [options] - Options
+ * @param {XyChromaticity} [options.white] - White point; defaults to D65 (0.3127, 0.3290)
+ * @returns {number} Wavelength in nm; NaN at the white point and for the
+ *   greens, whose opposite side is the purple line.
+ * @throws {TypeError} If the chromaticity or white point is not an { x, y } object.
+ * @example
+ * getComplementaryWavelength({ x: 0.15, y: 0.06 }) // ≈ 571 (sRGB blue)
+ */
+export function getComplementaryWavelength(xy, options = {}) {
+  const hit = castFromWhite(xy, options, true);
+  return hit === null ? NaN : hit.wavelength;
+}
+
+/**
+ * Excitation purity: the distance of a chromaticity from the white point,
+ * relative to the distance of the diagram boundary (spectral locus or purple
+ * line) in the same direction.
+ * @param {XyChromaticity} xy - Chromaticity { x, y }.
+ * @param {Object} [options] - Options
+ * @param {XyChromaticity} [options.white] - White point; defaults to D65 (0.3127, 0.3290)
+ * @returns {number} 0 at the white point, 1 on the boundary, above 1 for
+ *   chromaticities outside it (not physically realizable).
+ * @throws {TypeError} If the chromaticity or white point is not an { x, y } object.
+ * @example
+ * getExcitationPurity({ x: 0.3127, y: 0.3290 }) // 0
+ * getExcitationPurity({ x: 0.708, y: 0.292 })   // ≈ 1 (Rec. 2020 red is monochromatic)
+ */
+export function getExcitationPurity(xy, options = {}) {
+  const hit = castFromWhite(xy, options, false);
+  return hit === null ? 0 : 1 / hit.t;
+}
+
+// --- Gamut Triangle ---
+
+/**
+ * Whether a chromaticity lies inside (or on the edge of) the gamut triangle
+ * spanned by a set of RGB primaries in the xy diagram.
+ * @param {XyChromaticity} xy - Chromaticity { x, y }.
+ * @param {{red: XyChromaticity, green: XyChromaticity, blue: XyChromaticity}} primaries -
+ *   Primaries, e.g. `REC2020_PRIMARIES` or `DISPLAY_P3_PRIMARIES`
+ * @returns {boolean} True if the chromaticity is inside the triangle.
+ * @throws {TypeError} If the chromaticity or a primary is not an { x, y } object.
+ * @example
+ * isInGamutTriangle({ x: 0.64, y: 0.33 }, REC2020_PRIMARIES) // true (sRGB red)
+ * isInGamutTriangle({ x: 0.708, y: 0.292 }, DISPLAY_P3_PRIMARIES) // false
+ */
+export function isInGamutTriangle(xy, primaries) {
+  checkChromaticity(xy, 'Chromaticity');
+  if (typeof primaries !== 'object' || primaries === null) {
+    throw new TypeError('Primaries must be an object with red, green and blue xy chromaticities.');
+  }
+  const { red, green, blue } = primaries;
+  checkChromaticity(red, 'Red primary');
+  checkChromaticity(green, 'Green primary');
+  checkChromaticity(blue, 'Blue primary');
+
+  // Side of each edge the point lies on; inside means never on both sides
+  const side = (a, b) => (b.x - a.x) * (xy.y - a.y) - (b.y - a.y) * (xy.x - a.x);
+  const sides = [side(red, green), side(green, blue), side(blue, red)];
+  const hasNegative = sides.some(s => s < -TRIANGLE_EPSILON);
+  const hasPositive = sides.some(s => s > TRIANGLE_EPSILON);
+  return !(hasNegative && hasPositive);
+}
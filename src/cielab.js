@@ -16,6 +16,7 @@
  *   - XYZ outputs are scaled from 0-100 back to 0-1
  *
  * IMPORTANT:
+ *   - An optional `alpha` property on the input is passed through unchanged
  *   - None of these functions perform any clamping
  *   - Out-of-gamut colors will produce values outside typical ranges
  *   - Clamping should be applied separately when needed
@@ -27,6 +28,7 @@ import {
   degreesToRadians,
   radiansToDegrees,
   normalizeHue,
+  withAlpha,
 } from './utils.js';
 
 import {
@@ -50,7 +52,7 @@ const KAPPA = Math.pow(29 / 3, 3);  // (29/3)^3
  * Forward transform for CIELAB conversion (XYZ to Lab).
  * @private
  */
-function cielabForwardTransform(t) {
+export function cielabForwardTransform(t) {
   return t > DELTA_CUBED 
     ? Math.cbrt(t) 
     : (t / (3 * DELTA * DELTA)) + (4 / 29);
@@ -60,7 +62,7 @@ function cielabForwardTransform(t) {
  * Inverse transform for CIELAB conversion (Lab to XYZ).
  * @private
  */
-function cielabInverseTransform(t) {
+export function cielabInverseTransform(t) {
   return t > DELTA 
     ? Math.pow(t, 3) 
     : (3 * DELTA * DELTA) * (t - (4 / 29));
@@ -88,7 +90,7 @@ export function xyzToLab(xyzColor, referenceWhite = D65_WHITE_POINT_XYZ) {
   const a = 500 * (fx - fy);
   const b = 200 * (fy - fz);
   
-  return { L, a, b };
+  return withAlpha({ L, a, b }, xyzColor);
 }
 
 /**
@@ -109,7 +111,7 @@ export function labToXyz(labColor, referenceWhite = D65_WHITE_POINT_XYZ) {
   const z = cielabInverseTransform(fz) * referenceWhite.Z;
   
   // Scale back to 0-1 range
-  return { X: x / 100, Y: y / 100, Z: z / 100 };
+  return withAlpha({ X: x / 100, Y: y / 100, Z: z / 100 }, labColor);
 }
 
 // --- CIELAB ↔ CIELCh ---
@@ -128,7 +130,7 @@ export function labToLch(labColor) {
   // Normalize hue to [0, 360)
   if (h < 0) h += 360;
   
-  return { L, C, h };
+  return withAlpha({ L, C, h }, labColor);
 }
 
 /**
@@ -143,7 +145,7 @@ export function lchToLab(lchColor) {
   const a = C * Math.cos(hRad);
   const b = C * Math.sin(hRad);
   
-  return { L, a, b };
+  return withAlpha({ L, a, b }, lchColor);
 }
 
 // --- Direct sRGB ↔ CIELAB Conversions (Optimized from abridged) ---
@@ -175,11 +177,11 @@ export function srgbToLab(srgbColor, referenceWhite = D65_WHITE_POINT_XYZ) {
   const fy = cielabForwardTransform(y / referenceWhite.Y);
   const fz = cielabForwardTransform(z / referenceWhite.Z);
   
-  return {
+  return withAlpha({
     L: 116 * fy - 16,
     a: 500 * (fx - fy),
     b: 200 * (fy - fz)
-  };
+  }, srgbColor);
 }
 
 /**
@@ -213,7 +215,7 @@ export function labToSrgb(labColor, referenceWhite = D65_WHITE_POINT_XYZ) {
                 MATRIX_XYZ_TO_LINEAR_SRGB_D65[2][2] * z) / 100;
   
   // Apply gamma correction
-  return linearSrgbToSrgb({ r: linR, g: linG, b: linB });
+  return linearSrgbToSrgb(withAlpha({ r: linR, g: linG, b: linB }, labColor));
 }
 
 // --- sRGB ↔ CIELCh Convenience Functions ---
@@ -0,0 +1,188 @@
+/**
+ * @module cieluv
+ * @description Functions for CIE 1976 L*u*v* (CIELUV) and its cylindrical form
+ * CIE L*C*h_uv (LChuv), to/from XYZ and sRGB.
+ *
+ * CIELUV shares the lightness L* of CIELAB but measures chromaticity as the
+ * distance of the u'v' chromaticity coordinates from those of the reference
+ * white. Mixtures of lights lie on straight lines in it, which makes gamut
+ * boundaries straight lines at constant lightness (the property HSLuv is built on).
+ *
+ * RANGE CONVENTIONS:
+ * ==================
+ * Input/Output Ranges:
+ *   - XYZ: X,Y,Z in 0-1 scale (Y=1 for white point)
+ *   - Luv: L in 0-100, u/v typically -100 to +180
+ *   - LChuv: L in 0-100, C in 0+, h in 0-360 degrees
+ *   - sRGB: r,g,b in 0-1
+ *
+ * Reference white handling follows `xyzToLab`: the white is given on the
+ * 0-100 scale and defaults to D65 (X=95.047, Y=100, Z=108.883).
+ *
+ * IMPORTANT:
+ *   - An optional `alpha` property on the input is passed through unchanged
+ *   - None of these functions perform any clamping
+ *   - Black (L = 0) has u = v = 0; achromatic colors have h = 0
+ */
+
+import {
+  D65_WHITE_POINT_XYZ,
+  degreesToRadians,
+  radiansToDegrees,
+  normalizeHue,
+  withAlpha,
+} from './utils.js';
+
+import { srgbToXyz, xyzToSrgb } from './srgb.js';
+
+// --- CIELUV Constants ---
+const EPSILON = Math.pow(6 / 29, 3);  // (6/29)^3
+const KAPPA = Math.pow(29 / 3, 3);  // (29/3)^3
+
+/**
+ * Chroma below which the LChuv hue is reported as 0
+ * @private
+ */
+const ACHROMATIC_CHROMA = 1e-8;
+
+/**
+ * u'v' chromaticity coordinates of an XYZ tristimulus value.
+ * @private
+ */
+function chromaticityUV(X, Y, Z) {
+  const denominator = X + 15 * Y + 3 * Z;
+  return denominator === 0
+    ? [0, 0]
+    : [(4 * X) / denominator, (9 * Y) / denominator];
+}
+
+// --- CIELUV ↔ XYZ ---
+
+/**
+ * Converts CIE XYZ to CIELUV.
+ * @param {XyzColor} xyzColor - XYZ color with values in 0-1 range.
+ * @param {Object} [referenceWhite=D65_WHITE_POINT_XYZ] - Reference white point (0-100 scale).
+ * @returns {LuvColor} CIELUV color { L, u, v }.
+ * @example
+ * xyzToLuv({ X: 0.9505, Y: 1, Z: 1.0888 }) // { L: 100, u: ≈0, v: ≈0 }
+ */
+export function xyzToLuv(xyzColor, referenceWhite = D65_WHITE_POINT_XYZ) {
+  const X = xyzColor.X * 100;
+  const Y = xyzColor.Y * 100;
+  const Z = xyzColor.Z * 100;
+
+  const yr = Y / referenceWhite.Y;
+  const L = yr > EPSILON ? 116 * Math.cbrt(yr) - 16 : KAPPA * yr;
+  if (L === 0) {
+    return withAlpha({ L: 0, u: 0, v: 0 }, xyzColor);
+  }
+
+  const [uPrime, vPrime] = chromaticityUV(X, Y, Z);
+  const [uWhite, vWhite] = chromaticityUV(referenceWhite.X, referenceWhite.Y, referenceWhite.Z);
+
+  return withAlpha({
+    L,
+    u: 13 * L * (uPrime - uWhite),
+    v: 13 * L * (vPrime - vWhite)
+  }, xyzColor);
+}
+
+/**
+ * Converts CIELUV to CIE XYZ.
+ * @param {LuvColor} luvColor - CIELUV color { L, u, v }.
+ * @param {Object} [referenceWhite=D65_WHITE_POINT_XYZ] - Reference white point (0-100 scale).
+ * @returns {XyzColor} XYZ color with values in 0-1 range.
+ */
+export function luvToXyz(luvColor, referenceWhite = D65_WHITE_POINT_XYZ) {
+  const { L, u, v } = luvColor;
+  if (L <= 0) {
+    return withAlpha({ X: 0, Y: 0, Z: 0 }, luvColor);
+  }
+
+  const [uWhite, vWhite] = chromaticityUV(referenceWhite.X, referenceWhite.Y, referenceWhite.Z);
+  const uPrime = u / (13 * L) + uWhite;
+  const vPrime = v / (13 * L) + vWhite;
+
+  const Y = (L > KAPPA * EPSILON ? Math.pow((L + 16) / 116, 3) : L / KAPPA) * referenceWhite.Y;
+  const X = Y * (9 * uPrime) / (4 * vPrime);
+  const Z = Y * (12 - 3 * uPrime - 20 * vPrime) / (4 * vPrime);
+
+  // Scale back to 0-1 range
+  return withAlpha({ X: X / 100, Y: Y / 100, Z: Z / 100 }, luvColor);
+}
+
+// --- CIELUV ↔ LChuv ---
+
+/**
+ * Converts CIELUV to LChuv (cylindrical representation).
+ * @param {LuvColor} luvColor - CIELUV color { L, u, v }.
+ * @returns {LchuvColor} LChuv color { L, C, h }.
+ */
+export function luvToLchuv(luvColor) {
+  const { L, u, v } = luvColor;
+
+  const C = Math.sqrt(u * u + v * v);
+  const h = C < ACHROMATIC_CHROMA ? 0 : normalizeHue(radiansToDegrees(Math.atan2(v, u)));
+
+  return withAlpha({ L, C, h }, luvColor);
+}
+
+/**
+ * Converts LChuv to CIELUV.
+ * @param {LchuvColor} lchuvColor - LChuv color { L, C, h }.
+ * @returns {LuvColor} CIELUV color { L, u, v }.
+ */
+export function lchuvToLuv(lchuvColor) {
+  const { L, C, h } = lchuvColor;
+  const hRad = degreesToRadians(h);
+
+  return withAlpha({
+    L,
+    u: C * Math.cos(hRad),
+    v: C * Math.sin(hRad)
+  }, lchuvColor);
+}
+
+// --- sRGB ↔ CIELUV / LChuv Convenience Functions ---
+
+/**
+ * Converts sRGB to CIELUV.
+ * @param {SrgbColor} srgbColor - sRGB color { r, g, b } with values 0-1.
+ * @param {Object} [referenceWhite=D65_WHITE_POINT_XYZ] - Reference white point.
+ * @returns {LuvColor} CIELUV color { L, u, v }.
+ * @example
+ * srgbToLuv({ r: 1, g: 0, b: 0 }) // { L: 53.24, u: 175.01, v: 37.76 }
+ */
+export function srgbToLuv(srgbColor, referenceWhite = D65_WHITE_POINT_XYZ) {
+  return xyzToLuv(srgbToXyz(srgbColor), referenceWhite);
+}
+
+/**
+ * Converts CIELUV to sRGB.
+ * @param {LuvColor} luvColor - CIELUV color { L, u, v }.
+ * @param {Object} [referenceWhite=D65_WHITE_POINT_XYZ] - Reference white point.
+ * @returns {SrgbColor} sRGB color { r, g, b } with values 0-1.
+ */
+export function luvToSrgb(luvColor, referenceWhite = D65_WHITE_POINT_XYZ) {
+  return xyzToSrgb(luvToXyz(luvColor, referenceWhite));
+}
+
+/**
+ * Converts sRGB to LChuv.
+ * @param {SrgbColor} srgbColor - sRGB color { r, g, b } with values 0-1.
+ * @param {Object} [referenceWhite=D65_WHITE_POINT_XYZ] - Reference white point.
+ * @returns {LchuvColor} LChuv color { L, C, h }.
+ */
+export function srgbToLchuv(srgbColor, referenceWhite = D65_WHITE_POINT_XYZ) {
+  return luvToLchuv(srgbToLuv(srgbColor, referenceWhite));
+}
+
+/**
+ * Converts LChuv to sRGB.
+ * @param {LchuvColor} lchuvColor - LChuv color { L, C, h }.
+ * @param {Object} [referenceWhite=D65_WHITE_POINT_XYZ] - Reference white point.
+ * @returns {SrgbColor} sRGB color { r, g, b } with values 0-1.
+ */
+export function lchuvToSrgb(lchuvColor, referenceWhite = D65_WHITE_POINT_XYZ) {
+  return luvToSrgb(lchuvToLuv(lchuvColor), referenceWhite);
+}
@@ -1,8 +1,10 @@
 /**
  * @module color-metrics
  * @description Provides functions to calculate various color metrics, including
- * CIE Relative Luminance (Y) from sRGB, WCAG contrast ratio, CIEDE2000 color
- * difference (between Lab colors), and a perceptual difference metric for Oklch colors.
+ * CIE Relative Luminance (Y) from sRGB, WCAG contrast ratio, APCA lightness
+ * contrast, CIEDE2000 color
+ * difference (between Lab colors), a perceptual difference metric for Oklch colors,
+ * and the ΔE ITP difference of HDR ICtCp colors.
  */
 
 
@@ -85,6 +87,69 @@ export function isWcagContrastSufficient(color1, color2, level = 'AA') {
   return contrastRatio >= required;
 }
 
+// --- APCA Lightness Contrast ---
+
+/**
+ * Constants of the APCA-W3 0.0.98G-4g contrast model
+ * @private
+ */
+const APCA = {
+  trc: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.0721750],
+  normBg: 0.56,
+  normText: 0.57,
+  revText: 0.62,
+  revBg: 0.65,
+  blackThreshold: 0.022,
+  blackClamp: 1.414,
+  scale: 1.14,
+  offset: 0.027,
+  deltaYMin: 0.0005,
+  loClip: 0.1
+};
+
+/**
+ * Screen luminance as APCA estimates it: a simple 2.4 power curve on
+ * clipped sRGB, with a soft clamp near black
+ * @private
+ */
+function apcaLuminance(colorInput) {
+  const srgb = typeof colorInput === 'string' ? parseSrgbHex(colorInput) : colorInput;
+  const y = [srgb.r, srgb.g, srgb.b].reduce((sum, c, i) => {
+    return sum + Math.pow(Math.min(Math.max(c, 0), 1), APCA.trc) * APCA.coefficients[i];
+  }, 0);
+  return y > APCA.blackThreshold ? y : y + Math.pow(APCA.blackThreshold - y, APCA.blackClamp);
+}
+
+/**
+ * Calculates the APCA lightness contrast (Lc) of text on a background.
+ * Unlike the WCAG ratio it is directional: positive for dark text on a light
+ * background, negative for light text on a dark background.
+ * @param {SrgbColor | string} textColor - Text color (sRGB object or hex string).
+ * @param {SrgbColor | string} backgroundColor - Background color (sRGB object or hex string).
+ * @returns {number} Lc, roughly from -108 to 106 (0 for colors too close to tell apart).
+ * @see {@link https://github.com/Myndex/apca-w3}
+ * @example
+ * calculateApcaContrast("#000000", "#FFFFFF"); // ≈ 106.04
+ * calculateApcaContrast("#FFFFFF", "#000000"); // ≈ -107.88
+ * calculateApcaContrast("#888888", "#FFFFFF"); // ≈ 63.06
+ */
+export function calculateApcaContrast(textColor, backgroundColor) {
+  const textY = apcaLuminance(textColor);
+  const backgroundY = apcaLuminance(backgroundColor);
+  if (Math.abs(backgroundY - textY) < APCA.deltaYMin) return 0;
+  
+  if (backgroundY > textY) {
+    // Dark text on a light background
+    const sapc = (Math.pow(backgroundY, APCA.normBg) - Math.pow(textY, APCA.normText)) * APCA.scale;
+    return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100;
+  }
+  
+  // Light text on a dark background
+  const sapc = (Math.pow(backgroundY, APCA.revBg) - Math.pow(textY, APCA.revText)) * APCA.scale;
+  return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100;
+}
+
 // --- CIEDE2000 Color Difference (Optimized from abridged) ---
 
 /**
@@ -227,4 +292,25 @@ export function calculateOklchDifference(oklch1, oklch2, weights = {}) {
     Math.pow(wC * deltaC, 2) +
     Math.pow(wH * deltaH_perceptual, 2)
   );
-}
\ No newline at end of file
+}
+
+// --- ITP Color Difference (ITU-R BT.2124) ---
+
+/**
+ * Calculates the ΔE ITP color difference of ITU-R BT.2124 between two PQ ICtCp
+ * colors (see `xyzToIctcp`). The T axis is Ct scaled by 0.5, and the result is
+ * scaled so that 1 is about one just-noticeable difference, for SDR and HDR alike.
+ * @param {IctcpColor} ictcp1 - First ICtCp color (PQ variant).
+ * @param {IctcpColor} ictcp2 - Second ICtCp color (PQ variant).
+ * @returns {number} The ΔE ITP value.
+ * @example
+ * const reference = xyzToIctcp({ X: 192.93, Y: 203, Z: 221.03 });
+ * const sample = xyzToIctcp({ X: 190.08, Y: 200, Z: 217.77 });
+ * calculateDeltaEITP(reference, sample) // ≈ 1.1
+ */
+export function calculateDeltaEITP(ictcp1, ictcp2) {
+  const deltaI = ictcp1.I - ictcp2.I;
+  const deltaT = 0.5 * (ictcp1.Ct - ictcp2.Ct);
+  const deltaP = ictcp1.Cp - ictcp2.Cp;
+  return 720 * Math.sqrt(deltaI * deltaI + deltaT * deltaT + deltaP * deltaP);
+}
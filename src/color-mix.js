@@ -0,0 +1,232 @@
+/**
+ * @module color-mix
+ * @description CSS Color Module Level 5 `color-mix()` evaluation.
+ * Mixes two colors in a chosen interpolation space, following the spec's
+ * percentage normalization, alpha premultiplication and hue interpolation rules.
+ * 
+ * Missing components (`NaN`, written `none` in CSS) are carried forward into
+ * the interpolation space and take the other color's value, as CSS Color 4
+ * describes; a component missing in both colors stays missing in the result.
+ * 
+ * @see {@link https://www.w3.org/TR/css-color-5/#color-mix}
+ * @see {@link https://www.w3.org/TR/css-color-4/#interpolation}
+ */
+
+import { normalizeHue } from './utils.js';
+import { convert, resolveCssSpace, getHueIndex, getAnalogousComponents } from './css-color-spaces.js';
+
+/**
+ * Hue interpolation methods from CSS Color 4
+ * @type {ReadonlyArray<string>}
+ */
+export const HUE_INTERPOLATION_METHODS = Object.freeze(['shorter', 'longer', 'increasing', 'decreasing']);
+
+// --- Public API ---
+
+/**
+ * Mix two colors the way CSS `color-mix()` does.
+ * 
+ * Colors may be sRGB objects ({ r, g, b, alpha? }) or parsed CSS colors
+ * ({ space, coords, alpha }). Percentages follow the CSS rules: a missing one is
+ * `100 - other`, both missing means 50/50, and if they sum to less than 100 the
+ * result's alpha is scaled down by that sum.
+ * 
+ * @param {SrgbColor|CssColor} color1 - First color
+ * @param {SrgbColor|CssColor} color2 - Second color
+ * @param {object} [options] - Mixing options
+ * @param {string} [options.space='oklab'] - Interpolation space ('srgb', 'srgb-linear',
+ *   'display-p3', 'lab', 'lch', 'oklab', 'oklch', 'xyz', 'xyz-d50', 'xyz-d65', 'hsl', 'hwb')
+ * @param {string} [options.hue='shorter'] - Hue interpolation method for cylindrical spaces
+ * @param {number} [options.p1] - Percentage (0-100) of the first color
+ * @param {number} [options.p2] - Percentage (0-100) of the second color
+ * @returns {CssColor} The mixed color, expressed in the interpolation space
+ * @throws {Error} If the space or hue method is unsupported, or the percentages are invalid
+ * @throws {TypeError} If a color is not an sRGB object or parsed CSS color
+ * @example
+ * colorMix({ r: 1, g: 0, b: 0 }, { r: 0, g: 0, b: 1 }, { space: 'oklch', p1: 25 })
+ * // { space: 'oklch', coords: [0.51, 0.29, 305.8], alpha: 1 }
+ */
+export function colorMix(color1, color2, options = {}) {
+  const { weight2, alphaMultiplier } = normalizeMixPercentages(options.p1, options.p2);
+  
+  const mixed = interpolateColor(color1, color2, weight2, options);
+  mixed.alpha *= alphaMultiplier;
+  return mixed;
+}
+
+/**
+ * Interpolate between two colors as CSS gradients and transitions do.
+ * 
+ * Alpha is premultiplied, hues follow the hue interpolation method, and missing
+ * components (`NaN`) take the other color's value. Achromatic colors get a
+ * missing (powerless) hue when converted to a cylindrical space, so mixing gray
+ * with a color in OkLCh keeps that color's hue.
+ * 
+ * @param {SrgbColor|CssColor} color1 - Start color
+ * @param {SrgbColor|CssColor} color2 - End color
+ * @param {number} t - Position between the colors (0 = color1, 1 = color2)
+ * @param {object} [options] - Interpolation options
+ * @param {string} [options.space='oklab'] - Interpolation space (see {@link colorMix})
+ * @param {string} [options.hue='shorter'] - Hue interpolation method for cylindrical spaces
+ * @returns {CssColor} The interpolated color, expressed in the interpolation space
+ * @throws {Error} If the space or hue method is unsupported
+ * @throws {TypeError} If a color is not an sRGB object or parsed CSS color
+ * @example
+ * interpolateColor({ r: 0.5, g: 0.5, b: 0.5 }, { r: 1, g: 0, b: 0 }, 0.5, { space: 'oklch' })
+ * // hue is red's (29.2), since gray has no hue of its own
+ */
+export function interpolateColor(color1, color2, t, options = {}) {
+  const { hue = 'shorter' } = options;
+  const space = resolveCssSpace(options.space ?? 'oklab');
+  
+  if (!space) {
+    throw new Error(`Unsupported interpolation space: ${options.space}`);
+  }
+  if (!HUE_INTERPOLATION_METHODS.includes(hue)) {
+    throw new Error(`Unknown hue interpolation method: ${hue}`);
+  }
+  
+  const c1 = toInterpolationSpace(color1, space);
+  const c2 = toInterpolationSpace(color2, space);
+  const hueIndex = getHueIndex(space);
+  
+  // A component missing in one color takes the other's value
+  fillMissing(c1.coords, c2.coords);
+  [c1.alpha, c2.alpha] = fillMissingPair(c1.alpha, c2.alpha);
+  
+  if (hueIndex !== -1 && !Number.isNaN(c1.coords[hueIndex])) {
+    [c1.coords[hueIndex], c2.coords[hueIndex]] =
+      fixupHues(c1.coords[hueIndex], c2.coords[hueIndex], hue);
+  }
+  
+  // Premultiply every coordinate except hue by alpha (missing alpha counts as 1)
+  const alpha1 = Number.isNaN(c1.alpha) ? 1 : c1.alpha;
+  const alpha2 = Number.isNaN(c2.alpha) ? 1 : c2.alpha;
+  const premultiply = (coords, alpha) =>
+    coords.map((c, i) => (i === hueIndex ? c : c * alpha));
+  const pre1 = premultiply(c1.coords, alpha1);
+  const pre2 = premultiply(c2.coords, alpha2);
+  
+  const alpha = alpha1 * (1 - t) + alpha2 * t;
+  const coords = pre1.map((c, i) => {
+    const mixed = c * (1 - t) + pre2[i] * t;
+    if (i === hueIndex) return normalizeHue(mixed);
+    return alpha === 0 ? mixed : mixed / alpha;
+  });
+  
+  return { space, coords, alpha: Number.isNaN(c1.alpha) ? NaN : alpha };
+}
+
+// --- Internal Helpers ---
+
+/**
+ * Normalize the two mix percentages into weights summing to 1.
+ * @private
+ */
+function normalizeMixPercentages(p1, p2) {
+  if (p1 === undefined && p2 === undefined) {
+    p1 = 50;
+    p2 = 50;
+  } else if (p2 === undefined) {
+    p2 = 100 - p1;
+  } else if (p1 === undefined) {
+    p1 = 100 - p2;
+  }
+  
+  if (!(p1 >= 0 && p1 <= 100 && p2 >= 0 && p2 <= 100)) {
+    throw new Error('Mix percentages must be between 0% and 100%');
+  }
+  
+  const sum = p1 + p2;
+  if (sum === 0) {
+    throw new Error('Mix percentages must not both be 0%');
+  }
+  
+  return {
+    weight1: p1 / sum,
+    weight2: p2 / sum,
+    alphaMultiplier: sum < 100 ? sum / 100 : 1
+  };
+}
+
+/**
+ * Convert an input color to the interpolation space, carrying missing
+ * components forward to their analogous components
+ * @private
+ */
+function toInterpolationSpace(color, space) {
+  let fromSpace;
+  let coords;
+  
+  if (color != null && typeof color.space === 'string' && Array.isArray(color.coords)) {
+    fromSpace = resolveCssSpace(color.space);
+    coords = color.coords;
+  } else if (color != null && typeof color.r === 'number' && typeof color.g === 'number' && typeof color.b === 'number') {
+    fromSpace = 'srgb';
+    coords = [color.r, color.g, color.b];
+  } else {
+    throw new TypeError('Colors must be sRGB objects or parsed CSS colors.');
+  }
+  
+  const converted = convert(coords, fromSpace, space);
+  
+  if (fromSpace && fromSpace !== space) {
+    const fromComponents = getAnalogousComponents(fromSpace);
+    const toComponents = getAnalogousComponents(space);
+    coords.forEach((c, i) => {
+      const target = fromComponents[i] === null ? -1 : toComponents.indexOf(fromComponents[i]);
+      if (Number.isNaN(c) && target !== -1) converted[target] = NaN;
+    });
+  }
+  
+  return { coords: converted, alpha: color.alpha ?? 1 };
+}
+
+/**
+ * Replace missing coordinates in each array with the other array's value
+ * @private
+ */
+function fillMissing(coords1, coords2) {
+  coords1.forEach((c, i) => {
+    [coords1[i], coords2[i]] = fillMissingPair(c, coords2[i]);
+  });
+}
+
+/**
+ * Fill a missing (NaN) value from the other value; both stay NaN if both are missing
+ * @private
+ */
+function fillMissingPair(a, b) {
+  if (Number.isNaN(a)) return [b, b];
+  if (Number.isNaN(b)) return [a, a];
+  return [a, b];
+}
+
+/**
+ * Adjust two hue angles according to the hue interpolation method
+ * @private
+ */
+function fixupHues(h1, h2, method) {
+  h1 = normalizeHue(h1);
+  h2 = normalizeHue(h2);
+  const diff = h2 - h1;
+  
+  switch (method) {
+    case 'shorter':
+      if (diff > 180) h1 += 360;
+      else if (diff < -180) h2 += 360;
+      break;
+    case 'longer':
+      if (diff > 0 && diff < 180) h1 += 360;
+      else if (diff > -180 && diff <= 0) h2 += 360;
+      break;
+    case 'increasing':
+      if (diff < 0) h2 += 360;
+      break;
+    case 'decreasing':
+      if (diff > 0) h1 += 360;
+      break;
+  }
+  
+  return [h1, h2];
+}
@@ -0,0 +1,270 @@
+/**
+ * @module color
+ * @description A chainable color object on top of the coordinate converters.
+ * A `Color` holds a color in one space (any space `parseCSS` can produce) and
+ * converts it to others on demand, caching the coordinates of every space it
+ * has been converted to. Conversions go through {@link convert}, so
+ * nothing is clipped or gamut mapped along the way.
+ *
+ * Colors are immutable by default: `set()` returns a new color and coordinate
+ * arrays are frozen. Pass `{ mutable: true }` to change a color in place.
+ *
+ * Coordinates use this library's units, as in {@link CssColor}: sRGB, HSL
+ * saturation and lightness, HWB and Oklab/Oklch L in 0-1, Lab/LCH L in 0-100,
+ * hues in degrees.
+ */
+
+import { parseCSSStrict, formatCSS } from './css-color-parser.js';
+import { convert, resolveCssSpace, getColorSpace } from './css-color-spaces.js';
+import { calculateCiede2000 } from './color-metrics.js';
+import { xyzToLab } from './cielab.js';
+
+/**
+ * Color difference formulas of {@link Color#deltaE}, with the coordinates each
+ * one compares. CIE Lab is taken relative to D65, like `srgbToLab`, rather than
+ * the D50 of CSS `lab()`.
+ * @private
+ */
+const DELTA_E_METHODS = Object.freeze({
+  // CIEDE2000 in CIE Lab
+  2000: Object.freeze({ coords: toLabD65, formula: calculateCiede2000 }),
+  // Euclidean distance in CIE Lab (CIE76)
+  76: Object.freeze({ coords: toLabD65, formula: (lab1, lab2) => Math.hypot(lab1.L - lab2.L, lab1.a - lab2.a, lab1.b - lab2.b) }),
+  // Euclidean distance in Oklab
+  ok: Object.freeze({
+    coords: color => color.coordsIn('oklab'),
+    formula: (oklab1, oklab2) => Math.hypot(oklab1[0] - oklab2[0], oklab1[1] - oklab2[1], oklab1[2] - oklab2[2])
+  })
+});
+
+/**
+ * @class Color
+ * @classdesc An immutable (unless created mutable) color in any CSS color space,
+ * with cached conversions to every other space.
+ * @property {string} space - Canonical name of the color space, e.g. 'oklch' or 'display-p3'
+ * @property {number[]} coords - The three coordinates in `space`; `NaN` marks a missing
+ *   component (`none`). Frozen unless the color is mutable.
+ * @property {number} alpha - Alpha in [0, 1]
+ */
+export class Color {
+  /**
+   * Creates a color from a CSS color string, from a space and coordinates, or
+   * from another color (a `Color` or a {@link CssColor}).
+   * @param {string|Color|CssColor} input - CSS color string, space name, or color
+   * @param {...*} args - For a space: `coords`, then optional `alpha` and options.
+   *   Otherwise optional options.
+   * @param {object} [options] - Last argument
+   * @param {boolean} [options.mutable=false] - Let `set()` change the color in place
+   * @param {CssColorContext} [options.context] - Parse context for CSS strings
+   * @throws {CssParseError} If a CSS string is not a valid color
+   * @throws {Error} If the space is not supported
+   * @throws {TypeError} If the arguments describe no color
+   * @example
+   * new Color('oklch(70% 0.1 200)')
+   * new Color('#ff0000', { mutable: true })
+   * new Color('display-p3', [1, 0, 0])
+   * new Color('srgb', [1, 0, 0], 0.5)
+   * new Color(parseCSS('lab(50 20 30)', { preserveSpace: true }))
+   */
+  constructor(input, ...args) {
+    let color;
+    let options = {};
+
+    if (typeof input === 'string' && Array.isArray(args[0])) {
+      const [coords, ...rest] = args;
+      const alpha = typeof rest[0] === 'number' ? rest.shift() : 1;
+      options = rest[0] || {};
+      const space = resolveCssSpace(input);
+      if (!space) throw new Error(`Unsupported color space: ${input}`);
+      color = { space, coords, alpha };
+    } else if (typeof input === 'string') {
+      options = args[0] || {};
+      color = parseCSSStrict(input, { preserveSpace: true, context: options.context });
+    } else if (input != null && typeof input.space === 'string' && Array.isArray(input.coords)) {
+      options = args[0] || {};
+      const space = resolveCssSpace(input.space);
+      if (!space) throw new Error(`Unsupported color space: ${input.space}`);
+      color = { space, coords: input.coords, alpha: input.alpha ?? 1 };
+    } else {
+      throw new TypeError('Colors are created from a CSS string, a space and coordinates, or another color.');
+    }
+
+    if (color.coords.length !== 3 || color.coords.some(c => typeof c !== 'number')) {
+      throw new TypeError('Input coords must be an array of three numbers.');
+    }
+
+    const mutable = options.mutable === true;
+    this.space = color.space;
+    this.coords = mutable ? [...color.coords] : Object.freeze([...color.coords]);
+    this.alpha = color.alpha;
+    // Whether `set()` changes this color instead of returning a new one
+    this._mutable = mutable;
+    // Coordinates by space, filled as conversions are requested
+    this._cache = { [this.space]: this.coords };
+    if (!this._mutable) Object.freeze(this);
+  }
+
+  /**
+   * Whether `set()` changes this color in place.
+   * @type {boolean}
+   */
+  get mutable() {
+    return this._mutable;
+  }
+
+  /**
+   * Coordinates of this color in another space (cached).
+   * @param {string} space - Target space
+   * @returns {number[]} Frozen coordinates (mutable colors return a copy)
+   * @throws {Error} If the space is not supported
+   * @example
+   * new Color('red').coordsIn('oklch') // [0.628, 0.2577, 29.23]
+   */
+  coordsIn(space) {
+    const target = resolveCssSpace(space);
+    if (!target) throw new Error(`Unsupported color space: ${space}`);
+
+    let coords = this._cache[target];
+    if (!coords) {
+      coords = Object.freeze(convert(this.coords, this.space, target));
+      this._cache[target] = coords;
+    }
+    return this._mutable ? [...coords] : coords;
+  }
+
+  /**
+   * Convert the color to another space.
+   * @param {string} space - Target space, e.g. 'oklch', 'display-p3' or 'xyz'
+   * @returns {Color} A new color in that space (this color if it already is, unless mutable)
+   * @throws {Error} If the space is not supported
+   * @example
+   * new Color('#ff0000').to('oklch').coords // [0.628, 0.2577, 29.23]
+   */
+  to(space) {
+    const target = resolveCssSpace(space);
+    if (target === this.space && !this._mutable) return this;
+    return new Color(target, this.coordsIn(space), this.alpha, { mutable: this._mutable });
+  }
+
+  /**
+   * Read a channel, or alpha.
+   * @param {string} path - `'alpha'`, a channel of this color's space (`'l'`), or a
+   *   channel of any space (`'oklch.l'`, `'srgb.r'`, `'hsl.h'`)
+   * @returns {number} The value (`NaN` for a missing component)
+   * @throws {Error} If the space or channel is unknown
+   * @example
+   * new Color('red').get('oklch.l') // 0.628
+   * new Color('hsl(120 50% 50%)').get('s') // 0.5
+   */
+  get(path) {
+    if (path === 'alpha') return this.alpha;
+    const { space, index } = this._resolvePath(path);
+    return this.coordsIn(space)[index];
+  }
+
+  /**
+   * Change channels, or alpha. A channel of another space is changed in that
+   * space and the result converted back, so the color keeps its own space.
+   * Values may be numbers or functions of the current value.
+   * @param {string|Object<string, number|function(number): number>} path - Channel path
+   *   (as in {@link Color#get}), or an object of paths and values
+   * @param {number|function(number): number} [value] - New value, or a function of the current one
+   * @returns {Color} A new color (or this color, changed, if it is mutable)
+   * @throws {Error} If the space or channel is unknown
+   * @example
+   * new Color('#3366ff').set('oklch.l', 0.7).toString({ format: 'hex' })
+   * new Color('red').set({ 'oklch.c': c => c / 2, alpha: 0.5 })
+   */
+  set(path, value) {
+    const changes = typeof path === 'string' ? { [path]: value } : path;
+    let { coords, alpha } = this;
+
+    for (const [channelPath, change] of Object.entries(changes)) {
+      if (channelPath === 'alpha') {
+        alpha = typeof change === 'function' ? change(alpha) : change;
+        continue;
+      }
+      const { space, index } = this._resolvePath(channelPath);
+      const spaceCoords = space === this.space ? [...coords] : convert(coords, this.space, space);
+      spaceCoords[index] = typeof change === 'function' ? change(spaceCoords[index]) : change;
+      coords = space === this.space ? spaceCoords : convert(spaceCoords, space, this.space);
+    }
+
+    if (!this._mutable) return new Color(this.space, coords, alpha);
+
+    this.coords = [...coords];
+    this.alpha = alpha;
+    this._cache = { [this.space]: this.coords };
+    return this;
+  }
+
+  /**
+   * Serialize as CSS. Without a format the color is written in its own space
+   * at full precision.
+   * @param {object} [options] - A `format` for {@link formatCSS} ('hex', 'rgb', 'oklch',
+   *   'display-p3', ...) plus any of its {@link FormatCSSOptions}
+   * @returns {string} CSS color string
+   * @example
+   * new Color('oklch', [0.7, 0.1, 200]).toString() // 'oklch(0.7 0.1 200)'
+   * new Color('red').toString({ format: 'oklch' }) // 'oklch(62.8% 0.258 29deg)'
+   * new Color('red').toString({ format: 'rgb', legacy: true }) // 'rgb(255, 0, 0)'
+   */
+  toString(options = {}) {
+    const { format, ...formatOptions } = options;
+    return formatCSS(this.toJSON(), format, formatOptions);
+  }
+
+  /**
+   * The color as a plain {@link CssColor}, for the functions that take one.
+   * @returns {CssColor} `{ space, coords, alpha }`
+   */
+  toJSON() {
+    return { space: this.space, coords: [...this.coords], alpha: this.alpha };
+  }
+
+  /**
+   * Color difference to another color. CIEDE2000 and CIE76 compare CIE Lab
+   * relative to D65, as the rest of the library does, not the D50 `lab` space.
+   * @param {Color|string|CssColor} other - The other color (anything the constructor accepts)
+   * @param {'2000'|'76'|'ok'} [method='2000'] - CIEDE2000, CIE76 (Euclidean in D65 Lab) or
+   *   Euclidean distance in Oklab
+   * @returns {number} The difference (Oklab distances are in Oklab units, about 1/100 of the others)
+   * @throws {Error} If the method is unknown
+   * @example
+   * new Color('red').deltaE('#ff0010') // ≈ 1.58
+   * new Color('red').deltaE(new Color('#ff0010'), 'ok') // ≈ 0.0043
+   */
+  deltaE(other, method = '2000') {
+    const deltaE = DELTA_E_METHODS[method];
+    if (!deltaE) throw new Error(`Unknown deltaE method: ${method}`);
+
+    const otherColor = other instanceof Color ? other : new Color(other);
+    return deltaE.formula(deltaE.coords(this), deltaE.coords(otherColor));
+  }
+
+  /**
+   * Find the space and coordinate index of a channel path
+   * @private
+   */
+  _resolvePath(path) {
+    const dot = path.lastIndexOf('.');
+    const space = dot === -1 ? this.space : resolveCssSpace(path.slice(0, dot));
+    if (!space) throw new Error(`Unsupported color space: ${path.slice(0, dot)}`);
+
+    const channel = path.slice(dot + 1).toLowerCase();
+    const index = getColorSpace(space).channels.indexOf(channel);
+    if (index === -1) throw new Error(`Unknown channel "${channel}" of ${space}`);
+    return { space, index };
+  }
+}
+
+// --- Internal Helpers ---
+
+/**
+ * CIE Lab (D65) of a color
+ * @private
+ */
+function toLabD65(color) {
+  const [X, Y, Z] = color.coordsIn('xyz-d65');
+  return xyzToLab({ X, Y, Z });
+}
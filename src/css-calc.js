@@ -0,0 +1,357 @@
+/**
+ * @module css-calc
+ * @description Evaluator for CSS math expressions in color components.
+ * Supports `calc()`, `min()`, `max()`, `clamp()`, `round()` and the trigonometric
+ * functions (`sin()`, `cos()`, `tan()`, `asin()`, `acos()`, `atan()`, `atan2()`)
+ * with `+`, `-`, `*`, `/` and parentheses over numbers, percentages, angles, the
+ * constants `pi`, `e`, `infinity` and `NaN`, and named values (such as the
+ * channel keywords of relative color syntax).
+ *
+ * Values are typed as numbers or angles, as in CSS: angles can only be added to
+ * angles (except in hue components, where a plain number means degrees),
+ * trigonometric functions take an angle (or a number of radians) and the
+ * inverse functions return an angle. Percentages resolve against the
+ * reference range of the component they appear in, so they behave as numbers.
+ * Angles are carried in degrees. A NaN result is censored to 0 and an infinite
+ * one clamped to the largest finite value, so that the component's own range
+ * applies to it.
+ *
+ * @see {@link https://www.w3.org/TR/css-values-4/#math}
+ */
+
+/**
+ * Angle units and their size in degrees
+ * @private
+ */
+const ANGLE_UNITS = {
+  deg: 1,
+  grad: 0.9,
+  rad: 180 / Math.PI,
+  turn: 360
+};
+
+/**
+ * Numeric constants usable inside math functions
+ * @private
+ */
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  infinity: Infinity,
+  nan: NaN
+};
+
+/**
+ * Rounding strategies of round(), the first being the default
+ * @private
+ */
+const ROUNDING_STRATEGIES = {
+  nearest: x => Math.floor(x + 0.5),
+  up: Math.ceil,
+  down: Math.floor,
+  'to-zero': Math.trunc
+};
+
+/**
+ * Tokenizer pattern: whitespace, numbers (with optional unit or %),
+ * identifiers (optionally opening a function), operators, commas and parentheses.
+ * @private
+ */
+const TOKEN_PATTERN = /\s+|(\d*\.?\d+(?:e[+-]?\d+)?)(%|[a-z]+)?|([a-z_][a-z0-9_-]*)(\()?|([-+*/(),])/iy;
+
+/**
+ * Evaluate a CSS component value to a number.
+ * Accepts a single value (`0.5`, `-40%`, `30deg`, `l`) or a math function such as
+ * `calc()`, `min()`, `max()`, `clamp()`, `round()` or `sin()`.
+ * @param {string} str - Component text, e.g. 'calc(l + 0.1)'
+ * @param {object} [context] - Evaluation context
+ * @param {Object<string, number>} [context.keywords] - Named values, e.g. `{ l: 0.6, c: 0.1, h: 250 }`
+ * @param {number|null} [context.percentReference=1] - The value that 100% resolves to,
+ *   or null if percentages are not allowed
+ * @param {boolean} [context.angle=false] - Whether the result may be an angle (it is
+ *   returned in degrees); otherwise it must be a number
+ * @returns {number|null} The evaluated value, or null if the expression is invalid
+ * @example
+ * evaluateCssValue('calc(l + 0.1)', { keywords: { l: 0.5 } }) // 0.6
+ * evaluateCssValue('calc(h + 0.5turn)', { keywords: { h: 30 }, angle: true }) // 210
+ * evaluateCssValue('50%', { percentReference: 255 }) // 127.5
+ * evaluateCssValue('clamp(0deg, 120deg, 90deg)', { angle: true }) // 90
+ * evaluateCssValue('calc(255 * sin(30deg))') // ≈ 127.5
+ * evaluateCssValue('round(up, 42.1, 5)') // 45
+ * evaluateCssValue('calc(-infinity)') // -Number.MAX_VALUE
+ * evaluateCssValue('calc(0 / 0)') // 0
+ */
+export function evaluateCssValue(str, context = {}) {
+  if (typeof str !== 'string') return null;
+
+  try {
+    const parser = new CalcParser(tokenize(str), context);
+    const { value, type } = parser.parseValue();
+    if (type === 'angle' && !parser.angle) return null;
+    if (Number.isNaN(value)) return 0;
+    return Math.min(Math.max(value, -Number.MAX_VALUE), Number.MAX_VALUE);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split an expression into tokens. Tokens record whether whitespace preceded
+ * them, so that a sign can be told apart from a binary operator.
+ * @private
+ */
+function tokenize(str) {
+  const tokens = [];
+  let spaceBefore = false;
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < str.length) {
+    const match = TOKEN_PATTERN.exec(str);
+    if (!match) throw new SyntaxError(`Unexpected character in "${str}"`);
+
+    const [whitespace, number, unit, ident, call, symbol] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(number), unit: unit?.toLowerCase(), spaceBefore });
+    } else if (ident !== undefined) {
+      tokens.push({ type: call ? 'function' : 'ident', value: ident.toLowerCase(), spaceBefore });
+    } else if (symbol !== undefined) {
+      tokens.push({ type: 'symbol', value: symbol, spaceBefore });
+    }
+    spaceBefore = /^\s/.test(whitespace);
+  }
+
+  return tokens;
+}
+
+/**
+ * Typed value helpers
+ * @private
+ */
+const number = value => ({ value, type: 'number' });
+const angle = value => ({ value, type: 'angle' });
+
+/**
+ * An angle (in degrees) or a number (in radians) as radians, for trigonometry
+ * @private
+ */
+function toRadians({ value, type }) {
+  return type === 'angle' ? value * Math.PI / 180 : value;
+}
+
+/**
+ * Recursive descent parser that evaluates while it parses.
+ * Every method returns a typed value `{ value, type }`.
+ * @private
+ */
+class CalcParser {
+  constructor(tokens, context) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.keywords = context.keywords || {};
+    this.percentReference = context.percentReference === undefined ? 1 : context.percentReference;
+    this.angle = context.angle || false;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new SyntaxError('Unexpected end of expression');
+    return token;
+  }
+
+  /**
+   * Check that all arguments have the same type and return it. In a component
+   * that accepts angles a number means degrees, so numbers and angles mix.
+   */
+  commonType(args, name) {
+    const types = new Set(args.map(arg => arg.type));
+    if (types.size === 1) return args[0].type;
+    if (this.angle) return 'angle';
+    throw new SyntaxError(`Mixed types in ${name}()`);
+  }
+
+  isSymbol(token, symbols) {
+    return token?.type === 'symbol' && symbols.includes(token.value);
+  }
+
+  expectSymbol(symbol) {
+    const token = this.next();
+    if (!this.isSymbol(token, symbol)) {
+      throw new SyntaxError(`Expected "${symbol}"`);
+    }
+  }
+
+  /**
+   * A whole component: an (optionally signed) number, a keyword or a math
+   * function. Bare parentheses and constants are only valid inside functions.
+   */
+  parseValue() {
+    const first = this.peek();
+    let value;
+
+    if (this.isSymbol(first, '+-')) {
+      this.pos++;
+      const token = this.next();
+      if (token.type !== 'number' || token.spaceBefore) throw new SyntaxError('Expected a number after the sign');
+      value = this.resolveNumber(token);
+      if (first.value === '-') value.value = -value.value;
+    } else if (first?.type === 'ident' && !(first.value in this.keywords)) {
+      throw new SyntaxError(`Unknown keyword "${first.value}"`);
+    } else if (this.isSymbol(first, '(')) {
+      throw new SyntaxError('Unexpected "("');
+    } else {
+      value = this.parsePrimary();
+    }
+
+    if (this.pos !== this.tokens.length) throw new SyntaxError('Unexpected trailing tokens');
+    return value;
+  }
+
+  /** sum := product (('+' | '-') product)* */
+  parseSum() {
+    let value = this.parseProduct();
+    for (let token = this.peek(); this.isSymbol(token, '+-'); token = this.peek()) {
+      this.pos++;
+      const rhs = this.parseProduct();
+      const type = this.commonType([value, rhs], 'calc');
+      value = { value: token.value === '+' ? value.value + rhs.value : value.value - rhs.value, type };
+    }
+    return value;
+  }
+
+  /** product := unary (('*' | '/') unary)* */
+  parseProduct() {
+    let value = this.parseUnary();
+    for (let token = this.peek(); this.isSymbol(token, '*/'); token = this.peek()) {
+      this.pos++;
+      const rhs = this.parseUnary();
+      if (token.value === '*') {
+        if (value.type === 'angle' && rhs.type === 'angle') throw new SyntaxError('Cannot multiply two angles');
+        value = { value: value.value * rhs.value, type: value.type === 'angle' ? 'angle' : rhs.type };
+      } else {
+        // angle / angle is a number; anything else keeps the left type
+        if (value.type === 'number' && rhs.type === 'angle') throw new SyntaxError('Cannot divide by an angle');
+        value = { value: value.value / rhs.value, type: rhs.type === 'angle' ? 'number' : value.type };
+      }
+    }
+    return value;
+  }
+
+  /** unary := ('-' | '+') unary | primary */
+  parseUnary() {
+    const token = this.peek();
+    if (this.isSymbol(token, '+-')) {
+      this.pos++;
+      const value = this.parseUnary();
+      return token.value === '-' ? { ...value, value: -value.value } : value;
+    }
+    return this.parsePrimary();
+  }
+
+  /** primary := number | percentage | angle | keyword | constant | function( ... ) | ( sum ) */
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number') return this.resolveNumber(token);
+
+    if (token.type === 'ident') {
+      if (token.value in this.keywords) return number(this.keywords[token.value]);
+      if (token.value in CONSTANTS) return number(CONSTANTS[token.value]);
+      throw new SyntaxError(`Unknown keyword "${token.value}"`);
+    }
+
+    if (this.isSymbol(token, '(')) {
+      const value = this.parseSum();
+      this.expectSymbol(')');
+      return value;
+    }
+
+    if (token.type === 'function') return this.parseFunction(token.value);
+
+    throw new SyntaxError(`Unexpected token "${token.value}"`);
+  }
+
+  /** Parse the arguments of a math function and apply it */
+  parseFunction(name) {
+    if (name === 'calc') {
+      const value = this.parseSum();
+      this.expectSymbol(')');
+      return value;
+    }
+
+    // round() takes an optional rounding strategy first
+    let strategy = 'nearest';
+    const first = this.peek();
+    if (name === 'round' && first?.type === 'ident' && first.value in ROUNDING_STRATEGIES) {
+      strategy = first.value;
+      this.pos++;
+      this.expectSymbol(',');
+    }
+
+    const args = [this.parseSum()];
+    while (this.isSymbol(this.peek(), ',')) {
+      this.pos++;
+      args.push(this.parseSum());
+    }
+    this.expectSymbol(')');
+
+    return this.applyFunction(name, args, strategy);
+  }
+
+  /** Resolve a numeric token's unit to a typed value */
+  resolveNumber({ value, unit }) {
+    if (unit === undefined) return number(value);
+    if (unit === '%') {
+      if (this.percentReference === null) throw new SyntaxError('Percentages are not allowed here');
+      return number((value / 100) * this.percentReference);
+    }
+    if (unit in ANGLE_UNITS) return angle(value * ANGLE_UNITS[unit]);
+    throw new SyntaxError(`Unexpected unit "${unit}"`);
+  }
+
+  /** Apply a math function other than calc() to its evaluated arguments */
+  applyFunction(name, args, strategy) {
+    const arity = count => {
+      if (args.length !== count) throw new SyntaxError(`${name}() takes ${count} argument(s)`);
+    };
+    const radiansToAngle = radians => angle(radians * 180 / Math.PI);
+
+    switch (name) {
+      case 'min':
+      case 'max':
+        return { value: Math[name](...args.map(arg => arg.value)), type: this.commonType(args, name) };
+      case 'clamp': {
+        arity(3);
+        const [min, value, max] = args.map(arg => arg.value);
+        return { value: Math.max(min, Math.min(value, max)), type: this.commonType(args, name) };
+      }
+      case 'round': {
+        if (args.length > 2) throw new SyntaxError('round() takes at most 2 values');
+        const [value, step = { value: 1, type: value.type }] = args;
+        const type = this.commonType([value, step], name);
+        const interval = Math.abs(step.value);
+        return { value: ROUNDING_STRATEGIES[strategy](value.value / interval) * interval, type };
+      }
+      case 'sin':
+      case 'cos':
+      case 'tan':
+        arity(1);
+        return number(Math[name](toRadians(args[0])));
+      case 'asin':
+      case 'acos':
+      case 'atan':
+        arity(1);
+        if (args[0].type !== 'number') throw new SyntaxError(`${name}() takes a number`);
+        return radiansToAngle(Math[name](args[0].value));
+      case 'atan2':
+        arity(2);
+        this.commonType(args, name);
+        return radiansToAngle(Math.atan2(args[0].value, args[1].value));
+      default:
+        throw new SyntaxError(`Unknown function "${name}()"`);
+    }
+  }
+}
@@ -2,482 +2,1347 @@
  * @module css-color-parser
  * @description CSS Color Module Level 4 parsing and formatting utilities.
  * Supports modern CSS color syntax including color(), lab(), lch(), oklab(), oklch(),
- * and traditional formats (hex, rgb, hsl).
+ * and traditional formats (hex, rgb, hsl), as well as CSS Color 5 color-mix() and
+ * relative color syntax (`oklch(from #3366ff calc(l + 0.1) c h)`). Components may
+ * use math functions such as calc(), clamp() and sin().
+ * 
+ * Alpha is carried as an optional `alpha` property in [0, 1]. It is only present on
+ * parsed colors when the source specified one, and is only serialized when below 1.
  * 
  * @see {@link https://www.w3.org/TR/css-color-4/}
  */
 
 import { parseSrgbHex, formatSrgbAsHex } from './srgb.js';
-import { labToSrgb, srgbToLab, lchToSrgb, srgbToLch } from './cielab.js';
-import { oklabToSrgb, srgbToOklab, oklchToSrgb, srgbToOklch } from './oklab.js';
-import { displayP3ToSrgb, srgbToDisplayP3 } from './display-p3.js';
-import { clamp } from './utils.js';
+import {
+  convert,
+  resolveCssSpace,
+  getHueIndex,
+  getColorSpace,
+  getGamutSpace,
+  isColorFunctionSpace
+} from './css-color-spaces.js';
+import { gamutMapSrgb } from './gamut-mapping.js';
+import { colorMix, HUE_INTERPOLATION_METHODS } from './color-mix.js';
+import { evaluateCssValue } from './css-calc.js';
+import { calculateWcagContrast, calculateApcaContrast } from './color-metrics.js';
+import { CSS_NAMED_COLORS, CSS_SYSTEM_COLORS, findCssColorName } from './css-named-colors.js';
+import { clamp, withAlpha } from './utils.js';
 
 
 // --- CSS Color Parsing ---
 
+/**
+ * A parsed CSS color that keeps the color space the author wrote.
+ * Coordinates use the same units as this library's color objects:
+ * - `srgb`, `srgb-linear`, `display-p3`, `a98-rgb`, `prophoto-rgb`, `rec2020`: [r, g, b] in 0-1
+ * - `rec2100-pq`, `rec2100-hlg`: HDR signals in 0-1; `rec2100-linear`: [r, g, b] with 1 for
+ *   the 203 cd/m² reference white
+ * - `xyz-d50`, `xyz-d65`: [X, Y, Z] with Y = 1 for white
+ * - `hsl`, `hwb`: [h, s, l] / [h, w, b] with h in degrees and the others in 0-1
+ * - `lab`, `lch`: [L, a, b] / [L, C, h] with L in 0-100, relative to D50 as in CSS
+ * - `oklab`, `oklch`: [L, a, b] / [L, C, h] with L in 0-1
+ * @typedef {object} CssColor
+ * @property {string} space - Color space identifier (e.g. 'oklch', 'display-p3').
+ * @property {number[]} coords - The three color coordinates, unrounded. `NaN` marks a
+ *   missing component (`none`).
+ * @property {number} alpha - Alpha in [0, 1] (1 when not specified, `NaN` for `none`).
+ */
+
+/**
+ * Caller-supplied values for keywords whose color depends on where they are used.
+ * Values may be CSS color strings, sRGB objects or {@link CssColor} objects.
+ * Without a context, `currentcolor` and system colors do not parse.
+ * @typedef {object} CssColorContext
+ * @property {string|SrgbColor|CssColor} [currentColor] - Value of `currentcolor`
+ * @property {Object<string, string|SrgbColor|CssColor>} [systemColors] - System color
+ *   values keyed by keyword (case-insensitive), e.g. `{ Canvas: '#fff', CanvasText: '#000' }`
+ * @property {'light'|'dark'} [colorScheme='light'] - Used color scheme, which picks the
+ *   color of `light-dark()`
+ * @property {'wcag'|'apca'} [contrastAlgorithm='wcag'] - How `contrast-color()` compares
+ *   white and black with its background: WCAG 2 contrast ratio or APCA lightness contrast
+ * @property {Object<string, string|number>} [variables] - Custom property values keyed by
+ *   name (e.g. `{ '--brand': 'oklch(0.6 0.2 250)' }`), substituted for `var()` references
+ *   before parsing; see {@link resolveCssVariables}
+ */
+
+/**
+ * Options of {@link formatCSS}. Unset options keep each format's defaults.
+ * @typedef {object} FormatCSSOptions
+ * @property {'spec'} [preset] - Start from a preset; the other options override it
+ * @property {number|number[]} [precision] - Decimals for every component, or one entry per component
+ * @property {number} [significantDigits] - Round to significant digits instead of fixed decimals
+ * @property {number|'8bit'} [alphaPrecision=3] - Decimals of alpha, or `'8bit'` to quantize it to a
+ *   byte and write the fewest decimals that round-trip
+ * @property {boolean} [legacy=false] - Comma syntax for rgb() and hsl(), e.g. `rgba(255, 0, 0, 0.5)`
+ * @property {boolean} [percentages] - Write every non-hue component as a percentage (true) or number (false)
+ * @property {'deg'|''} [hueUnit='deg'] - Unit written after hues
+ * @property {'clip'|'map'|'none'} [gamut] - Clip or gamut map into the output gamut before
+ *   serializing ('clip' for hex and rgb, 'none' otherwise)
+ */
+
+/**
+ * Error thrown by {@link parseCSSStrict}, pointing at the first problem in the input.
+ * Offsets are character positions in the string passed to the parser, so they can
+ * be used to underline the offending token.
+ * @extends SyntaxError
+ * @example
+ * try {
+ *   parseCSSStrict('rgb(255 0 0 / nope)');
+ * } catch (error) {
+ *   error.functionName // 'rgb'
+ *   error.offset // 14
+ *   error.token // 'nope'
+ *   error.expected // 'an alpha number, percentage or none'
+ * }
+ */
+export class CssParseError extends SyntaxError {
+  /**
+   * @param {object} details - Where and why parsing failed
+   * @param {string|null} [details.functionName=null] - The color function being parsed
+   *   (e.g. 'rgb', 'color-mix'), or null outside of a function
+   * @param {number} details.offset - Character offset of the offending token
+   * @param {string} details.token - The offending token (lowercased), '' at the end of the input
+   * @param {string} details.expected - Description of what was expected instead
+   */
+  constructor({ functionName = null, offset, token, expected }) {
+    const where = functionName ? ` in ${functionName}()` : '';
+    const found = token === '' ? 'end of input' : `"${token}"`;
+    super(`Expected ${expected}${where} at offset ${offset}, found ${found}`);
+    this.name = 'CssParseError';
+    this.functionName = functionName;
+    this.offset = offset;
+    this.token = token;
+    this.expected = expected;
+    /** The complete input string, set by {@link parseCSSStrict} */
+    this.input = undefined;
+  }
+}
+
 /**
  * Parse any CSS color string to sRGB
  * Supports CSS Color Module Level 4 syntax
  * @param {string} cssString - CSS color string
- * @returns {SrgbColor|null} Parsed sRGB color or null if invalid
+ * @param {object} [options] - Parsing options
+ * @param {boolean} [options.preserveSpace=false] - Return a {@link CssColor} in the
+ *   space the author wrote instead of converting to sRGB
+ * @param {CssColorContext} [options.context] - Values for `currentcolor` and system colors,
+ *   the color scheme and contrast algorithm of `light-dark()` and `contrast-color()`, and
+ *   custom property values for `var()`
+ * @returns {SrgbColor|CssColor|null} Parsed color or null if invalid (use
+ *   {@link parseCSSStrict} to find out why)
  * @example
  * parseCSS('rgb(255 0 0)') // { r: 1, g: 0, b: 0 }
+ * parseCSS('rgb(255 0 0 / 50%)') // { r: 1, g: 0, b: 0, alpha: 0.5 }
  * parseCSS('#ff0000') // { r: 1, g: 0, b: 0 }
+ * parseCSS('#ff000080') // { r: 1, g: 0, b: 0, alpha: 0.502 }
  * parseCSS('color(srgb 1 0 0)') // { r: 1, g: 0, b: 0 }
  * parseCSS('lab(50% 50 0)') // Converts Lab to sRGB
  * parseCSS('oklch(0.5 0.2 30deg)') // Converts OkLCh to sRGB
+ * parseCSS('color-mix(in oklch, red 40%, blue)') // Mixes in OkLCh, then converts to sRGB
+ * parseCSS('rgb(from #ff0000 r g b / 50%)') // { r: 1, g: 0, b: 0, alpha: 0.5 }
+ * parseCSS('oklch(0.5 0.2 30deg)', { preserveSpace: true })
+ * // { space: 'oklch', coords: [0.5, 0.2, 30], alpha: 1 }
+ * parseCSS('transparent') // { r: 0, g: 0, b: 0, alpha: 0 }
+ * parseCSS('color-mix(in srgb, currentcolor, Canvas)', {
+ *   context: { currentColor: 'rebeccapurple', systemColors: { Canvas: '#fff' } }
+ * })
+ * parseCSS('light-dark(#fff, #111)', { context: { colorScheme: 'dark' } }) // { r: 0.067, g: 0.067, b: 0.067 }
+ * parseCSS('contrast-color(navy)') // { r: 1, g: 1, b: 1 }
+ * parseCSS('rgb(var(--r) var(--g) 0)', { context: { variables: { '--r': 255, '--g': 'var(--r)' } } })
+ * // { r: 1, g: 1, b: 0 }
  */
-export function parseCSS(cssString) {
-  if (!cssString || typeof cssString !== 'string') return null;
+export function parseCSS(cssString, options = {}) {
+  if (typeof cssString !== 'string') return null;
   
-  const trimmed = cssString.trim().toLowerCase();
+  try {
+    const resolved = substituteVariables(cssString, options.context?.variables || {}, [], 0);
+    return finishParse(parseCssColor(resolved, options.context), options);
+  } catch (error) {
+    if (error instanceof CssParseError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Parse a CSS color string like {@link parseCSS}, but throw a {@link CssParseError}
+ * describing the first problem instead of returning null. When `var()` references
+ * were substituted, offsets after substitution refer to the substituted text,
+ * which the error carries as `input`.
+ * @param {string} cssString - CSS color string
+ * @param {object} [options] - The same options as {@link parseCSS}
+ * @returns {SrgbColor|CssColor} Parsed color
+ * @throws {CssParseError} If the string is not a valid color
+ * @throws {TypeError} If the input is not a string
+ * @example
+ * parseCSSStrict('oklch(0.7 0.1 120deg) 50%')
+ * // CssParseError: Expected end of input at offset 22, found "50%"
+ * parseCSSStrict('color(display-p4 1 0 0)')
+ * // CssParseError: Expected a predefined color space in color() at offset 6, found "display-p4"
+ */
+export function parseCSSStrict(cssString, options = {}) {
+  if (typeof cssString !== 'string') {
+    throw new TypeError('Input cssString must be a string.');
+  }
   
-  // Try hex first (most common)
-  if (trimmed.startsWith('#')) {
-    return parseSrgbHex(trimmed);
+  // Errors after var() substitution point into the substituted text
+  let input = cssString;
+  try {
+    input = substituteVariables(cssString, options.context?.variables || {}, [], 0);
+    return finishParse(parseCssColor(input, options.context), options);
+  } catch (error) {
+    if (error instanceof CssParseError) error.input = input;
+    throw error;
+  }
+}
+
+/**
+ * Convert a parsed color to the result shape requested by the parse options
+ * @private
+ */
+function finishParse(parsed, options) {
+  if (options.preserveSpace) {
+    return { space: parsed.space, coords: parsed.coords, alpha: parsed.alpha ?? 1 };
+  }
+  return cssColorToSrgb(parsed);
+}
+
+/**
+ * Convert a parsed {@link CssColor} to another supported color space.
+ * No clamping or gamut mapping is applied, so wide-gamut values survive
+ * the round trip.
+ * @param {CssColor} cssColor - Color returned by `parseCSS(str, { preserveSpace: true })`
+ * @param {string} targetSpace - One of 'srgb', 'srgb-linear', 'hsl', 'hwb', 'lab', 'lch',
+ *   'oklab', 'oklch', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'rec2100-pq',
+ *   'rec2100-hlg', 'rec2100-linear', 'xyz' ('xyz-d65') or 'xyz-d50'
+ * @returns {CssColor} The color expressed in the target space
+ * @throws {Error} If either color space is not supported
+ * @example
+ * const p3 = parseCSS('color(display-p3 1 0 0)', { preserveSpace: true });
+ * convertCssColor(p3, 'srgb').coords // r > 1, g and b < 0 (outside sRGB, not clipped)
+ * convertCssColor(p3, 'oklch') // { space: 'oklch', coords: [0.672, 0.276, 29.2], alpha: 1 }
+ */
+export function convertCssColor(cssColor, targetSpace) {
+  const coords = convert(cssColor.coords, cssColor.space, targetSpace);
+  return { space: resolveCssSpace(targetSpace), coords, alpha: cssColor.alpha ?? 1 };
+}
+
+/**
+ * Accept a CSS string, an sRGB object or a parsed color, as a parsed color
+ * @private
+ * @param {string|SrgbColor|CssColor} color - Color to accept
+ * @returns {CssColor} The parsed color
+ * @throws {TypeError} If the color cannot be parsed
+ */
+export function toCssColor(color) {
+  if (typeof color === 'string') {
+    const parsed = parseCSS(color, { preserveSpace: true });
+    if (!parsed) throw new TypeError(`Invalid CSS color: ${color}`);
+    return parsed;
+  }
+  if (color != null && typeof color.space === 'string' && Array.isArray(color.coords)) {
+    return color;
+  }
+  if (color != null && typeof color.r === 'number' && typeof color.g === 'number' && typeof color.b === 'number') {
+    return { space: 'srgb', coords: [color.r, color.g, color.b], alpha: color.alpha ?? 1 };
   }
+  throw new TypeError('Colors must be CSS strings, sRGB objects or parsed CSS colors.');
+}
+
+/**
+ * Parse a CSS color string into its authored color space.
+ * `offset` is the position of `cssString` within the input, so that errors
+ * from nested colors (relative origins, color-mix() arguments) point into the
+ * original string.
+ * @private
+ * @returns {{space: string, coords: number[], alpha?: number}}
+ * @throws {CssParseError} If the string is not a valid color
+ */
+function parseCssColor(cssString, context = {}, offset = 0) {
+  const trimmed = cssString.trim().toLowerCase();
+  offset += cssString.length - cssString.trimStart().length;
+  
+  // A single word (hex or keyword), unless it opens a function
+  const word = trimmed.match(/^[^\s(]*/)[0];
+  if (trimmed[word.length] === '(') return parseFunctionalColor(readFunction(trimmed, offset), context);
   
-  // Try named colors
-  const namedColor = parseNamedColor(trimmed);
-  if (namedColor) return namedColor;
+  if (word === '') {
+    throw new CssParseError({ offset, token: trimmed, expected: 'a color' });
+  }
   
-  // Try functional notations
-  if (trimmed.startsWith('rgb')) return parseRgb(trimmed);
-  if (trimmed.startsWith('hsl')) return parseHsl(trimmed);
-  if (trimmed.startsWith('lab')) return parseLab(trimmed);
-  if (trimmed.startsWith('lch')) return parseLch(trimmed);
-  if (trimmed.startsWith('oklab')) return parseOklab(trimmed);
-  if (trimmed.startsWith('oklch')) return parseOklch(trimmed);
-  if (trimmed.startsWith('color(')) return parseColorFunction(trimmed);
+  const color = parseKeywordColor(word, context, offset);
   
-  return null;
+  const rest = trimmed.slice(word.length).trimStart();
+  if (rest) {
+    throw new CssParseError({ offset: offset + trimmed.length - rest.length, token: rest, expected: 'end of input' });
+  }
+  return color;
 }
 
 /**
- * Parse rgb() or rgba() notation
+ * Parse a hex color, named color, `currentcolor` or system color
  * @private
  */
-function parseRgb(str) {
-  // Match both legacy comma syntax and modern space syntax
-  const match = str.match(/rgba?\s*\(\s*([^,)\s]+)\s*[\s,]\s*([^,)\s]+)\s*[\s,]\s*([^,)\s]+)\s*(?:[\s,/]\s*([^)]+))?\s*\)/);
-  if (!match) return null;
+function parseKeywordColor(word, context, offset) {
+  if (word.startsWith('#')) {
+    const srgb = parseSrgbHex(word);
+    if (!srgb) throw new CssParseError({ offset, token: word, expected: 'a hex color with 3, 4, 6 or 8 digits' });
+    return srgbToCssColor(srgb);
+  }
   
-  const r = parseColorValue(match[1], 255);
-  const g = parseColorValue(match[2], 255);
-  const b = parseColorValue(match[3], 255);
-  // Alpha is ignored for now, returns opaque color
+  const namedColor = parseNamedColor(word);
+  if (namedColor) return srgbToCssColor(namedColor);
   
-  if (r === null || g === null || b === null) return null;
+  // currentcolor and system colors come from the caller's context
+  if (word === 'currentcolor' || CSS_SYSTEM_COLORS.includes(word)) {
+    return parseContextColor(word, context, offset);
+  }
   
-  return { r, g, b };
+  throw new CssParseError({ offset, token: word, expected: 'a hex color, color keyword or color function' });
 }
 
 /**
- * Parse hsl() or hsla() notation
+ * Dispatch a functional notation to its parser
  * @private
  */
-function parseHsl(str) {
-  const match = str.match(/hsla?\s*\(\s*([^,)\s]+)\s*[\s,]\s*([^,)\s]+)\s*[\s,]\s*([^,)\s]+)\s*(?:[\s,/]\s*([^)]+))?\s*\)/);
-  if (!match) return null;
+function parseFunctionalColor(fn, context) {
+  if (fn.name === 'color-mix') return parseColorMix(fn, context);
+  if (fn.name === 'light-dark') return parseLightDark(fn, context);
+  if (fn.name === 'contrast-color') return parseContrastColor(fn, context);
   
-  const h = parseAngle(match[1]);
-  const s = parsePercentage(match[2]);
-  const l = parsePercentage(match[3]);
+  // Relative color syntax: <function>(from <color> ...)
+  if (fn.components[0]?.value === 'from') return parseRelativeColor(fn, context);
   
-  if (h === null || s === null || l === null) return null;
+  if (fn.name === 'color') return parseColorFunction(fn);
   
-  return hslToSrgb(h, s, l);
+  const { space, channels, legacy } = FUNCTION_CHANNELS[canonicalFunctionName(fn.name)];
+  const { values, alpha } = splitChannels(fn, fn.components, legacy);
+  const coords = values.map((token, i) => parseChannel(fn, token, channels[i]));
+  return makeCssColor(fn, space, coords, alpha);
 }
 
 /**
- * Parse lab() notation
+ * Map the legacy aliases rgba() and hsla() to rgb() and hsl()
  * @private
  */
-function parseLab(str) {
-  const match = str.match(/lab\s*\(\s*([^)\s]+)\s+([^)\s]+)\s+([^)\s/]+)\s*(?:\/\s*([^)]+))?\s*\)/);
-  if (!match) return null;
+function canonicalFunctionName(name) {
+  return name === 'rgba' || name === 'hsla' ? name.slice(0, 3) : name;
+}
+
+/**
+ * Names of all supported color functions
+ * @private
+ */
+const COLOR_FUNCTION_NAMES = [
+  'rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color', 'color-mix',
+  'light-dark', 'contrast-color'
+];
+
+/**
+ * Read a functional notation: check its name, find the matching ")" and split the
+ * body into components.
+ * @private
+ * @returns {{name: string, components: Array<{value: string, offset: number}>, end: number}}
+ *   `end` is the offset of the closing parenthesis
+ */
+function readFunction(str, offset) {
+  const name = str.slice(0, str.indexOf('('));
+  if (!COLOR_FUNCTION_NAMES.includes(name)) {
+    throw new CssParseError({ offset, token: name || '(', expected: 'a color function' });
+  }
   
-  const L = parsePercentage(match[1]) * 100; // L in [0, 100]
-  const a = parseLabAxis(match[2], 125); // a in [-125, 125]
-  const b = parseLabAxis(match[3], 125); // b in [-125, 125]
+  // Find the parenthesis closing the function
+  let depth = 0;
+  let close = -1;
+  for (let i = name.length; i < str.length && close === -1; i++) {
+    if (str[i] === '(') depth++;
+    if (str[i] === ')' && --depth === 0) close = i;
+  }
+  if (close === -1) {
+    throw new CssParseError({ functionName: name, offset: offset + str.length, token: '', expected: '")"' });
+  }
   
-  if (L === null || a === null || b === null) return null;
+  const rest = str.slice(close + 1);
+  if (rest.trim()) {
+    const restOffset = offset + close + 1 + rest.length - rest.trimStart().length;
+    throw new CssParseError({ offset: restOffset, token: rest.trim(), expected: 'end of input' });
+  }
   
-  return labToSrgb({ L, a, b });
+  const bodyOffset = offset + name.length + 1;
+  return { name, components: splitComponents(str.slice(name.length + 1, close), bodyOffset), end: offset + close };
+}
+
+/**
+ * Build an error located at a component of a function
+ * @private
+ */
+function componentError(fn, token, expected) {
+  return new CssParseError({ functionName: fn.name, offset: token.offset, token: token.value, expected });
+}
+
+/**
+ * Get the component at an index, or a pseudo-token for the closing
+ * parenthesis past the last component
+ * @private
+ */
+function componentAt(fn, components, i) {
+  return components[i] ?? { value: ')', offset: fn.end };
 }
 
 /**
- * Parse lch() notation
+ * Check whether a token separates components rather than being one
  * @private
  */
-function parseLch(str) {
-  const match = str.match(/lch\s*\(\s*([^)\s]+)\s+([^)\s]+)\s+([^)\s/]+)\s*(?:\/\s*([^)]+))?\s*\)/);
-  if (!match) return null;
+function isSeparator(token) {
+  return token.value === '/' || token.value === ',' || token.value === ')';
+}
+
+/**
+ * Split channel components: three channels, optionally followed by "/ <alpha>".
+ * With `legacy`, the comma-separated form `a, b, c[, alpha]` of rgb() and hsl()
+ * is accepted too (but not a mix of both).
+ * @private
+ * @returns {{values: Array<{value: string, offset: number}>, alpha?: {value: string, offset: number}}}
+ */
+function splitChannels(fn, components, legacy = false) {
+  if (legacy && components.some(token => token.value === ',')) {
+    return splitLegacyChannels(fn, components);
+  }
   
-  const L = parsePercentage(match[1]) * 100; // L in [0, 100]
-  const C = parseColorValue(match[2], 150); // C in [0, 150]
-  const h = parseAngle(match[3]);
+  const values = [];
+  for (let i = 0; i < 3; i++) {
+    const token = componentAt(fn, components, i);
+    if (isSeparator(token)) throw componentError(fn, token, 'a component');
+    values.push(token);
+  }
+  if (components.length === 3) return { values };
   
-  if (L === null || C === null || h === null) return null;
+  if (components[3].value !== '/') throw componentError(fn, components[3], '"/" or ")"');
+  const alpha = componentAt(fn, components, 4);
+  if (isSeparator(alpha)) throw componentError(fn, alpha, 'an alpha value');
+  if (components.length > 5) throw componentError(fn, components[5], '")"');
+  return { values, alpha };
+}
+
+/**
+ * Split the comma-separated components of legacy rgb() and hsl(), which do
+ * not allow `none`
+ * @private
+ */
+function splitLegacyChannels(fn, components) {
+  const values = [];
+  for (let i = 0; ; i += 2) {
+    const token = componentAt(fn, components, i);
+    if (isSeparator(token)) throw componentError(fn, token, 'a component');
+    if (token.value === 'none') throw componentError(fn, token, 'a component other than none in the comma syntax');
+    values.push(token);
+    
+    const next = componentAt(fn, components, i + 1);
+    if (values.length === 4 || (values.length === 3 && next.value === ')')) {
+      if (next.value !== ')') throw componentError(fn, next, '")"');
+      return { values: values.slice(0, 3), alpha: values[3] };
+    }
+    if (next.value !== ',') throw componentError(fn, next, '","');
+  }
+}
+
+/**
+ * Parse one channel value, converted to library units: an angle or number for
+ * hue channels, otherwise a number or a percentage of the channel's reference
+ * range. Math functions are evaluated, and in relative colors the `keywords`
+ * of the origin color's channels can be used. `none` gives NaN.
+ * @private
+ */
+function parseChannel(fn, token, { reference, scale = 1, hue }, keywords) {
+  if (token.value === 'none') return NaN;
   
-  return lchToSrgb({ L, C, h });
+  const value = evaluateCssValue(token.value, { keywords, percentReference: hue ? null : reference, angle: hue });
+  if (value === null) {
+    const kind = hue ? 'an angle or number' : 'a number or percentage';
+    throw componentError(fn, token, `${kind}, ${keywords ? 'a channel keyword, ' : ''}a math function or none`);
+  }
+  return value / scale;
 }
 
 /**
- * Parse oklab() notation
+ * Parse an alpha value (number, percentage or math function), clamped to [0, 1].
+ * `none` gives NaN.
  * @private
  */
-function parseOklab(str) {
-  const match = str.match(/oklab\s*\(\s*([^)\s]+)\s+([^)\s]+)\s+([^)\s/]+)\s*(?:\/\s*([^)]+))?\s*\)/);
-  if (!match) return null;
+function parseAlpha(fn, token, keywords) {
+  if (token.value === 'none') return NaN;
   
-  const L = parsePercentage(match[1]); // L in [0, 1]
-  const a = parseLabAxis(match[2], 0.4); // a in [-0.4, 0.4]
-  const b = parseLabAxis(match[3], 0.4); // b in [-0.4, 0.4]
+  const alpha = evaluateCssValue(token.value, { keywords, percentReference: 1 });
+  if (alpha === null) throw componentError(fn, token, 'an alpha number, percentage, math function or none');
+  return clamp(alpha, 0, 1);
+}
+
+/**
+ * Wrap an sRGB object as a parsed color
+ * @private
+ */
+function srgbToCssColor(srgb) {
+  return { space: 'srgb', coords: [srgb.r, srgb.g, srgb.b], alpha: srgb.alpha };
+}
+
+/**
+ * Build a parsed color from component values, parsing the alpha token if present
+ * @private
+ */
+function makeCssColor(fn, space, coords, alphaToken) {
+  const color = { space, coords };
+  if (alphaToken !== undefined) color.alpha = parseAlpha(fn, alphaToken);
+  return color;
+}
+
+/**
+ * Parse color() function
+ * @private
+ */
+function parseColorFunction(fn) {
+  const spaceToken = componentAt(fn, fn.components, 0);
+  if (!isColorFunctionSpace(spaceToken.value)) {
+    throw componentError(fn, spaceToken, 'a predefined color space');
+  }
   
-  if (L === null || a === null || b === null) return null;
+  const { space, channels } = colorFunctionChannels(resolveCssSpace(spaceToken.value));
+  const { values, alpha } = splitChannels(fn, fn.components.slice(1));
+  const coords = values.map((token, i) => parseChannel(fn, token, channels[i]));
   
-  return oklabToSrgb({ L, a, b });
+  return makeCssColor(fn, space, coords, alpha);
+}
+
+/**
+ * Channels of each functional notation, used both for plain values and for
+ * the channel keywords of relative color syntax. `reference` is the value
+ * 100% resolves to and `scale` converts the CSS value to this library's
+ * coordinate units (e.g. rgb() channels are 0-255 in CSS but 0-1 here). Hue
+ * channels are in degrees and accept angle units. `legacy` functions also
+ * accept the comma-separated syntax. For formatting, `precision` is the
+ * default number of decimals of the CSS value written as a number, and
+ * `percent` marks channels written as percentages by default.
+ * @private
+ */
+const FUNCTION_CHANNELS = {
+  rgb: {
+    space: 'srgb',
+    legacy: true,
+    channels: [
+      { name: 'r', reference: 255, scale: 255, precision: 0 },
+      { name: 'g', reference: 255, scale: 255, precision: 0 },
+      { name: 'b', reference: 255, scale: 255, precision: 0 }
+    ]
+  },
+  hsl: {
+    space: 'hsl',
+    legacy: true,
+    channels: [
+      { name: 'h', hue: true, precision: 0 },
+      { name: 's', reference: 100, scale: 100, precision: 0, percent: true },
+      { name: 'l', reference: 100, scale: 100, precision: 0, percent: true }
+    ]
+  },
+  hwb: {
+    space: 'hwb',
+    channels: [
+      { name: 'h', hue: true, precision: 0 },
+      { name: 'w', reference: 100, scale: 100, precision: 0, percent: true },
+      { name: 'b', reference: 100, scale: 100, precision: 0, percent: true }
+    ]
+  },
+  lab: {
+    space: 'lab',
+    channels: [
+      { name: 'l', reference: 100, precision: 1, percent: true },
+      { name: 'a', reference: 125, precision: 1 },
+      { name: 'b', reference: 125, precision: 1 }
+    ]
+  },
+  lch: {
+    space: 'lch',
+    channels: [
+      { name: 'l', reference: 100, precision: 1, percent: true },
+      { name: 'c', reference: 150, precision: 1 },
+      { name: 'h', hue: true, precision: 0 }
+    ]
+  },
+  oklab: {
+    space: 'oklab',
+    channels: [
+      { name: 'l', reference: 1, precision: 3, percent: true },
+      { name: 'a', reference: 0.4, precision: 3 },
+      { name: 'b', reference: 0.4, precision: 3 }
+    ]
+  },
+  oklch: {
+    space: 'oklch',
+    channels: [
+      { name: 'l', reference: 1, precision: 3, percent: true },
+      { name: 'c', reference: 0.4, precision: 3 },
+      { name: 'h', hue: true, precision: 0 }
+    ]
+  }
+};
+
+/**
+ * Channels of a color() space, from the space registry: r, g, b for RGB spaces
+ * and x, y, z for XYZ. 100% is the top of a channel's range, or 1 if unbounded.
+ * @private
+ */
+function colorFunctionChannels(space) {
+  const { channels, ranges } = getColorSpace(space);
+  return {
+    space,
+    channels: channels.map((name, i) => ({ name, reference: ranges ? ranges[i][1] : 1, precision: 4 }))
+  };
 }
 
 /**
- * Parse oklch() notation
+ * Parse relative color syntax, e.g. `oklch(from #3366ff calc(l + 0.1) c h / alpha)`.
+ * The origin color is converted to the function's space and its channels are
+ * bound to keywords that the components (and calc() expressions) can refer to.
  * @private
  */
-function parseOklch(str) {
-  const match = str.match(/oklch\s*\(\s*([^)\s]+)\s+([^)\s]+)\s+([^)\s/]+)\s*(?:\/\s*([^)]+))?\s*\)/);
-  if (!match) return null;
+function parseRelativeColor(fn, context) {
+  const originToken = componentAt(fn, fn.components, 1);
+  if (isSeparator(originToken)) throw componentError(fn, originToken, 'an origin color');
+  const origin = parseCssColor(originToken.value, context, originToken.offset);
+  
+  let target;
+  let components = fn.components.slice(2);
+  if (fn.name === 'color') {
+    const spaceToken = componentAt(fn, components, 0);
+    if (!isColorFunctionSpace(spaceToken.value)) {
+      throw componentError(fn, spaceToken, 'a predefined color space');
+    }
+    target = colorFunctionChannels(resolveCssSpace(spaceToken.value));
+    components = components.slice(1);
+  } else {
+    target = FUNCTION_CHANNELS[canonicalFunctionName(fn.name)];
+  }
+  
+  const { values, alpha: alphaToken } = splitChannels(fn, components);
   
-  const L = parsePercentage(match[1]); // L in [0, 1]
-  const C = parseColorValue(match[2], 0.4); // C in [0, 0.4]
-  const h = parseAngle(match[3]);
+  // Missing components of the origin resolve to 0 as channel keywords
+  const originCoords = convert(origin.coords, origin.space, target.space);
+  const keywords = { alpha: zeroIfMissing(origin.alpha ?? 1) };
+  target.channels.forEach(({ name, scale = 1 }, i) => {
+    keywords[name] = zeroIfMissing(originCoords[i]) * scale;
+  });
   
-  if (L === null || C === null || h === null) return null;
+  const coords = values.map((token, i) => parseChannel(fn, token, target.channels[i], keywords));
   
-  return oklchToSrgb({ L, C, h });
+  const color = { space: target.space, coords };
+  if (alphaToken) {
+    color.alpha = parseAlpha(fn, alphaToken, keywords);
+  } else if (origin.alpha !== undefined) {
+    color.alpha = keywords.alpha;
+  }
+  return color;
 }
 
 /**
- * Parse color() function
+ * Split the body of a functional notation into components with their offsets.
+ * Nested functions stay whole, and a top-level "/" or "," is its own component.
+ * The body must have balanced parentheses.
  * @private
+ * @returns {Array<{value: string, offset: number}>}
  */
-function parseColorFunction(str) {
-  const match = str.match(/color\(\s*([^)\s]+)\s+([^)\s]+)\s+([^)\s]+)\s+([^)\s/]+)\s*(?:\/\s*([^)]+))?\s*\)/);
-  if (!match) return null;
-  
-  const space = match[1];
-  const c1 = parseColorValue(match[2], 1);
-  const c2 = parseColorValue(match[3], 1);
-  const c3 = parseColorValue(match[4], 1);
+function splitComponents(body, offset) {
+  const components = [];
+  let depth = 0;
+  let current = '';
+  let start = 0;
   
-  if (c1 === null || c2 === null || c3 === null) return null;
+  const flush = () => {
+    if (current) components.push({ value: current, offset: offset + start });
+    current = '';
+  };
   
-  switch (space) {
-    case 'srgb':
-      return { r: c1, g: c2, b: c3 };
-    case 'display-p3':
-      return displayP3ToSrgb({ r: c1, g: c2, b: c3 });
-    case 'rec2020':
-      // TODO: Implement Rec2020 support
-      return null;
-    case 'prophoto-rgb':
-      // TODO: Implement ProPhoto support
-      return null;
-    default:
-      return null;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    
+    if (depth === 0 && (/\s/.test(ch) || ch === '/' || ch === ',')) {
+      flush();
+      if (ch === '/' || ch === ',') components.push({ value: ch, offset: offset + i });
+    } else {
+      if (!current) start = i;
+      current += ch;
+    }
   }
+  
+  flush();
+  return components;
 }
 
-// --- CSS Color Formatting ---
-
 /**
- * Format an sRGB color as CSS string
- * @param {SrgbColor} color - sRGB color
- * @param {string} [format='hex'] - Output format
- * @returns {string} CSS color string
- * @example
- * formatCSS({ r: 1, g: 0, b: 0 }, 'hex') // '#ff0000'
- * formatCSS({ r: 1, g: 0, b: 0 }, 'rgb') // 'rgb(255 0 0)'
- * formatCSS({ r: 1, g: 0, b: 0 }, 'hsl') // 'hsl(0deg 100% 50%)'
+ * Parse color-mix() notation
+ * Syntax: color-mix(in <space> [<hue-method> hue], <color> [<percentage>], <color> [<percentage>])
+ * @private
  */
-export function formatCSS(color, format = 'hex') {
-  switch (format) {
-    case 'hex':
-      return formatSrgbAsHex(color);
-    case 'rgb':
-      return formatRgb(color);
-    case 'hsl':
-      return formatHsl(color);
-    case 'lab':
-      return formatLab(color);
-    case 'lch':
-      return formatLch(color);
-    case 'oklab':
-      return formatOklab(color);
-    case 'oklch':
-      return formatOklch(color);
-    case 'display-p3':
-      return formatDisplayP3(color);
-    default:
-      return formatSrgbAsHex(color);
+function parseColorMix(fn, context) {
+  const args = splitArguments(fn);
+  if (args.length < 3) throw componentError(fn, args[args.length - 1].end, '","');
+  if (args.length > 3) throw componentError(fn, args[2].end, '")"');
+  
+  const { space, hue } = parseMixInterpolation(fn, args[0]);
+  const first = parseMixComponent(fn, args[1], context);
+  const second = parseMixComponent(fn, args[2], context);
+  
+  if (first.percentage === 0 && second.percentage === 0) {
+    throw componentError(fn, second.percentageToken, 'a percentage above 0% (both colors are at 0%)');
   }
+  
+  const mixed = colorMix(first.color, second.color, {
+    space,
+    hue,
+    p1: first.percentage,
+    p2: second.percentage
+  });
+  if (mixed.alpha === 1) delete mixed.alpha;
+  return mixed;
 }
 
 /**
- * Format as rgb() notation
+ * Group a function's components into comma-separated arguments. Each argument
+ * keeps the token that ends it (a "," or the closing parenthesis) for errors.
  * @private
  */
-function formatRgb(color) {
-  const r = Math.round(clamp(color.r, 0, 1) * 255);
-  const g = Math.round(clamp(color.g, 0, 1) * 255);
-  const b = Math.round(clamp(color.b, 0, 1) * 255);
-  return `rgb(${r} ${g} ${b})`;
+function splitArguments(fn) {
+  const args = [];
+  let tokens = [];
+  for (const token of fn.components) {
+    if (token.value === ',') {
+      args.push({ tokens, end: token });
+      tokens = [];
+    } else {
+      tokens.push(token);
+    }
+  }
+  args.push({ tokens, end: componentAt(fn, [], 0) });
+  return args;
 }
 
 /**
- * Format as hsl() notation
+ * Parse the color-mix() interpolation method: `in <space> [<hue-method> hue]`
  * @private
  */
-function formatHsl(color) {
-  const { h, s, l } = srgbToHsl(color);
-  return `hsl(${h.toFixed(0)}deg ${(s * 100).toFixed(0)}% ${(l * 100).toFixed(0)}%)`;
+function parseMixInterpolation(fn, { tokens, end }) {
+  const at = i => tokens[i] ?? end;
+  
+  if (at(0).value !== 'in') throw componentError(fn, at(0), '"in"');
+  
+  const space = resolveCssSpace(at(1).value);
+  if (!space) throw componentError(fn, at(1), 'a color space');
+  if (tokens.length === 2) return { space };
+  
+  // A hue method is only valid with a cylindrical space
+  if (getHueIndex(space) === -1) throw componentError(fn, at(2), '","');
+  if (!HUE_INTERPOLATION_METHODS.includes(at(2).value)) {
+    throw componentError(fn, at(2), `a hue interpolation method (${HUE_INTERPOLATION_METHODS.join(', ')})`);
+  }
+  if (at(3).value !== 'hue') throw componentError(fn, at(3), '"hue"');
+  if (tokens.length > 4) throw componentError(fn, tokens[4], '","');
+  
+  return { space, hue: at(2).value };
 }
 
 /**
- * Format as lab() notation
+ * Parse one color-mix() color argument with its optional percentage
  * @private
  */
-function formatLab(color) {
-  const lab = srgbToLab(color);
-  return `lab(${(lab.L).toFixed(1)}% ${lab.a.toFixed(1)} ${lab.b.toFixed(1)})`;
+function parseMixComponent(fn, { tokens, end }, context) {
+  if (tokens.length === 0) throw componentError(fn, end, 'a color');
+  if (tokens.length > 2) throw componentError(fn, tokens[2], end.value === ',' ? '","' : '")"');
+  
+  let colorToken = tokens[0];
+  let percentageToken;
+  if (tokens.length === 2) {
+    const leading = tokens[0].value.endsWith('%');
+    [colorToken, percentageToken] = leading ? [tokens[1], tokens[0]] : tokens;
+  }
+  
+  const color = parseCssColor(colorToken.value, context, colorToken.offset);
+  
+  let percentage;
+  if (percentageToken) {
+    percentage = parsePercentage(percentageToken.value);
+    if (!(percentage >= 0 && percentage <= 100)) {
+      throw componentError(fn, percentageToken, 'a percentage between 0% and 100%');
+    }
+  }
+  
+  return { color, percentage, percentageToken };
 }
 
 /**
- * Format as lch() notation
+ * Parse light-dark(): the first color in a light color scheme, the second in a
+ * dark one. The scheme comes from the parse context and defaults to light.
+ * Syntax: light-dark(<color>, <color>)
  * @private
  */
-function formatLch(color) {
-  const lch = srgbToLch(color);
-  return `lch(${(lch.L).toFixed(1)}% ${lch.C.toFixed(1)} ${lch.h.toFixed(0)}deg)`;
+function parseLightDark(fn, context) {
+  const args = splitArguments(fn);
+  if (args.length < 2) throw componentError(fn, args[args.length - 1].end, '","');
+  if (args.length > 2) throw componentError(fn, args[1].end, '")"');
+  
+  const [light, dark] = args.map(arg => parseColorArgument(fn, arg, context));
+  return context.colorScheme === 'dark' ? dark : light;
 }
 
 /**
- * Format as oklab() notation
+ * Parse contrast-color(): white or black, whichever contrasts more with the
+ * given background. Contrast is the WCAG 2 ratio, or APCA lightness contrast
+ * when the context asks for it; the background is clipped to sRGB first and
+ * white wins ties.
+ * Syntax: contrast-color(<color>)
  * @private
  */
-function formatOklab(color) {
-  const oklab = srgbToOklab(color);
-  return `oklab(${(oklab.L * 100).toFixed(1)}% ${oklab.a.toFixed(3)} ${oklab.b.toFixed(3)})`;
+function parseContrastColor(fn, context) {
+  const args = splitArguments(fn);
+  if (args.length > 1) throw componentError(fn, args[0].end, '")"');
+  
+  const { r, g, b } = cssColorToSrgb(parseColorArgument(fn, args[0], context));
+  const background = { r: clamp(r, 0, 1), g: clamp(g, 0, 1), b: clamp(b, 0, 1) };
+  const white = { r: 1, g: 1, b: 1 };
+  const black = { r: 0, g: 0, b: 0 };
+  
+  let whiteWins;
+  if (context.contrastAlgorithm === 'apca') {
+    whiteWins = Math.abs(calculateApcaContrast(white, background)) >= Math.abs(calculateApcaContrast(black, background));
+  } else {
+    whiteWins = calculateWcagContrast(white, background) >= calculateWcagContrast(black, background);
+  }
+  return srgbToCssColor(whiteWins ? white : black);
 }
 
 /**
- * Format as oklch() notation
+ * Parse a comma-separated argument that must be a single color
  * @private
  */
-function formatOklch(color) {
-  const oklch = srgbToOklch(color);
-  return `oklch(${(oklch.L * 100).toFixed(1)}% ${oklch.C.toFixed(3)} ${oklch.h.toFixed(0)}deg)`;
+function parseColorArgument(fn, { tokens, end }, context) {
+  if (tokens.length === 0) throw componentError(fn, end, 'a color');
+  if (tokens.length > 1) throw componentError(fn, tokens[1], end.value === ',' ? '","' : '")"');
+  return parseCssColor(tokens[0].value, context, tokens[0].offset);
 }
 
+// --- Custom Properties ---
+
 /**
- * Format as color(display-p3) notation
+ * A custom property name: "--" followed by name characters
  * @private
  */
-function formatDisplayP3(color) {
-  const p3 = srgbToDisplayP3(color);
-  return `color(display-p3 ${p3.r.toFixed(4)} ${p3.g.toFixed(4)} ${p3.b.toFixed(4)})`;
-}
+const CUSTOM_PROPERTY_PATTERN = /^--[\w\u0080-\uffff-]*$/;
 
-// --- Utility Parsers ---
+/**
+ * Substitute every `var()` reference in a value with the value of its custom
+ * property, as CSS does before parsing a declaration.
+ * 
+ * Variable values may contain `var()` references themselves. A variable that
+ * refers back to itself (directly or through others) or to an undefined
+ * variable without a fallback is invalid, and a reference to it uses its fallback
+ * (`var(--x, <fallback>)`) when there is one. Names are case-sensitive.
+ * @param {string} value - CSS value text, e.g. 'rgb(var(--r) var(--g) var(--b))'
+ * @param {Object<string, string|number>} [variables={}] - Custom property values
+ *   keyed by name, including the leading "--"
+ * @returns {string} The value with all references substituted
+ * @throws {CssParseError} If a reference is malformed, or refers to an undefined or
+ *   invalid variable and has no fallback; `offset` points at the reference in `value`
+ * @throws {TypeError} If the value is not a string
+ * @example
+ * resolveCssVariables('var(--button-bg)', {
+ *   '--brand': 'oklch(0.6 0.2 250)',
+ *   '--button-bg': 'var(--brand)'
+ * }) // 'oklch(0.6 0.2 250)'
+ * resolveCssVariables('rgb(var(--r) var(--g, 0) 0)', { '--r': 255 }) // 'rgb(255 0 0)'
+ * resolveCssVariables('var(--a)', { '--a': 'var(--b)', '--b': 'var(--a)' })
+ * // CssParseError: Expected a custom property outside the reference cycle --a → --b → --a
+ * //   in var() at offset 4, found "--a"
+ */
+export function resolveCssVariables(value, variables = {}) {
+  if (typeof value !== 'string') {
+    throw new TypeError('Input value must be a string.');
+  }
+  
+  try {
+    return substituteVariables(value, variables, [], 0);
+  } catch (error) {
+    if (error instanceof CssParseError) error.input = value;
+    throw error;
+  }
+}
 
 /**
- * Parse a color value (number or percentage)
+ * Substitute the var() references in `text`, which starts at `base` in the
+ * input. `stack` holds the variables being resolved, to detect cycles.
  * @private
  */
-function parseColorValue(str, max) {
-  if (!str) return null;
-  str = str.trim();
+function substituteVariables(text, variables, stack, base) {
+  const pattern = /var\(/gi;
+  let result = '';
+  let last = 0;
   
-  if (str.endsWith('%')) {
-    const val = parseFloat(str);
-    if (isNaN(val)) return null;
-    return val / 100;
+  for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+    // "var(" inside a longer name (e.g. "somevar(") is not a reference
+    if (match.index > 0 && /[\w-]/.test(text[match.index - 1])) continue;
+    
+    const bodyStart = pattern.lastIndex;
+    const close = findClosingParenthesis(text, bodyStart);
+    if (close === -1) {
+      throw new CssParseError({ functionName: 'var', offset: base + text.length, token: '', expected: '")"' });
+    }
+    
+    const body = text.slice(bodyStart, close);
+    const comma = findTopLevelComma(body);
+    const rawName = comma === -1 ? body : body.slice(0, comma);
+    const name = rawName.trim();
+    const nameOffset = base + bodyStart + rawName.length - rawName.trimStart().length;
+    if (!CUSTOM_PROPERTY_PATTERN.test(name) || name === '--') {
+      throw new CssParseError({ functionName: 'var', offset: nameOffset, token: name, expected: 'a custom property name' });
+    }
+    
+    const resolved = resolveVariable(name, variables, stack);
+    let replacement = resolved.value;
+    if (replacement === undefined) {
+      if (comma === -1) {
+        throw new CssParseError({ functionName: 'var', offset: nameOffset, token: resolved.token, expected: resolved.expected });
+      }
+      const fallback = body.slice(comma + 1);
+      const fallbackOffset = base + bodyStart + comma + 1 + fallback.length - fallback.trimStart().length;
+      replacement = substituteVariables(fallback.trim(), variables, stack, fallbackOffset);
+    }
+    
+    result += text.slice(last, match.index) + replacement;
+    last = close + 1;
+    pattern.lastIndex = close + 1;
   }
   
-  const val = parseFloat(str);
-  if (isNaN(val)) return null;
-  return val / max;
+  return result + text.slice(last);
 }
 
 /**
- * Parse a percentage value
+ * Resolve one custom property. Returns `{ value }`, or the reason it is invalid
+ * as `{ expected, token }` for the error at the reference.
  * @private
  */
-function parsePercentage(str) {
-  if (!str) return null;
-  str = str.trim();
+function resolveVariable(name, variables, stack) {
+  if (stack.includes(name)) {
+    const cycle = [...stack.slice(stack.indexOf(name)), name].join(' → ');
+    return { expected: `a custom property outside the reference cycle ${cycle}`, token: name };
+  }
   
-  if (str.endsWith('%')) {
-    const val = parseFloat(str);
-    if (isNaN(val)) return null;
-    return val / 100;
+  const value = Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined;
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { expected: 'a defined custom property or a fallback', token: name };
   }
   
-  // If no %, assume it's already normalized
-  const val = parseFloat(str);
-  if (isNaN(val)) return null;
-  return val;
+  try {
+    return { value: substituteVariables(String(value).trim(), variables, [...stack, name], 0) };
+  } catch (error) {
+    // Offsets inside another variable's value would not point into the input
+    if (error instanceof CssParseError) return { expected: error.expected, token: error.token };
+    throw error;
+  }
 }
 
 /**
- * Parse an angle value (degrees, radians, gradians, turns)
+ * Find the ")" closing a parenthesis opened just before `start`, or -1
  * @private
  */
-function parseAngle(str) {
-  if (!str) return null;
-  str = str.trim();
-  
-  if (str === 'none') return 0;
+function findClosingParenthesis(text, start) {
+  let depth = 1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Find the first comma outside of nested parentheses, or -1
+ * @private
+ */
+function findTopLevelComma(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')') depth--;
+    else if (text[i] === ',' && depth === 0) return i;
+  }
+  return -1;
+}
+
+// --- Parsed Color Conversion ---
+
+/**
+ * Convert a parsed color to an sRGB object, carrying alpha when present
+ * @private
+ */
+function cssColorToSrgb({ space, coords, alpha }) {
+  const [r, g, b] = convert(coords, space, 'srgb').map(zeroIfMissing);
+  return withAlpha({ r, g, b }, { alpha: alpha === undefined ? alpha : zeroIfMissing(alpha) });
+}
+
+/**
+ * Resolve a missing component (`NaN`, from `none`) to 0, as CSS does
+ * outside of interpolation
+ * @private
+ */
+function zeroIfMissing(value) {
+  return Number.isNaN(value) ? 0 : value;
+}
+
+// --- CSS Color Formatting ---
+
+/**
+ * Formats written with sRGB channels, which the `spec` preset serializes as
+ * legacy rgb() as browsers do for computed values
+ * @private
+ */
+const SRGB_FORMATS = new Set(['hex', 'name', 'rgb', 'hsl', 'hwb']);
+
+/**
+ * Gamuts that {@link gamutMapSrgb} can map into, by the space whose gamut it is
+ * @private
+ */
+const MAPPABLE_GAMUTS = {
+  'srgb': 'srgb',
+  'srgb-linear': 'srgb',
+  'display-p3': 'display-p3'
+};
+
+/**
+ * Named sets of {@link formatCSS} options. Each preset is a function of the
+ * requested format, as a preset may serialize some formats as another.
+ * @private
+ */
+const FORMAT_PRESETS = {
+  // getComputedStyle(): sRGB colors as 8-bit rgb()/rgba(), other spaces in their own notation to 6 significant digits
+  spec: format => (SRGB_FORMATS.has(format)
+    ? { format: 'rgb', legacy: true, gamut: 'clip', precision: 0, percentages: false, alphaPrecision: '8bit' }
+    : { format, percentages: false, hueUnit: '', significantDigits: 6, alphaPrecision: 6 })
+};
+
+/**
+ * Format an sRGB color as CSS string
+ * An `alpha` property below 1 is serialized in every format.
+ * 
+ * A {@link CssColor} (from `parseCSS(str, { preserveSpace: true })`) is also accepted.
+ * Without a format or options it is written back in its own space at full
+ * precision, so parsing and formatting a stylesheet leaves its color values unchanged.
+ * 
+ * Options control how each component is written. Their defaults reproduce the
+ * output shown below; the `'spec'` preset (pass `'spec'` as the options, or
+ * `{ preset: 'spec', ...overrides }`) serializes like `getComputedStyle()`:
+ * sRGB formats become `rgb(r, g, b)` or `rgba(r, g, b, a)` with 8-bit channels,
+ * and other spaces keep their notation with up to 6 significant digits.
+ * @param {SrgbColor|CssColor} color - sRGB color or parsed CSS color
+ * @param {string} [format='hex'] - Output format (defaults to the space of a parsed color)
+ * @param {FormatCSSOptions|string} [options] - Serialization options or a preset name
+ * @returns {string} CSS color string
+ * @throws {Error} If the preset or gamut option is unknown, or gamut mapping
+ *   into the output space is not supported
+ * @example
+ * formatCSS({ r: 1, g: 0, b: 0 }, 'hex') // '#ff0000'
+ * formatCSS({ r: 1, g: 0, b: 0 }, 'rgb') // 'rgb(255 0 0)'
+ * formatCSS({ r: 1, g: 0, b: 0 }, 'hsl') // 'hsl(0deg 100% 50%)'
+ * formatCSS({ r: 1, g: 0.5, b: 0.5 }, 'hwb') // 'hwb(0deg 50% 0%)'
+ * formatCSS({ r: 1, g: 0, b: 0, alpha: 0.5 }, 'rgb') // 'rgb(255 0 0 / 0.5)'
+ * formatCSS({ r: 1, g: 0, b: 0 }, 'rec2020') // 'color(rec2020 0.7920 0.2310 0.0738)'
+ * formatCSS({ r: 1, g: 1, b: 1 }, 'rec2100-pq') // 'color(rec2100-pq 0.5807 0.5807 0.5807)'
+ * formatCSS({ r: 0.4, g: 0.2, b: 0.6 }, 'name') // 'rebeccapurple'
+ * formatCSS({ r: 0.4, g: 0.2, b: 0.61 }, 'name') // '#66339c' (no keyword, falls back to hex)
+ * formatCSS(parseCSS('oklch(62.8% 0.2577 29.23)', { preserveSpace: true }))
+ * // 'oklch(0.628 0.2577 29.23)'
+ * formatCSS({ r: 1, g: 0, b: 0, alpha: 0.5 }, 'rgb', { legacy: true }) // 'rgba(255, 0, 0, 0.5)'
+ * formatCSS({ r: 1, g: 0, b: 0 }, 'oklch', { precision: [2, 4, 1], hueUnit: '' })
+ * // 'oklch(62.80% 0.2577 29.2)'
+ * formatCSS({ r: 1, g: 0, b: 0 }, 'lab', 'spec') // 'lab(54.2917 80.8125 69.8851)'
+ * formatCSS({ r: 0.5, g: 0.25, b: 0.2, alpha: 0.123 }, 'hsl', 'spec') // 'rgba(128, 64, 51, 0.12)'
+ * formatCSS({ r: 1.2, g: 0.5, b: 0 }, 'display-p3', { gamut: 'clip' })
+ * // 'color(display-p3 1.0000 0.5442 0.2250)'
+ */
+export function formatCSS(color, format, options = {}) {
+  const source = isCssColor(color)
+    ? color
+    : { space: 'srgb', coords: [color.r, color.g, color.b], alpha: color.alpha };
   
-  if (str.endsWith('deg')) {
-    const val = parseFloat(str);
-    return isNaN(val) ? null : val;
+  const { preset, ...overrides } = typeof options === 'string' ? { preset: options } : options;
+  if (isCssColor(color) && format === undefined && preset === undefined && Object.keys(overrides).length === 0) {
+    return serializeCssColor(color);
   }
   
-  if (str.endsWith('rad')) {
-    const val = parseFloat(str);
-    return isNaN(val) ? null : val * 180 / Math.PI;
+  if (format === undefined) format = isCssColor(color) ? functionNameOf(source.space) : 'hex';
+  if (!SRGB_FORMATS.has(format) && !FUNCTION_CHANNELS[format] && !isColorFunctionSpace(format)) {
+    format = 'hex';
   }
   
-  if (str.endsWith('grad')) {
-    const val = parseFloat(str);
-    return isNaN(val) ? null : val * 0.9;
+  let settings = { format, ...overrides };
+  if (preset !== undefined) {
+    if (!FORMAT_PRESETS[preset]) throw new Error(`Unknown format preset: ${preset}`);
+    settings = { ...FORMAT_PRESETS[preset](format), ...overrides };
   }
   
-  if (str.endsWith('turn')) {
-    const val = parseFloat(str);
-    return isNaN(val) ? null : val * 360;
+  if (settings.format === 'hex' || settings.format === 'name') {
+    const srgb = cssColorToSrgb(fitToGamut(source, 'srgb', settings));
+    return (settings.format === 'name' && formatName(srgb)) || formatSrgbAsHex(srgb);
   }
   
-  // Default to degrees
-  const val = parseFloat(str);
-  return isNaN(val) ? null : val;
+  const target = FUNCTION_CHANNELS[settings.format] || colorFunctionChannels(resolveCssSpace(settings.format));
+  const fitted = fitToGamut(source, target.space, settings);
+  
+  // Missing components survive only when the color is already in this space
+  const sameSpace = fitted.space === target.space;
+  const coords = convert(fitted.coords, fitted.space, target.space).map(c => (sameSpace ? c : zeroIfMissing(c)));
+  return formatFunction(settings.format, target, coords, fitted.alpha, settings);
 }
 
 /**
- * Parse a Lab axis value (can be percentage or number)
+ * Check whether a value is a parsed {@link CssColor}
  * @private
  */
-function parseLabAxis(str, max) {
-  if (!str) return null;
-  str = str.trim();
+function isCssColor(color) {
+  return color != null && typeof color.space === 'string' && Array.isArray(color.coords);
+}
+
+/**
+ * The format a space is written in by default: its functional notation, or
+ * color() for predefined spaces
+ * @private
+ */
+function functionNameOf(space) {
+  return space === 'srgb' ? 'rgb' : space;
+}
+
+/**
+ * Apply the `gamut` option: clip or map the color into the gamut of the output
+ * space. Spaces without a gamut of their own (Lab, Oklch, XYZ, ...) and hsl()
+ * and hwb() use sRGB. Hex and rgb() are clipped by default; a name only
+ * matches colors that are in gamut without clipping.
+ * @private
+ */
+function fitToGamut(color, space, { format, gamut }) {
+  if (gamut === undefined) gamut = format === 'hex' || format === 'rgb' ? 'clip' : 'none';
+  if (gamut === 'none') return color;
+  if (gamut !== 'clip' && gamut !== 'map') throw new Error(`Unknown gamut option: ${gamut}`);
   
-  if (str.endsWith('%')) {
-    const val = parseFloat(str);
-    if (isNaN(val)) return null;
-    // Percentage maps to [-max, max]
-    return (val / 100) * max;
+  const gamutSpace = getGamutSpace(space);
+  if (gamut === 'clip') {
+    const { ranges } = getColorSpace(gamutSpace);
+    const coords = convert(color.coords, color.space, gamutSpace).map((c, i) => clamp(zeroIfMissing(c), ...ranges[i]));
+    return { space: gamutSpace, coords, alpha: color.alpha };
   }
   
-  const val = parseFloat(str);
-  return isNaN(val) ? null : val;
+  if (!MAPPABLE_GAMUTS[gamutSpace]) {
+    throw new Error(`Gamut mapping to ${gamutSpace} is not supported`);
+  }
+  const [r, g, b] = convert(color.coords, color.space, 'srgb').map(zeroIfMissing);
+  const mapped = gamutMapSrgb({ r, g, b }, MAPPABLE_GAMUTS[gamutSpace]);
+  return { space: 'srgb', coords: [mapped.r, mapped.g, mapped.b], alpha: color.alpha };
 }
 
 /**
- * Convert HSL to sRGB
+ * Write coordinates in a functional notation according to the formatting options
  * @private
  */
-function hslToSrgb(h, s, l) {
-  h = h % 360;
-  if (h < 0) h += 360;
-  h = h / 360;
+function formatFunction(format, { space, legacy: hasLegacySyntax, channels }, coords, alpha, settings) {
+  const { percentages, hueUnit = 'deg', alphaPrecision = 3 } = settings;
+  const legacy = settings.legacy === true && hasLegacySyntax === true;
   
-  if (s === 0) {
-    return { r: l, g: l, b: l };
+  const values = channels.map((channel, i) => {
+    const value = coords[i] * (channel.scale ?? 1);
+    if (Number.isNaN(value)) return legacy ? '0' : 'none';
+    if (channel.hue) return formatComponent(value, channel.precision, i, settings) + hueUnit;
+    
+    // Legacy hsl() only allows percentages for saturation and lightness
+    const percent = (legacy && space === 'hsl') || (percentages ?? channel.percent === true);
+    if (!percent) return formatComponent(value, channel.precision, i, settings);
+    
+    // Percentages of a small reference range need fewer decimals for the same resolution
+    const decimals = Math.max(0, channel.precision - Math.round(Math.log10(100 / channel.reference)));
+    return `${formatComponent(value / channel.reference * 100, decimals, i, settings)}%`;
+  });
+  
+  let alphaText = formatAlpha(alpha, alphaPrecision);
+  if (legacy) {
+    if (alphaText === null) return `${format}(${values.join(', ')})`;
+    if (alphaText === 'none') alphaText = '0';
+    return `${format}a(${values.join(', ')}, ${alphaText})`;
   }
   
-  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-  const p = 2 * l - q;
+  const body = values.join(' ') + (alphaText === null ? '' : ` / ${alphaText}`);
+  return FUNCTION_CHANNELS[format] ? `${format}(${body})` : `color(${space} ${body})`;
+}
+
+/**
+ * Format one component with the `precision` option (decimals, for all
+ * components or per component), else `significantDigits`, else the channel's
+ * default decimals
+ * @private
+ */
+function formatComponent(value, defaultDecimals, index, { precision, significantDigits }) {
+  const decimals = Array.isArray(precision) ? precision[index] : precision;
+  if (decimals !== undefined) return toFixed(value, decimals);
+  if (significantDigits !== undefined) return toSignificant(value, significantDigits);
+  return toFixed(value, defaultDecimals);
+}
+
+/**
+ * Format alpha, or return null for opaque colors and colors without alpha.
+ * `precision` is a number of decimals (trailing zeros dropped) or `'8bit'`,
+ * which rounds to a byte and writes the fewest decimals (2 or 3) that round-trip.
+ * @private
+ */
+function formatAlpha(alpha, precision) {
+  if (Number.isNaN(alpha)) return 'none';
+  if (typeof alpha !== 'number' || alpha >= 1) return null;
   
-  const hueToRgb = (p, q, t) => {
-    if (t < 0) t += 1;
-    if (t > 1) t -= 1;
-    if (t < 1/6) return p + (q - p) * 6 * t;
-    if (t < 1/2) return q;
-    if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-    return p;
-  };
+  const clamped = clamp(alpha, 0, 1);
+  if (precision !== '8bit') return String(+clamped.toFixed(precision));
   
-  return {
-    r: hueToRgb(p, q, h + 1/3),
-    g: hueToRgb(p, q, h),
-    b: hueToRgb(p, q, h - 1/3)
-  };
+  const byte = Math.round(clamped * 255);
+  const short = +(byte / 255).toFixed(2);
+  return String(Math.round(short * 255) === byte ? short : +(byte / 255).toFixed(3));
 }
 
 /**
- * Convert sRGB to HSL
+ * Serialize a parsed color in its own space without rounding
  * @private
  */
-function srgbToHsl(color) {
-  const r = color.r;
-  const g = color.g;
-  const b = color.b;
-  
-  const max = Math.max(r, g, b);
-  const min = Math.min(r, g, b);
-  const l = (max + min) / 2;
+function serializeCssColor({ space, coords, alpha }) {
+  const [c1, c2, c3] = coords.map(formatNumber);
+  const alphaText = formatAlpha(alpha, 3);
+  const suffix = alphaText === null ? '' : ` / ${alphaText}`;
   
-  if (max === min) {
-    return { h: 0, s: 0, l };
+  if (space !== 'srgb' && isColorFunctionSpace(space)) {
+    return `color(${space} ${c1} ${c2} ${c3}${suffix})`;
   }
   
-  const d = max - min;
-  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-  
-  let h;
-  switch (max) {
-    case r:
-      h = ((g - b) / d + (g < b ? 6 : 0)) / 6;
-      break;
-    case g:
-      h = ((b - r) / d + 2) / 6;
-      break;
-    case b:
-      h = ((r - g) / d + 4) / 6;
-      break;
+  switch (space) {
+    case 'srgb':
+      return `rgb(${coords.map(c => formatNumber(c * 255)).join(' ')}${suffix})`;
+    case 'hsl':
+    case 'hwb': {
+      const [c2, c3] = coords.slice(1).map(c => (Number.isNaN(c) ? 'none' : `${formatNumber(c * 100)}%`));
+      return `${space}(${c1} ${c2} ${c3}${suffix})`;
+    }
+    case 'lab':
+    case 'lch':
+    case 'oklab':
+    case 'oklch':
+      return `${space}(${c1} ${c2} ${c3}${suffix})`;
+    default:
+      throw new Error(`Unsupported color space: ${space}`);
   }
+}
+
+/**
+ * Fixed-point formatting that never writes "-0" for values that round to zero
+ * (e.g. the a and b of white after D65 → D50 adaptation)
+ * @private
+ */
+function toFixed(value, digits) {
+  const fixed = value.toFixed(digits);
+  return Number(fixed) === 0 ? (0).toFixed(digits) : fixed;
+}
+
+/**
+ * Format a number without floating point noise (12 significant digits).
+ * Missing components are written as `none`.
+ * @private
+ */
+function formatNumber(value) {
+  if (Number.isNaN(value)) return 'none';
+  return String(+value.toPrecision(12));
+}
+
+/**
+ * Round to significant digits, writing values too small for that precision as 0
+ * rather than in exponent notation
+ * @private
+ */
+function toSignificant(value, digits) {
+  const rounded = +value.toPrecision(digits);
+  return Math.abs(rounded) < 10 ** -digits ? '0' : String(rounded);
+}
+
+/**
+ * Find the named color keyword for an sRGB color. Only in-gamut colors whose
+ * 8-bit value equals a named color match; `transparent` is returned for fully
+ * transparent black, and other translucent colors have no keyword.
+ * @private
+ */
+function formatName(color) {
+  const alpha = typeof color.alpha === 'number' ? color.alpha : 1;
+  const bytes = [color.r, color.g, color.b].map(c => Math.round(c * 255));
+  if (bytes.some(byte => byte < 0 || byte > 255)) return null;
   
-  return { h: h * 360, s, l };
+  if (alpha <= 0 && bytes.every(byte => byte === 0)) return 'transparent';
+  if (alpha < 1) return null;
+  return findCssColorName(bytes);
+}
+
+// --- Utility Parsers ---
+
+/**
+ * A percentage: a number (optional sign, fraction and exponent) followed by "%"
+ * @private
+ */
+const PERCENTAGE_PATTERN = /^[+-]?(?:\d*\.)?\d+(?:e[+-]?\d+)?%$/;
+
+/**
+ * Parse a literal percentage such as a color-mix() weight, in 0-100.
+ * Anything else, including trailing characters, is rejected with null.
+ * @private
+ */
+function parsePercentage(str) {
+  return PERCENTAGE_PATTERN.test(str) ? parseFloat(str) : null;
 }
 
 /**
- * Parse CSS named colors
+ * Parse CSS named colors, including `transparent` (black with zero alpha)
  * @private
  */
 function parseNamedColor(name) {
-  // CSS Level 1 colors
-  const colors = {
-    'black': { r: 0, g: 0, b: 0 },
-    'silver': { r: 0.75, g: 0.75, b: 0.75 },
-    'gray': { r: 0.5, g: 0.5, b: 0.5 },
-    'white': { r: 1, g: 1, b: 1 },
-    'maroon': { r: 0.5, g: 0, b: 0 },
-    'red': { r: 1, g: 0, b: 0 },
-    'purple': { r: 0.5, g: 0, b: 0.5 },
-    'fuchsia': { r: 1, g: 0, b: 1 },
-    'green': { r: 0, g: 0.5, b: 0 },
-    'lime': { r: 0, g: 1, b: 0 },
-    'olive': { r: 0.5, g: 0.5, b: 0 },
-    'yellow': { r: 1, g: 1, b: 0 },
-    'navy': { r: 0, g: 0, b: 0.5 },
-    'blue': { r: 0, g: 0, b: 1 },
-    'teal': { r: 0, g: 0.5, b: 0.5 },
-    'aqua': { r: 0, g: 1, b: 1 },
-    'transparent': { r: 0, g: 0, b: 0 },
-    // Add more as needed
-  };
+  if (name === 'transparent') return { r: 0, g: 0, b: 0, alpha: 0 };
   
-  return colors[name] || null;
-}
\ No newline at end of file
+  if (!Object.prototype.hasOwnProperty.call(CSS_NAMED_COLORS, name)) return null;
+  const [r, g, b] = CSS_NAMED_COLORS[name];
+  return { r: r / 255, g: g / 255, b: b / 255 };
+}
+
+/**
+ * Resolve `currentcolor` or a system color keyword from the caller's context.
+ * String values are parsed without the keyword being resolved, so a
+ * context cannot refer back to itself.
+ * @private
+ */
+function parseContextColor(keyword, context, offset) {
+  let value;
+  let valueContext;
+  
+  if (keyword === 'currentcolor') {
+    value = context.currentColor;
+    valueContext = { ...context, currentColor: undefined };
+  } else {
+    const systemColors = context.systemColors || {};
+    const key = Object.keys(systemColors).find(k => k.toLowerCase() === keyword);
+    value = key === undefined ? undefined : systemColors[key];
+    valueContext = { ...context, systemColors: undefined };
+  }
+  
+  if (isCssColor(value)) return { space: value.space, coords: [...value.coords], alpha: value.alpha };
+  if (value && typeof value.r === 'number') return srgbToCssColor(value);
+  
+  const expected = `a valid color for ${keyword} in the parse context`;
+  if (typeof value !== 'string') throw new CssParseError({ offset, token: keyword, expected });
+  
+  try {
+    return parseCssColor(substituteVariables(value, context.variables || {}, [], 0), valueContext);
+  } catch (error) {
+    // Offsets in the context value would not point into the input
+    if (error instanceof CssParseError) throw new CssParseError({ offset, token: keyword, expected });
+    throw error;
+  }
+}
@@ -0,0 +1,581 @@
+/**
+ * @module css-color-spaces
+ * @description Registry of color spaces and coordinate conversions between them.
+ * Every space converts to and from a base space, and all of them lead to CIE XYZ
+ * (D65, Y=1 for white), which acts as a lossless hub: nothing in this module
+ * clips or gamut-maps. The spaces that CSS can express are built in; others can
+ * be added with {@link registerColorSpace} and then work everywhere a space name
+ * is accepted (`convert`, `color()` in `parseCSS`, `formatCSS`, `isInGamut`, `Color`).
+ * 
+ * Coordinates are plain 3-element arrays in the same units as this library's
+ * color objects (e.g. Lab L in 0-100, Oklab L in 0-1, HSL s and l in 0-1).
+ * As in CSS, `lab` and `lch` use a D50 reference white. Where a space and its
+ * base have different white points, XYZ is adapted between them with Bradford.
+ * 
+ * This module backs `parseCSS`, `convertCssColor`, `colorMix` and `Color`.
+ * 
+ * @see {@link https://www.w3.org/TR/css-color-4/#predefined}
+ */
+
+import { srgbToLinearSrgb, linearSrgbToSrgb, linearSrgbToXyz, xyzToLinearSrgb } from './srgb.js';
+import { xyzToLab, labToXyz, labToLch, lchToLab } from './cielab.js';
+import { xyzToOklab, oklabToXyz, oklabToOklch, oklchToOklab } from './oklab.js';
+import {
+  displayP3ToLinearDisplayP3,
+  linearDisplayP3ToDisplayP3,
+  linearDisplayP3ToXyz,
+  xyzToLinearDisplayP3
+} from './display-p3.js';
+import { rec2020ToLinearRec2020, linearRec2020ToRec2020, linearRec2020ToXyz, xyzToLinearRec2020 } from './rec2020.js';
+import { a98RgbToLinearA98Rgb, linearA98RgbToA98Rgb, linearA98RgbToXyz, xyzToLinearA98Rgb } from './a98-rgb.js';
+import {
+  proPhotoRgbToLinearProPhotoRgb,
+  linearProPhotoRgbToProPhotoRgb,
+  linearProPhotoRgbToXyzD50,
+  xyzD50ToLinearProPhotoRgb
+} from './prophoto-rgb.js';
+import {
+  rec2100PqToLinearRec2100,
+  linearRec2100ToRec2100Pq,
+  rec2100HlgToLinearRec2100,
+  linearRec2100ToRec2100Hlg,
+  linearRec2100ToXyz,
+  xyzToLinearRec2100,
+  REC2100_LINEAR_MAX
+} from './rec2100-core.js';
+import { chromaticAdaptation, ILLUMINANTS } from './chromatic-adaptation.js';
+import { srgbToHsl, hslToSrgb } from './hsl.js';
+import { srgbToHwb, hwbToSrgb } from './hwb.js';
+import { D50_WHITE_POINT_XYZ } from './utils.js';
+
+// --- Space Table ---
+
+const rgb = ({ r, g, b }) => [r, g, b];
+const xyz = ({ X, Y, Z }) => [X, Y, Z];
+const lab = ({ L, a, b }) => [L, a, b];
+const lch = ({ L, C, h }) => [L, C, h];
+
+/**
+ * Analogous component categories, used to carry missing components across
+ * spaces during interpolation (CSS Color 4 §12.2). `null` has no analog.
+ * @private
+ */
+const RGB_COMPONENTS = Object.freeze(['red', 'green', 'blue']);
+const LAB_COMPONENTS = Object.freeze(['lightness', 'opponent-a', 'opponent-b']);
+const LCH_COMPONENTS = Object.freeze(['lightness', 'colorfulness', 'hue']);
+
+/**
+ * Largest difference in xy chromaticity between white points treated as the same
+ * @private
+ */
+const WHITE_POINT_TOLERANCE = 0.0002;
+
+/**
+ * Coordinate ranges of the RGB spaces: their gamut
+ * @private
+ */
+const UNIT_RANGES = Object.freeze([[0, 1], [0, 1], [0, 1]].map(Object.freeze));
+
+/**
+ * A color space, as passed to {@link registerColorSpace}
+ * @typedef {object} ColorSpaceDefinition
+ * @property {string} base - Space this one converts to and from
+ * @property {function(number[]): number[]} [toBase] - Coordinates to base coordinates.
+ *   Omit both functions for an XYZ space with another white point than its base
+ * @property {function(number[]): number[]} [fromBase] - Base coordinates to coordinates
+ * @property {string|WhitePoint} [whitePoint] - Illuminant name ('D65', 'D50', ...) or
+ *   XYZ of the reference white; defaults to the base space's. When it differs from
+ *   the base's, the base must be an XYZ space and conversions adapt with Bradford
+ * @property {Array<[number, number]>} [ranges] - Range of each coordinate for spaces
+ *   with a gamut (RGB spaces); omit for unbounded spaces such as Lab
+ * @property {string[]} [channels=['r', 'g', 'b']] - Channel names, as in `color.get('space.r')`
+ *   and relative `color()` syntax
+ * @property {number} [hue] - Index of the hue coordinate of a cylindrical space
+ * @property {function(number[]): boolean} [powerless] - Whether a color is achromatic,
+ *   making its hue missing after conversion
+ * @property {Array<string|null>} [components] - Analogous component category of each
+ *   coordinate ('red', 'lightness', 'hue', ...), for carrying missing components in interpolation
+ * @property {string[]} [aliases] - Other names of the space
+ */
+
+/**
+ * Spaces by canonical name. Each space converts to and from a `base` space,
+ * forming a graph rooted at XYZ (D65) that {@link convert} searches for the
+ * shortest path, so e.g. HSL ↔ HWB goes through sRGB only, never through XYZ.
+ * `toBase`/`fromBase` take and return coordinate arrays; `xyz` marks XYZ spaces,
+ * between which white points can be adapted. `colorFunction` marks the spaces
+ * written with color().
+ * @private
+ */
+const SPACES = new Map();
+
+/**
+ * Alternative names accepted for spaces in the table
+ * @private
+ */
+const ALIASES = new Map();
+
+/**
+ * Conversion paths already found, keyed by source and target space
+ * @private
+ */
+const PATHS = new Map();
+
+/**
+ * Add a space to the table
+ * @private
+ */
+function defineSpace(name, definition, colorFunction = true) {
+  const { base, toBase, fromBase, ranges, hue, powerless, aliases = [] } = definition;
+  const baseSpace = SPACES.get(base);
+  const whitePoint = definition.whitePoint === undefined ? baseSpace.whitePoint : resolveWhitePoint(definition.whitePoint);
+  const channels = Object.freeze([...(definition.channels || ['r', 'g', 'b'])]);
+  const components = definition.components
+    || Object.freeze(channels.map((_, i) => (i === hue ? 'hue' : null)));
+  
+  if (baseSpace && !baseSpace.xyz && !isSameWhite(whitePoint, baseSpace.whitePoint)) {
+    throw new Error(`Color space ${name} has another white point than its base ${base}, which is not an XYZ space`);
+  }
+  
+  SPACES.set(name, {
+    name,
+    base,
+    toBase,
+    fromBase,
+    whitePoint,
+    ranges: ranges && Object.freeze(ranges.map(range => Object.freeze([...range]))),
+    channels,
+    components,
+    hue,
+    powerless,
+    xyz: !base || (!toBase && baseSpace.xyz),
+    colorFunction
+  });
+  for (const alias of aliases) ALIASES.set(alias, name);
+  PATHS.clear();
+}
+
+defineSpace('xyz-d65', {
+  whitePoint: 'D65',
+  channels: ['x', 'y', 'z'],
+  components: RGB_COMPONENTS,
+  aliases: ['xyz']
+});
+defineSpace('xyz-d50', {
+  base: 'xyz-d65',
+  whitePoint: 'D50',
+  channels: ['x', 'y', 'z'],
+  components: RGB_COMPONENTS
+});
+defineSpace('srgb-linear', {
+  base: 'xyz-d65',
+  ranges: UNIT_RANGES,
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => xyz(linearSrgbToXyz({ r, g, b })),
+  fromBase: ([X, Y, Z]) => rgb(xyzToLinearSrgb({ X, Y, Z }))
+});
+defineSpace('srgb', {
+  base: 'srgb-linear',
+  ranges: UNIT_RANGES,
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => rgb(srgbToLinearSrgb({ r, g, b })),
+  fromBase: ([r, g, b]) => rgb(linearSrgbToSrgb({ r, g, b }))
+});
+defineSpace('hsl', {
+  base: 'srgb',
+  channels: ['h', 's', 'l'],
+  components: ['hue', 'colorfulness', 'lightness'],
+  hue: 0,
+  powerless: ([, s]) => Math.abs(s) < 1e-6,
+  toBase: ([h, s, l]) => rgb(hslToSrgb({ h, s, l })),
+  fromBase: ([r, g, b]) => {
+    const hsl = srgbToHsl({ r, g, b });
+    return [hsl.h, hsl.s, hsl.l];
+  }
+}, false);
+defineSpace('hwb', {
+  base: 'srgb',
+  channels: ['h', 'w', 'b'],
+  components: ['hue', null, null],
+  hue: 0,
+  powerless: ([, w, bl]) => w + bl >= 1 - 1e-6,
+  toBase: ([h, w, b]) => rgb(hwbToSrgb({ h, w, b })),
+  fromBase: ([r, g, b]) => {
+    const hwb = srgbToHwb({ r, g, b });
+    return [hwb.h, hwb.w, hwb.b];
+  }
+}, false);
+defineSpace('display-p3', {
+  base: 'xyz-d65',
+  ranges: UNIT_RANGES,
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => xyz(linearDisplayP3ToXyz(displayP3ToLinearDisplayP3({ r, g, b }))),
+  fromBase: ([X, Y, Z]) => rgb(linearDisplayP3ToDisplayP3(xyzToLinearDisplayP3({ X, Y, Z })))
+});
+defineSpace('a98-rgb', {
+  base: 'xyz-d65',
+  ranges: UNIT_RANGES,
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => xyz(linearA98RgbToXyz(a98RgbToLinearA98Rgb({ r, g, b }))),
+  fromBase: ([X, Y, Z]) => rgb(linearA98RgbToA98Rgb(xyzToLinearA98Rgb({ X, Y, Z })))
+});
+defineSpace('prophoto-rgb', {
+  base: 'xyz-d50',
+  ranges: UNIT_RANGES,
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => xyz(linearProPhotoRgbToXyzD50(proPhotoRgbToLinearProPhotoRgb({ r, g, b }))),
+  fromBase: ([X, Y, Z]) => rgb(linearProPhotoRgbToProPhotoRgb(xyzD50ToLinearProPhotoRgb({ X, Y, Z })))
+});
+defineSpace('rec2020', {
+  base: 'xyz-d65',
+  ranges: UNIT_RANGES,
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => xyz(linearRec2020ToXyz(rec2020ToLinearRec2020({ r, g, b }))),
+  fromBase: ([X, Y, Z]) => rgb(linearRec2020ToRec2020(xyzToLinearRec2020({ X, Y, Z })))
+});
+// Rec. 2100 HDR spaces (CSS Color HDR): linear 1 is the 203 cd/m² reference white
+defineSpace('rec2100-linear', {
+  base: 'xyz-d65',
+  ranges: [[0, REC2100_LINEAR_MAX], [0, REC2100_LINEAR_MAX], [0, REC2100_LINEAR_MAX]],
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => xyz(linearRec2100ToXyz({ r, g, b })),
+  fromBase: ([X, Y, Z]) => rgb(xyzToLinearRec2100({ X, Y, Z }))
+});
+defineSpace('rec2100-pq', {
+  base: 'rec2100-linear',
+  ranges: UNIT_RANGES,
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => rgb(rec2100PqToLinearRec2100({ r, g, b })),
+  fromBase: ([r, g, b]) => rgb(linearRec2100ToRec2100Pq({ r, g, b }))
+});
+defineSpace('rec2100-hlg', {
+  base: 'rec2100-linear',
+  ranges: UNIT_RANGES,
+  components: RGB_COMPONENTS,
+  toBase: ([r, g, b]) => rgb(rec2100HlgToLinearRec2100({ r, g, b })),
+  fromBase: ([r, g, b]) => rgb(linearRec2100ToRec2100Hlg({ r, g, b }))
+});
+defineSpace('lab', {
+  // CSS Lab is relative to D50, unlike the library default of D65
+  base: 'xyz-d50',
+  channels: ['l', 'a', 'b'],
+  components: LAB_COMPONENTS,
+  toBase: ([L, a, b]) => xyz(labToXyz({ L, a, b }, D50_WHITE_POINT_XYZ)),
+  fromBase: ([X, Y, Z]) => lab(xyzToLab({ X, Y, Z }, D50_WHITE_POINT_XYZ))
+}, false);
+defineSpace('lch', {
+  base: 'lab',
+  channels: ['l', 'c', 'h'],
+  components: LCH_COMPONENTS,
+  hue: 2,
+  powerless: ([, C]) => C < 0.0015,
+  toBase: ([L, C, h]) => lab(lchToLab({ L, C, h })),
+  fromBase: ([L, a, b]) => lch(labToLch({ L, a, b }))
+}, false);
+defineSpace('oklab', {
+  base: 'xyz-d65',
+  channels: ['l', 'a', 'b'],
+  components: LAB_COMPONENTS,
+  toBase: ([L, a, b]) => xyz(oklabToXyz({ L, a, b })),
+  fromBase: ([X, Y, Z]) => lab(xyzToOklab({ X, Y, Z }))
+}, false);
+defineSpace('oklch', {
+  base: 'oklab',
+  channels: ['l', 'c', 'h'],
+  components: LCH_COMPONENTS,
+  hue: 2,
+  // CSS uses 0.000004; a little more absorbs the rounding of the sRGB matrices
+  powerless: ([, C]) => C < 0.0002,
+  toBase: ([L, C, h]) => lab(oklchToOklab({ L, C, h })),
+  fromBase: ([L, a, b]) => lch(oklabToOklch({ L, a, b }))
+}, false);
+
+// --- Public API ---
+
+/**
+ * Register a color space. The space can then be converted to and from every
+ * other space with {@link convert}, parsed and formatted as `color(name ...)`,
+ * checked with `isInGamut` (if it has `ranges`) and used by `Color`.
+ * @param {string} name - Space name, e.g. 'acme-rgb'
+ * @param {ColorSpaceDefinition} definition - Base space, conversions and metadata
+ * @returns {Readonly<ColorSpaceInfo>} The registered space
+ * @throws {TypeError} If the definition is incomplete
+ * @throws {Error} If the name is taken, the base is unknown, or the white point
+ *   differs from the base's and the base is not an XYZ space
+ * @example
+ * // A D50 RGB space defined against XYZ (D65), adapted automatically
+ * registerColorSpace('acme-rgb', {
+ *   base: 'xyz-d65',
+ *   whitePoint: 'D50',
+ *   ranges: [[0, 1], [0, 1], [0, 1]],
+ *   toBase: rgb => multiplyMatrixVector(ACME_TO_XYZ_D50, rgb),
+ *   fromBase: xyz => multiplyMatrixVector(XYZ_D50_TO_ACME, xyz)
+ * });
+ * convert([1, 0, 0], 'acme-rgb', 'oklch');
+ */
+export function registerColorSpace(name, definition) {
+  if (definition == null || typeof definition.base !== 'string') {
+    throw new TypeError(`Color space ${name} needs a base space.`);
+  }
+  const { base, toBase, fromBase, ranges, channels, aliases = [] } = definition;
+  for (const spaceName of [name, ...aliases]) {
+    // Lowercase CSS identifiers, as space names are matched after lowercasing
+    if (typeof spaceName !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(spaceName)) {
+      throw new TypeError(`Invalid color space name: ${spaceName}`);
+    }
+    if (resolveCssSpace(spaceName)) throw new Error(`Color space already registered: ${spaceName}`);
+  }
+  if (!SPACES.has(base)) throw new Error(`Unknown base color space: ${base}`);
+  if (typeof toBase !== typeof fromBase || (toBase !== undefined && typeof toBase !== 'function')) {
+    throw new TypeError(`Color space ${name} needs both toBase and fromBase functions, or neither.`);
+  }
+  if (!toBase && !SPACES.get(base).xyz) {
+    throw new TypeError(`Color space ${name} needs toBase and fromBase, as ${base} is not an XYZ space.`);
+  }
+  if (ranges !== undefined && !isTriple(ranges, range => Array.isArray(range) && range.length === 2)) {
+    throw new TypeError(`Ranges of color space ${name} must be three [min, max] pairs.`);
+  }
+  if (channels !== undefined && !isTriple(channels, channel => typeof channel === 'string')) {
+    throw new TypeError(`Channels of color space ${name} must be three names.`);
+  }
+  
+  defineSpace(name, { ...definition, channels: channels?.map(channel => channel.toLowerCase()) });
+  return getColorSpace(name);
+}
+
+/**
+ * A registered color space
+ * @typedef {object} ColorSpaceInfo
+ * @property {string} name - Canonical name
+ * @property {string|null} base - Base space (null for XYZ D65, the root)
+ * @property {WhitePoint} whitePoint - XYZ of the reference white (Y = 100)
+ * @property {ReadonlyArray<[number, number]>|null} ranges - Gamut of each coordinate, or null if unbounded
+ * @property {ReadonlyArray<string>} channels - Channel names
+ * @property {number} hue - Index of the hue coordinate, or -1
+ */
+
+/**
+ * Look up a color space by name or alias.
+ * @param {string} space - Color space name
+ * @returns {Readonly<ColorSpaceInfo>|null} The space, or null if it is not registered
+ * @example
+ * getColorSpace('xyz').name // 'xyz-d65'
+ * getColorSpace('prophoto-rgb').whitePoint // { X: 96.422, Y: 100, Z: 82.521 }
+ * getColorSpace('oklch').channels // ['l', 'c', 'h']
+ */
+export function getColorSpace(space) {
+  const name = resolveCssSpace(space);
+  if (!name) return null;
+  const { base, whitePoint, ranges, channels, hue } = SPACES.get(name);
+  return Object.freeze({ name, base: base ?? null, whitePoint, ranges: ranges ?? null, channels, hue: hue ?? -1 });
+}
+
+/**
+ * Resolve a space name (including aliases such as 'xyz') to its canonical name.
+ * @param {string} space - Color space name
+ * @returns {string|null} Canonical name, or null if the space is not supported
+ * @example
+ * resolveCssSpace('xyz') // 'xyz-d65'
+ * resolveCssSpace('cmyk') // null
+ */
+export function resolveCssSpace(space) {
+  const name = ALIASES.get(space) || space;
+  return SPACES.has(name) ? name : null;
+}
+
+/**
+ * Whether a space is written with color(), like the CSS predefined spaces and
+ * every registered space, rather than with a function of its own (lab(), hsl(), ...).
+ * @param {string} space - Color space name
+ * @returns {boolean} True for color() spaces
+ */
+export function isColorFunctionSpace(space) {
+  const name = resolveCssSpace(space);
+  return name !== null && SPACES.get(name).colorFunction;
+}
+
+/**
+ * The space whose gamut applies to a space: the space itself if it has coordinate
+ * ranges, else its nearest base that has them (sRGB for HSL and HWB), else sRGB.
+ * @param {string} space - Canonical color space name
+ * @returns {string} Canonical name of a space with ranges
+ */
+export function getGamutSpace(space) {
+  const bounded = getAncestry(space).find(name => SPACES.get(name).ranges);
+  return bounded || 'srgb';
+}
+
+/**
+ * Index of the hue coordinate of a cylindrical space.
+ * @param {string} space - Canonical color space name
+ * @returns {number} Index of the hue coordinate, or -1 for rectangular spaces
+ */
+export function getHueIndex(space) {
+  const entry = SPACES.get(space);
+  return entry && entry.hue !== undefined ? entry.hue : -1;
+}
+
+/**
+ * Analogous component category of each coordinate of a space
+ * ('red', 'lightness', 'hue', ...), or null where a coordinate has no analog.
+ * @param {string} space - Canonical color space name
+ * @returns {ReadonlyArray<string|null>} One category per coordinate
+ */
+export function getAnalogousComponents(space) {
+  return SPACES.get(space).components;
+}
+
+/**
+ * Convert coordinates between two registered spaces, along the shortest path
+ * between them through their base spaces. Where consecutive spaces have
+ * different white points, XYZ is adapted with Bradford.
+ * 
+ * Missing components (`NaN`, from the CSS `none` keyword) are kept when both
+ * spaces are the same and treated as 0 otherwise. When converting into a
+ * cylindrical space, the hue of an achromatic color is powerless and is
+ * returned as `NaN`.
+ * @param {number[]} coords - Source coordinates
+ * @param {string} fromSpace - Source space name
+ * @param {string} toSpace - Target space name
+ * @returns {number[]} Target coordinates (a new array)
+ * @throws {Error} If either space is not supported
+ * @example
+ * convert([1, 0, 0], 'srgb', 'oklch') // [0.628, 0.2577, 29.23]
+ * convert([0.5, 0.5, 0.5], 'prophoto-rgb', 'display-p3')
+ */
+export function convert(coords, fromSpace, toSpace) {
+  const from = resolveCssSpace(fromSpace);
+  const to = resolveCssSpace(toSpace);
+  if (!from) throw new Error(`Unsupported color space: ${fromSpace}`);
+  if (!to) throw new Error(`Unsupported color space: ${toSpace}`);
+  
+  if (from === to) return [...coords];
+  
+  let current = coords.map(c => (Number.isNaN(c) ? 0 : c));
+  for (const step of findPath(from, to)) current = step(current);
+  
+  const { hue, powerless } = SPACES.get(to);
+  if (powerless && powerless(current)) current[hue] = NaN;
+  
+  return current;
+}
+
+// --- Internal Helpers ---
+
+/**
+ * Accept an illuminant name or XYZ white point, scaled to Y = 100
+ * @private
+ */
+function resolveWhitePoint(whitePoint) {
+  const white = typeof whitePoint === 'string' ? ILLUMINANTS[whitePoint] : whitePoint;
+  if (!white || ![white.X, white.Y, white.Z].every(Number.isFinite) || white.Y <= 0) {
+    throw new Error(`Unknown white point: ${typeof whitePoint === 'string' ? whitePoint : JSON.stringify(whitePoint)}`);
+  }
+  if (white.Y === 100) return Object.freeze({ X: white.X, Y: white.Y, Z: white.Z });
+  return Object.freeze({ X: white.X * 100 / white.Y, Y: 100, Z: white.Z * 100 / white.Y });
+}
+
+/**
+ * Whether two white points have the same chromaticity. Published white points
+ * are rounded differently (D65 as xy 0.3127, 0.3290 or as XYZ 95.047, 100,
+ * 108.883), so they are compared with a tolerance.
+ * @private
+ */
+function isSameWhite(white1, white2) {
+  const sum1 = white1.X + white1.Y + white1.Z;
+  const sum2 = white2.X + white2.Y + white2.Z;
+  return Math.abs(white1.X / sum1 - white2.X / sum2) < WHITE_POINT_TOLERANCE
+    && Math.abs(white1.Y / sum1 - white2.Y / sum2) < WHITE_POINT_TOLERANCE;
+}
+
+/**
+ * Check for a three-element array whose elements pass a test
+ * @private
+ */
+function isTriple(value, test) {
+  return Array.isArray(value) && value.length === 3 && value.every(test);
+}
+
+/**
+ * List a space followed by each of its base spaces up to XYZ (D65)
+ * @private
+ */
+function getAncestry(space) {
+  const chain = [space];
+  while (SPACES.get(chain[chain.length - 1]).base) {
+    chain.push(SPACES.get(chain[chain.length - 1]).base);
+  }
+  return chain;
+}
+
+/**
+ * Conversion steps along the shortest path between two spaces, found by a
+ * breadth-first search of the graph of spaces and their bases (and cached)
+ * @private
+ */
+function findPath(from, to) {
+  const key = `${from}>${to}`;
+  if (PATHS.has(key)) return PATHS.get(key);
+  
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0 && !previous.has(to)) {
+    const space = queue.shift();
+    for (const neighbor of getNeighbors(space)) {
+      if (previous.has(neighbor)) continue;
+      previous.set(neighbor, space);
+      queue.push(neighbor);
+    }
+  }
+  
+  const steps = [];
+  for (let space = to; previous.get(space) !== null; space = previous.get(space)) {
+    const source = previous.get(space);
+    steps.unshift(SPACES.get(source).base === space ? toBaseStep(source) : fromBaseStep(space));
+  }
+  PATHS.set(key, steps);
+  return steps;
+}
+
+/**
+ * Spaces one conversion away from a space: its base and the spaces based on it
+ * @private
+ */
+function getNeighbors(space) {
+  const neighbors = [];
+  for (const entry of SPACES.values()) {
+    if (entry.base === space) neighbors.push(entry.name);
+  }
+  const { base } = SPACES.get(space);
+  return base ? [base, ...neighbors] : neighbors;
+}
+
+/**
+ * Conversion from a space to its base, adapting the white point if needed
+ * @private
+ */
+function toBaseStep(space) {
+  const { toBase = coords => [...coords], whitePoint, base } = SPACES.get(space);
+  const baseWhite = SPACES.get(base).whitePoint;
+  if (isSameWhite(whitePoint, baseWhite)) return toBase;
+  return coords => adapt(toBase(coords), whitePoint, baseWhite);
+}
+
+/**
+ * Conversion from a space's base to the space, adapting the white point if needed
+ * @private
+ */
+function fromBaseStep(space) {
+  const { fromBase = coords => [...coords], whitePoint, base } = SPACES.get(space);
+  const baseWhite = SPACES.get(base).whitePoint;
+  if (isSameWhite(whitePoint, baseWhite)) return fromBase;
+  return coords => fromBase(adapt(coords, baseWhite, whitePoint));
+}
+
+/**
+ * Bradford adaptation of XYZ coordinates between two white points
+ * @private
+ */
+function adapt([X, Y, Z], sourceWhite, destWhite) {
+  return xyz(chromaticAdaptation({ X, Y, Z }, sourceWhite, destWhite));
+}
@@ -0,0 +1,161 @@
+/**
+ * @module css-gamut-fallback
+ * @description Generate CSS that serves wide-gamut colors to displays that can
+ * show them, with gamut-mapped fallbacks for everything else.
+ *
+ * Each color gets the narrowest of three tiers that holds it: sRGB, Display P3
+ * or Rec. 2020. Every rule starts with an sRGB fallback mapped with
+ * {@link gamutMapSrgb}; colors beyond sRGB are then repeated inside
+ * `@supports (color: color(display-p3 0 0 0))` and/or `@media (color-gamut: p3)`,
+ * and Rec. 2020 colors once more for `rec2020`, with a P3-mapped value in between.
+ *
+ * @see {@link https://www.w3.org/TR/mediaqueries-4/#color-gamut}
+ */
+
+import { formatCSS, convertCssColor, toCssColor } from './css-color-parser.js';
+import { gamutMapSrgb } from './gamut-mapping.js';
+import { withAlpha } from './utils.js';
+
+/**
+ * Wide-gamut tiers, narrowest first, with the queries that select them
+ * @private
+ */
+const WIDE_GAMUT_TIERS = [
+  { space: 'display-p3', supports: '(color: color(display-p3 0 0 0))', media: '(color-gamut: p3)' },
+  { space: 'rec2020', supports: '(color: color(rec2020 0 0 0))', media: '(color-gamut: rec2020)' }
+];
+
+/**
+ * Tolerance for gamut membership, so that values a conversion puts a rounding
+ * error outside [0, 1] still count as inside
+ * @private
+ */
+const GAMUT_EPSILON = 0.00001;
+
+/**
+ * Compute the values of a color for each gamut tier.
+ * `srgb` is always present and gamut mapped. `display-p3` and `rec2020` are only
+ * present when the color needs them: a Display P3 color has `srgb` and
+ * `display-p3`; a Rec. 2020 color outside P3 has all three, its `display-p3`
+ * value mapped into P3. A color beyond Rec. 2020 (e.g. from ProPhoto RGB) also
+ * has its `rec2020` value mapped into Rec. 2020.
+ * @param {string|SrgbColor|CssColor} color - CSS color string, unclipped sRGB object or parsed color
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.fallbackFormat='rgb'] - {@link formatCSS} format of the sRGB fallback
+ * @returns {{srgb: string, 'display-p3'?: string, rec2020?: string}} CSS values per tier
+ * @throws {TypeError} If the color cannot be parsed
+ * @example
+ * getWideGamutFallbacks('color(display-p3 1 0 0)')
+ * // { srgb: 'rgb(251 83 67)', 'display-p3': 'color(display-p3 1.0000 0.0000 0.0000)' }
+ * getWideGamutFallbacks('#ff0000') // { srgb: 'rgb(255 0 0)' }
+ */
+export function getWideGamutFallbacks(color, options = {}) {
+  const { fallbackFormat = 'rgb' } = options;
+  const cssColor = toCssColor(color);
+  const srgb = convertCssColor(cssColor, 'srgb');
+  const [r, g, b] = srgb.coords;
+  const alpha = { alpha: cssColor.alpha };
+
+  const values = {
+    srgb: formatCSS(withAlpha(gamutMapSrgb({ r, g, b }), alpha), fallbackFormat)
+  };
+  if (isInRgbGamut(srgb)) return values;
+
+  for (const { space } of WIDE_GAMUT_TIERS) {
+    if (isInRgbGamut(convertCssColor(cssColor, space))) {
+      values[space] = formatCSS(withAlpha({ r, g, b }, alpha), space);
+      return values;
+    }
+    // Too wide for this tier: map it in for displays that stop here
+    values[space] = formatCSS(withAlpha(gamutMapSrgb({ r, g, b }, space), alpha), space);
+  }
+  return values;
+}
+
+/**
+ * Generate a CSS block that sets wide-gamut colors with fallbacks.
+ * The rule for `selector` holds every declaration with its sRGB fallback, and
+ * conditional rules override only the declarations that need a wider gamut.
+ * Works the same for ordinary properties and for custom properties.
+ * @param {string} selector - Selector of the rule, e.g. '.button' or ':root'
+ * @param {Object<string, string|SrgbColor|CssColor>} declarations - Colors keyed by property
+ * @param {object} [options] - Output options
+ * @param {'supports'|'media'|'both'} [options.query='supports'] - Guard wide-gamut values
+ *   with `@supports (color: color(...))`, with `@media (color-gamut: ...)`, or with both
+ * @param {string} [options.fallbackFormat='rgb'] - {@link formatCSS} format of the sRGB fallbacks
+ * @param {string} [options.indent='  '] - Indentation unit
+ * @returns {string} The CSS text
+ * @throws {TypeError} If a color cannot be parsed
+ * @throws {Error} If the query option is unknown
+ * @example
+ * createWideGamutCss(':root', {
+ *   '--brand': 'color(display-p3 1 0 0)',
+ *   '--text': '#222'
+ * })
+ * // :root {
+ * //   --brand: rgb(251 83 67);
+ * //   --text: rgb(34 34 34);
+ * // }
+ * //
+ * // @supports (color: color(display-p3 0 0 0)) {
+ * //   :root {
+ * //     --brand: color(display-p3 1.0000 0.0000 0.0000);
+ * //   }
+ * // }
+ */
+export function createWideGamutCss(selector, declarations, options = {}) {
+  const { query = 'supports', indent = '  ' } = options;
+  if (!['supports', 'media', 'both'].includes(query)) {
+    throw new Error(`Unknown query: ${query}`);
+  }
+
+  const entries = Object.entries(declarations).map(([property, color]) => {
+    return [property, getWideGamutFallbacks(color, options)];
+  });
+
+  const blocks = [formatRule(selector, entries.map(([property, values]) => [property, values.srgb]), indent)];
+
+  for (const tier of WIDE_GAMUT_TIERS) {
+    const overrides = entries
+      .filter(([, values]) => values[tier.space] !== undefined)
+      .map(([property, values]) => [property, values[tier.space]]);
+    if (overrides.length === 0) continue;
+
+    const conditions = [];
+    if (query !== 'media') conditions.push(`@supports ${tier.supports}`);
+    if (query !== 'supports') conditions.push(`@media ${tier.media}`);
+    blocks.push(wrapInConditions(formatRule(selector, overrides, indent), conditions, indent));
+  }
+
+  return blocks.join('\n\n');
+}
+
+// --- Internal Helpers ---
+
+/**
+ * Check whether RGB coordinates are within [0, 1]; missing components count as 0
+ * @private
+ */
+function isInRgbGamut({ coords }) {
+  return coords.every(c => Number.isNaN(c) || (c >= -GAMUT_EPSILON && c <= 1 + GAMUT_EPSILON));
+}
+
+/**
+ * Format a style rule
+ * @private
+ */
+function formatRule(selector, declarations, indent) {
+  const body = declarations.map(([property, value]) => `${indent}${property}: ${value};`);
+  return [`${selector} {`, ...body, '}'].join('\n');
+}
+
+/**
+ * Nest a rule inside conditional group rules, outermost first
+ * @private
+ */
+function wrapInConditions(rule, conditions, indent) {
+  return conditions.reduceRight((inner, condition) => {
+    const indented = inner.split('\n').map(line => indent + line).join('\n');
+    return `${condition} {\n${indented}\n}`;
+  }, rule);
+}
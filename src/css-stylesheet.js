@@ -0,0 +1,316 @@
+/**
+ * @module css-stylesheet
+ * @description Find and rewrite the color values in a whole stylesheet.
+ * Colors are found in declaration values (including custom properties and
+ * colors nested in gradients and other functions) and parsed with
+ * {@link parseCSS}. Selectors, at-rule preludes, comments, strings and `url()`
+ * are never touched, so `#header { }` or `url(#fff.svg)` stay as they are.
+ * Color keywords such as `red` or `currentcolor` are only recognized in
+ * properties that take colors, so `animation-name: red` or `font-family: Tan`
+ * are left alone; hex colors and color functions are found in any property.
+ *
+ * The scanner is deliberately lenient: it does not validate the stylesheet,
+ * it only needs to tell declarations from everything else.
+ */
+
+import { parseCSS, formatCSS } from './css-color-parser.js';
+
+/**
+ * Properties whose values can contain color keywords: colors, shadows, and
+ * images (which may be gradients). Vendor prefixes are ignored and custom
+ * properties always qualify.
+ * @private
+ */
+const COLOR_PROPERTIES = new Set([
+  'color', 'background', 'background-color', 'background-image',
+  'border-image', 'border-image-source', 'outline', 'outline-color',
+  'column-rule', 'column-rule-color', 'text-decoration', 'text-decoration-color',
+  'text-emphasis', 'text-emphasis-color', 'text-shadow', 'box-shadow',
+  'caret-color', 'accent-color', 'scrollbar-color', 'filter', 'backdrop-filter',
+  'mask', 'mask-image', 'mask-border', 'mask-border-source', 'list-style',
+  'list-style-image', 'fill', 'stroke', 'stop-color', 'flood-color',
+  'lighting-color', 'tap-highlight-color', 'text-fill-color', 'text-stroke',
+  'text-stroke-color'
+]);
+
+/**
+ * `border` and its side, logical and `-color` longhands
+ * @private
+ */
+const BORDER_COLOR_PROPERTY = /^border(-(top|right|bottom|left|block|inline)(-(start|end))?)?(-color)?$/;
+
+/**
+ * A color value found in a stylesheet
+ * @typedef {object} CssColorMatch
+ * @property {string} text - The color exactly as written
+ * @property {number} start - Offset of the first character in the stylesheet
+ * @property {number} end - Offset just past the last character
+ * @property {number} line - Line of `start` (1-based)
+ * @property {number} column - Column of `start` (1-based)
+ * @property {string} property - Property of the declaration, e.g. 'background' or '--brand'
+ * @property {CssColor} color - The parsed color in the space it was written in
+ */
+
+/**
+ * Find every color value in the declarations of a stylesheet.
+ * Colors that cannot be parsed (such as `currentcolor` without a context) are
+ * not reported. A color function that does not parse, e.g. because it contains
+ * `var()`, is searched for colors nested inside it instead. Color keywords are
+ * only reported in properties that take colors and in custom properties.
+ * @param {string} cssText - Stylesheet text
+ * @param {object} [options] - Scanning options
+ * @param {CssColorContext} [options.context] - Values for `currentcolor` and system colors
+ * @returns {CssColorMatch[]} The colors in source order
+ * @example
+ * findCssColors('.a { color: #F00; background: linear-gradient(red, oklch(0.7 0.1 200)); }')
+ * // [{ text: '#F00', property: 'color', ... },
+ * //  { text: 'red', property: 'background', ... },
+ * //  { text: 'oklch(0.7 0.1 200)', property: 'background', ... }]
+ */
+export function findCssColors(cssText, options = {}) {
+  if (typeof cssText !== 'string') {
+    throw new TypeError('Input cssText must be a string.');
+  }
+
+  const lineStarts = findLineStarts(cssText);
+  const matches = [];
+
+  for (const { property, start, end } of findDeclarations(cssText)) {
+    const keywords = acceptsColorKeywords(property);
+    for (const match of findColorsInValue(cssText, start, end, keywords, options.context)) {
+      const { line, column } = toLineColumn(lineStarts, match.start);
+      matches.push({ text: match.text, start: match.start, end: match.end, line, column, property, color: match.color });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Rewrite every color value in the declarations of a stylesheet.
+ * `replacement` is either a {@link formatCSS} format applied to every color, or a
+ * function that receives each {@link CssColorMatch} and returns the new text
+ * (or `undefined`/`null` to leave that color unchanged). Everything else in the
+ * stylesheet is kept byte for byte.
+ * @param {string} cssText - Stylesheet text
+ * @param {string|function(CssColorMatch): (string|null|undefined)} replacement - Output
+ *   format (e.g. 'oklch', 'hex') or replacer callback
+ * @param {object} [options] - The same options as {@link findCssColors}
+ * @returns {string} The rewritten stylesheet
+ * @throws {TypeError} If `replacement` is neither a string nor a function
+ * @example
+ * replaceCssColors('a { color: #FF0000; }', 'oklch')
+ * // 'a { color: oklch(62.8% 0.258 29deg); }'
+ * // Normalize hex case, leaving other colors alone
+ * replaceCssColors(css, ({ text }) => (text.startsWith('#') ? text.toLowerCase() : null))
+ */
+export function replaceCssColors(cssText, replacement, options = {}) {
+  let replace;
+  if (typeof replacement === 'string') {
+    replace = match => formatCSS(match.color, replacement);
+  } else if (typeof replacement === 'function') {
+    replace = replacement;
+  } else {
+    throw new TypeError('Replacement must be a format string or a function.');
+  }
+
+  let result = '';
+  let last = 0;
+  for (const match of findCssColors(cssText, options)) {
+    const text = replace(match);
+    if (text === undefined || text === null) continue;
+    result += cssText.slice(last, match.start) + text;
+    last = match.end;
+  }
+  return result + cssText.slice(last);
+}
+
+// --- Internal Helpers ---
+
+/**
+ * Find the end of a comment or string starting at `i`, or -1 if none starts there
+ * @private
+ */
+function skipOpaque(text, i) {
+  if (text.startsWith('/*', i)) {
+    const close = text.indexOf('*/', i + 2);
+    return close === -1 ? text.length : close + 2;
+  }
+
+  const quote = text[i];
+  if (quote === '"' || quote === "'") {
+    for (let j = i + 1; j < text.length; j++) {
+      if (text[j] === '\\') j++;
+      else if (text[j] === quote || text[j] === '\n') return j + 1;
+    }
+    return text.length;
+  }
+
+  return -1;
+}
+
+/**
+ * Find the parenthesis closing the one before `i`, skipping comments and strings.
+ * Returns the offset just past it (or the end of `limit` if it is missing).
+ * @private
+ */
+function skipToClose(text, i, limit) {
+  let depth = 1;
+  while (i < limit) {
+    const skipped = skipOpaque(text, i);
+    if (skipped !== -1) {
+      i = skipped;
+      continue;
+    }
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return i + 1;
+    i++;
+  }
+  return limit;
+}
+
+/**
+ * Split a stylesheet into statements and return the declarations among them.
+ * A statement ending in "{" is a selector or at-rule prelude; one ending in ";"
+ * or "}" inside a block is a declaration if it has a property name and ":".
+ * @private
+ * @returns {Array<{property: string, start: number, end: number}>} Value ranges
+ */
+function findDeclarations(text) {
+  const declarations = [];
+  let blockDepth = 0;
+  let parenDepth = 0;
+  let statementStart = 0;
+
+  const endStatement = end => {
+    if (blockDepth > 0) {
+      const declaration = parseDeclaration(text, statementStart, end);
+      if (declaration) declarations.push(declaration);
+    }
+  };
+
+  for (let i = 0; i < text.length;) {
+    const skipped = skipOpaque(text, i);
+    if (skipped !== -1) {
+      i = skipped;
+      continue;
+    }
+
+    const ch = text[i];
+    if (ch === '(' || ch === '[') {
+      parenDepth++;
+    } else if ((ch === ')' || ch === ']') && parenDepth > 0) {
+      parenDepth--;
+    } else if (parenDepth === 0 && (ch === ';' || ch === '{' || ch === '}')) {
+      if (ch !== '{') endStatement(i);
+      if (ch === '{') blockDepth++;
+      if (ch === '}' && blockDepth > 0) blockDepth--;
+      statementStart = i + 1;
+    }
+    i++;
+  }
+
+  return declarations;
+}
+
+/**
+ * Parse `property: value` between two offsets
+ * @private
+ */
+function parseDeclaration(text, start, end) {
+  let i = start;
+  while (i < end) {
+    const skipped = skipOpaque(text, i);
+    if (skipped !== -1) {
+      i = skipped;
+    } else if (text[i] === ':') {
+      const property = text.slice(start, i).replace(/\/\*[\s\S]*?\*\//g, '').trim();
+      if (!/^-?-?[a-z_][\w-]*$/i.test(property)) return null;
+      return { property, start: i + 1, end };
+    } else {
+      i++;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether named colors and other color keywords are colors in a property
+ * @private
+ */
+function acceptsColorKeywords(property) {
+  const name = property.toLowerCase();
+  if (name.startsWith('--')) return true;
+  const unprefixed = name.replace(/^-[a-z]+-/, '');
+  return COLOR_PROPERTIES.has(unprefixed) || BORDER_COLOR_PROPERTY.test(unprefixed);
+}
+
+/**
+ * Find the colors in a declaration value; bare identifiers are only tried
+ * when `keywords` is set
+ * @private
+ */
+function findColorsInValue(text, start, end, keywords, context) {
+  const colors = [];
+  const tryColor = (from, to) => {
+    const candidate = text.slice(from, to);
+    const color = parseCSS(candidate, { preserveSpace: true, context });
+    if (color) colors.push({ text: candidate, start: from, end: to, color });
+    return color !== null;
+  };
+
+  for (let i = start; i < end;) {
+    const skipped = skipOpaque(text, i);
+    if (skipped !== -1) {
+      i = skipped;
+      continue;
+    }
+
+    // Identifiers and hex colors must start at a word boundary
+    const wordStart = i === 0 || !/[\w-]/.test(text[i - 1]);
+    const word = wordStart ? text.slice(i, end).match(/^#?-*[a-z_][\w-]*|^#[\w-]+/i) : null;
+    if (!word) {
+      i++;
+      continue;
+    }
+
+    const wordEnd = i + word[0].length;
+    if (text[wordEnd] !== '(') {
+      if (keywords || word[0][0] === '#') tryColor(i, wordEnd);
+      i = wordEnd;
+    } else if (word[0].toLowerCase() === 'url') {
+      i = skipToClose(text, wordEnd + 1, end);
+    } else {
+      // A color function is taken whole; any other function is searched inside
+      const close = skipToClose(text, wordEnd + 1, end);
+      i = tryColor(i, close) ? close : wordEnd + 1;
+    }
+  }
+
+  return colors;
+}
+
+/**
+ * Offsets at which each line starts
+ * @private
+ */
+function findLineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+/**
+ * Convert an offset to a 1-based line and column
+ * @private
+ */
+function toLineColumn(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
@@ -11,7 +11,7 @@
  */
 
 import { multiplyMatrixVector } from './utils.js';
-import { srgbToLinearSrgb, linearSrgbToSrgb } from './srgb.js';
+import { createRgbSpace, computeSrgbMatrices } from './rgb-space-core.js';
 
 /** @typedef {{r: number, g: number, b: number}} DisplayP3Color */
 /** @typedef {{r: number, g: number, b: number}} LinearDisplayP3Color */
@@ -20,7 +20,6 @@ import { srgbToLinearSrgb, linearSrgbToSrgb } from './srgb.js';
 
 /**
  * Display P3 primaries and white point in CIE xy chromaticity coordinates
- * @private
  */
 export const DISPLAY_P3_PRIMARIES = Object.freeze({
   red: { x: 0.680, y: 0.320 },
@@ -30,66 +29,43 @@ export const DISPLAY_P3_PRIMARIES = Object.freeze({
 });
 
 /**
- * Matrix to convert from linear Display P3 to XYZ (D65 adapted)
- * Derived from the Display P3 primaries
+ * Display P3 as an RGB space: DCI-P3 primaries, D65 white and the sRGB curve
  * @private
  */
-export const MATRIX_LINEAR_DISPLAY_P3_TO_XYZ_D65 = Object.freeze([
-  Object.freeze([0.4865709, 0.2656677, 0.1982173]),
-  Object.freeze([0.2289746, 0.6917385, 0.0792869]),
-  Object.freeze([0.0000000, 0.0451134, 1.0439444])
-]);
+export const DISPLAY_P3_SPACE = createRgbSpace({ name: 'display-p3', primaries: DISPLAY_P3_PRIMARIES, transfer: 'srgb' });
 
 /**
- * Matrix to convert from XYZ to linear Display P3 (D65 adapted)
- * Inverse of MATRIX_LINEAR_DISPLAY_P3_TO_XYZ_D65
+ * Matrix to convert from linear Display P3 to XYZ (D65 adapted)
+ * Derived from the Display P3 primaries
  * @private
  */
-export const MATRIX_XYZ_TO_LINEAR_DISPLAY_P3_D65 = Object.freeze([
-  Object.freeze([2.4934969, -0.9313836, -0.4027108]),
-  Object.freeze([-0.8294890, 1.7626641, 0.0236247]),
-  Object.freeze([0.0358458, -0.0761724, 0.9568845])
-]);
+export const MATRIX_LINEAR_DISPLAY_P3_TO_XYZ_D65 = DISPLAY_P3_SPACE.toXyzMatrix;
 
 /**
- * Matrix for direct linear sRGB to linear Display P3 conversion
- * This is more efficient than going through XYZ
+ * Matrix to convert from XYZ to linear Display P3 (D65 adapted)
+ * Inverse of MATRIX_LINEAR_DISPLAY_P3_TO_XYZ_D65
  * @private
  */
-export const MATRIX_LINEAR_SRGB_TO_LINEAR_DISPLAY_P3 = Object.freeze([
-  Object.freeze([0.8224621, 0.1775380, 0.0000000]),
-  Object.freeze([0.0331941, 0.9668058, 0.0000001]),
-  Object.freeze([0.0170827, 0.0723974, 0.9105199])
-]);
+export const MATRIX_XYZ_TO_LINEAR_DISPLAY_P3_D65 = DISPLAY_P3_SPACE.fromXyzMatrix;
 
 /**
- * Matrix for direct linear Display P3 to linear sRGB conversion
- * Inverse of MATRIX_LINEAR_SRGB_TO_LINEAR_DISPLAY_P3
+ * Direct matrices between linear sRGB and linear Display P3
  * @private
  */
-export const MATRIX_LINEAR_DISPLAY_P3_TO_LINEAR_SRGB = Object.freeze([
-  Object.freeze([1.2249401, -0.2249404, 0.0000003]),
-  Object.freeze([-0.0420569, 1.0420571, -0.0000002]),
-  Object.freeze([-0.0196376, -0.0786361, 1.0982737])
-]);
-
-// --- Gamma Correction ---
+const SRGB_MATRICES = computeSrgbMatrices(DISPLAY_P3_SPACE);
 
 /**
- * Apply Display P3 gamma correction (same as sRGB gamma)
+ * Matrix for direct linear sRGB to linear Display P3 conversion
+ * This is more efficient than going through XYZ
  * @private
  */
-function displayP3ChannelToLinear(channel) {
-  return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
-}
+export const MATRIX_LINEAR_SRGB_TO_LINEAR_DISPLAY_P3 = SRGB_MATRICES.fromLinearSrgb;
 
 /**
- * Remove Display P3 gamma correction (same as sRGB gamma)
+ * Matrix for direct linear Display P3 to linear sRGB conversion
  * @private
  */
-function linearChannelToDisplayP3(channel) {
-  return channel <= 0.0031308 ? channel * 12.92 : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
-}
+export const MATRIX_LINEAR_DISPLAY_P3_TO_LINEAR_SRGB = SRGB_MATRICES.toLinearSrgb;
 
 // --- Display P3 ↔ Linear Display P3 ---
 
@@ -99,11 +75,7 @@ function linearChannelToDisplayP3(channel) {
  * @returns {LinearDisplayP3Color} Linear Display P3 color
  */
 export function displayP3ToLinearDisplayP3(p3Color) {
-  return {
-    r: displayP3ChannelToLinear(p3Color.r),
-    g: displayP3ChannelToLinear(p3Color.g),
-    b: displayP3ChannelToLinear(p3Color.b)
-  };
+  return DISPLAY_P3_SPACE.toLinear(p3Color);
 }
 
 /**
@@ -112,11 +84,7 @@ export function displayP3ToLinearDisplayP3(p3Color) {
  * @returns {DisplayP3Color} Display P3 color with gamma correction
  */
 export function linearDisplayP3ToDisplayP3(linearP3Color) {
-  return {
-    r: linearChannelToDisplayP3(linearP3Color.r),
-    g: linearChannelToDisplayP3(linearP3Color.g),
-    b: linearChannelToDisplayP3(linearP3Color.b)
-  };
+  return DISPLAY_P3_SPACE.fromLinear(linearP3Color);
 }
 
 // --- sRGB ↔ Display P3 Conversions ---
@@ -131,17 +99,7 @@ export function linearDisplayP3ToDisplayP3(linearP3Color) {
  * // Result: { r: 0.9175, g: 0.2003, b: 0.1386 }
  */
 export function srgbToDisplayP3(srgbColor) {
-  // Convert to linear sRGB
-  const linearSrgb = srgbToLinearSrgb(srgbColor);
-  
-  // Convert to linear Display P3 using direct matrix
-  const [r, g, b] = multiplyMatrixVector(
-    MATRIX_LINEAR_SRGB_TO_LINEAR_DISPLAY_P3,
-    [linearSrgb.r, linearSrgb.g, linearSrgb.b]
-  );
-  
-  // Apply Display P3 gamma
-  return linearDisplayP3ToDisplayP3({ r, g, b });
+  return DISPLAY_P3_SPACE.fromSrgb(srgbColor);
 }
 
 /**
@@ -151,17 +109,7 @@ export function srgbToDisplayP3(srgbColor) {
  * @returns {SrgbColor} sRGB color (may be clipped if out of gamut)
  */
 export function displayP3ToSrgb(p3Color) {
-  // Convert to linear Display P3
-  const linearP3 = displayP3ToLinearDisplayP3(p3Color);
-  
-  // Convert to linear sRGB using direct matrix
-  const [r, g, b] = multiplyMatrixVector(
-    MATRIX_LINEAR_DISPLAY_P3_TO_LINEAR_SRGB,
-    [linearP3.r, linearP3.g, linearP3.b]
-  );
-  
-  // Apply sRGB gamma
-  return linearSrgbToSrgb({ r, g, b });
+  return DISPLAY_P3_SPACE.toSrgb(p3Color);
 }
 
 // --- XYZ ↔ Display P3 Conversions ---
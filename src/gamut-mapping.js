@@ -12,6 +12,7 @@ import { srgbToOklch, oklchToSrgb } from './oklab.js';
 import { isSrgbInGamut } from './srgb.js';
 import { srgbToDisplayP3, displayP3ToSrgb, isDisplayP3InSrgbGamut } from './display-p3.js';
 import { clamp } from './utils.js';
+import { convert, getColorSpace } from './css-color-spaces.js';
 
 
 // --- Constants ---
@@ -38,36 +39,66 @@ const MAX_ITERATIONS = 50;
 // --- Gamut Checking ---
 
 /**
- * Check if a color is within the specified gamut
- * @param {Object} color - Color in any supported space
+ * Converters to sRGB of the color objects that {@link isInGamut} checks directly
+ * @private
+ */
+const TO_SRGB = {
+  'srgb': color => color,
+  'oklch': oklchToSrgb,
+  'display-p3': displayP3ToSrgb
+};
+
+/**
+ * Check if a color is within the specified gamut.
+ * sRGB, Oklch and Display P3 objects are checked against sRGB and Display P3
+ * directly. Any other space and any target with coordinate ranges (see
+ * `registerColorSpace`) is checked through the space registry.
+ * @param {Object|number[]} color - Color in any supported space: an object keyed by
+ *   channel name (case-insensitive, e.g. `{ L, C, h }` for 'oklch'), or coordinates
  * @param {string} [space='srgb'] - Color space of the input
  * @param {string} [targetGamut='srgb'] - Target gamut to check
  * @returns {boolean} True if color is within gamut
+ * @throws {Error} If the space is unknown or the target has no gamut
+ * @example
+ * isInGamut({ L: 0.7, C: 0.3, h: 30 }, 'oklch', 'display-p3') // false
+ * isInGamut([1, 0, 0], 'srgb', 'rec2020') // true
  */
 export function isInGamut(color, space = 'srgb', targetGamut = 'srgb') {
-  let srgbColor;
-  
-  // Convert to sRGB for checking
-  if (space === 'srgb') {
-    srgbColor = color;
-  } else if (space === 'oklch') {
-    srgbColor = oklchToSrgb(color);
-  } else if (space === 'display-p3') {
-    srgbColor = displayP3ToSrgb(color);
-  } else {
-    throw new Error(`Unsupported color space: ${space}`);
+  const toSrgb = Array.isArray(color) ? undefined : TO_SRGB[space];
+  if (!toSrgb || (targetGamut !== 'srgb' && targetGamut !== 'display-p3')) {
+    return isInRegisteredGamut(color, space, targetGamut);
   }
+  const srgbColor = toSrgb(color);
   
   // Check against target gamut
   if (targetGamut === 'srgb') {
     return isSrgbInGamut(srgbColor);
-  } else if (targetGamut === 'display-p3') {
-    // For P3, we need to check if the sRGB color fits in P3
-    // Since P3 is wider than sRGB, all sRGB colors fit in P3
-    return true;
-  } else {
-    throw new Error(`Unsupported target gamut: ${targetGamut}`);
   }
+  // The sRGB values may be out of [0, 1]; check where they land in P3
+  const p3 = srgbToDisplayP3(srgbColor);
+  return [p3.r, p3.g, p3.b].every(c => c >= -GAMUT_EPSILON && c <= 1 + GAMUT_EPSILON);
+}
+
+/**
+ * Check a color against the coordinate ranges of a registered space
+ * @private
+ */
+function isInRegisteredGamut(color, space, targetGamut) {
+  const source = getColorSpace(space);
+  if (!source) throw new Error(`Unsupported color space: ${space}`);
+  const target = getColorSpace(targetGamut);
+  if (!target || !target.ranges) throw new Error(`Unsupported target gamut: ${targetGamut}`);
+  
+  const coords = Array.isArray(color) ? color : source.channels.map(channel => {
+    const key = Object.keys(color).find(k => k.toLowerCase() === channel);
+    if (key === undefined) throw new TypeError(`Missing channel "${channel}" of ${source.name}`);
+    return color[key];
+  });
+  
+  return convert(coords, source.name, target.name).every((c, i) => {
+    const [min, max] = target.ranges[i];
+    return Number.isNaN(c) || (c >= min - GAMUT_EPSILON && c <= max + GAMUT_EPSILON);
+  });
 }
 
 // --- CSS Color 4 Gamut Mapping Algorithm ---
@@ -305,8 +336,10 @@ export function getGamutVolumeRatio(space1, space2) {
   const volumes = {
     'srgb': 1.0,
     'display-p3': 1.35,  // ~35% larger than sRGB
+    'a98-rgb': 1.35,     // ~35% larger than sRGB, mostly in greens and cyans
     'rec2020': 2.25,     // ~125% larger than sRGB
-    'prophoto': 2.8      // ~180% larger than sRGB
+    'prophoto-rgb': 2.8, // ~180% larger than sRGB
+    'prophoto': 2.8
   };
   
   const v1 = volumes[space1] || 1.0;
@@ -0,0 +1,276 @@
+/**
+ * @module hdr
+ * @description High dynamic range transfer functions and absolute luminance.
+ *
+ * The rest of the library works with relative XYZ, where diffuse white has
+ * Y = 1. HDR signals and the HDR color spaces (ICtCp, Jzazbz) are defined
+ * against absolute luminance in cd/m² (nits) instead, so this module provides:
+ *   - The SMPTE ST 2084 perceptual quantizer (PQ) EOTF and its inverse, which
+ *     encode absolute luminance from 0 to 10000 cd/m²
+ *   - The ARIB STD-B67 / BT.2100 hybrid log-gamma (HLG) OETF and its inverse,
+ *     on scene-linear light in [0, 1], and the HLG EOTF with its OOTF, which
+ *     depend on the peak luminance of the display
+ *   - Scaling between relative and absolute XYZ with a configurable SDR
+ *     reference white, by default the 203 cd/m² of ITU-R BT.2408
+ *
+ * @see {@link https://www.itu.int/rec/R-REC-BT.2100} (PQ and HLG)
+ * @see {@link https://www.itu.int/pub/R-REP-BT.2408} (reference white)
+ */
+
+// --- HDR Constants ---
+
+/**
+ * Luminance encoded by PQ 1.0, in cd/m²
+ * @type {number}
+ */
+export const PQ_MAX_LUMINANCE = 10000;
+
+/**
+ * Default SDR reference white (diffuse white, relative Y = 1) in cd/m², as
+ * recommended by ITU-R BT.2408 for both PQ and HLG production
+ * @type {number}
+ */
+export const SDR_REFERENCE_WHITE = 203;
+
+/**
+ * Nominal peak luminance of an HLG reference display, in cd/m²
+ * @type {number}
+ */
+export const HLG_NOMINAL_PEAK_LUMINANCE = 1000;
+
+/**
+ * SMPTE ST 2084 (PQ) constants
+ * @private
+ */
+const PQ_M1 = 2610 / 16384;
+const PQ_M2 = 2523 / 4096 * 128;
+const PQ_C1 = 3424 / 4096;
+const PQ_C2 = 2413 / 4096 * 32;
+const PQ_C3 = 2392 / 4096 * 32;
+
+/**
+ * ARIB STD-B67 (HLG) constants
+ * @private
+ */
+const HLG_A = 0.17883277;
+const HLG_B = 1 - 4 * HLG_A;
+const HLG_C = 0.5 - HLG_A * Math.log(4 * HLG_A);
+
+/**
+ * BT.2100 luminance weights of the Rec. 2020 primaries, used by the HLG OOTF
+ * @private
+ */
+const LUMINANCE_R = 0.2627;
+const LUMINANCE_G = 0.6780;
+const LUMINANCE_B = 0.0593;
+
+// --- PQ (SMPTE ST 2084) ---
+
+/**
+ * PQ EOTF: decode a PQ signal to absolute luminance.
+ * Negative signals decode to 0.
+ * @param {number} encoded - PQ signal in [0, 1]
+ * @returns {number} Luminance in cd/m², 0 to 10000
+ * @example
+ * pqEotf(0.5081) // ≈ 100
+ */
+export function pqEotf(encoded) {
+  const p = Math.pow(Math.max(encoded, 0), 1 / PQ_M2);
+  return PQ_MAX_LUMINANCE * Math.pow(Math.max(p - PQ_C1, 0) / (PQ_C2 - PQ_C3 * p), 1 / PQ_M1);
+}
+
+/**
+ * Inverse PQ EOTF: encode absolute luminance as a PQ signal. This is the
+ * encoding applied to HDR10 content, often called the PQ OETF.
+ * Negative luminance encodes to 0.
+ * @param {number} luminance - Luminance in cd/m²
+ * @returns {number} PQ signal, 1 at 10000 cd/m²
+ * @example
+ * pqInverseEotf(203) // ≈ 0.5807
+ */
+export function pqInverseEotf(luminance) {
+  const p = Math.pow(Math.max(luminance, 0) / PQ_MAX_LUMINANCE, PQ_M1);
+  return Math.pow((PQ_C1 + PQ_C2 * p) / (1 + PQ_C3 * p), PQ_M2);
+}
+
+// --- HLG (ARIB STD-B67) ---
+
+/**
+ * Validate a luminance argument or option, in cd/m²
+ * @private
+ * @param {string} name - Name used in the error message
+ * @param {number} value - Luminance to check
+ * @throws {RangeError} If the value is not a positive finite number
+ */
+export function checkLuminance(name, value) {
+  if (!(value > 0) || !Number.isFinite(value)) {
+    throw new RangeError(`${name} must be a positive number of cd/m², got ${value}`);
+  }
+}
+
+/**
+ * HLG OETF: encode scene-linear light as an HLG signal.
+ * Negative values encode to 0.
+ * @param {number} sceneLinear - Scene-linear channel value in [0, 1]
+ * @returns {number} HLG signal in [0, 1]
+ * @example
+ * hlgOetf(1 / 12) // 0.5
+ */
+export function hlgOetf(sceneLinear) {
+  const e = Math.max(sceneLinear, 0);
+  return e <= 1 / 12 ? Math.sqrt(3 * e) : HLG_A * Math.log(12 * e - HLG_B) + HLG_C;
+}
+
+/**
+ * Inverse HLG OETF: decode an HLG signal to scene-linear light.
+ * Negative signals decode to 0.
+ * @param {number} encoded - HLG signal in [0, 1]
+ * @returns {number} Scene-linear channel value in [0, 1]
+ * @example
+ * hlgInverseOetf(0.5) // 1/12
+ */
+export function hlgInverseOetf(encoded) {
+  const v = Math.max(encoded, 0);
+  return v <= 0.5 ? v * v / 3 : (Math.exp((v - HLG_C) / HLG_A) + HLG_B) / 12;
+}
+
+/**
+ * HLG system gamma for a display of the given peak luminance (1.2 at 1000 cd/m²)
+ * @param {number} [peakLuminance=1000] - Display peak luminance in cd/m²
+ * @returns {number} System gamma
+ * @throws {RangeError} If peakLuminance is not a positive number
+ * @example
+ * hlgSystemGamma(2000) // ≈ 1.326
+ */
+export function hlgSystemGamma(peakLuminance = HLG_NOMINAL_PEAK_LUMINANCE) {
+  checkLuminance('Peak luminance', peakLuminance);
+  return 1.2 + 0.42 * Math.log10(peakLuminance / HLG_NOMINAL_PEAK_LUMINANCE);
+}
+
+/**
+ * HLG OOTF: render scene-linear Rec. 2020 light on a display. The system gamma
+ * is applied to luminance only, which preserves the ratio of the channels.
+ * @param {{r: number, g: number, b: number}} sceneColor - Scene-linear Rec. 2020 RGB in [0, 1]
+ * @param {object} [options] - Display characteristics
+ * @param {number} [options.peakLuminance=1000] - Display peak luminance in cd/m²
+ * @returns {{r: number, g: number, b: number}} Display-linear Rec. 2020 RGB in cd/m²
+ * @throws {RangeError} If peakLuminance is not a positive number
+ */
+export function hlgOotf(sceneColor, options = {}) {
+  const { peakLuminance = HLG_NOMINAL_PEAK_LUMINANCE } = options;
+  const gamma = hlgSystemGamma(peakLuminance);
+  const { r, g, b } = sceneColor;
+  const luminance = Math.max(LUMINANCE_R * r + LUMINANCE_G * g + LUMINANCE_B * b, 0);
+  const gain = luminance > 0 ? peakLuminance * Math.pow(luminance, gamma - 1) : 0;
+  return { r: gain * r, g: gain * g, b: gain * b };
+}
+
+/**
+ * Inverse HLG OOTF: recover scene-linear Rec. 2020 light from display light.
+ * @param {{r: number, g: number, b: number}} displayColor - Display-linear Rec. 2020 RGB in cd/m²
+ * @param {object} [options] - Display characteristics
+ * @param {number} [options.peakLuminance=1000] - Display peak luminance in cd/m²
+ * @returns {{r: number, g: number, b: number}} Scene-linear Rec. 2020 RGB
+ * @throws {RangeError} If peakLuminance is not a positive number
+ */
+export function hlgInverseOotf(displayColor, options = {}) {
+  const { peakLuminance = HLG_NOMINAL_PEAK_LUMINANCE } = options;
+  const gamma = hlgSystemGamma(peakLuminance);
+  const { r, g, b } = displayColor;
+  const luminance = Math.max(LUMINANCE_R * r + LUMINANCE_G * g + LUMINANCE_B * b, 0) / peakLuminance;
+  const gain = luminance > 0 ? Math.pow(luminance, (1 - gamma) / gamma) / peakLuminance : 0;
+  return { r: gain * r, g: gain * g, b: gain * b };
+}
+
+/**
+ * Black level lift of the HLG EOTF (β in BT.2100)
+ * @private
+ */
+function hlgBlackLift(peakLuminance, blackLuminance) {
+  if (!(blackLuminance >= 0 && blackLuminance < peakLuminance)) {
+    throw new RangeError('Black luminance must be at least 0 and below the peak luminance.');
+  }
+  return Math.sqrt(3 * Math.pow(blackLuminance / peakLuminance, 1 / hlgSystemGamma(peakLuminance)));
+}
+
+/**
+ * HLG EOTF: decode an HLG Rec. 2020 signal to the light a display emits.
+ * @param {{r: number, g: number, b: number}} hlgColor - HLG-encoded Rec. 2020 RGB
+ * @param {object} [options] - Display characteristics
+ * @param {number} [options.peakLuminance=1000] - Display peak luminance in cd/m²
+ * @param {number} [options.blackLuminance=0] - Display black luminance in cd/m²
+ * @returns {{r: number, g: number, b: number}} Display-linear Rec. 2020 RGB in cd/m²
+ * @throws {RangeError} If the luminances are out of range
+ * @example
+ * // HLG reference white (75%) on a 1000 cd/m² display
+ * hlgEotf({ r: 0.75, g: 0.75, b: 0.75 }).g // ≈ 203
+ */
+export function hlgEotf(hlgColor, options = {}) {
+  const { peakLuminance = HLG_NOMINAL_PEAK_LUMINANCE, blackLuminance = 0 } = options;
+  const beta = hlgBlackLift(peakLuminance, blackLuminance);
+  const decode = v => hlgInverseOetf((1 - beta) * v + beta);
+  return hlgOotf(
+    { r: decode(hlgColor.r), g: decode(hlgColor.g), b: decode(hlgColor.b) },
+    { peakLuminance }
+  );
+}
+
+/**
+ * Inverse HLG EOTF: encode display light as the HLG Rec. 2020 signal that
+ * produces it.
+ * @param {{r: number, g: number, b: number}} displayColor - Display-linear Rec. 2020 RGB in cd/m²
+ * @param {object} [options] - Display characteristics
+ * @param {number} [options.peakLuminance=1000] - Display peak luminance in cd/m²
+ * @param {number} [options.blackLuminance=0] - Display black luminance in cd/m²
+ * @returns {{r: number, g: number, b: number}} HLG-encoded Rec. 2020 RGB
+ * @throws {RangeError} If the luminances are out of range
+ */
+export function hlgInverseEotf(displayColor, options = {}) {
+  const { peakLuminance = HLG_NOMINAL_PEAK_LUMINANCE, blackLuminance = 0 } = options;
+  const beta = hlgBlackLift(peakLuminance, blackLuminance);
+  const scene = hlgInverseOotf(displayColor, { peakLuminance });
+  const encode = e => (hlgOetf(e) - beta) / (1 - beta);
+  return { r: encode(scene.r), g: encode(scene.g), b: encode(scene.b) };
+}
+
+// --- Absolute Luminance ---
+
+/**
+ * Scale relative XYZ (Y = 1 for diffuse white) to absolute XYZ in cd/m²
+ * @param {{X: number, Y: number, Z: number}} xyzColor - Relative XYZ color
+ * @param {object} [options] - Scaling options
+ * @param {number} [options.referenceWhite=203] - Luminance of diffuse white in cd/m²
+ * @returns {{X: number, Y: number, Z: number}} Absolute XYZ in cd/m²
+ * @throws {RangeError} If referenceWhite is not a positive number
+ * @example
+ * xyzToAbsoluteXyz({ X: 0.9505, Y: 1, Z: 1.089 }, { referenceWhite: 100 })
+ * // { X: 95.05, Y: 100, Z: 108.9 }
+ */
+export function xyzToAbsoluteXyz(xyzColor, options = {}) {
+  const { referenceWhite = SDR_REFERENCE_WHITE } = options;
+  checkLuminance('Reference white', referenceWhite);
+  return {
+    X: xyzColor.X * referenceWhite,
+    Y: xyzColor.Y * referenceWhite,
+    Z: xyzColor.Z * referenceWhite
+  };
+}
+
+/**
+ * Scale absolute XYZ in cd/m² to relative XYZ (Y = 1 for diffuse white).
+ * Highlights brighter than the reference white give Y above 1.
+ * @param {{X: number, Y: number, Z: number}} absoluteXyz - Absolute XYZ in cd/m²
+ * @param {object} [options] - Scaling options
+ * @param {number} [options.referenceWhite=203] - Luminance of diffuse white in cd/m²
+ * @returns {{X: number, Y: number, Z: number}} Relative XYZ color
+ * @throws {RangeError} If referenceWhite is not a positive number
+ */
+export function absoluteXyzToXyz(absoluteXyz, options = {}) {
+  const { referenceWhite = SDR_REFERENCE_WHITE } = options;
+  checkLuminance('Reference white', referenceWhite);
+  return {
+    X: absoluteXyz.X / referenceWhite,
+    Y: absoluteXyz.Y / referenceWhite,
+    Z: absoluteXyz.Z / referenceWhite
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * @module hsl
+ * @description Conversions between sRGB and HSL (hue, saturation, lightness),
+ * the cylindrical form of sRGB used by CSS `hsl()`.
+ *
+ * RANGE CONVENTIONS:
+ *   - h in degrees [0, 360), s and l in 0-1
+ *   - sRGB r, g, b in 0-1
+ *
+ * Achromatic colors (r = g = b) have no meaningful hue; `srgbToHsl` returns
+ * h = 0 for them, and `hslToSrgb` ignores the hue when s = 0.
+ * An optional `alpha` property is passed through unchanged.
+ *
+ * @see {@link https://www.w3.org/TR/css-color-4/#the-hsl-notation}
+ */
+
+import { normalizeHue, withAlpha } from './utils.js';
+
+/**
+ * Converts sRGB to HSL.
+ * @param {SrgbColor} srgbColor - sRGB color with r, g, b in 0-1.
+ * @returns {HslColor} HSL color { h, s, l }.
+ * @throws {TypeError} If input is not a valid sRGB object.
+ * @example
+ * srgbToHsl({ r: 1, g: 0, b: 0 }) // { h: 0, s: 1, l: 0.5 }
+ * srgbToHsl({ r: 0.5, g: 0.5, b: 0.5 }) // { h: 0, s: 0, l: 0.5 }
+ */
+export function srgbToHsl(srgbColor) {
+  if (typeof srgbColor !== 'object' || srgbColor === null ||
+      typeof srgbColor.r !== 'number' || typeof srgbColor.g !== 'number' || typeof srgbColor.b !== 'number') {
+    throw new TypeError('Input srgbColor must be an object with r, g, b number properties.');
+  }
+  const { r, g, b } = srgbColor;
+  
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  
+  if (max === min) {
+    return withAlpha({ h: 0, s: 0, l }, srgbColor);
+  }
+  
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  
+  let h;
+  switch (max) {
+    case r:
+      h = (g - b) / d + (g < b ? 6 : 0);
+      break;
+    case g:
+      h = (b - r) / d + 2;
+      break;
+    default:
+      h = (r - g) / d + 4;
+      break;
+  }
+  
+  return withAlpha({ h: normalizeHue(h * 60), s, l }, srgbColor);
+}
+
+/**
+ * Converts HSL to sRGB.
+ * @param {HslColor} hslColor - HSL color with h in degrees, s and l in 0-1.
+ * @returns {SrgbColor} sRGB color { r, g, b }.
+ * @throws {TypeError} If input is not a valid HSL object.
+ * @example
+ * hslToSrgb({ h: 120, s: 1, l: 0.25 }) // { r: 0, g: 0.5, b: 0 }
+ */
+export function hslToSrgb(hslColor) {
+  if (typeof hslColor !== 'object' || hslColor === null ||
+      typeof hslColor.h !== 'number' || typeof hslColor.s !== 'number' || typeof hslColor.l !== 'number') {
+    throw new TypeError('Input hslColor must be an object with h, s, l number properties.');
+  }
+  const { s, l } = hslColor;
+  
+  if (s === 0) {
+    return withAlpha({ r: l, g: l, b: l }, hslColor);
+  }
+  
+  // CSS Color 4 formulation: each channel samples a hue-shifted triangle wave
+  const h = normalizeHue(hslColor.h);
+  const a = s * Math.min(l, 1 - l);
+  const channel = n => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  
+  return withAlpha({ r: channel(0), g: channel(8), b: channel(4) }, hslColor);
+}
@@ -0,0 +1,266 @@
+/**
+ * @module hsluv
+ * @description HSLuv and HPLuv: human-friendly alternatives to HSL built on CIE LChuv.
+ *
+ * Both keep the lightness L and hue h of LChuv and replace chroma with a
+ * saturation relative to the sRGB gamut at that lightness:
+ *   - HSLuv: s = 100 is the edge of the sRGB gamut for the given L and h, so
+ *     every (h, s, l) with s, l in 0-100 is displayable, at the cost of chroma
+ *     varying with hue
+ *   - HPLuv ("pastel"): p = 100 is the largest chroma displayable at the given L
+ *     for every hue, so equal p means equal chroma, but only pastel colors are
+ *     reachable and p may exceed 100 for sRGB colors
+ *
+ * In CIELUV the sRGB gamut boundary at a fixed lightness is a hexagon of six
+ * straight lines (each RGB channel at 0 and at 1). The maximum chroma is found
+ * by intersecting these lines with a ray at the hue angle (HSLuv) or taking
+ * the distance of the nearest line from the origin (HPLuv).
+ *
+ * The boundary lines are derived from the sRGB matrices of `srgb.js`, and
+ * LChuv is taken relative to the white of those matrices (D65 to within 1e-5),
+ * as the HSLuv reference does with its own matrices. Grays are then exactly
+ * achromatic. The reference matrices have more digits, so results differ from
+ * its test snapshot by up to about 0.005 in s and l.
+ *
+ * RANGE CONVENTIONS:
+ *   - h in degrees [0, 360), s, p and l in 0-100
+ *   - sRGB r, g, b in 0-1
+ *
+ * An optional `alpha` property is passed through unchanged.
+ *
+ * @see {@link https://www.hsluv.org/math/}
+ */
+
+import { multiplyMatrixVector, degreesToRadians, withAlpha } from './utils.js';
+import {
+  MATRIX_LINEAR_SRGB_TO_XYZ_D65,
+  MATRIX_XYZ_TO_LINEAR_SRGB_D65,
+  parseSrgbHex,
+  formatSrgbAsHex
+} from './srgb.js';
+import { luvToXyz, srgbToLchuv, lchuvToSrgb } from './cieluv.js';
+import { xyzToUv } from './chromaticity.js';
+
+// --- Constants ---
+
+const [WHITE_X, WHITE_Y, WHITE_Z] = multiplyMatrixVector(MATRIX_LINEAR_SRGB_TO_XYZ_D65, [100, 100, 100]);
+
+/**
+ * XYZ of sRGB white (0-100 scale), the reference white for LChuv
+ * @private
+ */
+const SRGB_WHITE = Object.freeze({ X: WHITE_X, Y: WHITE_Y, Z: WHITE_Z });
+
+/**
+ * u'v' chromaticity of sRGB white
+ * @private
+ */
+const WHITE_UV = xyzToUv(SRGB_WHITE);
+
+// Lightness outside these limits is treated as pure black or white
+const L_MIN = 1e-8;
+const L_MAX = 99.9999999;
+
+// --- Gamut Boundary ---
+
+/**
+ * The six lines bounding the sRGB gamut in the (u, v) plane at lightness L,
+ * one for each channel at 0 and at 1, as { slope, intercept }
+ *
+ * At lightness L, Y is fixed and u', v' are linear in u and v, so a channel
+ * m1·X + m2·Y + m3·Z = t of the XYZ -> linear sRGB matrix becomes the line
+ * A·u + B·v + C = 0 once X and Z are written in terms of Y, u' and v'.
+ * @private
+ */
+function getBounds(L) {
+  const { Y } = luvToXyz({ L, u: 0, v: 0 }, SRGB_WHITE);
+  const bounds = [];
+
+  for (const [m1, m2, m3] of MATRIX_XYZ_TO_LINEAR_SRGB_D65) {
+    for (const t of [0, 1]) {
+      const uTerm = (9 * m1 - 3 * m3) * Y;
+      const vTerm = (4 * m2 - 20 * m3) * Y - 4 * t;
+      const C = uTerm * WHITE_UV.u + vTerm * WHITE_UV.v + 12 * m3 * Y;
+      bounds.push({ slope: -uTerm / vTerm, intercept: (-13 * L * C) / vTerm });
+    }
+  }
+  return bounds;
+}
+
+/**
+ * Largest sRGB chroma at lightness L and hue h: the nearest intersection of
+ * the hue ray with the boundary lines
+ * @private
+ */
+function maxChromaForLH(L, h) {
+  const hRad = degreesToRadians(h);
+  let min = Infinity;
+  for (const { slope, intercept } of getBounds(L)) {
+    const length = intercept / (Math.sin(hRad) - slope * Math.cos(hRad));
+    if (length >= 0) min = Math.min(min, length);
+  }
+  return min;
+}
+
+/**
+ * Largest chroma at lightness L that is in the sRGB gamut for every hue: the
+ * distance from the origin to the nearest boundary line
+ * @private
+ */
+function maxSafeChromaForL(L) {
+  let min = Infinity;
+  for (const { slope, intercept } of getBounds(L)) {
+    min = Math.min(min, Math.abs(intercept) / Math.sqrt(slope * slope + 1));
+  }
+  return min;
+}
+
+// --- LChuv ↔ HSLuv / HPLuv ---
+
+/**
+ * Converts LChuv to HSLuv.
+ * @param {LchuvColor} lchuvColor - LChuv color { L, C, h } (D65).
+ * @returns {HsluvColor} HSLuv color { h, s, l }.
+ */
+export function lchuvToHsluv(lchuvColor) {
+  const { L, C, h } = lchuvColor;
+  let hsluv;
+  if (L > L_MAX) hsluv = { h, s: 0, l: 100 };
+  else if (L < L_MIN) hsluv = { h, s: 0, l: 0 };
+  else hsluv = { h, s: (C / maxChromaForLH(L, h)) * 100, l: L };
+  return withAlpha(hsluv, lchuvColor);
+}
+
+/**
+ * Converts HSLuv to LChuv.
+ * @param {HsluvColor} hsluvColor - HSLuv color { h, s, l }.
+ * @returns {LchuvColor} LChuv color { L, C, h } (D65).
+ */
+export function hsluvToLchuv(hsluvColor) {
+  const { h, s, l } = hsluvColor;
+  let lchuv;
+  if (l > L_MAX) lchuv = { L: 100, C: 0, h };
+  else if (l < L_MIN) lchuv = { L: 0, C: 0, h };
+  else lchuv = { L: l, C: (maxChromaForLH(l, h) / 100) * s, h };
+  return withAlpha(lchuv, hsluvColor);
+}
+
+/**
+ * Converts LChuv to HPLuv.
+ * @param {LchuvColor} lchuvColor - LChuv color { L, C, h } (D65).
+ * @returns {HpluvColor} HPLuv color { h, p, l }.
+ */
+export function lchuvToHpluv(lchuvColor) {
+  const { L, C, h } = lchuvColor;
+  let hpluv;
+  if (L > L_MAX) hpluv = { h, p: 0, l: 100 };
+  else if (L < L_MIN) hpluv = { h, p: 0, l: 0 };
+  else hpluv = { h, p: (C / maxSafeChromaForL(L)) * 100, l: L };
+  return withAlpha(hpluv, lchuvColor);
+}
+
+/**
+ * Converts HPLuv to LChuv.
+ * @param {HpluvColor} hpluvColor - HPLuv color { h, p, l }.
+ * @returns {LchuvColor} LChuv color { L, C, h } (D65).
+ */
+export function hpluvToLchuv(hpluvColor) {
+  const { h, p, l } = hpluvColor;
+  let lchuv;
+  if (l > L_MAX) lchuv = { L: 100, C: 0, h };
+  else if (l < L_MIN) lchuv = { L: 0, C: 0, h };
+  else lchuv = { L: l, C: (maxSafeChromaForL(l) / 100) * p, h };
+  return withAlpha(lchuv, hpluvColor);
+}
+
+// --- sRGB ↔ HSLuv / HPLuv ---
+
+/**
+ * Converts sRGB to HSLuv.
+ * @param {SrgbColor} srgbColor - sRGB color { r, g, b } with values 0-1.
+ * @returns {HsluvColor} HSLuv color { h, s, l }.
+ * @example
+ * srgbToHsluv({ r: 1, g: 0, b: 0 }) // { h: 12.174, s: 100, l: 53.241 }
+ */
+export function srgbToHsluv(srgbColor) {
+  return withAlpha(lchuvToHsluv(srgbToLchuv(srgbColor, SRGB_WHITE)), srgbColor);
+}
+
+/**
+ * Converts HSLuv to sRGB.
+ * @param {HsluvColor} hsluvColor - HSLuv color { h, s, l }.
+ * @returns {SrgbColor} sRGB color { r, g, b }, in gamut for s and l in 0-100.
+ */
+export function hsluvToSrgb(hsluvColor) {
+  return withAlpha(lchuvToSrgb(hsluvToLchuv(hsluvColor), SRGB_WHITE), hsluvColor);
+}
+
+/**
+ * Converts sRGB to HPLuv.
+ * @param {SrgbColor} srgbColor - sRGB color { r, g, b } with values 0-1.
+ * @returns {HpluvColor} HPLuv color { h, p, l }; p exceeds 100 for saturated colors.
+ */
+export function srgbToHpluv(srgbColor) {
+  return withAlpha(lchuvToHpluv(srgbToLchuv(srgbColor, SRGB_WHITE)), srgbColor);
+}
+
+/**
+ * Converts HPLuv to sRGB.
+ * @param {HpluvColor} hpluvColor - HPLuv color { h, p, l }.
+ * @returns {SrgbColor} sRGB color { r, g, b }, in gamut for p and l in 0-100.
+ */
+export function hpluvToSrgb(hpluvColor) {
+  return withAlpha(lchuvToSrgb(hpluvToLchuv(hpluvColor), SRGB_WHITE), hpluvColor);
+}
+
+// --- Hex ↔ HSLuv / HPLuv ---
+
+/**
+ * Parse a hex string, rejecting invalid input
+ * @private
+ */
+function parseHex(hexString) {
+  const srgb = parseSrgbHex(hexString);
+  if (!srgb) throw new TypeError(`Invalid hex color: ${hexString}`);
+  return srgb;
+}
+
+/**
+ * Converts an sRGB hex string to HSLuv.
+ * @param {string} hexString - Hex color, e.g. "#ff0000" or "#f00".
+ * @returns {HsluvColor} HSLuv color { h, s, l }.
+ * @throws {TypeError} If the hex string is invalid.
+ */
+export function hexToHsluv(hexString) {
+  return srgbToHsluv(parseHex(hexString));
+}
+
+/**
+ * Converts HSLuv to an sRGB hex string.
+ * @param {HsluvColor} hsluvColor - HSLuv color { h, s, l }.
+ * @returns {string} Hex color, e.g. "#ff0000".
+ * @example
+ * hsluvToHex({ h: 12.174, s: 100, l: 53.241 }) // "#ff0000"
+ */
+export function hsluvToHex(hsluvColor) {
+  return formatSrgbAsHex(hsluvToSrgb(hsluvColor));
+}
+
+/**
+ * Converts an sRGB hex string to HPLuv.
+ * @param {string} hexString - Hex color, e.g. "#ff0000" or "#f00".
+ * @returns {HpluvColor} HPLuv color { h, p, l }.
+ * @throws {TypeError} If the hex string is invalid.
+ */
+export function hexToHpluv(hexString) {
+  return srgbToHpluv(parseHex(hexString));
+}
+
+/**
+ * Converts HPLuv to an sRGB hex string.
+ * @param {HpluvColor} hpluvColor - HPLuv color { h, p, l }.
+ * @returns {string} Hex color.
+ */
+export function hpluvToHex(hpluvColor) {
+  return formatSrgbAsHex(hpluvToSrgb(hpluvColor));
+}
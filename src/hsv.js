@@ -0,0 +1,65 @@
+/**
+ * @module hsv
+ * @description Conversions between sRGB and HSV (hue, saturation, value), also
+ * known as HSB. HSV is the model most color pickers use for their
+ * saturation/value square.
+ *
+ * RANGE CONVENTIONS:
+ *   - h in degrees [0, 360), s and v in 0-1
+ *   - sRGB r, g, b in 0-1
+ *
+ * Achromatic colors (r = g = b) have no meaningful hue; `srgbToHsv` returns
+ * h = 0 for them, and `hsvToSrgb` ignores the hue when s = 0.
+ * An optional `alpha` property is passed through unchanged.
+ */
+
+import { normalizeHue, withAlpha } from './utils.js';
+import { srgbToHsl } from './hsl.js';
+
+/**
+ * Converts sRGB to HSV.
+ * @param {SrgbColor} srgbColor - sRGB color with r, g, b in 0-1.
+ * @returns {HsvColor} HSV color { h, s, v }.
+ * @throws {TypeError} If input is not a valid sRGB object.
+ * @example
+ * srgbToHsv({ r: 1, g: 0.5, b: 0 }) // { h: 30, s: 1, v: 1 }
+ */
+export function srgbToHsv(srgbColor) {
+  // HSV shares its hue with HSL
+  const { h } = srgbToHsl(srgbColor);
+  const { r, g, b } = srgbColor;
+  
+  const v = Math.max(r, g, b);
+  const d = v - Math.min(r, g, b);
+  const s = v === 0 ? 0 : d / v;
+  
+  return withAlpha({ h, s, v }, srgbColor);
+}
+
+/**
+ * Converts HSV to sRGB.
+ * @param {HsvColor} hsvColor - HSV color with h in degrees, s and v in 0-1.
+ * @returns {SrgbColor} sRGB color { r, g, b }.
+ * @throws {TypeError} If input is not a valid HSV object.
+ * @example
+ * hsvToSrgb({ h: 30, s: 1, v: 1 }) // { r: 1, g: 0.5, b: 0 }
+ */
+export function hsvToSrgb(hsvColor) {
+  if (typeof hsvColor !== 'object' || hsvColor === null ||
+      typeof hsvColor.h !== 'number' || typeof hsvColor.s !== 'number' || typeof hsvColor.v !== 'number') {
+    throw new TypeError('Input hsvColor must be an object with h, s, v number properties.');
+  }
+  const { s, v } = hsvColor;
+  
+  if (s === 0) {
+    return withAlpha({ r: v, g: v, b: v }, hsvColor);
+  }
+  
+  const h = normalizeHue(hsvColor.h);
+  const channel = n => {
+    const k = (n + h / 60) % 6;
+    return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+  
+  return withAlpha({ r: channel(5), g: channel(3), b: channel(1) }, hsvColor);
+}
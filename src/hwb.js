@@ -0,0 +1,78 @@
+/**
+ * @module hwb
+ * @description Conversions between sRGB, HSV and HWB (hue, whiteness, blackness),
+ * the model behind CSS `hwb()`. HWB is a reparameterization of HSV:
+ * w = (1 - s) * v and b = 1 - v.
+ *
+ * RANGE CONVENTIONS:
+ *   - h in degrees [0, 360), w and b in 0-1
+ *   - sRGB r, g, b in 0-1
+ *
+ * When w + b >= 1 the color is a gray of w / (w + b) and the hue has no
+ * effect; `srgbToHwb` returns h = 0 for achromatic colors.
+ * An optional `alpha` property is passed through unchanged.
+ *
+ * @see {@link https://www.w3.org/TR/css-color-4/#the-hwb-notation}
+ */
+
+import { withAlpha } from './utils.js';
+import { srgbToHsv, hsvToSrgb } from './hsv.js';
+
+/**
+ * Converts HSV to HWB.
+ * @param {HsvColor} hsvColor - HSV color.
+ * @returns {HwbColor} HWB color { h, w, b }.
+ */
+export function hsvToHwb(hsvColor) {
+  const { h, s, v } = hsvColor;
+  return withAlpha({ h, w: (1 - s) * v, b: 1 - v }, hsvColor);
+}
+
+/**
+ * Converts HWB to HSV. Whiteness and blackness summing past 1 are scaled
+ * down proportionally, as CSS specifies.
+ * @param {HwbColor} hwbColor - HWB color.
+ * @returns {HsvColor} HSV color { h, s, v }.
+ */
+export function hwbToHsv(hwbColor) {
+  let { w, b } = hwbColor;
+  
+  if (w + b >= 1) {
+    const sum = w + b;
+    w /= sum;
+    b /= sum;
+  }
+  
+  const v = 1 - b;
+  const s = v === 0 ? 0 : 1 - w / v;
+  return withAlpha({ h: hwbColor.h, s, v }, hwbColor);
+}
+
+/**
+ * Converts sRGB to HWB.
+ * @param {SrgbColor} srgbColor - sRGB color with r, g, b in 0-1.
+ * @returns {HwbColor} HWB color { h, w, b }.
+ * @throws {TypeError} If input is not a valid sRGB object.
+ * @example
+ * srgbToHwb({ r: 1, g: 0.5, b: 0.5 }) // { h: 0, w: 0.5, b: 0 }
+ */
+export function srgbToHwb(srgbColor) {
+  return hsvToHwb(srgbToHsv(srgbColor));
+}
+
+/**
+ * Converts HWB to sRGB.
+ * @param {HwbColor} hwbColor - HWB color with h in degrees, w and b in 0-1.
+ * @returns {SrgbColor} sRGB color { r, g, b }.
+ * @throws {TypeError} If input is not a valid HWB object.
+ * @example
+ * hwbToSrgb({ h: 0, w: 0.5, b: 0 }) // { r: 1, g: 0.5, b: 0.5 }
+ * hwbToSrgb({ h: 0, w: 0.6, b: 0.6 }) // { r: 0.5, g: 0.5, b: 0.5 }
+ */
+export function hwbToSrgb(hwbColor) {
+  if (typeof hwbColor !== 'object' || hwbColor === null ||
+      typeof hwbColor.h !== 'number' || typeof hwbColor.w !== 'number' || typeof hwbColor.b !== 'number') {
+    throw new TypeError('Input hwbColor must be an object with h, w, b number properties.');
+  }
+  return hsvToSrgb(hwbToHsv(hwbColor));
+}
@@ -0,0 +1,233 @@
+/**
+ * @module ictcp
+ * @description ICtCp color space conversions (ITU-R BT.2100).
+ * ICtCp is the opponent color space of HDR and wide color gamut video: I is
+ * intensity, Ct the blue-yellow (tritan) axis and Cp the red-green (protan) axis.
+ * It comes in two variants, after the transfer function applied to the LMS cone
+ * responses:
+ *   - PQ: display-referred, from absolute luminance up to 10000 cd/m². The ITP
+ *     color difference of BT.2124 (`calculateDeltaEITP`) is defined on it
+ *   - HLG: scene-referred; display light is first brought back to scene light
+ *     with the inverse HLG OOTF of a display of the given peak luminance
+ *
+ * Input XYZ is absolute, in cd/m² with a D65 white, as produced by
+ * `xyzToAbsoluteXyz`. The sRGB helpers scale through the SDR reference white.
+ *
+ * @see {@link https://www.itu.int/rec/R-REC-BT.2100}
+ * @see {@link https://www.itu.int/rec/R-REC-BT.2124} (ΔE ITP)
+ */
+
+import { multiplyMatrixVector, withAlpha } from './utils.js';
+import { srgbToXyz, xyzToSrgb } from './srgb.js';
+import {
+  pqEotf,
+  pqInverseEotf,
+  hlgOetf,
+  hlgInverseOetf,
+  hlgOotf,
+  hlgInverseOotf,
+  xyzToAbsoluteXyz,
+  absoluteXyzToXyz
+} from './hdr.js';
+
+/** @typedef {{I: number, Ct: number, Cp: number}} IctcpColor */
+
+/**
+ * Options of the ICtCp conversions
+ * @typedef {object} IctcpOptions
+ * @property {'pq'|'hlg'} [transfer='pq'] - ICtCp variant
+ * @property {number} [peakLuminance=1000] - Display peak luminance in cd/m² (HLG only)
+ */
+
+// --- ICtCp Constants ---
+
+/**
+ * Matrix to convert from XYZ (D65) to LMS: the BT.2100 Rec. 2020 RGB to LMS
+ * matrix combined with XYZ to linear Rec. 2020 at full precision
+ * @private
+ */
+export const MATRIX_XYZ_TO_ICTCP_LMS = Object.freeze([
+  Object.freeze([0.35928325901212166, 0.6976051147779501, -0.035891593232028916]),
+  Object.freeze([-0.19208084637049955, 1.1004767970374323, 0.07537486585191186]),
+  Object.freeze([0.007079784460747692, 0.07483966621863662, 0.8433265453898765])
+]);
+
+/**
+ * Matrix to convert from LMS to XYZ (D65)
+ * Inverse of MATRIX_XYZ_TO_ICTCP_LMS
+ * @private
+ */
+export const MATRIX_ICTCP_LMS_TO_XYZ = Object.freeze([
+  Object.freeze([2.070152218389422, -1.3263473389671556, 0.20665104762940512]),
+  Object.freeze([0.3647385209748074, 0.680566024947227, -0.045304545922034645]),
+  Object.freeze([-0.049747207535812014, -0.049260966696613805, 1.1880659249923042])
+]);
+
+/**
+ * Matrix to convert from linear Rec. 2020 to LMS (BT.2100)
+ * @private
+ */
+const MATRIX_LINEAR_REC2020_TO_LMS = Object.freeze([
+  Object.freeze([1688 / 4096, 2146 / 4096, 262 / 4096]),
+  Object.freeze([683 / 4096, 2951 / 4096, 462 / 4096]),
+  Object.freeze([99 / 4096, 309 / 4096, 3688 / 4096])
+]);
+
+/**
+ * Matrix to convert from LMS to linear Rec. 2020
+ * Inverse of MATRIX_LINEAR_REC2020_TO_LMS
+ * @private
+ */
+const MATRIX_LMS_TO_LINEAR_REC2020 = Object.freeze([
+  Object.freeze([3.4366066943330784, -2.50645211865627, 0.06984542432319148]),
+  Object.freeze([-0.7913295555989287, 1.9836004517922907, -0.192270896193362]),
+  Object.freeze([-0.025949899690592672, -0.09891371471172644, 1.1248636144023192])
+]);
+
+/**
+ * Matrix to convert from XYZ (D65) to linear Rec. 2020, at full precision
+ * @private
+ */
+const MATRIX_XYZ_TO_LINEAR_REC2020 = Object.freeze([
+  Object.freeze([1.7166511879712683, -0.3556707837763925, -0.2533662813736599]),
+  Object.freeze([-0.6666843518324893, 1.6164812366349395, 0.015768545813911142]),
+  Object.freeze([0.01763985744531079, -0.04277061325780853, 0.9421031212354739])
+]);
+
+/**
+ * Matrix to convert from linear Rec. 2020 to XYZ (D65), at full precision
+ * @private
+ */
+const MATRIX_LINEAR_REC2020_TO_XYZ = Object.freeze([
+  Object.freeze([0.6369580483012911, 0.14461690358620832, 0.16888097516417208]),
+  Object.freeze([0.262700212011267, 0.6779980715188708, 0.05930171646986195]),
+  Object.freeze([0, 0.028072693049087428, 1.0609850577107909])
+]);
+
+/**
+ * Matrices from PQ-encoded L'M'S' to ICtCp and back
+ * @private
+ */
+const MATRIX_PQ_LMS_TO_ICTCP = Object.freeze([
+  Object.freeze([0.5, 0.5, 0]),
+  Object.freeze([6610 / 4096, -13613 / 4096, 7003 / 4096]),
+  Object.freeze([17933 / 4096, -17390 / 4096, -543 / 4096])
+]);
+const MATRIX_ICTCP_TO_PQ_LMS = Object.freeze([
+  Object.freeze([1, 0.008609037037932756, 0.11102962500302596]),
+  Object.freeze([1, -0.008609037037932756, -0.11102962500302596]),
+  Object.freeze([1, 0.5600313357106791, -0.32062717498731885])
+]);
+
+/**
+ * Matrices from HLG-encoded L'M'S' to ICtCp and back
+ * @private
+ */
+const MATRIX_HLG_LMS_TO_ICTCP = Object.freeze([
+  Object.freeze([0.5, 0.5, 0]),
+  Object.freeze([3625 / 4096, -7465 / 4096, 3840 / 4096]),
+  Object.freeze([9500 / 4096, -9212 / 4096, -288 / 4096])
+]);
+const MATRIX_ICTCP_TO_HLG_LMS = Object.freeze([
+  Object.freeze([1, 0.015718580108730413, 0.2095810681164055]),
+  Object.freeze([1, -0.015718580108730413, -0.2095810681164055]),
+  Object.freeze([1, 1.0212710798422342, -0.6052744909924315])
+]);
+
+/**
+ * Validate the transfer option
+ * @private
+ */
+function checkTransfer(transfer) {
+  if (transfer !== 'pq' && transfer !== 'hlg') {
+    throw new Error(`Unknown ICtCp transfer function: ${transfer}`);
+  }
+}
+
+// --- XYZ ↔ ICtCp Conversions ---
+
+/**
+ * Convert absolute XYZ (D65, cd/m²) to ICtCp
+ * @param {{X: number, Y: number, Z: number}} absoluteXyz - XYZ in cd/m²
+ * @param {IctcpOptions} [options] - Variant and display characteristics
+ * @returns {IctcpColor} ICtCp color
+ * @throws {Error} If the transfer function is unknown
+ * @example
+ * // D65 white at the 203 cd/m² reference white
+ * xyzToIctcp({ X: 192.93, Y: 203, Z: 221.03 })
+ * // { I: 0.5807, Ct: 0, Cp: 0 } (approximately)
+ */
+export function xyzToIctcp(absoluteXyz, options = {}) {
+  const { transfer = 'pq', peakLuminance } = options;
+  checkTransfer(transfer);
+  const xyz = [absoluteXyz.X, absoluteXyz.Y, absoluteXyz.Z];
+
+  let encoded, matrix;
+  if (transfer === 'pq') {
+    encoded = multiplyMatrixVector(MATRIX_XYZ_TO_ICTCP_LMS, xyz).map(pqInverseEotf);
+    matrix = MATRIX_PQ_LMS_TO_ICTCP;
+  } else {
+    const [r, g, b] = multiplyMatrixVector(MATRIX_XYZ_TO_LINEAR_REC2020, xyz);
+    const scene = hlgInverseOotf({ r, g, b }, { peakLuminance });
+    encoded = multiplyMatrixVector(MATRIX_LINEAR_REC2020_TO_LMS, [scene.r, scene.g, scene.b]).map(hlgOetf);
+    matrix = MATRIX_HLG_LMS_TO_ICTCP;
+  }
+
+  const [I, Ct, Cp] = multiplyMatrixVector(matrix, encoded);
+  return { I, Ct, Cp };
+}
+
+/**
+ * Convert ICtCp to absolute XYZ (D65, cd/m²)
+ * @param {IctcpColor} ictcpColor - ICtCp color
+ * @param {IctcpOptions} [options] - Variant and display characteristics
+ * @returns {{X: number, Y: number, Z: number}} XYZ in cd/m²
+ * @throws {Error} If the transfer function is unknown
+ */
+export function ictcpToXyz(ictcpColor, options = {}) {
+  const { transfer = 'pq', peakLuminance } = options;
+  checkTransfer(transfer);
+  const ictcp = [ictcpColor.I, ictcpColor.Ct, ictcpColor.Cp];
+
+  let xyz;
+  if (transfer === 'pq') {
+    const lms = multiplyMatrixVector(MATRIX_ICTCP_TO_PQ_LMS, ictcp).map(pqEotf);
+    xyz = multiplyMatrixVector(MATRIX_ICTCP_LMS_TO_XYZ, lms);
+  } else {
+    const lms = multiplyMatrixVector(MATRIX_ICTCP_TO_HLG_LMS, ictcp).map(hlgInverseOetf);
+    const [r, g, b] = multiplyMatrixVector(MATRIX_LMS_TO_LINEAR_REC2020, lms);
+    const display = hlgOotf({ r, g, b }, { peakLuminance });
+    xyz = multiplyMatrixVector(MATRIX_LINEAR_REC2020_TO_XYZ, [display.r, display.g, display.b]);
+  }
+
+  const [X, Y, Z] = xyz;
+  return { X, Y, Z };
+}
+
+// --- sRGB ↔ ICtCp Conversions ---
+
+/**
+ * Convert sRGB to ICtCp, with sRGB white at the SDR reference white
+ * @param {SrgbColor} srgbColor - sRGB color
+ * @param {IctcpOptions & {referenceWhite?: number}} [options] - Variant, display
+ *   characteristics and reference white in cd/m² (default 203)
+ * @returns {IctcpColor} ICtCp color, with the alpha of the input if it has one
+ * @example
+ * srgbToIctcp({ r: 1, g: 1, b: 1 }) // { I: 0.5807, Ct: ≈0, Cp: ≈0 }
+ * srgbToIctcp({ r: 1, g: 1, b: 1 }, { transfer: 'hlg' }).I // ≈ 0.75
+ */
+export function srgbToIctcp(srgbColor, options = {}) {
+  return withAlpha(xyzToIctcp(xyzToAbsoluteXyz(srgbToXyz(srgbColor), options), options), srgbColor);
+}
+
+/**
+ * Convert ICtCp to sRGB, with the SDR reference white mapped to sRGB white.
+ * HDR highlights above the reference white come out above 1 (not clipped).
+ * @param {IctcpColor} ictcpColor - ICtCp color
+ * @param {IctcpOptions & {referenceWhite?: number}} [options] - Variant, display
+ *   characteristics and reference white in cd/m² (default 203)
+ * @returns {SrgbColor} sRGB color (not clipped), with the alpha of the input if it has one
+ */
+export function ictcpToSrgb(ictcpColor, options = {}) {
+  return withAlpha(xyzToSrgb(absoluteXyzToXyz(ictcpToXyz(ictcpColor, options), options)), ictcpColor);
+}
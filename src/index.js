@@ -9,10 +9,21 @@
 // --- Type Definitions ---
 // Re-export all types for TypeScript/JSDoc support
 
+// --- Color Space Registry ---
+export {
+  registerColorSpace,
+  getColorSpace,
+  convert
+} from './css-color-spaces.js';
+
+// --- Color Object ---
+export { Color } from './color.js';
+
 // --- Utility Functions ---
 export {
   // Constants
   D65_WHITE_POINT_XYZ,
+  D50_WHITE_POINT_XYZ,
   // Angle conversions
   degreesToRadians,
   radiansToDegrees,
@@ -59,11 +70,63 @@ export {
   lchToSrgb
 } from './cielab.js';
 
+// --- CIELUV and LChuv Color Spaces ---
+export {
+  // XYZ ↔ Luv
+  xyzToLuv,
+  luvToXyz,
+  // Luv ↔ LChuv
+  luvToLchuv,
+  lchuvToLuv,
+  // sRGB ↔ Luv / LChuv
+  srgbToLuv,
+  luvToSrgb,
+  srgbToLchuv,
+  lchuvToSrgb
+} from './cieluv.js';
+
+// --- HSLuv and HPLuv ---
+export {
+  lchuvToHsluv,
+  hsluvToLchuv,
+  lchuvToHpluv,
+  hpluvToLchuv,
+  srgbToHsluv,
+  hsluvToSrgb,
+  srgbToHpluv,
+  hpluvToSrgb,
+  hexToHsluv,
+  hsluvToHex,
+  hexToHpluv,
+  hpluvToHex
+} from './hsluv.js';
+
+// --- HSL, HSV and HWB ---
+export {
+  srgbToHsl,
+  hslToSrgb
+} from './hsl.js';
+
+export {
+  srgbToHsv,
+  hsvToSrgb
+} from './hsv.js';
+
+export {
+  srgbToHwb,
+  hwbToSrgb,
+  hsvToHwb,
+  hwbToHsv
+} from './hwb.js';
+
 // --- Oklab and OkLCh Color Spaces ---
 export {
   // Linear sRGB ↔ Oklab
   linearSrgbToOklab,
   oklabToLinearSrgb,
+  // XYZ ↔ Oklab (unclipped)
+  xyzToOklab,
+  oklabToXyz,
   // Oklab ↔ OkLCh
   oklabToOklch,
   oklchToOklab,
@@ -101,9 +164,11 @@ export {
   getSrgbRelativeLuminance,
   calculateWcagContrast,
   isWcagContrastSufficient,
+  calculateApcaContrast,
   // Color difference
   calculateCiede2000,
-  calculateOklchDifference
+  calculateOklchDifference,
+  calculateDeltaEITP
 } from './color-metrics.js';
 
 // --- Gamut Management ---
@@ -178,13 +243,63 @@ export {
   needsChromaticAdaptation
 } from './chromatic-adaptation.js';
 
+// --- Chromaticity Coordinates and Diagram Geometry ---
+export {
+  // XYZ ↔ xyY and u'v'
+  xyzToXyy,
+  xyyToXyz,
+  xyzToUv,
+  uvToXyz,
+  xyToUv,
+  uvToXy,
+  // CIE 1931 diagram
+  SPECTRAL_LOCUS,
+  PURPLE_LINE,
+  getDominantWavelength,
+  getComplementaryWavelength,
+  getExcitationPurity,
+  isInGamutTriangle
+} from './chromaticity.js';
+
 // --- CSS Color Module Level 4 Parsing ---
 export {
   // Main parsing and formatting
   parseCSS,
-  formatCSS
+  parseCSSStrict,
+  CssParseError,
+  formatCSS,
+  // Custom properties
+  resolveCssVariables,
+  // Space-preserving parse results
+  convertCssColor
 } from './css-color-parser.js';
 
+// --- Stylesheet Colors ---
+export {
+  findCssColors,
+  replaceCssColors
+} from './css-stylesheet.js';
+
+// --- Wide-Gamut CSS Fallbacks ---
+export {
+  getWideGamutFallbacks,
+  createWideGamutCss
+} from './css-gamut-fallback.js';
+
+// --- CSS Named Colors ---
+export {
+  CSS_NAMED_COLORS,
+  CSS_SYSTEM_COLORS,
+  findCssColorName
+} from './css-named-colors.js';
+
+// --- CSS Color Mixing ---
+export {
+  colorMix,
+  interpolateColor,
+  HUE_INTERPOLATION_METHODS
+} from './color-mix.js';
+
 // --- Rec. 2020 Color Space ---
 export {
   // Constants
@@ -206,6 +321,164 @@ export {
   getRec2020GamutRatio
 } from './rec2020.js';
 
+// --- A98 RGB (Adobe RGB 1998) Color Space ---
+export {
+  // Constants
+  A98_RGB_PRIMARIES,
+  MATRIX_LINEAR_A98_RGB_TO_XYZ_D65,
+  MATRIX_XYZ_TO_LINEAR_A98_RGB_D65,
+  // Conversions
+  a98RgbToLinearA98Rgb,
+  linearA98RgbToA98Rgb,
+  srgbToA98Rgb,
+  a98RgbToSrgb,
+  linearA98RgbToXyz,
+  xyzToLinearA98Rgb,
+  // Utilities
+  isA98RgbInSrgbGamut,
+  isA98RgbInGamut,
+  formatA98RgbForCSS,
+  parseA98RgbFromCSS
+} from './a98-rgb.js';
+
+// --- ProPhoto RGB Color Space ---
+export {
+  // Constants
+  PROPHOTO_RGB_PRIMARIES,
+  MATRIX_LINEAR_PROPHOTO_RGB_TO_XYZ_D50,
+  MATRIX_XYZ_TO_LINEAR_PROPHOTO_RGB_D50,
+  // Conversions
+  proPhotoRgbToLinearProPhotoRgb,
+  linearProPhotoRgbToProPhotoRgb,
+  srgbToProPhotoRgb,
+  proPhotoRgbToSrgb,
+  linearProPhotoRgbToXyz,
+  xyzToLinearProPhotoRgb,
+  linearProPhotoRgbToXyzD50,
+  xyzD50ToLinearProPhotoRgb,
+  // Utilities
+  isProPhotoRgbInSrgbGamut,
+  isProPhotoRgbInGamut,
+  formatProPhotoRgbForCSS,
+  parseProPhotoRgbFromCSS
+} from './prophoto-rgb.js';
+
+// --- RGB Space Factory ---
+export {
+  createRgbSpace,
+  computeRgbToXyzMatrix,
+  // Transfer functions
+  TRANSFER_FUNCTIONS,
+  gammaTransfer,
+  bt1886Transfer,
+  iccParametricTransfer
+} from './rgb-space.js';
+
+// --- Batch Conversions ---
+export {
+  // sRGB ↔ Linear sRGB
+  srgbToLinearSrgbBatch,
+  linearSrgbToSrgbBatch,
+  // XYZ
+  linearSrgbToXyzBatch,
+  xyzToLinearSrgbBatch,
+  srgbToXyzBatch,
+  xyzToSrgbBatch,
+  // CIELAB
+  xyzToLabBatch,
+  labToXyzBatch,
+  srgbToLabBatch,
+  labToSrgbBatch,
+  // Oklab
+  linearSrgbToOklabBatch,
+  oklabToLinearSrgbBatch,
+  srgbToOklabBatch,
+  oklabToSrgbBatch,
+  xyzToOklabBatch,
+  oklabToXyzBatch,
+  // Display P3 and Rec. 2020
+  srgbToDisplayP3Batch,
+  displayP3ToSrgbBatch,
+  srgbToRec2020Batch,
+  rec2020ToSrgbBatch
+} from './batch.js';
+
+// --- HDR Transfer Functions and Absolute Luminance ---
+export {
+  // Constants
+  PQ_MAX_LUMINANCE,
+  SDR_REFERENCE_WHITE,
+  HLG_NOMINAL_PEAK_LUMINANCE,
+  // PQ (SMPTE ST 2084)
+  pqEotf,
+  pqInverseEotf,
+  // HLG (ARIB STD-B67)
+  hlgOetf,
+  hlgInverseOetf,
+  hlgSystemGamma,
+  hlgOotf,
+  hlgInverseOotf,
+  hlgEotf,
+  hlgInverseEotf,
+  // Relative ↔ absolute XYZ
+  xyzToAbsoluteXyz,
+  absoluteXyzToXyz
+} from './hdr.js';
+
+// --- ICtCp Color Space ---
+export {
+  // Constants
+  MATRIX_XYZ_TO_ICTCP_LMS,
+  MATRIX_ICTCP_LMS_TO_XYZ,
+  // Conversions
+  xyzToIctcp,
+  ictcpToXyz,
+  srgbToIctcp,
+  ictcpToSrgb
+} from './ictcp.js';
+
+// --- Jzazbz and JzCzhz Color Spaces ---
+export {
+  xyzToJzazbz,
+  jzazbzToXyz,
+  jzazbzToJzczhz,
+  jzczhzToJzazbz,
+  srgbToJzazbz,
+  jzazbzToSrgb,
+  srgbToJzczhz,
+  jzczhzToSrgb
+} from './jzazbz.js';
+
+// --- Rec. 2100 HDR Color Spaces ---
+export {
+  // Constants
+  HLG_REFERENCE_WHITE_SIGNAL,
+  REC2100_LINEAR_MAX,
+  // Conversions
+  rec2100PqToLinearRec2100,
+  linearRec2100ToRec2100Pq,
+  rec2100HlgToLinearRec2100,
+  linearRec2100ToRec2100Hlg,
+  linearRec2100ToXyz,
+  xyzToLinearRec2100,
+  srgbToRec2100Pq,
+  rec2100PqToSrgb,
+  srgbToRec2100Hlg,
+  rec2100HlgToSrgb,
+  // Absolute luminance
+  rec2100PqToNits,
+  nitsToRec2100Pq,
+  rec2100HlgToNits,
+  nitsToRec2100Hlg,
+  // HDR headroom
+  calculateHdrHeadroom,
+  headroomToPeakLuminance,
+  getLinearRec2100Headroom,
+  limitLinearRec2100Headroom,
+  getHdrHeadroom,
+  limitToHdrHeadroom
+} from './rec2100.js';
+
 // --- CAM16-UCS Uniform Color Space ---
 export {
   // Conversions
@@ -0,0 +1,200 @@
+/**
+ * @module jzazbz
+ * @description Jzazbz and JzCzhz color space conversions (Safdar et al. 2017).
+ * Jzazbz is a perceptually uniform color space for HDR and wide gamut imagery:
+ * its lightness Jz follows a PQ-like curve on absolute luminance, so it stays
+ * uniform from deep shadows to 10000 cd/m² highlights, and its hue is more
+ * constant than CIELAB's in the blues. JzCzhz is its polar form, with hue in
+ * degrees.
+ *
+ * Input XYZ is absolute, in cd/m² with a D65 white, as produced by
+ * `xyzToAbsoluteXyz`. The sRGB helpers scale through the SDR reference white.
+ *
+ * @see {@link https://doi.org/10.1364/OE.25.015131}
+ */
+
+import { multiplyMatrixVector, radiansToDegrees, degreesToRadians, normalizeHue, withAlpha } from './utils.js';
+import { srgbToXyz, xyzToSrgb } from './srgb.js';
+import { xyzToAbsoluteXyz, absoluteXyzToXyz, PQ_MAX_LUMINANCE } from './hdr.js';
+
+/** @typedef {{Jz: number, az: number, bz: number}} JzazbzColor */
+/** @typedef {{Jz: number, Cz: number, hz: number}} JzczhzColor */
+
+// --- Jzazbz Constants ---
+
+const B = 1.15;
+const G = 0.66;
+const C1 = 3424 / 4096;
+const C2 = 2413 / 128;
+const C3 = 2392 / 128;
+const N = 2610 / 16384;
+const P = 1.7 * 2523 / 32;
+const D = -0.56;
+const D0 = 1.6295499532821566e-11;
+
+/**
+ * Matrix to convert from modified XYZ (X', Y', Z) to LMS
+ * @private
+ */
+const MATRIX_XYZ_TO_LMS = Object.freeze([
+  Object.freeze([0.41478972, 0.579999, 0.0146480]),
+  Object.freeze([-0.2015100, 1.120649, 0.0531008]),
+  Object.freeze([-0.0166008, 0.264800, 0.6684799])
+]);
+
+/**
+ * Matrix to convert from LMS to modified XYZ
+ * Inverse of MATRIX_XYZ_TO_LMS
+ * @private
+ */
+const MATRIX_LMS_TO_XYZ = Object.freeze([
+  Object.freeze([1.924226435787607, -1.004792312595366, 0.037651404030618014]),
+  Object.freeze([0.3503167620949992, 0.7264811939316554, -0.06538442294808504]),
+  Object.freeze([-0.09098281098284759, -0.31272829052307405, 1.5227665613052608])
+]);
+
+/**
+ * Matrix to convert from PQ-encoded L'M'S' to Iz, az, bz
+ * @private
+ */
+const MATRIX_LMS_TO_IAB = Object.freeze([
+  Object.freeze([0.5, 0.5, 0]),
+  Object.freeze([3.524000, -4.066708, 0.542708]),
+  Object.freeze([0.199076, 1.096799, -1.295875])
+]);
+
+/**
+ * Matrix to convert from Iz, az, bz to PQ-encoded L'M'S'
+ * Inverse of MATRIX_LMS_TO_IAB
+ * @private
+ */
+const MATRIX_IAB_TO_LMS = Object.freeze([
+  Object.freeze([1, 0.13860504327153927, 0.058047316156118856]),
+  Object.freeze([1, -0.13860504327153927, -0.058047316156118856]),
+  Object.freeze([1, -0.09601924202631894, -0.8118918960560388])
+]);
+
+/**
+ * The PQ curve of Jzazbz, with exponent P in place of the ST 2084 m2
+ * @private
+ */
+function encode(luminance) {
+  const v = Math.pow(Math.max(luminance, 0) / PQ_MAX_LUMINANCE, N);
+  return Math.pow((C1 + C2 * v) / (1 + C3 * v), P);
+}
+
+/**
+ * Inverse of {@link encode}
+ * @private
+ */
+function decode(encoded) {
+  const v = Math.pow(Math.max(encoded, 0), 1 / P);
+  return PQ_MAX_LUMINANCE * Math.pow(Math.max(v - C1, 0) / (C2 - C3 * v), 1 / N);
+}
+
+// --- XYZ ↔ Jzazbz Conversions ---
+
+/**
+ * Convert absolute XYZ (D65, cd/m²) to Jzazbz
+ * @param {{X: number, Y: number, Z: number}} absoluteXyz - XYZ in cd/m²
+ * @returns {JzazbzColor} Jzazbz color
+ * @example
+ * // D65 white at the 203 cd/m² reference white
+ * xyzToJzazbz({ X: 192.93, Y: 203, Z: 221.03 })
+ * // { Jz: 0.2220, az: ≈0, bz: ≈0 }
+ */
+export function xyzToJzazbz(absoluteXyz) {
+  const { X, Y, Z } = absoluteXyz;
+  const modified = [B * X - (B - 1) * Z, G * Y - (G - 1) * X, Z];
+  const lms = multiplyMatrixVector(MATRIX_XYZ_TO_LMS, modified).map(encode);
+  const [Iz, az, bz] = multiplyMatrixVector(MATRIX_LMS_TO_IAB, lms);
+  const Jz = ((1 + D) * Iz) / (1 + D * Iz) - D0;
+  return { Jz, az, bz };
+}
+
+/**
+ * Convert Jzazbz to absolute XYZ (D65, cd/m²)
+ * @param {JzazbzColor} jzazbzColor - Jzazbz color
+ * @returns {{X: number, Y: number, Z: number}} XYZ in cd/m²
+ */
+export function jzazbzToXyz(jzazbzColor) {
+  const { Jz, az, bz } = jzazbzColor;
+  const Iz = (Jz + D0) / (1 + D - D * (Jz + D0));
+  const lms = multiplyMatrixVector(MATRIX_IAB_TO_LMS, [Iz, az, bz]).map(decode);
+  const [Xm, Ym, Z] = multiplyMatrixVector(MATRIX_LMS_TO_XYZ, lms);
+  const X = (Xm + (B - 1) * Z) / B;
+  const Y = (Ym + (G - 1) * X) / G;
+  return { X, Y, Z };
+}
+
+// --- Jzazbz ↔ JzCzhz Conversions ---
+
+/**
+ * Convert Jzazbz to JzCzhz. Hue is in degrees [0, 360), and 0 for achromatic colors.
+ * @param {JzazbzColor} jzazbzColor - Jzazbz color
+ * @returns {JzczhzColor} JzCzhz color
+ */
+export function jzazbzToJzczhz(jzazbzColor) {
+  const { Jz, az, bz } = jzazbzColor;
+  const Cz = Math.sqrt(az * az + bz * bz);
+  const hz = Cz < 1e-9 ? 0 : normalizeHue(radiansToDegrees(Math.atan2(bz, az)));
+  return { Jz, Cz, hz };
+}
+
+/**
+ * Convert JzCzhz to Jzazbz
+ * @param {JzczhzColor} jzczhzColor - JzCzhz color, hue in degrees
+ * @returns {JzazbzColor} Jzazbz color
+ */
+export function jzczhzToJzazbz(jzczhzColor) {
+  const { Jz, Cz, hz } = jzczhzColor;
+  const hRad = degreesToRadians(hz);
+  return { Jz, az: Cz * Math.cos(hRad), bz: Cz * Math.sin(hRad) };
+}
+
+// --- sRGB ↔ Jzazbz Conversions ---
+
+/**
+ * Convert sRGB to Jzazbz, with sRGB white at the SDR reference white
+ * @param {SrgbColor} srgbColor - sRGB color
+ * @param {object} [options] - Scaling options
+ * @param {number} [options.referenceWhite=203] - Luminance of sRGB white in cd/m²
+ * @returns {JzazbzColor} Jzazbz color, with the alpha of the input if it has one
+ */
+export function srgbToJzazbz(srgbColor, options = {}) {
+  return withAlpha(xyzToJzazbz(xyzToAbsoluteXyz(srgbToXyz(srgbColor), options)), srgbColor);
+}
+
+/**
+ * Convert Jzazbz to sRGB, with the SDR reference white mapped to sRGB white.
+ * HDR highlights above the reference white come out above 1 (not clipped).
+ * @param {JzazbzColor} jzazbzColor - Jzazbz color
+ * @param {object} [options] - Scaling options
+ * @param {number} [options.referenceWhite=203] - Luminance of sRGB white in cd/m²
+ * @returns {SrgbColor} sRGB color (not clipped), with the alpha of the input if it has one
+ */
+export function jzazbzToSrgb(jzazbzColor, options = {}) {
+  return withAlpha(xyzToSrgb(absoluteXyzToXyz(jzazbzToXyz(jzazbzColor), options)), jzazbzColor);
+}
+
+/**
+ * Convert sRGB to JzCzhz, with sRGB white at the SDR reference white
+ * @param {SrgbColor} srgbColor - sRGB color
+ * @param {object} [options] - Scaling options
+ * @param {number} [options.referenceWhite=203] - Luminance of sRGB white in cd/m²
+ * @returns {JzczhzColor} JzCzhz color, with the alpha of the input if it has one
+ */
+export function srgbToJzczhz(srgbColor, options = {}) {
+  return withAlpha(jzazbzToJzczhz(srgbToJzazbz(srgbColor, options)), srgbColor);
+}
+
+/**
+ * Convert JzCzhz to sRGB, with the SDR reference white mapped to sRGB white
+ * @param {JzczhzColor} jzczhzColor - JzCzhz color
+ * @param {object} [options] - Scaling options
+ * @param {number} [options.referenceWhite=203] - Luminance of sRGB white in cd/m²
+ * @returns {SrgbColor} sRGB color (not clipped), with the alpha of the input if it has one
+ */
+export function jzczhzToSrgb(jzczhzColor, options = {}) {
+  return withAlpha(jzazbzToSrgb(jzczhzToJzazbz(jzczhzColor), options), jzczhzColor);
+}
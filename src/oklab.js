@@ -6,6 +6,7 @@
  * and between Oklab and OkLCh.
  * Oklab components (L, a, b) and OkLCh components (L, C, h) follow standard definitions
  * by Björn Ottosson, with Oklab L (Lightness) typically in the [0, 1] range.
+ * An optional `alpha` property on any input color is passed through unchanged.
  * @see {@link https://bottosson.github.io/posts/oklab/} for the Oklab specification.
  */
 
@@ -18,6 +19,7 @@ import {
   radiansToDegrees,
   normalizeHue, // Assuming this is exported from utils.js
   signPreservingPow, // For cube root and cubing, handles signs correctly
+  withAlpha,
 } from './utils.js';
 
 // --- sRGB Module Imports (for convenience functions) ---
@@ -30,7 +32,7 @@ import {
 // These matrices and steps are based on Björn Ottosson's Oklab formulation.
 
 // Step 1: Convert Linear sRGB to an intermediate LMS-like space (specific to Oklab)
-const MATRIX_LINEAR_SRGB_TO_LMS_OKLAB = Object.freeze([
+export const MATRIX_LINEAR_SRGB_TO_LMS_OKLAB = Object.freeze([
   Object.freeze([0.4122214708, 0.5363325363, 0.0514459929]),
   Object.freeze([0.2119034982, 0.6806995451, 0.1073969566]),
   Object.freeze([0.0883024619, 0.2817188376, 0.6299787005]),
@@ -40,7 +42,7 @@ const MATRIX_LINEAR_SRGB_TO_LMS_OKLAB = Object.freeze([
 // This is handled by signPreservingPow(value, 1/3)
 
 // Step 3: Convert non-linear LMS' to Oklab (L, a, b)
-const MATRIX_LMS_PRIME_TO_OKLAB = Object.freeze([
+export const MATRIX_LMS_PRIME_TO_OKLAB = Object.freeze([
   Object.freeze([0.2104542553, 0.7936177850, -0.0040720468]),
   Object.freeze([1.9779984951, -2.4285922050, 0.4505937099]),
   Object.freeze([0.0259040371, 0.7827717662, -0.8086757660]),
@@ -49,7 +51,7 @@ const MATRIX_LMS_PRIME_TO_OKLAB = Object.freeze([
 // Inverse Transformations:
 
 // Step 1 (Inverse of Step 3): Convert Oklab (L, a, b) to non-linear LMS'
-const MATRIX_OKLAB_TO_LMS_PRIME = Object.freeze([
+export const MATRIX_OKLAB_TO_LMS_PRIME = Object.freeze([
   Object.freeze([1.0, 0.3963377774, 0.2158037573]),
   Object.freeze([1.0, -0.1055613458, -0.0638541728]),
   Object.freeze([1.0, -0.0894841775, -1.2914855480]),
@@ -59,12 +61,27 @@ const MATRIX_OKLAB_TO_LMS_PRIME = Object.freeze([
 // This is handled by signPreservingPow(value, 3)
 
 // Step 3 (Inverse of Step 1): Convert LMS to Linear sRGB
-const MATRIX_LMS_OKLAB_TO_LINEAR_SRGB = Object.freeze([
+export const MATRIX_LMS_OKLAB_TO_LINEAR_SRGB = Object.freeze([
   Object.freeze([4.0767416621, -3.3077115913, 0.2309699292]),
   Object.freeze([-1.2684380046, 2.6097574011, -0.3413193965]),
   Object.freeze([-0.0041960863, -0.7034186147, 1.7076147010]),
 ]);
 
+// XYZ (D65) <-> LMS matrices, as published in CSS Color Module Level 4.
+// Used by the XYZ entry points, which (unlike the linear sRGB ones) do not
+// clip negative components and so can represent wide-gamut colors.
+export const MATRIX_XYZ_TO_LMS_OKLAB = Object.freeze([
+  Object.freeze([0.8190224379967030, 0.3619062600528904, -0.1288737815209879]),
+  Object.freeze([0.0329836539323885, 0.9292868615863434, 0.0361446663506424]),
+  Object.freeze([0.0481771893596242, 0.2642395317527308, 0.6335478284694309]),
+]);
+
+export const MATRIX_LMS_OKLAB_TO_XYZ = Object.freeze([
+  Object.freeze([1.2268798758459243, -0.5578149944602171, 0.2813910456659647]),
+  Object.freeze([-0.0405757452148008, 1.1122868032803170, -0.0717110580655164]),
+  Object.freeze([-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]),
+]);
+
 // --- Linear sRGB <-> Oklab Conversions ---
 
 /**
@@ -103,7 +120,7 @@ export function linearSrgbToOklab(linearSrgbColor) {
   ];
 
   const labArray = multiplyMatrixVector(MATRIX_LMS_PRIME_TO_OKLAB, lmsPrime);
-  return { L: labArray[0], a: labArray[1], b: labArray[2] };
+  return withAlpha({ L: labArray[0], a: labArray[1], b: labArray[2] }, linearSrgbColor);
 }
 
 /**
@@ -139,7 +156,39 @@ export function oklabToLinearSrgb(oklabColor) {
   ];
 
   const rgbArray = multiplyMatrixVector(MATRIX_LMS_OKLAB_TO_LINEAR_SRGB, lms);
-  return { r: rgbArray[0], g: rgbArray[1], b: rgbArray[2] };
+  return withAlpha({ r: rgbArray[0], g: rgbArray[1], b: rgbArray[2] }, oklabColor);
+}
+
+// --- XYZ <-> Oklab Conversions ---
+
+/**
+ * Converts a CIE XYZ (D65, Y=1 for white) color object to an Oklab color object.
+ * No clipping is applied, so colors outside the sRGB gamut (e.g. Display P3 or
+ * Rec. 2020 primaries) convert without loss.
+ * @param {XyzColor} xyzColor - The XYZ color object {X, Y, Z}.
+ * @returns {OklabColor} The Oklab color object {L, a, b}.
+ * @example
+ * const oklabWhite = xyzToOklab({ X: 0.95047, Y: 1, Z: 1.08883 });
+ * // oklabWhite ≈ { L: 1, a: 0, b: 0 }
+ */
+export function xyzToOklab(xyzColor) {
+  const lms = multiplyMatrixVector(MATRIX_XYZ_TO_LMS_OKLAB, [xyzColor.X, xyzColor.Y, xyzColor.Z]);
+  const lmsPrime = lms.map(c => signPreservingPow(c, 1 / 3));
+  const [L, a, b] = multiplyMatrixVector(MATRIX_LMS_PRIME_TO_OKLAB, lmsPrime);
+  return withAlpha({ L, a, b }, xyzColor);
+}
+
+/**
+ * Converts an Oklab color object to CIE XYZ (D65, Y=1 for white).
+ * Inverse of {@link xyzToOklab}.
+ * @param {OklabColor} oklabColor - The Oklab color object {L, a, b}.
+ * @returns {XyzColor} The XYZ color object {X, Y, Z}.
+ */
+export function oklabToXyz(oklabColor) {
+  const lmsPrime = multiplyMatrixVector(MATRIX_OKLAB_TO_LMS_PRIME, [oklabColor.L, oklabColor.a, oklabColor.b]);
+  const lms = lmsPrime.map(c => signPreservingPow(c, 3));
+  const [X, Y, Z] = multiplyMatrixVector(MATRIX_LMS_OKLAB_TO_XYZ, lms);
+  return withAlpha({ X, Y, Z }, oklabColor);
 }
 
 // --- Oklab <-> OkLCh Conversions ---
@@ -175,7 +224,7 @@ export function oklabToOklch(oklabColor) {
       h_deg = 0; // Hue is undefined for achromatic colors, conventionally set to 0.
   }
 
-  return { L, C, h: h_deg };
+  return withAlpha({ L, C, h: h_deg }, oklabColor);
 }
 
 /**
@@ -205,10 +254,10 @@ export function oklchToOklab(oklchColor) {
   const b = C_abs * Math.sin(h_rad);
 
   if (C_abs < 1e-7) {
-    return { L, a: 0, b: 0 };
+    return withAlpha({ L, a: 0, b: 0 }, oklchColor);
   }
 
-  return { L, a, b };
+  return withAlpha({ L, a, b }, oklchColor);
 }
 
 // --- sRGB <-> Oklab Convenience Pipeline Functions ---
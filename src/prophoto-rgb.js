@@ -0,0 +1,216 @@
+/**
+ * @module prophoto-rgb
+ * @description ProPhoto RGB (ROMM RGB) color space conversions and utilities.
+ * ProPhoto RGB is a very wide-gamut RGB space used for photo editing and raw
+ * processing. Its green and blue primaries lie outside the spectral locus, so
+ * part of its gamut is made of imaginary colors.
+ *
+ * Unlike sRGB, Display P3 and Rec. 2020, ProPhoto RGB is defined against a D50
+ * white point. Its XYZ matrices are relative to D50; the conversions to XYZ (D65)
+ * and to sRGB go through Bradford chromatic adaptation, as in CSS. The transfer
+ * function is a 1.8 gamma with a short linear segment near black.
+ *
+ * @see {@link https://www.w3.org/TR/css-color-4/#predefined-prophoto-rgb}
+ */
+
+import { multiplyMatrixVector, withAlpha } from './utils.js';
+import { srgbToLinearSrgb, linearSrgbToSrgb, linearSrgbToXyz, xyzToLinearSrgb } from './srgb.js';
+import { xyzD65ToD50, xyzD50ToD65 } from './chromatic-adaptation.js';
+import { createRgbSpace, iccParametricTransfer, parseColorFunction } from './rgb-space-core.js';
+
+/** @typedef {{r: number, g: number, b: number}} ProPhotoRgbColor */
+/** @typedef {{r: number, g: number, b: number}} LinearProPhotoRgbColor */
+
+// --- ProPhoto RGB Constants ---
+
+/**
+ * ProPhoto RGB primaries and white point in CIE xy chromaticity coordinates
+ */
+export const PROPHOTO_RGB_PRIMARIES = Object.freeze({
+  red: { x: 0.734699, y: 0.265301 },
+  green: { x: 0.159597, y: 0.840403 },
+  blue: { x: 0.036598, y: 0.000105 },
+  white: { x: 0.3457, y: 0.3585 } // D50
+});
+
+/**
+ * ProPhoto RGB as an RGB space: its primaries, D50 white and a 1.8 gamma that
+ * is linear (slope 1/16) below 16/512, symmetric around 0
+ * @private
+ */
+export const PROPHOTO_RGB_SPACE = createRgbSpace({
+  name: 'prophoto-rgb',
+  primaries: PROPHOTO_RGB_PRIMARIES,
+  transfer: iccParametricTransfer([1.8, 1, 0, 1 / 16, 16 / 512])
+});
+
+/**
+ * Matrix to convert from linear ProPhoto RGB to XYZ (D50)
+ * Derived from the ProPhoto RGB primaries
+ * @private
+ */
+export const MATRIX_LINEAR_PROPHOTO_RGB_TO_XYZ_D50 = PROPHOTO_RGB_SPACE.toXyzMatrix;
+
+/**
+ * Matrix to convert from XYZ (D50) to linear ProPhoto RGB
+ * Inverse of MATRIX_LINEAR_PROPHOTO_RGB_TO_XYZ_D50
+ * @private
+ */
+export const MATRIX_XYZ_TO_LINEAR_PROPHOTO_RGB_D50 = PROPHOTO_RGB_SPACE.fromXyzMatrix;
+
+// --- ProPhoto RGB ↔ Linear ProPhoto RGB ---
+
+/**
+ * Convert ProPhoto RGB to linear ProPhoto RGB
+ * @param {ProPhotoRgbColor} proPhotoColor - ProPhoto RGB color with gamma correction
+ * @returns {LinearProPhotoRgbColor} Linear ProPhoto RGB color
+ */
+export function proPhotoRgbToLinearProPhotoRgb(proPhotoColor) {
+  return PROPHOTO_RGB_SPACE.toLinear(proPhotoColor);
+}
+
+/**
+ * Convert linear ProPhoto RGB to ProPhoto RGB with gamma correction
+ * @param {LinearProPhotoRgbColor} linearProPhotoColor - Linear ProPhoto RGB color
+ * @returns {ProPhotoRgbColor} ProPhoto RGB color with gamma correction
+ */
+export function linearProPhotoRgbToProPhotoRgb(linearProPhotoColor) {
+  return PROPHOTO_RGB_SPACE.fromLinear(linearProPhotoColor);
+}
+
+// --- XYZ ↔ ProPhoto RGB Conversions ---
+
+/**
+ * Convert linear ProPhoto RGB to XYZ (D50), without adaptation
+ * @param {LinearProPhotoRgbColor} linearProPhotoColor - Linear ProPhoto RGB color
+ * @returns {{X: number, Y: number, Z: number}} XYZ color relative to D50
+ */
+export function linearProPhotoRgbToXyzD50(linearProPhotoColor) {
+  const [X, Y, Z] = multiplyMatrixVector(
+    MATRIX_LINEAR_PROPHOTO_RGB_TO_XYZ_D50,
+    [linearProPhotoColor.r, linearProPhotoColor.g, linearProPhotoColor.b]
+  );
+  return { X, Y, Z };
+}
+
+/**
+ * Convert XYZ (D50) to linear ProPhoto RGB, without adaptation
+ * @param {{X: number, Y: number, Z: number}} xyzD50 - XYZ color relative to D50
+ * @returns {LinearProPhotoRgbColor} Linear ProPhoto RGB color
+ */
+export function xyzD50ToLinearProPhotoRgb(xyzD50) {
+  const [r, g, b] = multiplyMatrixVector(
+    MATRIX_XYZ_TO_LINEAR_PROPHOTO_RGB_D50,
+    [xyzD50.X, xyzD50.Y, xyzD50.Z]
+  );
+  return { r, g, b };
+}
+
+/**
+ * Convert linear ProPhoto RGB to XYZ (D65), adapting from D50 with Bradford
+ * @param {LinearProPhotoRgbColor} linearProPhotoColor - Linear ProPhoto RGB color
+ * @returns {{X: number, Y: number, Z: number}} XYZ color relative to D65
+ */
+export function linearProPhotoRgbToXyz(linearProPhotoColor) {
+  return xyzD50ToD65(linearProPhotoRgbToXyzD50(linearProPhotoColor));
+}
+
+/**
+ * Convert XYZ (D65) to linear ProPhoto RGB, adapting to D50 with Bradford
+ * @param {{X: number, Y: number, Z: number}} xyzColor - XYZ color relative to D65
+ * @returns {LinearProPhotoRgbColor} Linear ProPhoto RGB color
+ */
+export function xyzToLinearProPhotoRgb(xyzColor) {
+  return xyzD50ToLinearProPhotoRgb(xyzD65ToD50(xyzColor));
+}
+
+// --- sRGB ↔ ProPhoto RGB Conversions ---
+
+/**
+ * Convert sRGB to ProPhoto RGB
+ * @param {SrgbColor} srgbColor - sRGB color
+ * @returns {ProPhotoRgbColor} ProPhoto RGB color, with the alpha of the input if it has one
+ * @example
+ * // sRGB white maps to ProPhoto white through the D65 → D50 adaptation
+ * const proPhotoWhite = srgbToProPhotoRgb({ r: 1, g: 1, b: 1 });
+ * // Result: { r: 1, g: 1, b: 1 } (within 1e-4)
+ */
+export function srgbToProPhotoRgb(srgbColor) {
+  const xyz = linearSrgbToXyz(srgbToLinearSrgb(srgbColor));
+  return withAlpha(linearProPhotoRgbToProPhotoRgb(xyzToLinearProPhotoRgb(xyz)), srgbColor);
+}
+
+/**
+ * Convert ProPhoto RGB to sRGB
+ * Note: ProPhoto RGB has a much wider gamut than sRGB, so the result is often out of [0, 1]
+ * @param {ProPhotoRgbColor} proPhotoColor - ProPhoto RGB color
+ * @returns {SrgbColor} sRGB color (not clipped), with the alpha of the input if it has one
+ */
+export function proPhotoRgbToSrgb(proPhotoColor) {
+  const xyz = linearProPhotoRgbToXyz(proPhotoRgbToLinearProPhotoRgb(proPhotoColor));
+  return withAlpha(linearSrgbToSrgb(xyzToLinearSrgb(xyz)), proPhotoColor);
+}
+
+// --- Utility Functions ---
+
+/**
+ * Check if a ProPhoto RGB color is within sRGB gamut
+ * @param {ProPhotoRgbColor} proPhotoColor - ProPhoto RGB color to check
+ * @returns {boolean} True if the color can be represented in sRGB
+ */
+export function isProPhotoRgbInSrgbGamut(proPhotoColor) {
+  const srgb = proPhotoRgbToSrgb(proPhotoColor);
+  const epsilon = 0.00001;
+  return (
+    srgb.r >= -epsilon && srgb.r <= 1 + epsilon &&
+    srgb.g >= -epsilon && srgb.g <= 1 + epsilon &&
+    srgb.b >= -epsilon && srgb.b <= 1 + epsilon
+  );
+}
+
+/**
+ * Check if a ProPhoto RGB color is within its own gamut
+ * @param {ProPhotoRgbColor} proPhotoColor - ProPhoto RGB color to check
+ * @returns {boolean} True if every channel is in [0, 1]
+ */
+export function isProPhotoRgbInGamut(proPhotoColor) {
+  const epsilon = 0.00001;
+  return (
+    proPhotoColor.r >= -epsilon && proPhotoColor.r <= 1 + epsilon &&
+    proPhotoColor.g >= -epsilon && proPhotoColor.g <= 1 + epsilon &&
+    proPhotoColor.b >= -epsilon && proPhotoColor.b <= 1 + epsilon
+  );
+}
+
+/**
+ * Format a ProPhoto RGB color for CSS Color Module Level 4
+ * @param {ProPhotoRgbColor} proPhotoColor - ProPhoto RGB color
+ * @param {number} [precision=4] - Decimal precision
+ * @returns {string} CSS color() function string
+ * @example
+ * formatProPhotoRgbForCSS({ r: 0.7023, g: 0.2757, b: 0.1036 })
+ * // Returns: "color(prophoto-rgb 0.7023 0.2757 0.1036)"
+ */
+export function formatProPhotoRgbForCSS(proPhotoColor, precision = 4) {
+  const r = proPhotoColor.r.toFixed(precision);
+  const g = proPhotoColor.g.toFixed(precision);
+  const b = proPhotoColor.b.toFixed(precision);
+  return `color(prophoto-rgb ${r} ${g} ${b})`;
+}
+
+/**
+ * Parse a CSS Color Module Level 4 prophoto-rgb color
+ * Negative and percentage channels, `none` (read as NaN), exponents and
+ * `/ alpha` are all accepted.
+ * @param {string} cssString - CSS color() function string
+ * @returns {ProPhotoRgbColor|null} ProPhoto RGB color, with alpha unless it is 1, or
+ *   null if the string is not a valid prophoto-rgb color
+ * @example
+ * parseProPhotoRgbFromCSS("color(prophoto-rgb 0.7023 0.2757 0.1036)")
+ * // Returns: { r: 0.7023, g: 0.2757, b: 0.1036 }
+ * parseProPhotoRgbFromCSS("color(prophoto-rgb 70% none 0.1 / 0.25)")
+ * // Returns: { r: 0.7, g: NaN, b: 0.1, alpha: 0.25 }
+ */
+export function parseProPhotoRgbFromCSS(cssString) {
+  return parseColorFunction(cssString, 'prophoto-rgb');
+}
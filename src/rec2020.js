@@ -5,11 +5,14 @@
  * It encompasses 75.8% of the CIE 1931 color space, significantly larger than sRGB (35.9%)
  * and Display P3 (53.6%).
  * 
+ * This module implements the SDR transfer function; see `rec2100.js` for the
+ * HDR PQ and HLG encodings of the same primaries.
+ * 
  * @see {@link https://www.itu.int/rec/R-REC-BT.2020}
  */
 
 import { multiplyMatrixVector } from './utils.js';
-import { srgbToLinearSrgb, linearSrgbToSrgb } from './srgb.js';
+import { createRgbSpace, computeSrgbMatrices } from './rgb-space-core.js';
 
 /** @typedef {{r: number, g: number, b: number}} Rec2020Color */
 /** @typedef {{r: number, g: number, b: number}} LinearRec2020Color */
@@ -18,7 +21,6 @@ import { srgbToLinearSrgb, linearSrgbToSrgb } from './srgb.js';
 
 /**
  * Rec. 2020 primaries and white point in CIE xy chromaticity coordinates
- * @private
  */
 export const REC2020_PRIMARIES = Object.freeze({
   red: { x: 0.708, y: 0.292 },
@@ -27,96 +29,59 @@ export const REC2020_PRIMARIES = Object.freeze({
   white: { x: 0.3127, y: 0.3290 } // D65
 });
 
+/**
+ * Rec. 2020 as an RGB space: its primaries, D65 white and the Rec. 709 curve
+ * @private
+ */
+export const REC2020_SPACE = createRgbSpace({ name: 'rec2020', primaries: REC2020_PRIMARIES, transfer: 'bt709' });
+
 /**
  * Matrix to convert from linear Rec. 2020 to XYZ (D65)
  * Derived from the Rec. 2020 primaries
  * @private
  */
-export const MATRIX_LINEAR_REC2020_TO_XYZ_D65 = Object.freeze([
-  Object.freeze([0.6369580, 0.1446169, 0.1688810]),
-  Object.freeze([0.2627002, 0.6779981, 0.0593017]),
-  Object.freeze([0.0000000, 0.0280727, 1.0609851])
-]);
+export const MATRIX_LINEAR_REC2020_TO_XYZ_D65 = REC2020_SPACE.toXyzMatrix;
 
 /**
  * Matrix to convert from XYZ to linear Rec. 2020 (D65)
  * Inverse of MATRIX_LINEAR_REC2020_TO_XYZ_D65
  * @private
  */
-export const MATRIX_XYZ_TO_LINEAR_REC2020_D65 = Object.freeze([
-  Object.freeze([1.7166511, -0.3556708, -0.2533663]),
-  Object.freeze([-0.6666844, 1.6164812, 0.0157685]),
-  Object.freeze([0.0176399, -0.0427706, 0.9421031])
-]);
+export const MATRIX_XYZ_TO_LINEAR_REC2020_D65 = REC2020_SPACE.fromXyzMatrix;
 
 /**
- * Matrix for direct linear sRGB to linear Rec. 2020 conversion
+ * Direct matrices between linear sRGB and linear Rec. 2020
  * @private
  */
-export const MATRIX_LINEAR_SRGB_TO_LINEAR_REC2020 = Object.freeze([
-  Object.freeze([0.6274040, 0.3292820, 0.0433136]),
-  Object.freeze([0.0690970, 0.9195400, 0.0113612]),
-  Object.freeze([0.0163916, 0.0880132, 0.8955950])
-]);
+const SRGB_MATRICES = computeSrgbMatrices(REC2020_SPACE);
 
 /**
- * Matrix for direct linear Rec. 2020 to linear sRGB conversion
+ * Matrix for direct linear sRGB to linear Rec. 2020 conversion
  * @private
  */
-export const MATRIX_LINEAR_REC2020_TO_LINEAR_SRGB = Object.freeze([
-  Object.freeze([1.6605010, -0.5876411, -0.0728499]),
-  Object.freeze([-0.1246611, 1.1329096, -0.0082485]),
-  Object.freeze([-0.0181508, -0.1005789, 1.1187297])
-]);
-
-// --- Gamma Correction ---
+export const MATRIX_LINEAR_SRGB_TO_LINEAR_REC2020 = SRGB_MATRICES.fromLinearSrgb;
 
 /**
- * Rec. 2020 uses the same transfer function as Rec. 709 (BT.709)
- * which is slightly different from sRGB
+ * Matrix for direct linear Rec. 2020 to linear sRGB conversion
  * @private
  */
-const REC2020_ALPHA = 1.09929682680944;
-const REC2020_BETA = 0.018053968510807;
+export const MATRIX_LINEAR_REC2020_TO_LINEAR_SRGB = SRGB_MATRICES.toLinearSrgb;
+
+// --- Gamma Correction ---
 
 /**
- * Apply Rec. 2020 gamma correction (OETF - Opto-Electronic Transfer Function)
+ * Apply Rec. 2020 gamma correction (OETF - Opto-Electronic Transfer Function).
+ * Rec. 2020 uses the same transfer function as Rec. 709 (BT.709), which is
+ * slightly different from sRGB.
  * @private
  */
-function rec2020ChannelToLinear(channel) {
-  if (channel === 0) return 0;
-  if (channel === 1) return 1;
-  
-  // Rec. 2020 uses Rec. 709 transfer function
-  if (channel < 0) {
-    return -rec2020ChannelToLinear(-channel);
-  }
-  
-  if (channel < REC2020_BETA * 4.5) {
-    return channel / 4.5;
-  }
-  
-  return Math.pow((channel + (REC2020_ALPHA - 1)) / REC2020_ALPHA, 1 / 0.45);
-}
+export const rec2020ChannelToLinear = REC2020_SPACE.transfer.toLinear;
 
 /**
  * Remove Rec. 2020 gamma correction (EOTF - Electro-Optical Transfer Function)
  * @private
  */
-function linearChannelToRec2020(channel) {
-  if (channel === 0) return 0;
-  if (channel === 1) return 1;
-  
-  if (channel < 0) {
-    return -linearChannelToRec2020(-channel);
-  }
-  
-  if (channel < REC2020_BETA) {
-    return channel * 4.5;
-  }
-  
-  return REC2020_ALPHA * Math.pow(channel, 0.45) - (REC2020_ALPHA - 1);
-}
+export const linearChannelToRec2020 = REC2020_SPACE.transfer.fromLinear;
 
 // --- Rec. 2020 ↔ Linear Rec. 2020 ---
 
@@ -126,11 +91,7 @@ function linearChannelToRec2020(channel) {
  * @returns {LinearRec2020Color} Linear Rec. 2020 color
  */
 export function rec2020ToLinearRec2020(rec2020Color) {
-  return {
-    r: rec2020ChannelToLinear(rec2020Color.r),
-    g: rec2020ChannelToLinear(rec2020Color.g),
-    b: rec2020ChannelToLinear(rec2020Color.b)
-  };
+  return REC2020_SPACE.toLinear(rec2020Color);
 }
 
 /**
@@ -139,11 +100,7 @@ export function rec2020ToLinearRec2020(rec2020Color) {
  * @returns {Rec2020Color} Rec. 2020 color with gamma correction
  */
 export function linearRec2020ToRec2020(linearRec2020Color) {
-  return {
-    r: linearChannelToRec2020(linearRec2020Color.r),
-    g: linearChannelToRec2020(linearRec2020Color.g),
-    b: linearChannelToRec2020(linearRec2020Color.b)
-  };
+  return REC2020_SPACE.fromLinear(linearRec2020Color);
 }
 
 // --- sRGB ↔ Rec. 2020 Conversions ---
@@ -157,17 +114,7 @@ export function linearRec2020ToRec2020(linearRec2020Color) {
  * const rec2020Red = srgbToRec2020({ r: 1, g: 0, b: 0 });
  */
 export function srgbToRec2020(srgbColor) {
-  // Convert to linear sRGB
-  const linearSrgb = srgbToLinearSrgb(srgbColor);
-  
-  // Convert to linear Rec. 2020 using direct matrix
-  const [r, g, b] = multiplyMatrixVector(
-    MATRIX_LINEAR_SRGB_TO_LINEAR_REC2020,
-    [linearSrgb.r, linearSrgb.g, linearSrgb.b]
-  );
-  
-  // Apply Rec. 2020 gamma
-  return linearRec2020ToRec2020({ r, g, b });
+  return REC2020_SPACE.fromSrgb(srgbColor);
 }
 
 /**
@@ -177,17 +124,7 @@ export function srgbToRec2020(srgbColor) {
  * @returns {SrgbColor} sRGB color (likely clipped if out of gamut)
  */
 export function rec2020ToSrgb(rec2020Color) {
-  // Convert to linear Rec. 2020
-  const linearRec2020 = rec2020ToLinearRec2020(rec2020Color);
-  
-  // Convert to linear sRGB using direct matrix
-  const [r, g, b] = multiplyMatrixVector(
-    MATRIX_LINEAR_REC2020_TO_LINEAR_SRGB,
-    [linearRec2020.r, linearRec2020.g, linearRec2020.b]
-  );
-  
-  // Apply sRGB gamma
-  return linearSrgbToSrgb({ r, g, b });
+  return REC2020_SPACE.toSrgb(rec2020Color);
 }
 
 // --- XYZ ↔ Rec. 2020 Conversions ---
@@ -298,8 +235,10 @@ export function getRec2020GamutRatio(compareSpace = 'srgb') {
   const volumes = {
     'srgb': 2.25,      // Rec. 2020 is ~125% larger than sRGB
     'display-p3': 1.67, // Rec. 2020 is ~67% larger than Display P3
+    'a98-rgb': 1.67,    // Rec. 2020 is ~67% larger than A98 RGB
     'rec2020': 1.0,     // Same space
-    'prophoto': 0.8     // Rec. 2020 is ~80% of ProPhoto RGB
+    'prophoto-rgb': 0.8, // Rec. 2020 is ~80% of ProPhoto RGB
+    'prophoto': 0.8
   };
   
   return volumes[compareSpace] || 1.0;
@@ -0,0 +1,108 @@
+/**
+ * @module rec2100-core
+ * @private
+ * @description The Rec. 2100 encodings and XYZ conversions of
+ * {@link module:rec2100}, which the color space registry builds its
+ * `rec2100-*` spaces from.
+ */
+
+import { linearRec2020ToXyz, xyzToLinearRec2020 } from './rec2020.js';
+import {
+  pqEotf,
+  pqInverseEotf,
+  hlgOetf,
+  hlgInverseOetf,
+  SDR_REFERENCE_WHITE,
+  PQ_MAX_LUMINANCE
+} from './hdr.js';
+
+// --- Rec. 2100 Constants ---
+
+/**
+ * HLG signal of the SDR reference white (ITU-R BT.2408)
+ * @type {number}
+ */
+export const HLG_REFERENCE_WHITE_SIGNAL = 0.75;
+
+/**
+ * Scene-linear HLG light to linear Rec. 2100, mapping the reference white
+ * signal to 1 (about 3.7743)
+ * @private
+ */
+const HLG_SCALE = 1 / hlgInverseOetf(HLG_REFERENCE_WHITE_SIGNAL);
+
+/**
+ * Largest linear Rec. 2100 value that PQ can encode: 10000 cd/m² over the
+ * reference white (about 49.26)
+ * @type {number}
+ */
+export const REC2100_LINEAR_MAX = PQ_MAX_LUMINANCE / SDR_REFERENCE_WHITE;
+
+/**
+ * Apply a function to each channel of an RGB color
+ * @private
+ */
+export const mapChannels = (color, fn) => ({ r: fn(color.r), g: fn(color.g), b: fn(color.b) });
+
+// --- PQ and HLG ↔ Linear Rec. 2100 (CSS) ---
+
+/**
+ * Convert Rec. 2100 PQ to linear Rec. 2100 (1 = SDR reference white)
+ * @param {Rec2100Color} pqColor - PQ-encoded Rec. 2100 color
+ * @returns {LinearRec2100Color} Linear Rec. 2100 color
+ * @example
+ * rec2100PqToLinearRec2100({ r: 0.5807, g: 0.5807, b: 0.5807 }) // ≈ { r: 1, g: 1, b: 1 }
+ */
+export function rec2100PqToLinearRec2100(pqColor) {
+  return mapChannels(pqColor, v => Math.sign(v) * pqEotf(Math.abs(v)) / SDR_REFERENCE_WHITE);
+}
+
+/**
+ * Convert linear Rec. 2100 (1 = SDR reference white) to Rec. 2100 PQ
+ * @param {LinearRec2100Color} linearColor - Linear Rec. 2100 color
+ * @returns {Rec2100Color} PQ-encoded Rec. 2100 color
+ */
+export function linearRec2100ToRec2100Pq(linearColor) {
+  return mapChannels(linearColor, v => Math.sign(v) * pqInverseEotf(Math.abs(v) * SDR_REFERENCE_WHITE));
+}
+
+/**
+ * Convert Rec. 2100 HLG to linear Rec. 2100 as CSS does: scene light scaled so
+ * that the reference white signal 0.75 is 1
+ * @param {Rec2100Color} hlgColor - HLG-encoded Rec. 2100 color
+ * @returns {LinearRec2100Color} Linear Rec. 2100 color
+ * @example
+ * rec2100HlgToLinearRec2100({ r: 0.75, g: 0.75, b: 0.75 }) // { r: 1, g: 1, b: 1 }
+ */
+export function rec2100HlgToLinearRec2100(hlgColor) {
+  return mapChannels(hlgColor, v => Math.sign(v) * hlgInverseOetf(Math.abs(v)) * HLG_SCALE);
+}
+
+/**
+ * Convert linear Rec. 2100 to Rec. 2100 HLG as CSS does
+ * @param {LinearRec2100Color} linearColor - Linear Rec. 2100 color
+ * @returns {Rec2100Color} HLG-encoded Rec. 2100 color
+ */
+export function linearRec2100ToRec2100Hlg(linearColor) {
+  return mapChannels(linearColor, v => Math.sign(v) * hlgOetf(Math.abs(v) / HLG_SCALE));
+}
+
+// --- XYZ ↔ Linear Rec. 2100 ---
+
+/**
+ * Convert linear Rec. 2100 to relative XYZ (D65, Y = 1 for the SDR reference white)
+ * @param {LinearRec2100Color} linearColor - Linear Rec. 2100 color
+ * @returns {{X: number, Y: number, Z: number}} XYZ color
+ */
+export function linearRec2100ToXyz(linearColor) {
+  return linearRec2020ToXyz(linearColor);
+}
+
+/**
+ * Convert relative XYZ (D65, Y = 1 for the SDR reference white) to linear Rec. 2100
+ * @param {{X: number, Y: number, Z: number}} xyzColor - XYZ color
+ * @returns {LinearRec2100Color} Linear Rec. 2100 color
+ */
+export function xyzToLinearRec2100(xyzColor) {
+  return xyzToLinearRec2020(xyzColor);
+}
@@ -0,0 +1,250 @@
+/**
+ * @module rec2100
+ * @description ITU-R BT.2100 (Rec. 2100) HDR color spaces and HDR headroom.
+ * Rec. 2100 uses the Rec. 2020 primaries with the HDR transfer functions of
+ * `hdr.js`. Three encodings are supported, as in CSS Color HDR:
+ *   - `rec2100-linear`: linear light relative to the SDR reference white, so
+ *     [1, 1, 1] is diffuse white (203 cd/m²) and highlights go above 1
+ *   - `rec2100-pq`: PQ-encoded absolute luminance, 1.0 = 10000 cd/m²
+ *   - `rec2100-hlg`: HLG-encoded scene light, with reference white at 0.75
+ *
+ * CSS converts HLG without the display-dependent OOTF: scene light is scaled so
+ * that 0.75 is reference white. {@link rec2100HlgToNits} gives the light an
+ * actual HLG display emits instead.
+ *
+ * HDR headroom is the number of stops (powers of 2) between the SDR reference
+ * white and the brightest light a display or a color needs.
+ *
+ * @see {@link https://www.itu.int/rec/R-REC-BT.2100}
+ * @see {@link https://drafts.csswg.org/css-color-hdr/}
+ */
+
+import { srgbToXyz, xyzToSrgb } from './srgb.js';
+import { pqEotf, pqInverseEotf, hlgEotf, hlgInverseEotf, checkLuminance, SDR_REFERENCE_WHITE } from './hdr.js';
+import {
+  mapChannels,
+  rec2100PqToLinearRec2100,
+  linearRec2100ToRec2100Pq,
+  rec2100HlgToLinearRec2100,
+  linearRec2100ToRec2100Hlg,
+  linearRec2100ToXyz,
+  xyzToLinearRec2100
+} from './rec2100-core.js';
+import { convertCssColor, toCssColor } from './css-color-parser.js';
+
+export {
+  HLG_REFERENCE_WHITE_SIGNAL,
+  REC2100_LINEAR_MAX,
+  rec2100PqToLinearRec2100,
+  linearRec2100ToRec2100Pq,
+  rec2100HlgToLinearRec2100,
+  linearRec2100ToRec2100Hlg,
+  linearRec2100ToXyz,
+  xyzToLinearRec2100
+} from './rec2100-core.js';
+
+/** @typedef {{r: number, g: number, b: number}} Rec2100Color */
+/** @typedef {{r: number, g: number, b: number}} LinearRec2100Color */
+
+// --- sRGB ↔ Rec. 2100 ---
+
+/**
+ * Convert sRGB to Rec. 2100 PQ, with sRGB white at the SDR reference white
+ * @param {SrgbColor} srgbColor - sRGB color
+ * @returns {Rec2100Color} PQ-encoded Rec. 2100 color
+ * @example
+ * srgbToRec2100Pq({ r: 1, g: 1, b: 1 }) // ≈ { r: 0.5807, g: 0.5807, b: 0.5807 }
+ */
+export function srgbToRec2100Pq(srgbColor) {
+  return linearRec2100ToRec2100Pq(xyzToLinearRec2100(srgbToXyz(srgbColor)));
+}
+
+/**
+ * Convert Rec. 2100 PQ to sRGB. Highlights above the SDR reference white come
+ * out above 1 (not clipped).
+ * @param {Rec2100Color} pqColor - PQ-encoded Rec. 2100 color
+ * @returns {SrgbColor} sRGB color (not clipped)
+ */
+export function rec2100PqToSrgb(pqColor) {
+  return xyzToSrgb(linearRec2100ToXyz(rec2100PqToLinearRec2100(pqColor)));
+}
+
+/**
+ * Convert sRGB to Rec. 2100 HLG, with sRGB white at the reference white signal
+ * @param {SrgbColor} srgbColor - sRGB color
+ * @returns {Rec2100Color} HLG-encoded Rec. 2100 color
+ */
+export function srgbToRec2100Hlg(srgbColor) {
+  return linearRec2100ToRec2100Hlg(xyzToLinearRec2100(srgbToXyz(srgbColor)));
+}
+
+/**
+ * Convert Rec. 2100 HLG to sRGB. Highlights above the reference white come out
+ * above 1 (not clipped).
+ * @param {Rec2100Color} hlgColor - HLG-encoded Rec. 2100 color
+ * @returns {SrgbColor} sRGB color (not clipped)
+ */
+export function rec2100HlgToSrgb(hlgColor) {
+  return xyzToSrgb(linearRec2100ToXyz(rec2100HlgToLinearRec2100(hlgColor)));
+}
+
+// --- Absolute Luminance (cd/m²) ---
+
+/**
+ * Decode Rec. 2100 PQ to display-linear Rec. 2020 RGB in cd/m²
+ * @param {Rec2100Color} pqColor - PQ-encoded Rec. 2100 color
+ * @returns {{r: number, g: number, b: number}} Channel luminances in cd/m²
+ * @example
+ * rec2100PqToNits({ r: 0.7518, g: 0.7518, b: 0.7518 }) // ≈ { r: 1000, g: 1000, b: 1000 }
+ */
+export function rec2100PqToNits(pqColor) {
+  return mapChannels(pqColor, pqEotf);
+}
+
+/**
+ * Encode display-linear Rec. 2020 RGB in cd/m² as Rec. 2100 PQ
+ * @param {{r: number, g: number, b: number}} nitsColor - Channel luminances in cd/m²
+ * @returns {Rec2100Color} PQ-encoded Rec. 2100 color
+ */
+export function nitsToRec2100Pq(nitsColor) {
+  return mapChannels(nitsColor, pqInverseEotf);
+}
+
+/**
+ * Decode Rec. 2100 HLG to the display-linear Rec. 2020 RGB, in cd/m², that a
+ * display of the given peak luminance emits (HLG EOTF, including the OOTF)
+ * @param {Rec2100Color} hlgColor - HLG-encoded Rec. 2100 color
+ * @param {object} [options] - Display characteristics
+ * @param {number} [options.peakLuminance=1000] - Display peak luminance in cd/m²
+ * @param {number} [options.blackLuminance=0] - Display black luminance in cd/m²
+ * @returns {{r: number, g: number, b: number}} Channel luminances in cd/m²
+ */
+export function rec2100HlgToNits(hlgColor, options = {}) {
+  return hlgEotf(hlgColor, options);
+}
+
+/**
+ * Encode display-linear Rec. 2020 RGB in cd/m² as the Rec. 2100 HLG signal
+ * that makes a display of the given peak luminance emit it
+ * @param {{r: number, g: number, b: number}} nitsColor - Channel luminances in cd/m²
+ * @param {object} [options] - Display characteristics
+ * @param {number} [options.peakLuminance=1000] - Display peak luminance in cd/m²
+ * @param {number} [options.blackLuminance=0] - Display black luminance in cd/m²
+ * @returns {Rec2100Color} HLG-encoded Rec. 2100 color
+ */
+export function nitsToRec2100Hlg(nitsColor, options = {}) {
+  return hlgInverseEotf(nitsColor, options);
+}
+
+// --- HDR Headroom ---
+
+/**
+ * Relative tolerance on a color's peak, so that SDR white a conversion puts a
+ * rounding error above 1 needs no headroom
+ * @private
+ */
+const PEAK_EPSILON = 1e-9;
+
+/**
+ * HDR headroom of a display: stops between the SDR reference white and its
+ * peak luminance, and 0 for displays no brighter than the reference white
+ * @param {number} peakLuminance - Display peak luminance in cd/m²
+ * @param {object} [options] - Headroom options
+ * @param {number} [options.referenceWhite=203] - SDR reference white in cd/m²
+ * @returns {number} Headroom in stops
+ * @throws {RangeError} If a luminance is not a positive number
+ * @example
+ * calculateHdrHeadroom(1000) // ≈ 2.30
+ * calculateHdrHeadroom(1600, { referenceWhite: 100 }) // 4
+ */
+export function calculateHdrHeadroom(peakLuminance, options = {}) {
+  const { referenceWhite = SDR_REFERENCE_WHITE } = options;
+  checkLuminance('Peak luminance', peakLuminance);
+  checkLuminance('Reference white', referenceWhite);
+  return Math.max(0, Math.log2(peakLuminance / referenceWhite));
+}
+
+/**
+ * Peak luminance a display needs for a given headroom
+ * @param {number} headroom - Headroom in stops
+ * @param {object} [options] - Headroom options
+ * @param {number} [options.referenceWhite=203] - SDR reference white in cd/m²
+ * @returns {number} Peak luminance in cd/m²
+ * @throws {RangeError} If referenceWhite is not a positive number
+ * @example
+ * headroomToPeakLuminance(2) // 812
+ */
+export function headroomToPeakLuminance(headroom, options = {}) {
+  const { referenceWhite = SDR_REFERENCE_WHITE } = options;
+  checkLuminance('Reference white', referenceWhite);
+  return referenceWhite * Math.pow(2, Math.max(headroom, 0));
+}
+
+/**
+ * Headroom a linear Rec. 2100 color needs to be shown without clipping: stops
+ * from the reference white to its brightest channel, and 0 for SDR colors
+ * @param {LinearRec2100Color} linearColor - Linear Rec. 2100 color
+ * @returns {number} Headroom in stops
+ * @example
+ * getLinearRec2100Headroom({ r: 4, g: 2, b: 1 }) // 2
+ */
+export function getLinearRec2100Headroom(linearColor) {
+  const peak = Math.max(linearColor.r, linearColor.g, linearColor.b);
+  return peak > 1 + PEAK_EPSILON ? Math.log2(peak) : 0;
+}
+
+/**
+ * Scale a linear Rec. 2100 color down so that it fits in a headroom, keeping
+ * its chromaticity. Colors that already fit are returned unchanged.
+ * @param {LinearRec2100Color} linearColor - Linear Rec. 2100 color
+ * @param {number} headroom - Available headroom in stops (0 for SDR)
+ * @returns {LinearRec2100Color} Linear Rec. 2100 color within the headroom
+ * @example
+ * limitLinearRec2100Headroom({ r: 8, g: 4, b: 2 }, 1) // { r: 2, g: 1, b: 0.5 }
+ */
+export function limitLinearRec2100Headroom(linearColor, headroom) {
+  const limit = Math.pow(2, Math.max(headroom, 0));
+  const peak = Math.max(linearColor.r, linearColor.g, linearColor.b);
+  if (peak <= limit * (1 + PEAK_EPSILON)) return { r: linearColor.r, g: linearColor.g, b: linearColor.b };
+  return mapChannels(linearColor, v => v * limit / peak);
+}
+
+/**
+ * Headroom a color needs: stops from the SDR reference white (203 cd/m²) to its
+ * brightest Rec. 2100 channel, 0 for colors no brighter than white.
+ * Compare it with a display's `calculateHdrHeadroom(peakLuminance)`.
+ * @param {string|SrgbColor|CssColor} color - CSS color string, unclipped sRGB object or parsed color
+ * @returns {number} Headroom in stops
+ * @throws {TypeError} If the color cannot be parsed
+ * @example
+ * getHdrHeadroom('color(rec2100-pq 0.7518 0.7518 0.7518)') // ≈ 2.30 (1000 cd/m²)
+ * getHdrHeadroom('#ff0000') // 0
+ */
+export function getHdrHeadroom(color) {
+  const [r, g, b] = convertCssColor(toCssColor(color), 'rec2100-linear').coords;
+  return getLinearRec2100Headroom({ r, g, b });
+}
+
+/**
+ * Dim a color so that it fits in a headroom, keeping its chromaticity, for
+ * displays whose peak luminance is below the color's. Colors that fit are
+ * returned unchanged.
+ * @param {string|SrgbColor|CssColor} color - CSS color string, unclipped sRGB object or parsed color
+ * @param {number} headroom - Available headroom in stops (0 for SDR displays)
+ * @returns {CssColor} The color in its own space
+ * @throws {TypeError} If the color cannot be parsed
+ * @example
+ * const color = limitToHdrHeadroom('color(rec2100-pq 0.9 0.9 0.9)', calculateHdrHeadroom(1000));
+ * formatCSS(color, 'rec2100-pq') // 'color(rec2100-pq 0.7518 0.7518 0.7518)'
+ */
+export function limitToHdrHeadroom(color, headroom) {
+  const cssColor = toCssColor(color);
+  if (getHdrHeadroom(cssColor) <= headroom) return cssColor;
+
+  const [r, g, b] = convertCssColor(cssColor, 'rec2100-linear').coords;
+  const limited = limitLinearRec2100Headroom({ r, g, b }, headroom);
+  return convertCssColor(
+    { space: 'rec2100-linear', coords: [limited.r, limited.g, limited.b], alpha: cssColor.alpha },
+    cssColor.space
+  );
+}
@@ -0,0 +1,433 @@
+/**
+ * @module rgb-space-core
+ * @private
+ * @description The RGB space factory and transfer functions of
+ * {@link module:rgb-space}, without registration.
+ */
+
+import { multiplyMatrixVector } from './utils.js';
+import { srgbToLinearSrgb, linearSrgbToSrgb, linearSrgbToXyz, xyzToLinearSrgb } from './srgb.js';
+import { chromaticAdaptation, ILLUMINANTS } from './chromatic-adaptation.js';
+import { pqEotf, pqInverseEotf, hlgOetf, hlgInverseOetf, PQ_MAX_LUMINANCE } from './hdr.js';
+
+/** @typedef {{r: number, g: number, b: number}} RgbColor */
+
+/**
+ * A transfer function: `toLinear` decodes an encoded channel value, `fromLinear`
+ * encodes a linear one
+ * @typedef {object} TransferFunction
+ * @property {function(number): number} toLinear - Encoded to linear
+ * @property {function(number): number} fromLinear - Linear to encoded
+ */
+
+/**
+ * Options of {@link createRgbSpace}
+ * @typedef {object} RgbSpaceOptions
+ * @property {string} name - Space name, used in CSS as `color(name r g b)` once registered
+ * @property {{red: {x: number, y: number}, green: {x: number, y: number}, blue: {x: number, y: number},
+ *   white?: {x: number, y: number}}} primaries - xy chromaticities, e.g. `DISPLAY_P3_PRIMARIES`
+ * @property {{x: number, y: number}|string} [white] - White point as xy or an illuminant name
+ *   ('D65', 'D50', ...); defaults to `primaries.white`
+ * @property {string|number|TransferFunction} [transfer='srgb'] - Transfer function name,
+ *   gamma exponent, or functions
+ */
+
+/**
+ * A color space made by {@link createRgbSpace}. Colors are `{ r, g, b }` objects.
+ * @typedef {object} RgbSpace
+ * @property {string} name - Space name
+ * @property {WhitePoint} whitePoint - XYZ of the white point (Y = 100)
+ * @property {TransferFunction} transfer - Transfer function
+ * @property {ReadonlyArray<ReadonlyArray<number>>} toXyzMatrix - Linear RGB to XYZ
+ * @property {ReadonlyArray<ReadonlyArray<number>>} fromXyzMatrix - XYZ to linear RGB
+ * @property {function(RgbColor): RgbColor} toLinear - Decode the transfer function
+ * @property {function(RgbColor): RgbColor} fromLinear - Apply the transfer function
+ * @property {function(RgbColor): XyzColor} toXyz - To XYZ relative to the space's white
+ * @property {function(XyzColor): RgbColor} fromXyz - From XYZ relative to the space's white
+ * @property {function(RgbColor): SrgbColor} toSrgb - To unclipped sRGB
+ * @property {function(SrgbColor): RgbColor} fromSrgb - From sRGB
+ * @property {function(RgbColor, number=): boolean} isInGamut - Whether channels are within [0, 1]
+ * @property {function(RgbColor): boolean} isInSrgbGamut - Whether the color fits in sRGB
+ * @property {function(RgbColor, number=): string} formatCSS - `color(name r g b)` with 4 decimals by default
+ * @property {function(): ColorSpaceInfo} [register] - Register the space with `registerColorSpace`
+ *   (only on spaces made by the public `createRgbSpace` of `rgb-space.js`)
+ */
+
+// --- Transfer Functions ---
+
+/**
+ * Extend a curve defined for non-negative values symmetrically to negative ones,
+ * as CSS does for out-of-gamut values
+ * @private
+ */
+const symmetric = curve => c => (c < 0 ? -curve(-c) : curve(c));
+
+/**
+ * Build a transfer function from a pure gamma exponent (encoded = linear^(1/gamma)).
+ * @param {number} gamma - Decoding exponent, e.g. 2.2 or 563/256 for Adobe RGB
+ * @returns {TransferFunction} The transfer function
+ * @throws {RangeError} If gamma is not a positive number
+ * @example
+ * gammaTransfer(2.2).toLinear(0.5) // 0.2176
+ */
+export function gammaTransfer(gamma) {
+  if (!(gamma > 0)) throw new RangeError(`Gamma must be a positive number, got ${gamma}`);
+  return Object.freeze({
+    toLinear: symmetric(c => Math.pow(c, gamma)),
+    fromLinear: symmetric(c => Math.pow(c, 1 / gamma))
+  });
+}
+
+/**
+ * Build the ITU-R BT.1886 EOTF of a display with the given white and black
+ * luminance (relative units). With the default black of 0 it is a pure 2.4 gamma.
+ * @param {object} [options] - Display characteristics
+ * @param {number} [options.gamma=2.4] - Exponent
+ * @param {number} [options.white=1] - Luminance of white
+ * @param {number} [options.black=0] - Luminance of black
+ * @returns {TransferFunction} The transfer function (linear values in units of `white`)
+ * @throws {RangeError} If black is not below white
+ * @example
+ * bt1886Transfer({ black: 0.001 }).toLinear(0) // 0.001
+ */
+export function bt1886Transfer(options = {}) {
+  const { gamma = 2.4, white = 1, black = 0 } = options;
+  if (!(black >= 0 && black < white)) throw new RangeError('Black luminance must be at least 0 and below white.');
+
+  const span = Math.pow(white, 1 / gamma) - Math.pow(black, 1 / gamma);
+  const gain = Math.pow(span, gamma);
+  const lift = Math.pow(black, 1 / gamma) / span;
+  return Object.freeze({
+    toLinear: v => gain * Math.pow(Math.max(v + lift, 0), gamma),
+    fromLinear: l => Math.pow(Math.max(l, 0) / gain, 1 / gamma) - lift
+  });
+}
+
+/**
+ * Build an ICC parametric curve (`para` types 0 to 4) from its parameters.
+ * The parameter count selects the type:
+ * - `[g]`: Y = X^g
+ * - `[g, a, b]`: Y = (aX + b)^g for X ≥ -b/a, else 0
+ * - `[g, a, b, c]`: Y = (aX + b)^g + c for X ≥ -b/a, else c
+ * - `[g, a, b, c, d]`: Y = (aX + b)^g for X ≥ d, else cX
+ * - `[g, a, b, c, d, e, f]`: Y = (aX + b)^g + e for X ≥ d, else cX + f
+ *
+ * Curves through the origin are extended symmetrically to negative values.
+ * @param {number[]} params - Curve parameters
+ * @returns {TransferFunction} The transfer function
+ * @throws {RangeError} If the parameter count is not 1, 3, 4, 5 or 7
+ * @example
+ * // The sRGB curve
+ * iccParametricTransfer([2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045])
+ */
+export function iccParametricTransfer(params) {
+  const [g, a = 1, b = 0] = params;
+  let c = 0, d = 0, e = 0, f = 0;
+  switch (params.length) {
+    case 1: break;
+    case 3: d = -b / a; break;
+    case 4: d = -b / a; e = f = params[3]; break;
+    case 5: [, , , c, d] = params; break;
+    case 7: [, , , c, d, e, f] = params; break;
+    default: throw new RangeError(`ICC parametric curves take 1, 3, 4, 5 or 7 parameters, got ${params.length}`);
+  }
+
+  // Encoded value at the break point, where the inverse switches segments
+  const breakValue = Math.pow(a * d + b, g) + e;
+  const toLinear = x => (x >= d ? Math.pow(a * x + b, g) + e : c * x + f);
+  const fromLinear = y => {
+    if (y >= breakValue) return (Math.pow(y - e, 1 / g) - b) / a;
+    return c === 0 ? d : (y - f) / c;
+  };
+
+  if (e === 0 && f === 0 && b >= 0) {
+    return Object.freeze({ toLinear: symmetric(toLinear), fromLinear: symmetric(fromLinear) });
+  }
+  return Object.freeze({ toLinear, fromLinear });
+}
+
+/**
+ * Rec. 709 / Rec. 2020 OETF constants
+ * @private
+ */
+const BT709_ALPHA = 1.09929682680944;
+const BT709_BETA = 0.018053968510807;
+
+/**
+ * Transfer functions by name:
+ * - `srgb`: the sRGB curve (also Display P3)
+ * - `linear`: no encoding
+ * - `bt709`: the Rec. 709 / Rec. 2020 camera curve
+ * - `bt1886`: BT.1886 display EOTF with zero black (2.4 gamma)
+ * - `pq`: SMPTE ST 2084 perceptual quantizer; linear 1 is 10000 cd/m²
+ * - `hlg`: BT.2100 hybrid log-gamma; scene-linear 0 to 1
+ * @type {Readonly<Object<string, TransferFunction>>}
+ */
+export const TRANSFER_FUNCTIONS = Object.freeze({
+  srgb: iccParametricTransfer([2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]),
+  linear: Object.freeze({ toLinear: c => c, fromLinear: c => c }),
+  bt709: Object.freeze({
+    toLinear: symmetric(v => (v < BT709_BETA * 4.5 ? v / 4.5 : Math.pow((v + BT709_ALPHA - 1) / BT709_ALPHA, 1 / 0.45))),
+    fromLinear: symmetric(l => (l < BT709_BETA ? l * 4.5 : BT709_ALPHA * Math.pow(l, 0.45) - (BT709_ALPHA - 1)))
+  }),
+  bt1886: bt1886Transfer(),
+  pq: Object.freeze({
+    toLinear: symmetric(v => pqEotf(v) / PQ_MAX_LUMINANCE),
+    fromLinear: symmetric(l => pqInverseEotf(l * PQ_MAX_LUMINANCE))
+  }),
+  hlg: Object.freeze({
+    toLinear: symmetric(hlgInverseOetf),
+    fromLinear: symmetric(hlgOetf)
+  })
+});
+
+// --- Matrices ---
+
+/**
+ * Compute the linear RGB to XYZ matrix of a set of primaries: the XYZ of each
+ * primary, scaled so that RGB (1, 1, 1) is the white point with Y = 1.
+ * @param {{red: {x: number, y: number}, green: {x: number, y: number}, blue: {x: number, y: number}}} primaries -
+ *   xy chromaticities of the primaries
+ * @param {{x: number, y: number}|WhitePoint} white - xy chromaticity or XYZ of the white point
+ * @returns {number[][]} 3x3 matrix (columns are the primaries' XYZ)
+ * @throws {Error} If the primaries are collinear
+ * @example
+ * computeRgbToXyzMatrix(DISPLAY_P3_PRIMARIES, DISPLAY_P3_PRIMARIES.white)[0]
+ * // [0.4865709486482162, 0.26566769316909306, 0.1982172852343625]
+ */
+export function computeRgbToXyzMatrix(primaries, white) {
+  const columns = [primaries.red, primaries.green, primaries.blue].map(xyToXyz);
+  const unscaled = [0, 1, 2].map(row => columns.map(column => column[row]));
+  const inverse = invertMatrix(unscaled);
+  if (!inverse) throw new Error('Primaries must not be collinear.');
+
+  const target = white.Y === undefined ? xyToXyz(white) : [white.X / white.Y, 1, white.Z / white.Y];
+  const scale = multiplyMatrixVector(inverse, target);
+  return unscaled.map(row => row.map((value, i) => value * scale[i]));
+}
+
+// --- Factory ---
+
+/**
+ * Create an RGB color space from its primaries, white point and transfer function.
+ * The matrices are computed from the primaries when the space is created. A white
+ * point within 0.0002 in xy of a standard illuminant is taken as that illuminant's
+ * XYZ from `ILLUMINANTS`, the whites of `srgb.js` and the color space registry, so
+ * RGB white stays exactly white in every conversion.
+ * @param {RgbSpaceOptions} options - Space definition
+ * @returns {Readonly<RgbSpace>} Conversions, gamut checks and CSS formatting for the space
+ * @throws {Error} If the transfer function or white point is unknown, or the primaries are collinear
+ * @example
+ * const adobeRgb = createRgbSpace({
+ *   name: 'adobe-rgb',
+ *   primaries: { red: { x: 0.64, y: 0.33 }, green: { x: 0.21, y: 0.71 }, blue: { x: 0.15, y: 0.06 } },
+ *   white: { x: 0.3127, y: 0.3290 },
+ *   transfer: 563 / 256
+ * });
+ * adobeRgb.fromSrgb({ r: 0, g: 1, b: 0 }) // ≈ { r: 0.565, g: 1, b: 0.2345 }
+ */
+export function createRgbSpace(options) {
+  const { name, primaries, transfer = 'srgb' } = options;
+  const whitePoint = resolveWhite(options.white ?? primaries.white);
+  const curve = resolveTransfer(transfer);
+
+  const toXyzMatrix = freezeMatrix(computeRgbToXyzMatrix(primaries, whitePoint));
+  const fromXyzMatrix = freezeMatrix(invertMatrix(toXyzMatrix));
+
+  const toLinear = ({ r, g, b }) => ({ r: curve.toLinear(r), g: curve.toLinear(g), b: curve.toLinear(b) });
+  const fromLinear = ({ r, g, b }) => ({ r: curve.fromLinear(r), g: curve.fromLinear(g), b: curve.fromLinear(b) });
+  const toXyz = color => {
+    const { r, g, b } = toLinear(color);
+    const [X, Y, Z] = multiplyMatrixVector(toXyzMatrix, [r, g, b]);
+    return { X, Y, Z };
+  };
+  const fromXyz = ({ X, Y, Z }) => {
+    const [r, g, b] = multiplyMatrixVector(fromXyzMatrix, [X, Y, Z]);
+    return fromLinear({ r, g, b });
+  };
+  const toSrgb = color => linearSrgbToSrgb(xyzToLinearSrgb(chromaticAdaptation(toXyz(color), whitePoint, ILLUMINANTS.D65)));
+  const fromSrgb = srgb => fromXyz(chromaticAdaptation(linearSrgbToXyz(srgbToLinearSrgb(srgb)), ILLUMINANTS.D65, whitePoint));
+
+  const isInGamut = (color, epsilon = 0.00001) => [color.r, color.g, color.b].every(c => c >= -epsilon && c <= 1 + epsilon);
+  const channels = ({ r, g, b }) => [r, g, b];
+
+  return Object.freeze({
+    name,
+    whitePoint,
+    transfer: curve,
+    toXyzMatrix,
+    fromXyzMatrix,
+    toLinear,
+    fromLinear,
+    toXyz,
+    fromXyz,
+    toSrgb,
+    fromSrgb,
+    isInGamut,
+    isInSrgbGamut: color => isInGamut(toSrgb(color)),
+    formatCSS: (color, precision = 4) => `color(${name} ${channels(color).map(c => c.toFixed(precision)).join(' ')})`
+  });
+}
+
+/**
+ * Compute the direct matrices between linear sRGB and the linear RGB of a
+ * space, with the same D65 adaptation as its `fromSrgb` and `toSrgb`.
+ * @param {RgbSpace} space - Space made by {@link createRgbSpace}
+ * @returns {{fromLinearSrgb: ReadonlyArray<ReadonlyArray<number>>, toLinearSrgb: ReadonlyArray<ReadonlyArray<number>>}}
+ *   Linear sRGB to linear space RGB, and back
+ */
+export function computeSrgbMatrices(space) {
+  const toSpace = column => {
+    const { X, Y, Z } = chromaticAdaptation(linearSrgbToXyz(column), ILLUMINANTS.D65, space.whitePoint);
+    return multiplyMatrixVector(space.fromXyzMatrix, [X, Y, Z]);
+  };
+  const toSrgb = ([r, g, b]) => {
+    const [X, Y, Z] = multiplyMatrixVector(space.toXyzMatrix, [r, g, b]);
+    const linear = xyzToLinearSrgb(chromaticAdaptation({ X, Y, Z }, space.whitePoint, ILLUMINANTS.D65));
+    return [linear.r, linear.g, linear.b];
+  };
+  const basis = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  const fromColumns = columns => freezeMatrix([0, 1, 2].map(row => columns.map(column => column[row])));
+  return {
+    fromLinearSrgb: fromColumns(basis.map(([r, g, b]) => toSpace({ r, g, b }))),
+    toLinearSrgb: fromColumns(basis.map(toSrgb))
+  };
+}
+
+/**
+ * Read `color(<name> r g b)` or `color(<name> r g b / alpha)` for one RGB space.
+ * Channels and alpha may be numbers (with sign and exponent), percentages or
+ * `none`, which is read as NaN; alpha is clamped to [0, 1].
+ * @param {string} cssString - CSS color() function string
+ * @param {string} name - Name of the space in the color() function
+ * @returns {{r: number, g: number, b: number, alpha?: number}|null} The channels,
+ *   with alpha unless it is 1, or null if the string is not such a color
+ * @example
+ * parseColorFunction('color(a98-rgb -0.1 50% 2e-1 / 0.5)', 'a98-rgb')
+ * // { r: -0.1, g: 0.5, b: 0.2, alpha: 0.5 }
+ */
+export function parseColorFunction(cssString, name) {
+  const match = COLOR_FUNCTION_PATTERN.exec(cssString.trim());
+  if (!match || match[1].toLowerCase() !== name) return null;
+
+  const [r, g, b] = match.slice(2, 5).map(readComponent);
+  if (match[5] === undefined) return { r, g, b };
+  const alpha = Math.min(Math.max(readComponent(match[5]), 0), 1);
+  return alpha === 1 ? { r, g, b } : { r, g, b, alpha };
+}
+
+// --- Internal Helpers ---
+
+/**
+ * XYZ (Y = 1) of an xy chromaticity
+ * @private
+ */
+function xyToXyz({ x, y }) {
+  return [x / y, 1, (1 - x - y) / y];
+}
+
+/**
+ * Largest difference in xy chromaticity between a white point and the
+ * illuminant it is taken as, as in the color space registry
+ * @private
+ */
+const WHITE_POINT_TOLERANCE = 0.0002;
+
+/**
+ * Accept an xy white point or an illuminant name, as XYZ with Y = 100. An xy
+ * white close to a standard illuminant (D65 as 0.3127, 0.3290) is that illuminant.
+ * @private
+ */
+function resolveWhite(white) {
+  if (typeof white === 'string') {
+    const illuminant = ILLUMINANTS[white];
+    if (!illuminant) throw new Error(`Unknown white point: ${white}`);
+    return illuminant;
+  }
+  if (white == null || !(white.y > 0) || !Number.isFinite(white.x)) {
+    throw new Error('A white point is required, as xy chromaticity or an illuminant name.');
+  }
+
+  let nearest = null;
+  let nearestDistance = WHITE_POINT_TOLERANCE;
+  for (const illuminant of Object.values(ILLUMINANTS)) {
+    const sum = illuminant.X + illuminant.Y + illuminant.Z;
+    const distance = Math.max(Math.abs(illuminant.X / sum - white.x), Math.abs(illuminant.Y / sum - white.y));
+    if (distance < nearestDistance) {
+      nearest = illuminant;
+      nearestDistance = distance;
+    }
+  }
+  if (nearest) return nearest;
+
+  const [X, Y, Z] = xyToXyz(white).map(c => c * 100);
+  return Object.freeze({ X, Y, Z });
+}
+
+/**
+ * Accept a transfer function name, gamma exponent or function pair
+ * @private
+ */
+function resolveTransfer(transfer) {
+  if (typeof transfer === 'number') return gammaTransfer(transfer);
+  if (typeof transfer === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(TRANSFER_FUNCTIONS, transfer)) {
+      throw new Error(`Unknown transfer function: ${transfer}`);
+    }
+    return TRANSFER_FUNCTIONS[transfer];
+  }
+  if (typeof transfer?.toLinear !== 'function' || typeof transfer?.fromLinear !== 'function') {
+    throw new TypeError('A transfer function needs toLinear and fromLinear functions.');
+  }
+  return transfer;
+}
+
+/**
+ * Invert a 3x3 matrix, or return null if it is singular
+ * @private
+ */
+function invertMatrix(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    [A / det, (c * h - b * i) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, (c * d - a * f) / det],
+    [C / det, (b * g - a * h) / det, (a * e - b * d) / det]
+  ];
+}
+
+/**
+ * Freeze a matrix and its rows
+ * @private
+ */
+function freezeMatrix(matrix) {
+  return Object.freeze(matrix.map(row => Object.freeze(row)));
+}
+
+/**
+ * A CSS number (optionally signed, with exponent), percentage or `none`
+ * @private
+ */
+const COMPONENT = '[+-]?(?:\\d*\\.)?\\d+(?:e[+-]?\\d+)?%?|none';
+
+/**
+ * `color(<name> c c c)` with an optional `/ alpha`
+ * @private
+ */
+const COLOR_FUNCTION_PATTERN = new RegExp(
+  `^color\\(\\s*([a-z][a-z0-9-]*)\\s+(${COMPONENT})\\s+(${COMPONENT})\\s+(${COMPONENT})\\s*(?:\\/\\s*(${COMPONENT})\\s*)?\\)$`,
+  'i'
+);
+
+/**
+ * Value of a color() component: percentages of 1, and NaN for `none`
+ * @private
+ */
+function readComponent(token) {
+  if (token.toLowerCase() === 'none') return NaN;
+  return token.endsWith('%') ? parseFloat(token) / 100 : parseFloat(token);
+}
@@ -0,0 +1,70 @@
+/**
+ * @module rgb-space
+ * @description Factory for RGB color spaces defined by their primaries, white
+ * point and transfer function. The RGB ↔ XYZ matrices are derived from the xy
+ * chromaticities at full double precision when the space is created, so a new
+ * space (Adobe RGB, DCI-P3, a camera space, ...) needs only its published data.
+ *
+ * Transfer functions are given by name ('srgb', 'linear', 'bt709', 'bt1886',
+ * 'pq', 'hlg'), as a pure gamma exponent, or built with {@link gammaTransfer},
+ * {@link bt1886Transfer} and {@link iccParametricTransfer}.
+ *
+ * XYZ values are relative to the space's own white point, with Y = 1 for white.
+ * A white given as xy close to a standard illuminant is taken as that
+ * illuminant, so a D65 space has exactly the D65 white of sRGB and the registry.
+ * Conversions to and from sRGB adapt to D65 with Bradford when the white
+ * points differ.
+ *
+ * @see {@link https://www.color.org/specification/ICC.1-2022-05.pdf} (parametric curves)
+ * @see {@link https://www.itu.int/rec/R-REC-BT.2100} (PQ and HLG)
+ */
+
+import { createRgbSpace as createUnregisteredRgbSpace } from './rgb-space-core.js';
+import { registerColorSpace } from './css-color-spaces.js';
+
+export {
+  gammaTransfer,
+  bt1886Transfer,
+  iccParametricTransfer,
+  TRANSFER_FUNCTIONS,
+  computeRgbToXyzMatrix
+} from './rgb-space-core.js';
+
+/**
+ * Create an RGB color space from its primaries, white point and transfer function.
+ * @param {RgbSpaceOptions} options - Space definition
+ * @returns {Readonly<RgbSpace>} Conversions, gamut checks and CSS formatting for the space,
+ *   plus `register()` to register it with `registerColorSpace`
+ * @throws {Error} If the transfer function or white point is unknown, or the primaries are collinear
+ * @example
+ * const adobeRgb = createRgbSpace({
+ *   name: 'adobe-rgb',
+ *   primaries: { red: { x: 0.64, y: 0.33 }, green: { x: 0.21, y: 0.71 }, blue: { x: 0.15, y: 0.06 } },
+ *   white: { x: 0.3127, y: 0.3290 },
+ *   transfer: 563 / 256
+ * });
+ * adobeRgb.fromSrgb({ r: 0, g: 1, b: 0 }) // ≈ { r: 0.565, g: 1, b: 0.2345 }
+ * adobeRgb.register(); // parseCSS('color(adobe-rgb 1 0 0)') now works
+ */
+export function createRgbSpace(options) {
+  const space = createUnregisteredRgbSpace(options);
+  const { name, whitePoint, toXyz, fromXyz } = space;
+
+  return Object.freeze({
+    ...space,
+    register: () => registerColorSpace(name, {
+      base: 'xyz-d65',
+      whitePoint,
+      ranges: [[0, 1], [0, 1], [0, 1]],
+      components: ['red', 'green', 'blue'],
+      toBase: ([r, g, b]) => {
+        const xyz = toXyz({ r, g, b });
+        return [xyz.X, xyz.Y, xyz.Z];
+      },
+      fromBase: ([X, Y, Z]) => {
+        const { r, g, b } = fromXyz({ X, Y, Z });
+        return [r, g, b];
+      }
+    })
+  });
+}
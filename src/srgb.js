@@ -8,29 +8,30 @@
  * - To safely format or display colors, clamp values into [0,1].
  */
 
-import { multiplyMatrixVector, clamp } from './utils.js';
+import { multiplyMatrixVector, clamp, withAlpha } from './utils.js';
 
 
 // --- Conversion Matrices ---
 
 /**
- * Bradford-adapted D65 sRGB matrix for Linear sRGB -> XYZ
+ * D65 sRGB matrix for Linear sRGB -> XYZ, at full precision from the sRGB
+ * primaries and the D65 white (95.047, 100, 108.883) shared by every D65 space
  * @private
  */
 export const MATRIX_LINEAR_SRGB_TO_XYZ_D65 = Object.freeze([
-  Object.freeze([0.4124564, 0.3575761, 0.1804375]),
-  Object.freeze([0.2126729, 0.7151522, 0.0721750]),
-  Object.freeze([0.0193339, 0.1191920, 0.9503041])
+  Object.freeze([0.412456439089692, 0.357576077643909, 0.18043748326639894]),
+  Object.freeze([0.21267285140562242, 0.715152155287818, 0.07217499330655958]),
+  Object.freeze([0.01933389558232929, 0.11919202588130297, 0.9503040785363679])
 ]);
 
 /**
- * Bradford-adapted D65 sRGB matrix for XYZ -> Linear sRGB (inverse of above)
+ * D65 sRGB matrix for XYZ -> Linear sRGB (inverse of above)
  * @private
  */
 export const MATRIX_XYZ_TO_LINEAR_SRGB_D65 = Object.freeze([
-  Object.freeze([3.2404542, -1.5371385, -0.4985314]),
-  Object.freeze([-0.9692660, 1.8760108, 0.0415560]),
-  Object.freeze([0.0556434, -0.2040259, 1.0572252])
+  Object.freeze([3.2404541621141068, -1.5371385127977175, -0.49853140955601627]),
+  Object.freeze([-0.9692660305051868, 1.8760108454466944, 0.04155601753034984]),
+  Object.freeze([0.05564343095911474, -0.20402591351675384, 1.0572251882231791])
 ]);
 
 // --- sRGB Gamma Correction (Optimized from abridged version) ---
@@ -42,7 +43,7 @@ export const MATRIX_XYZ_TO_LINEAR_SRGB_D65 = Object.freeze([
  * @param {number} c - Gamma-corrected sRGB channel value (typically 0-1).
  * @returns {number} Linear sRGB channel value.
  */
-function srgbChannelToLinear(c) {
+export function srgbChannelToLinear(c) {
   return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
 }
 
@@ -53,7 +54,7 @@ function srgbChannelToLinear(c) {
  * @param {number} c - Linear sRGB channel value.
  * @returns {number} Gamma-corrected sRGB channel value.
  */
-function linearChannelToSrgb(c) {
+export function linearChannelToSrgb(c) {
   return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
 }
 
@@ -63,30 +64,34 @@ function linearChannelToSrgb(c) {
  * Converts gamma-corrected sRGB to linear sRGB.
  * Input range: [0, 1] per channel expected, values outside are processed without clamping
  * Output range: [0, 1] per channel for valid inputs, not clamped
+ * An optional `alpha` property is passed through unchanged.
  * @param {SrgbColor} srgbColor - The sRGB color { r, g, b } with values 0-1.
  * @returns {LinearSrgbColor} The linear sRGB color { r, g, b } with values 0-1.
  */
-export function srgbToLinearSrgb({ r, g, b }) {
-  return {
+export function srgbToLinearSrgb(srgbColor) {
+  const { r, g, b } = srgbColor;
+  return withAlpha({
     r: srgbChannelToLinear(r),
     g: srgbChannelToLinear(g),
     b: srgbChannelToLinear(b),
-  };
+  }, srgbColor);
 }
 
 /**
  * Converts linear sRGB to gamma-corrected sRGB.
  * Input range: [0, 1] per channel expected, values outside are processed without clamping
  * Output range: [0, 1] per channel for valid inputs, not clamped
+ * An optional `alpha` property is passed through unchanged.
  * @param {LinearSrgbColor} linearSrgbColor - The linear sRGB color { r, g, b } with values 0-1.
  * @returns {SrgbColor} The gamma-corrected sRGB color { r, g, b } with values 0-1.
  */
-export function linearSrgbToSrgb({ r, g, b }) {
-  return {
+export function linearSrgbToSrgb(linearSrgbColor) {
+  const { r, g, b } = linearSrgbColor;
+  return withAlpha({
     r: linearChannelToSrgb(r),
     g: linearChannelToSrgb(g),
     b: linearChannelToSrgb(b),
-  };
+  }, linearSrgbColor);
 }
 
 // --- Linear sRGB <-> XYZ (D65) ---
@@ -99,9 +104,10 @@ export function linearSrgbToSrgb({ r, g, b }) {
  * @param {LinearSrgbColor} linearSrgbColor - The linear sRGB color { r, g, b }.
  * @returns {XyzColor} The CIE XYZ color { X, Y, Z } in normalized scale.
  */
-export function linearSrgbToXyz({ r, g, b }) {
+export function linearSrgbToXyz(linearSrgbColor) {
+  const { r, g, b } = linearSrgbColor;
   const [X, Y, Z] = multiplyMatrixVector(MATRIX_LINEAR_SRGB_TO_XYZ_D65, [r, g, b]);
-  return { X, Y, Z };
+  return withAlpha({ X, Y, Z }, linearSrgbColor);
 }
 
 /**
@@ -110,9 +116,10 @@ export function linearSrgbToXyz({ r, g, b }) {
  * @param {XyzColor} xyzColor - The CIE XYZ color { X, Y, Z } scaled 0-1.
  * @returns {LinearSrgbColor} The linear sRGB color { r, g, b }.
  */
-export function xyzToLinearSrgb({ X, Y, Z }) {
+export function xyzToLinearSrgb(xyzColor) {
+  const { X, Y, Z } = xyzColor;
   const [r, g, b] = multiplyMatrixVector(MATRIX_XYZ_TO_LINEAR_SRGB_D65, [X, Y, Z]);
-  return { r, g, b };
+  return withAlpha({ r, g, b }, xyzColor);
 }
 
 // --- Convenience Functions: sRGB <-> XYZ ---
@@ -139,12 +146,15 @@ export function xyzToSrgb(xyzColor) {
 
 /**
  * Parses a hex color string to normalized sRGB object.
+ * Accepts 3, 4, 6 and 8 digit forms; the 4 and 8 digit forms carry an alpha
+ * channel, which is returned as an `alpha` property in [0, 1].
  * @param {string} hexStr - Hex color string with or without '#' prefix.
  * @returns {SrgbColor|null} sRGB color with values 0-1, or null if invalid.
  * @example
  * parseSrgbHex('#FF5733') // { r: 1, g: 0.341, b: 0.2 }
  * parseSrgbHex('FF5733')  // { r: 1, g: 0.341, b: 0.2 }
  * parseSrgbHex('#F53')    // { r: 1, g: 0.333, b: 0.2 }
+ * parseSrgbHex('#FF573380') // { r: 1, g: 0.341, b: 0.2, alpha: 0.502 }
  * parseSrgbHex('invalid') // null
  */
 export function parseSrgbHex(hexStr) {
@@ -154,32 +164,38 @@ export function parseSrgbHex(hexStr) {
   
   const hex = hexStr.startsWith('#') ? hexStr.slice(1) : hexStr;
   
-  if (!/^(?:[0-9a-fA-F]{3}){1,2}$/.test(hex)) {
+  if (!/^(?:[0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(hex)) {
     return null;
   }
   
-  let r, g, b;
-  if (hex.length === 3) {
+  let r, g, b, a;
+  if (hex.length <= 4) {
     r = parseInt(hex[0] + hex[0], 16);
     g = parseInt(hex[1] + hex[1], 16);
     b = parseInt(hex[2] + hex[2], 16);
+    if (hex.length === 4) a = parseInt(hex[3] + hex[3], 16);
   } else {
     r = parseInt(hex.substring(0, 2), 16);
     g = parseInt(hex.substring(2, 4), 16);
     b = parseInt(hex.substring(4, 6), 16);
+    if (hex.length === 8) a = parseInt(hex.substring(6, 8), 16);
   }
   
-  return { r: r / 255, g: g / 255, b: b / 255 };
+  const color = { r: r / 255, g: g / 255, b: b / 255 };
+  if (a !== undefined) color.alpha = a / 255;
+  return color;
 }
 
 /**
  * Formats an sRGB object as lowercase hex string.
- * Values are clamped to [0, 1] before conversion.
+ * Values are clamped to [0, 1] before conversion. An `alpha` below 1 is
+ * emitted as a fourth byte ("#rrggbbaa").
  * @param {SrgbColor} srgb - sRGB color with values 0-1.
  * @returns {string} Hex color string like "#ff5733".
  * @throws {TypeError} If input is not a valid sRGB object.
  * @example
  * formatSrgbAsHex({ r: 1, g: 0.341, b: 0.2 }) // "#ff5733"
+ * formatSrgbAsHex({ r: 1, g: 0.341, b: 0.2, alpha: 0.5 }) // "#ff573380"
  */
 export function formatSrgbAsHex(srgb) {
   if (typeof srgb !== 'object' || srgb === null ||
@@ -194,7 +210,8 @@ export function formatSrgbAsHex(srgb) {
     return hexPart.length === 1 ? '0' + hexPart : hexPart;
   };
   
-  return `#${toHexPart(srgb.r)}${toHexPart(srgb.g)}${toHexPart(srgb.b)}`;
+  const hex = `#${toHexPart(srgb.r)}${toHexPart(srgb.g)}${toHexPart(srgb.b)}`;
+  return typeof srgb.alpha === 'number' && srgb.alpha < 1 ? hex + toHexPart(srgb.alpha) : hex;
 }
 
 /**
@@ -15,6 +15,7 @@
  * @property {number} r - Red component (0-1).
  * @property {number} g - Green component (0-1).
  * @property {number} b - Blue component (0-1).
+ * @property {number} [alpha] - Optional alpha (0-1). Conversion functions pass it through unchanged.
  */
 
 /**
@@ -56,6 +57,24 @@
  * @property {number} h - Hue angle (h_ab) in degrees, typically [0, 360).
  */
 
+/**
+ * Represents a color in the CIE 1976 L*u*v* (CIELUV) color space.
+ * Defined relative to a reference white point.
+ * @typedef {object} LuvColor
+ * @property {number} L - Lightness (L*), typically in the range [0, 100].
+ * @property {number} u - u* axis (green-red chromaticity).
+ * @property {number} v - v* axis (blue-yellow chromaticity).
+ */
+
+/**
+ * Represents a color in the CIE L*C*h_uv (LChuv) color space.
+ * This is the cylindrical representation of CIELUV.
+ * @typedef {object} LchuvColor
+ * @property {number} L - Lightness (L*), same as LuvColor L*, typically [0, 100].
+ * @property {number} C - Chroma (C*_uv), typically >= 0.
+ * @property {number} h - Hue angle (h_uv) in degrees, [0, 360).
+ */
+
 /**
  * Represents a color in the Oklab color space.
  * @typedef {object} OklabColor
@@ -73,6 +92,52 @@
  * @property {number} h - Hue angle in degrees, typically [0, 360).
  */
 
+/**
+ * Represents a color in HSL, the cylindrical form of sRGB used by CSS hsl().
+ * @typedef {object} HslColor
+ * @property {number} h - Hue angle in degrees, [0, 360).
+ * @property {number} s - Saturation (0-1).
+ * @property {number} l - Lightness (0-1).
+ * @property {number} [alpha] - Optional alpha (0-1).
+ */
+
+/**
+ * Represents a color in HSV (also called HSB).
+ * @typedef {object} HsvColor
+ * @property {number} h - Hue angle in degrees, [0, 360).
+ * @property {number} s - Saturation (0-1).
+ * @property {number} v - Value (0-1).
+ * @property {number} [alpha] - Optional alpha (0-1).
+ */
+
+/**
+ * Represents a color in HWB, the model behind CSS hwb().
+ * @typedef {object} HwbColor
+ * @property {number} h - Hue angle in degrees, [0, 360).
+ * @property {number} w - Whiteness (0-1).
+ * @property {number} b - Blackness (0-1).
+ * @property {number} [alpha] - Optional alpha (0-1).
+ */
+
+/**
+ * Represents a color in HSLuv, saturation relative to the sRGB gamut in LChuv.
+ * @typedef {object} HsluvColor
+ * @property {number} h - Hue angle in degrees, [0, 360).
+ * @property {number} s - Saturation (0-100), 100 at the sRGB gamut boundary.
+ * @property {number} l - Lightness (0-100), the L* of CIELUV.
+ * @property {number} [alpha] - Optional alpha (0-1).
+ */
+
+/**
+ * Represents a color in HPLuv, chroma relative to the most saturated color
+ * displayable in sRGB at every hue of the given lightness.
+ * @typedef {object} HpluvColor
+ * @property {number} h - Hue angle in degrees, [0, 360).
+ * @property {number} p - Pastel saturation (0-100 for pastels, above 100 otherwise).
+ * @property {number} l - Lightness (0-100), the L* of CIELUV.
+ * @property {number} [alpha] - Optional alpha (0-1).
+ */
+
 // --- Appearance Model Related Types ---
 
 /**
@@ -13,6 +13,15 @@
  */
 export const D65_WHITE_POINT_XYZ = Object.freeze({ X: 95.047, Y: 100.0, Z: 108.883 });
 
+/**
+ * Standard CIE Illuminant D50 reference white point in XYZ, scaled to Y=100.
+ * This is the reference white of CSS `lab()` and `lch()`, and matches
+ * `ILLUMINANTS.D50` used for Bradford adaptation.
+ * @type {Readonly<{X: number, Y: number, Z: number}>}
+ * @see {@link https://www.w3.org/TR/css-color-4/#cie-lab}
+ */
+export const D50_WHITE_POINT_XYZ = Object.freeze({ X: 96.422, Y: 100.0, Z: 82.521 });
+
 // --- Angle Conversions ---
 
 /**
@@ -128,4 +137,23 @@ export function signPreservingPow(value, exponent) {
   const result = Math.pow(absValue, exponent);
   
   return sign * result;
-}
\ No newline at end of file
+}
+// --- Alpha Channel Helpers ---
+
+/**
+ * Copies the `alpha` property of a source color onto a converted color.
+ * Conversion functions use this so that an optional alpha channel is carried
+ * through untouched. When the source has no `alpha`, the target is returned as-is.
+ * @param {object} target - The freshly converted color object (mutated).
+ * @param {{alpha?: number}} source - The input color that may carry an alpha value.
+ * @returns {object} The target color, with `alpha` copied over if present.
+ * @example
+ * withAlpha({ L: 0.5, a: 0, b: 0 }, { r: 0.5, g: 0.5, b: 0.5, alpha: 0.3 });
+ * // { L: 0.5, a: 0, b: 0, alpha: 0.3 }
+ */
+export function withAlpha(target, source) {
+  if (source != null && source.alpha !== undefined) {
+    target.alpha = source.alpha;
+  }
+  return target;
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  A98_RGB_PRIMARIES,
+  MATRIX_LINEAR_A98_RGB_TO_XYZ_D65,
+  srgbToA98Rgb,
+  a98RgbToSrgb,
+  a98RgbToLinearA98Rgb,
+  linearA98RgbToA98Rgb,
+  isA98RgbInSrgbGamut,
+  isA98RgbInGamut,
+  formatA98RgbForCSS,
+  parseA98RgbFromCSS
+} from '../src/a98-rgb.js';
+import {
+  PROPHOTO_RGB_PRIMARIES,
+  MATRIX_LINEAR_PROPHOTO_RGB_TO_XYZ_D50,
+  srgbToProPhotoRgb,
+  proPhotoRgbToSrgb,
+  proPhotoRgbToLinearProPhotoRgb,
+  linearProPhotoRgbToProPhotoRgb,
+  linearProPhotoRgbToXyz,
+  linearProPhotoRgbToXyzD50,
+  isProPhotoRgbInSrgbGamut,
+  isProPhotoRgbInGamut,
+  formatProPhotoRgbForCSS,
+  parseProPhotoRgbFromCSS
+} from '../src/prophoto-rgb.js';
+import { computeRgbToXyzMatrix } from '../src/rgb-space.js';
+import { convert } from '../src/css-color-spaces.js';
+import { ILLUMINANTS } from '../src/chromatic-adaptation.js';
+import { getGamutVolumeRatio } from '../src/gamut-mapping.js';
+import { approxEqual, channelsApproxEqual } from './test-helpers.js';
+
+describe('A98 RGB', () => {
+  it('should match the color space registry', () => {
+    for (const srgb of [[0, 1, 0], [0.2, 0.4, 0.6], [1, 1, 1]]) {
+      const [r, g, b] = srgb;
+      expect(channelsApproxEqual(srgbToA98Rgb({ r, g, b }), convert(srgb, 'srgb', 'a98-rgb'), 1e-9)).toBe(true);
+    }
+    expect(channelsApproxEqual(srgbToA98Rgb({ r: 0, g: 1, b: 0 }), [0.565, 1, 0.2344], 1e-4)).toBe(true);
+  });
+
+  it('should round-trip through sRGB and its transfer function', () => {
+    expect(channelsApproxEqual(a98RgbToSrgb(srgbToA98Rgb({ r: 0.3, g: 0.6, b: 0.9 })), [0.3, 0.6, 0.9], 1e-6)).toBe(true);
+    expect(channelsApproxEqual(linearA98RgbToA98Rgb(a98RgbToLinearA98Rgb({ r: -0.2, g: 0.5, b: 1 })), [-0.2, 0.5, 1], 1e-12)).toBe(true);
+    expect(a98RgbToLinearA98Rgb({ r: 0.5, g: 0, b: 0 }).r).toBe(Math.pow(0.5, 563 / 256));
+  });
+
+  it('should use matrices consistent with its primaries', () => {
+    const matrix = computeRgbToXyzMatrix(A98_RGB_PRIMARIES, ILLUMINANTS.D65);
+    expect(channelsApproxEqual(a98RgbToSrgb({ r: 1, g: 1, b: 1 }), [1, 1, 1], 1e-12)).toBe(true);
+    expect(approxEqual(matrix[1][1], 0.6273490714521998, 1e-12)).toBe(true);
+    expect(MATRIX_LINEAR_A98_RGB_TO_XYZ_D65).toEqual(matrix);
+  });
+
+  it('should check gamuts and read and write CSS', () => {
+    expect(isA98RgbInSrgbGamut({ r: 0, g: 1, b: 0 })).toBe(false);
+    expect(isA98RgbInSrgbGamut(srgbToA98Rgb({ r: 0.2, g: 0.8, b: 0.4 }))).toBe(true);
+    expect(isA98RgbInGamut(srgbToA98Rgb({ r: 0, g: 1, b: 0 }))).toBe(true);
+    expect(formatA98RgbForCSS({ r: 0.565, g: 1, b: 0.2344 })).toBe('color(a98-rgb 0.5650 1.0000 0.2344)');
+    expect(parseA98RgbFromCSS('color(a98-rgb 0.565 1 0.2344)')).toEqual({ r: 0.565, g: 1, b: 0.2344 });
+    expect(parseA98RgbFromCSS('color(display-p3 1 0 0)')).toBeNull();
+  });
+
+  it('should parse any valid a98-rgb syntax', () => {
+    expect(parseA98RgbFromCSS('color(a98-rgb -0.1 50% 2e-1 / 0.5)')).toEqual({ r: -0.1, g: 0.5, b: 0.2, alpha: 0.5 });
+    expect(parseA98RgbFromCSS('color(a98-rgb none 1 1 / 100%)')).toEqual({ r: NaN, g: 1, b: 1 });
+    expect(parseA98RgbFromCSS('color(a98-rgb 1 1)')).toBeNull();
+    expect(parseA98RgbFromCSS(' COLOR(A98-RGB +.5 1E1 0 / none) ')).toEqual({ r: 0.5, g: 10, b: 0, alpha: NaN });
+    expect(parseA98RgbFromCSS('color(a98-rgb 1 1 1 / 150%)')).toEqual({ r: 1, g: 1, b: 1 });
+    expect(parseA98RgbFromCSS('color(a98-rgb 1 1 1 / -1)')).toEqual({ r: 1, g: 1, b: 1, alpha: 0 });
+    expect(parseA98RgbFromCSS('color(a98-rgb 1. 1 1)')).toBeNull();
+    expect(parseA98RgbFromCSS('color(a98-rgb-x 1 1 1)')).toBeNull();
+    expect(parseA98RgbFromCSS('color(display-p3 1 1 1)')).toBeNull();
+  });
+
+  it('should keep alpha through sRGB conversions', () => {
+    expect(srgbToA98Rgb({ r: 0, g: 1, b: 0, alpha: 0.4 }).alpha).toBe(0.4);
+    expect(a98RgbToSrgb({ r: 0.5, g: 0.5, b: 0.5, alpha: 0 }).alpha).toBe(0);
+    expect(srgbToA98Rgb({ r: 0, g: 1, b: 0 })).not.toHaveProperty('alpha');
+  });
+});
+
+describe('ProPhoto RGB', () => {
+  it('should match the color space registry', () => {
+    for (const srgb of [[1, 0, 0], [0.2, 0.4, 0.6], [0.01, 0.02, 0.005]]) {
+      const [r, g, b] = srgb;
+      expect(channelsApproxEqual(srgbToProPhotoRgb({ r, g, b }), convert(srgb, 'srgb', 'prophoto-rgb'), 1e-9)).toBe(true);
+    }
+    expect(channelsApproxEqual(proPhotoRgbToSrgb({ r: 0.4, g: 0.5, b: 0.3 }), convert([0.4, 0.5, 0.3], 'prophoto-rgb', 'srgb'), 1e-9)).toBe(true);
+  });
+
+  it('should be D50-based and adapt to D65 with Bradford', () => {
+    const white = { r: 1, g: 1, b: 1 };
+    const d50 = linearProPhotoRgbToXyzD50(white);
+    expect(channelsApproxEqual(d50, { X: 0.96422, Y: 1, Z: 0.82521 }, 1e-12)).toBe(true);
+    const d65 = linearProPhotoRgbToXyz(white);
+    expect(channelsApproxEqual(d65, { X: 0.95047, Y: 1, Z: 1.08883 }, 1e-12)).toBe(true);
+    expect(channelsApproxEqual(srgbToProPhotoRgb(white), [1, 1, 1], 1e-12)).toBe(true);
+
+    const matrix = computeRgbToXyzMatrix(PROPHOTO_RGB_PRIMARIES, ILLUMINANTS.D50);
+    expect(MATRIX_LINEAR_PROPHOTO_RGB_TO_XYZ_D50).toEqual(matrix);
+  });
+
+  it('should round-trip through its transfer function, including the linear segment', () => {
+    for (const value of [-0.5, 0.01, 0.03125, 0.5, 1]) {
+      const linear = proPhotoRgbToLinearProPhotoRgb({ r: value, g: value, b: value });
+      expect(channelsApproxEqual(linearProPhotoRgbToProPhotoRgb(linear), [value, value, value], 1e-12)).toBe(true);
+    }
+    expect(proPhotoRgbToLinearProPhotoRgb({ r: 0.01, g: 0, b: 0 }).r).toBe(0.01 / 16);
+  });
+
+  it('should check gamuts and read and write CSS', () => {
+    expect(isProPhotoRgbInSrgbGamut({ r: 0, g: 1, b: 0 })).toBe(false);
+    expect(isProPhotoRgbInGamut(srgbToProPhotoRgb({ r: 0, g: 0, b: 1 }))).toBe(true);
+    expect(formatProPhotoRgbForCSS(srgbToProPhotoRgb({ r: 1, g: 0, b: 0 }))).toBe('color(prophoto-rgb 0.7023 0.2757 0.1036)');
+    expect(parseProPhotoRgbFromCSS('color(prophoto-rgb 0.7023 0.2757 0.1036)')).toEqual({ r: 0.7023, g: 0.2757, b: 0.1036 });
+    expect(getGamutVolumeRatio('prophoto-rgb', 'a98-rgb')).toBeGreaterThan(2);
+  });
+
+  it('should parse any valid prophoto-rgb syntax', () => {
+    expect(parseProPhotoRgbFromCSS('color(prophoto-rgb 70% none -1E-2 / 25%)')).toEqual({ r: 0.7, g: NaN, b: -0.01, alpha: 0.25 });
+    expect(parseProPhotoRgbFromCSS('color(a98-rgb 1 1 1)')).toBeNull();
+  });
+
+  it('should keep alpha through sRGB conversions', () => {
+    expect(srgbToProPhotoRgb({ r: 1, g: 0, b: 0, alpha: 0.4 }).alpha).toBe(0.4);
+    expect(proPhotoRgbToSrgb({ r: 0.4, g: 0.5, b: 0.3, alpha: 0.75 }).alpha).toBe(0.75);
+  });
+});
@@ -117,6 +117,17 @@ describe('Advanced Features', () => {
         expect(isInGamut(mapped, 'oklch', 'srgb')).toBe(true);
       });
       
+      it('should map into Display P3', () => {
+        const vibrant = { L: 0.7, C: 0.5, h: 150 };
+        expect(isInGamut(vibrant, 'oklch', 'display-p3')).toBe(false);
+        expect(isInGamut({ r: 1, g: 0, b: 0 }, 'display-p3', 'display-p3')).toBe(true);
+        expect(isInGamut({ r: 1, g: 0, b: 0 }, 'display-p3', 'srgb')).toBe(false);
+        
+        const mapped = gamutMapOklch(vibrant, 'display-p3');
+        expect(isInGamut(mapped, 'oklch', 'display-p3')).toBe(true);
+        expect(isInGamut(mapped, 'oklch', 'srgb')).toBe(false);
+      });
+      
       it('should not change colors already in gamut', () => {
         const inGamut = { L: 0.5, C: 0.1, h: 120 };
         const mapped = gamutMapOklch(inGamut, 'srgb');
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  srgbToLinearSrgbBatch,
+  linearSrgbToSrgbBatch,
+  srgbToXyzBatch,
+  xyzToSrgbBatch,
+  xyzToLabBatch,
+  labToXyzBatch,
+  srgbToLabBatch,
+  labToSrgbBatch,
+  srgbToOklabBatch,
+  oklabToSrgbBatch,
+  xyzToOklabBatch,
+  oklabToXyzBatch,
+  srgbToDisplayP3Batch,
+  displayP3ToSrgbBatch,
+  srgbToRec2020Batch,
+  rec2020ToSrgbBatch
+} from '../src/batch.js';
+import { srgbToLinearSrgb, srgbToXyz } from '../src/srgb.js';
+import { xyzToLab, srgbToLab } from '../src/cielab.js';
+import { srgbToOklab, xyzToOklab } from '../src/oklab.js';
+import { srgbToDisplayP3 } from '../src/display-p3.js';
+import { srgbToRec2020 } from '../src/rec2020.js';
+import { AdaptiveOklab } from '../src/aoklab.js';
+import { D50_WHITE_POINT_XYZ } from '../src/utils.js';
+import { channelsApproxEqual } from './test-helpers.js';
+
+const SRGB_SAMPLES = [[1, 0, 0], [0, 0.5, 1], [0.2, 0.4, 0.6], [0.02, 0.03, 0.01], [1, 1, 1]];
+
+const pack = (samples, stride = 3) => {
+  const array = new Float64Array(samples.length * stride);
+  samples.forEach((sample, i) => {
+    array.set(sample, i * stride);
+    if (stride === 4) array[i * stride + 3] = i / 10;
+  });
+  return array;
+};
+
+const toArray = color => ('r' in color ? [color.r, color.g, color.b] : 'X' in color ? [color.X, color.Y, color.Z] : [color.L, color.a, color.b]);
+
+describe('Batch Conversions', () => {
+
+  describe('Agreement with the per-object API', () => {
+    const cases = [
+      ['srgbToLinearSrgbBatch', srgbToLinearSrgbBatch, srgbToLinearSrgb],
+      ['srgbToXyzBatch', srgbToXyzBatch, srgbToXyz],
+      ['srgbToLabBatch', srgbToLabBatch, srgbToLab],
+      ['srgbToOklabBatch', srgbToOklabBatch, srgbToOklab],
+      ['srgbToDisplayP3Batch', srgbToDisplayP3Batch, srgbToDisplayP3],
+      ['srgbToRec2020Batch', srgbToRec2020Batch, srgbToRec2020]
+    ];
+
+    for (const [name, batch, single] of cases) {
+      it(`${name} should match the object conversion`, () => {
+        const expected = SRGB_SAMPLES.map(([r, g, b]) => toArray(single({ r, g, b })));
+        expect(channelsApproxEqual(batch(pack(SRGB_SAMPLES)), expected.flat(), 1e-12)).toBe(true);
+      });
+    }
+
+    it('should match the XYZ entry points', () => {
+      const xyz = SRGB_SAMPLES.map(([r, g, b]) => toArray(srgbToXyz({ r, g, b })));
+      expect(channelsApproxEqual(xyzToLabBatch(pack(xyz)), xyz.flatMap(([X, Y, Z]) => toArray(xyzToLab({ X, Y, Z }))), 1e-12)).toBe(true);
+      expect(channelsApproxEqual(xyzToOklabBatch(pack(xyz)), xyz.flatMap(([X, Y, Z]) => toArray(xyzToOklab({ X, Y, Z }))), 1e-12)).toBe(true);
+      expect(channelsApproxEqual(
+        xyzToLabBatch(pack(xyz), { referenceWhite: D50_WHITE_POINT_XYZ }),
+        xyz.flatMap(([X, Y, Z]) => toArray(xyzToLab({ X, Y, Z }, D50_WHITE_POINT_XYZ))),
+        1e-12
+      )).toBe(true);
+    });
+  });
+
+  describe('Round trips', () => {
+    const pairs = [
+      [srgbToLinearSrgbBatch, linearSrgbToSrgbBatch],
+      [srgbToXyzBatch, xyzToSrgbBatch],
+      [srgbToLabBatch, labToSrgbBatch],
+      [srgbToOklabBatch, oklabToSrgbBatch],
+      [srgbToDisplayP3Batch, displayP3ToSrgbBatch],
+      [srgbToRec2020Batch, rec2020ToSrgbBatch]
+    ];
+
+    it('should return to sRGB', () => {
+      for (const [forward, inverse] of pairs) {
+        expect(channelsApproxEqual(inverse(forward(pack(SRGB_SAMPLES))), SRGB_SAMPLES.flat(), 1e-5)).toBe(true);
+      }
+      const xyz = srgbToXyzBatch(pack(SRGB_SAMPLES));
+      expect(channelsApproxEqual(oklabToXyzBatch(xyzToOklabBatch(new Float64Array(xyz))), xyz, 1e-6)).toBe(true);
+      expect(channelsApproxEqual(labToXyzBatch(xyzToLabBatch(new Float64Array(xyz))), xyz, 1e-9)).toBe(true);
+    });
+  });
+
+  describe('Buffers and stride', () => {
+    it('should convert RGBA in place and leave alpha untouched', () => {
+      const pixels = pack(SRGB_SAMPLES, 4);
+      const result = srgbToOklabBatch(pixels, { stride: 4 });
+      expect(result).toBe(pixels);
+      expect(channelsApproxEqual(pixels, SRGB_SAMPLES.flatMap(([r, g, b], i) => [...toArray(srgbToOklab({ r, g, b })), i / 10]), 1e-12)).toBe(true);
+      SRGB_SAMPLES.forEach((_, i) => expect(pixels[i * 4 + 3]).toBe(i / 10));
+    });
+
+    it('should write into an output buffer and copy alpha', () => {
+      const input = pack(SRGB_SAMPLES, 4);
+      const copy = new Float64Array(input);
+      const output = new Float32Array(input.length);
+      expect(srgbToLabBatch(input, { output, stride: 4 })).toBe(output);
+      expect(input).toEqual(copy);
+      expect(channelsApproxEqual(output, SRGB_SAMPLES.flatMap(([r, g, b], i) => [...toArray(srgbToLab({ r, g, b })), i / 10]), 1e-4)).toBe(true);
+      SRGB_SAMPLES.forEach((_, i) => expect(output[i * 4 + 3]).toBe(Math.fround(i / 10)));
+    });
+
+    it('should reject invalid buffers', () => {
+      expect(() => srgbToOklabBatch([1, 0, 0])).toThrow(TypeError);
+      expect(() => srgbToOklabBatch(new Float32Array(3), { output: new Uint8Array(3) })).toThrow(TypeError);
+      expect(() => srgbToOklabBatch(new Float32Array(8))).toThrow('not a multiple of the stride 3');
+      expect(() => srgbToOklabBatch(new Float32Array(6), { stride: 2 })).toThrow(RangeError);
+      expect(() => srgbToOklabBatch(new Float32Array(6), { output: new Float32Array(3) })).toThrow('shorter than the input');
+    });
+  });
+
+  describe('AdaptiveOklab', () => {
+    it('should match the object methods for every surround', () => {
+      for (const surround of ['white', 'gray', 'dark']) {
+        const aok = new AdaptiveOklab({ surround });
+        const expected = SRGB_SAMPLES.map(([r, g, b]) => toArray(aok.fromSrgb({ r, g, b })));
+        const adapted = aok.fromSrgbBatch(pack(SRGB_SAMPLES));
+        expect(channelsApproxEqual(adapted, expected.flat(), 1e-12)).toBe(true);
+        expect(channelsApproxEqual(aok.toSrgbBatch(adapted), SRGB_SAMPLES.flat(), 1e-6)).toBe(true);
+      }
+    });
+
+    it('should convert XYZ and apply tone mapping', () => {
+      const aok = new AdaptiveOklab({ surround: 'dark', toneMapping: { gammaAdjustment: 0.2 } });
+      const xyz = srgbToXyzBatch(pack(SRGB_SAMPLES));
+      const expected = [...chunks(xyz)].map(([X, Y, Z]) => toArray(aok.fromXyz({ X, Y, Z })));
+      const adapted = aok.fromXyzBatch(new Float64Array(xyz));
+      expect(channelsApproxEqual(adapted, expected.flat(), 1e-12)).toBe(true);
+      expect(channelsApproxEqual(aok.toXyzBatch(adapted), xyz, 1e-6)).toBe(true);
+    });
+  });
+});
+
+function* chunks(array, stride = 3) {
+  for (let i = 0; i < array.length; i += stride) yield Array.from(array.subarray(i, i + 3));
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  xyzToXyy,
+  xyyToXyz,
+  xyzToUv,
+  uvToXyz,
+  xyToUv,
+  uvToXy,
+  SPECTRAL_LOCUS,
+  PURPLE_LINE,
+  getDominantWavelength,
+  getComplementaryWavelength,
+  getExcitationPurity,
+  isInGamutTriangle
+} from '../src/chromaticity.js';
+import { calculateCCT, getWhitePointFromTemperature, ILLUMINANTS } from '../src/chromatic-adaptation.js';
+import { srgbToXyz } from '../src/srgb.js';
+import { REC2020_PRIMARIES } from '../src/rec2020.js';
+import { DISPLAY_P3_PRIMARIES } from '../src/display-p3.js';
+import { D50_WHITE_POINT_XYZ } from '../src/utils.js';
+import { approxEqual, channelsApproxEqual } from './test-helpers.js';
+
+const SRGB_RED = { x: 0.64, y: 0.33 };
+const SRGB_GREEN = { x: 0.30, y: 0.60 };
+const SRGB_BLUE = { x: 0.15, y: 0.06 };
+const D65 = { x: 0.3127, y: 0.3290 };
+
+describe('xyY and u\'v\'', () => {
+  it('should convert the D65 white', () => {
+    expect(channelsApproxEqual(xyzToXyy({ X: 0.95047, Y: 1, Z: 1.08883 }), { x: 0.3127, y: 0.3290, Y: 1 }, 1e-4)).toBe(true);
+    expect(channelsApproxEqual(xyzToUv({ X: 95.047, Y: 100, Z: 108.883 }), { u: 0.1978, v: 0.4683, Y: 100 }, 1e-4)).toBe(true);
+    expect(channelsApproxEqual(xyToUv(D65), { u: 0.1978, v: 0.4683 }, 1e-4)).toBe(true);
+  });
+
+  it('should round-trip XYZ through xyY and u\'v\'', () => {
+    const xyz = { X: 0.3, Y: 0.2, Z: 0.6, alpha: 0.5 };
+    expect(xyyToXyz(xyzToXyy(xyz))).toEqual({ X: expect.closeTo(0.3, 12), Y: 0.2, Z: expect.closeTo(0.6, 12), alpha: 0.5 });
+    expect(channelsApproxEqual(uvToXyz(xyzToUv(xyz)), xyz, 1e-12)).toBe(true);
+    expect(channelsApproxEqual(uvToXy(xyToUv({ x: 0.2, y: 0.7 })), { x: 0.2, y: 0.7 }, 1e-12)).toBe(true);
+    expect(uvToXyz({ u: 0.2, v: 0.5 }).Y).toBe(1);
+  });
+
+  it('should give black the chromaticity of the reference white', () => {
+    expect(channelsApproxEqual(xyzToXyy({ X: 0, Y: 0, Z: 0 }), { x: 0.3127, y: 0.3290, Y: 0 }, 1e-4)).toBe(true);
+    const { u, v } = xyzToUv(D50_WHITE_POINT_XYZ);
+    expect(channelsApproxEqual(xyzToUv({ X: 0, Y: 0, Z: 0 }, D50_WHITE_POINT_XYZ), { u, v, Y: 0 }, 1e-12)).toBe(true);
+    expect(xyyToXyz({ x: 0.3, y: 0, Y: 0 })).toEqual({ X: 0, Y: 0, Z: 0 });
+  });
+
+  it('should keep the white point helpers unchanged', () => {
+    expect(approxEqual(calculateCCT(ILLUMINANTS.D65), 6502.5, 0.1)).toBe(true);
+    const white = getWhitePointFromTemperature(6504);
+    expect(white.Y).toBe(100);
+    expect(channelsApproxEqual(xyzToXyy(white), { x: 0.3127, y: 0.3291 }, 2e-4)).toBe(true);
+  });
+});
+
+describe('Chromaticity diagram', () => {
+  it('should provide the spectral locus and purple line', () => {
+    expect(SPECTRAL_LOCUS).toHaveLength(65);
+    expect(SPECTRAL_LOCUS[0]).toEqual({ wavelength: 380, x: 0.1741, y: 0.0050 });
+    expect(PURPLE_LINE.map(point => point.wavelength)).toEqual([380, 700]);
+    expect(Object.isFrozen(SPECTRAL_LOCUS[10])).toBe(true);
+  });
+
+  it('should find dominant and complementary wavelengths', () => {
+    expect(getDominantWavelength(SRGB_RED)).toBeCloseTo(611.4, 1);
+    expect(getDominantWavelength(SRGB_GREEN)).toBeCloseTo(549.1, 1);
+    expect(getDominantWavelength(SRGB_BLUE)).toBeCloseTo(464.2, 1);
+    expect(getComplementaryWavelength(SRGB_BLUE)).toBeCloseTo(570.5, 1);
+    // Monochromatic primaries sit on the locus
+    expect(getDominantWavelength(REC2020_PRIMARIES.red)).toBeCloseTo(630, 0);
+    // Greens have no complementary wavelength, purples no dominant one
+    expect(getComplementaryWavelength(SRGB_GREEN)).toBeNaN();
+    const magenta = { x: 0.35, y: 0.15 };
+    expect(getDominantWavelength(magenta)).toBeCloseTo(-getComplementaryWavelength(magenta), 12);
+    expect(getDominantWavelength(magenta)).toBeLessThan(0);
+    expect(getDominantWavelength(D65)).toBeNaN();
+    // Relative to another white
+    expect(getDominantWavelength(SRGB_RED, { white: { x: 1 / 3, y: 1 / 3 } })).not.toBeCloseTo(611.4, 1);
+  });
+
+  it('should measure excitation purity', () => {
+    expect(getExcitationPurity(D65)).toBe(0);
+    expect(getExcitationPurity(SRGB_RED)).toBeCloseTo(0.917, 3);
+    expect(getExcitationPurity(REC2020_PRIMARIES.red)).toBeCloseTo(1, 3);
+    // Halfway to the purple line
+    const purple = { x: (PURPLE_LINE[0].x + PURPLE_LINE[1].x) / 2, y: (PURPLE_LINE[0].y + PURPLE_LINE[1].y) / 2 };
+    const halfway = { x: (purple.x + D65.x) / 2, y: (purple.y + D65.y) / 2 };
+    expect(getExcitationPurity(halfway)).toBeCloseTo(0.5, 12);
+    expect(() => getExcitationPurity({ x: 0.3 })).toThrow(TypeError);
+  });
+
+  it('should test points against gamut triangles', () => {
+    for (const primary of [SRGB_RED, SRGB_GREEN, SRGB_BLUE, D65]) {
+      expect(isInGamutTriangle(primary, REC2020_PRIMARIES)).toBe(true);
+      expect(isInGamutTriangle(primary, DISPLAY_P3_PRIMARIES)).toBe(true);
+    }
+    expect(isInGamutTriangle(REC2020_PRIMARIES.green, REC2020_PRIMARIES)).toBe(true);
+    expect(isInGamutTriangle(REC2020_PRIMARIES.red, DISPLAY_P3_PRIMARIES)).toBe(false);
+    expect(isInGamutTriangle(xyzToXyy(srgbToXyz({ r: 0.2, g: 0.8, b: 0.4 })), DISPLAY_P3_PRIMARIES)).toBe(true);
+    expect(() => isInGamutTriangle(D65, { red: SRGB_RED })).toThrow(TypeError);
+  });
+});
@@ -10,6 +10,7 @@ import {
   lchToSrgb
 } from '../src/cielab.js';
 import { srgbToXyz, xyzToSrgb } from '../src/srgb.js';
+import { D50_WHITE_POINT_XYZ } from '../src/utils.js';
 import { 
   approxEqual, 
   colorsApproxEqual, 
@@ -155,6 +156,24 @@ describe('CIELAB Module', () => {
     });
   });
   
+  describe('Reference White', () => {
+    it('should map each reference white to L=100, a=b=0', () => {
+      const whiteD50 = { X: 0.96422, Y: 1, Z: 0.82521 };
+      const lab = xyzToLab(whiteD50, D50_WHITE_POINT_XYZ);
+      
+      expect(colorsApproxEqual(lab, { L: 100, a: 0, b: 0 }, 1e-9)).toBe(true);
+      expect(Math.abs(xyzToLab(whiteD50).b)).toBeGreaterThan(10); // Not white under D65
+    });
+    
+    it('should honor an explicit reference white in the sRGB pipeline', () => {
+      const color = { r: 0.2, g: 0.6, b: 0.4 };
+      const labD50 = srgbToLab(color, D50_WHITE_POINT_XYZ);
+      
+      expect(colorsApproxEqual(labToSrgb(labD50, D50_WHITE_POINT_XYZ), color, 1e-6)).toBe(true);
+      expect(colorsApproxEqual(labD50, srgbToLab(color), 0.5)).toBe(false);
+    });
+  });
+  
   describe('Lab to sRGB Conversion', () => {
     it('should convert Lab to sRGB correctly', () => {
       const redSrgb = labToSrgb(TEST_COLORS.red.lab);
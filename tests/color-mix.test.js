@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import { colorMix, interpolateColor } from '../src/color-mix.js';
+import { parseCSS } from '../src/css-color-parser.js';
+import { approxEqual } from './test-helpers.js';
+
+const RED = { r: 1, g: 0, b: 0 };
+const BLUE = { r: 0, g: 0, b: 1 };
+
+describe('Color Mix', () => {
+  
+  describe('colorMix()', () => {
+    it('should default to an even mix in Oklab', () => {
+      const mixed = colorMix(RED, BLUE);
+      expect(mixed.space).toBe('oklab');
+      expect(mixed.alpha).toBe(1);
+    });
+    
+    it('should mix in sRGB and linear sRGB', () => {
+      expect(colorMix(RED, BLUE, { space: 'srgb' }).coords).toEqual([0.5, 0, 0.5]);
+      expect(colorMix(RED, BLUE, { space: 'srgb-linear', p1: 25 }).coords).toEqual([0.25, 0, 0.75]);
+    });
+    
+    it('should normalize percentages', () => {
+      // Only p1 given: p2 = 100 - p1
+      expect(colorMix(RED, BLUE, { space: 'srgb', p1: 30 }).coords[0]).toBeCloseTo(0.3, 10);
+      // Only p2 given: p1 = 100 - p2
+      expect(colorMix(RED, BLUE, { space: 'srgb', p2: 30 }).coords[0]).toBeCloseTo(0.7, 10);
+      // Sum above 100 is scaled down
+      expect(colorMix(RED, BLUE, { space: 'srgb', p1: 100, p2: 100 }).coords[0]).toBeCloseTo(0.5, 10);
+    });
+    
+    it('should reduce alpha when percentages sum below 100', () => {
+      const mixed = colorMix(RED, BLUE, { space: 'srgb', p1: 20, p2: 30 });
+      expect(mixed.coords[0]).toBeCloseTo(0.4, 10);
+      expect(mixed.alpha).toBeCloseTo(0.5, 10);
+    });
+    
+    it('should premultiply alpha', () => {
+      // Spec example: color-mix(in srgb, rgb(100% 0% 0% / 0.7) 25%, rgb(0% 100% 0% / 0.2))
+      const mixed = colorMix(
+        { r: 1, g: 0, b: 0, alpha: 0.7 },
+        { r: 0, g: 1, b: 0, alpha: 0.2 },
+        { space: 'srgb', p1: 25 }
+      );
+      expect(mixed.alpha).toBeCloseTo(0.325, 10);
+      expect(mixed.coords[0]).toBeCloseTo(0.175 / 0.325, 10);
+      expect(mixed.coords[1]).toBeCloseTo(0.15 / 0.325, 10);
+    });
+    
+    it('should follow the hue interpolation methods', () => {
+      const c1 = { space: 'oklch', coords: [0.5, 0.1, 10], alpha: 1 };
+      const c2 = { space: 'oklch', coords: [0.5, 0.1, 350], alpha: 1 };
+      const hueOf = hue => colorMix(c1, c2, { space: 'oklch', hue }).coords[2];
+      
+      expect(approxEqual(hueOf('shorter'), 0)).toBe(true);
+      expect(approxEqual(hueOf('longer'), 180)).toBe(true);
+      expect(approxEqual(hueOf('increasing'), 180)).toBe(true);
+      expect(approxEqual(hueOf('decreasing'), 0)).toBe(true);
+    });
+    
+    it('should accept parsed CSS colors in any space', () => {
+      const p3 = parseCSS('color(display-p3 1 0 0)', { preserveSpace: true });
+      const mixed = colorMix(p3, p3, { space: 'display-p3' });
+      mixed.coords.forEach((c, i) => expect(approxEqual(c, p3.coords[i], 1e-9)).toBe(true));
+    });
+    
+    it('should reject invalid input', () => {
+      expect(() => colorMix(RED, BLUE, { space: 'cmyk' })).toThrow();
+      expect(() => colorMix(RED, BLUE, { hue: 'sideways' })).toThrow();
+      expect(() => colorMix(RED, BLUE, { p1: 0, p2: 0 })).toThrow();
+      expect(() => colorMix(RED, BLUE, { p1: 120 })).toThrow();
+      expect(() => colorMix('red', BLUE)).toThrow(TypeError);
+    });
+  });
+  
+  describe('CSS color-mix()', () => {
+    it('should evaluate color-mix() in parseCSS', () => {
+      expect(parseCSS('color-mix(in srgb, red, blue)')).toEqual({ r: 0.5, g: 0, b: 0.5 });
+      expect(parseCSS('color-mix(in srgb, red 25%, blue)', { preserveSpace: true }))
+        .toEqual({ space: 'srgb', coords: [0.25, 0, 0.75], alpha: 1 });
+    });
+    
+    it('should accept percentages before the color', () => {
+      expect(parseCSS('color-mix(in srgb, 25% red, blue)').r).toBeCloseTo(0.25, 10);
+    });
+    
+    it('should accept every interpolation space', () => {
+      const spaces = [
+        'srgb', 'srgb-linear', 'display-p3', 'lab', 'lch', 'oklab', 'oklch',
+        'xyz', 'xyz-d50', 'xyz-d65', 'hsl', 'hwb'
+      ];
+      spaces.forEach(space => {
+        const mixed = parseCSS(`color-mix(in ${space}, white, white)`);
+        expect(approxEqual(mixed.r, 1, 1e-4)).toBe(true);
+      });
+    });
+    
+    it('should accept a hue method for cylindrical spaces only', () => {
+      expect(parseCSS('color-mix(in oklch longer hue, red, blue)')).not.toBeNull();
+      expect(parseCSS('color-mix(in srgb longer hue, red, blue)')).toBeNull();
+    });
+    
+    it('should handle nested functions and alpha', () => {
+      const mixed = parseCSS('color-mix(in srgb, rgb(255 0 0 / 0.5) 20%, color-mix(in srgb, blue, blue) 30%)');
+      expect(mixed.alpha).toBeCloseTo(0.4, 10);
+      expect(mixed.r).toBeCloseTo(0.25, 10);
+    });
+    
+    it('should reject malformed color-mix()', () => {
+      expect(parseCSS('color-mix(srgb, red, blue)')).toBeNull();
+      expect(parseCSS('color-mix(in srgb, red)')).toBeNull();
+      expect(parseCSS('color-mix(in srgb, red 0%, blue 0%)')).toBeNull();
+      expect(parseCSS('color-mix(in srgb, red, notacolor)')).toBeNull();
+    });
+  });
+  
+  describe('Missing Components', () => {
+    const parse = css => parseCSS(css, { preserveSpace: true });
+    
+    it('should take a missing component from the other color', () => {
+      const mixed = colorMix(parse('oklch(0.5 none 120)'), parse('oklch(0.7 0.2 none)'), { space: 'oklch' });
+      expect(mixed.coords).toEqual([0.6, 0.2, 120]);
+    });
+    
+    it('should keep a component missing in both colors missing', () => {
+      const mixed = colorMix(parse('oklch(0.5 none 120)'), parse('oklch(0.7 none 60)'), { space: 'oklch' });
+      expect(Number.isNaN(mixed.coords[1])).toBe(true);
+      expect(mixed.coords[2]).toBeCloseTo(90, 10);
+    });
+    
+    it('should carry missing components forward to analogous components', () => {
+      // Lightness and hue of OkLCh are analogous to those of LCH
+      const mixed = colorMix(parse('oklch(none 0.1 none)'), parse('lch(50 20 45)'), { space: 'lch' });
+      expect(mixed.coords[0]).toBeCloseTo(50, 10);
+      expect(mixed.coords[2]).toBeCloseTo(45, 10);
+      
+      // sRGB red has no analog in OkLCh, so it converts as 0
+      const black = colorMix(parse('rgb(none 0 0)'), parse('rgb(none 0 0)'), { space: 'oklch' });
+      expect(black.coords[0]).toBeCloseTo(0, 6);
+    });
+    
+    it('should treat achromatic hues as powerless', () => {
+      const gray = { r: 0.5, g: 0.5, b: 0.5 };
+      const red = { r: 1, g: 0, b: 0 };
+      const redHue = colorMix(red, red, { space: 'oklch' }).coords[2];
+      
+      expect(colorMix(gray, red, { space: 'oklch' }).coords[2]).toBeCloseTo(redHue, 10);
+      expect(colorMix(red, { r: 1, g: 1, b: 1 }, { space: 'hsl' }).coords[0]).toBeCloseTo(0, 10);
+      expect(Number.isNaN(colorMix(gray, gray, { space: 'lch' }).coords[2])).toBe(true);
+    });
+    
+    it('should carry a missing alpha', () => {
+      const mixed = colorMix(parse('rgb(0 0 0 / none)'), parse('rgb(255 255 255 / 0.5)'), { space: 'srgb' });
+      expect(mixed.alpha).toBe(0.5);
+      expect(mixed.coords).toEqual([0.5, 0.5, 0.5]);
+      
+      const both = colorMix(parse('rgb(0 0 0 / none)'), parse('rgb(255 255 255 / none)'), { space: 'srgb' });
+      expect(Number.isNaN(both.alpha)).toBe(true);
+    });
+  });
+  
+  describe('interpolateColor()', () => {
+    it('should interpolate at any position', () => {
+      const black = { r: 0, g: 0, b: 0 };
+      const white = { r: 1, g: 1, b: 1 };
+      
+      expect(interpolateColor(black, white, 0, { space: 'srgb' }).coords).toEqual([0, 0, 0]);
+      expect(interpolateColor(black, white, 0.25, { space: 'srgb' }).coords).toEqual([0.25, 0.25, 0.25]);
+      expect(interpolateColor(black, white, 1, { space: 'srgb' }).coords).toEqual([1, 1, 1]);
+    });
+    
+    it('should agree with colorMix()', () => {
+      const c1 = { r: 0.9, g: 0.2, b: 0.1, alpha: 0.8 };
+      const c2 = { r: 0.1, g: 0.3, b: 0.9 };
+      const interpolated = interpolateColor(c1, c2, 0.3, { space: 'oklch', hue: 'longer' });
+      const mixed = colorMix(c1, c2, { space: 'oklch', hue: 'longer', p2: 30 });
+      
+      interpolated.coords.forEach((c, i) => expect(approxEqual(c, mixed.coords[i], 1e-12)).toBe(true));
+      expect(interpolated.alpha).toBeCloseTo(mixed.alpha, 12);
+    });
+  });
+});
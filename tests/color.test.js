@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { Color } from '../src/color.js';
+import { CssParseError, parseCSS } from '../src/css-color-parser.js';
+import { calculateCiede2000 } from '../src/color-metrics.js';
+import { srgbToLab } from '../src/cielab.js';
+import { approxEqual } from './test-helpers.js';
+
+describe('Color Object', () => {
+
+  describe('Construction', () => {
+    it('should parse CSS strings in their own space', () => {
+      const color = new Color('oklch(70% 0.1 200 / 50%)');
+      expect(color.space).toBe('oklch');
+      expect(color.coords).toEqual([0.7, 0.1, 200]);
+      expect(color.alpha).toBe(0.5);
+      expect(new Color('#ff0000').space).toBe('srgb');
+    });
+
+    it('should accept a space and coordinates, or another color', () => {
+      expect(new Color('xyz', [0.5, 0.5, 0.5]).space).toBe('xyz-d65');
+      expect(new Color('srgb', [1, 0, 0], 0.5).alpha).toBe(0.5);
+      const lab = new Color(parseCSS('lab(50 20 30)', { preserveSpace: true }));
+      expect(new Color(lab).toJSON()).toEqual({ space: 'lab', coords: [50, 20, 30], alpha: 1 });
+    });
+
+    it('should resolve context colors when a context is given', () => {
+      expect(new Color('currentcolor', { context: { currentColor: 'red' } }).coords).toEqual([1, 0, 0]);
+    });
+
+    it('should reject invalid input', () => {
+      expect(() => new Color('nope(')).toThrow(CssParseError);
+      expect(() => new Color('cmyk', [0, 0, 0])).toThrow('Unsupported color space: cmyk');
+      expect(() => new Color('srgb', [1, 0])).toThrow(TypeError);
+      expect(() => new Color(42)).toThrow(TypeError);
+    });
+  });
+
+  describe('Conversions', () => {
+    it('should convert lazily and cache each space', () => {
+      const red = new Color('red');
+      const oklch = red.coordsIn('oklch');
+      expect(approxEqual(oklch[0], 0.628, 0.001)).toBe(true);
+      expect(red.coordsIn('oklch')).toBe(oklch);
+      expect(Object.isFrozen(oklch)).toBe(true);
+    });
+
+    it('should chain conversions without clipping', () => {
+      const p3 = new Color('color(display-p3 1 0 0)');
+      const back = p3.to('oklch').to('srgb').to('display-p3');
+      back.coords.forEach((c, i) => expect(approxEqual(c, [1, 0, 0][i], 1e-5)).toBe(true));
+      expect(p3.to('srgb').coords[0]).toBeGreaterThan(1);
+      expect(p3.to('display-p3')).toBe(p3);
+    });
+
+    it('should read channels of any space', () => {
+      const red = new Color('red');
+      expect(red.get('r')).toBe(1);
+      expect(approxEqual(red.get('oklch.l'), 0.628, 0.001)).toBe(true);
+      expect(new Color('hsl(120 50% 50%)').get('s')).toBe(0.5);
+      expect(red.get('alpha')).toBe(1);
+      expect(Number.isNaN(new Color('oklch(0.5 0.1 none)').get('h'))).toBe(true);
+      expect(() => red.get('l')).toThrow('Unknown channel "l" of srgb');
+      expect(() => red.get('cmyk.c')).toThrow('Unsupported color space: cmyk');
+    });
+  });
+
+  describe('Immutability', () => {
+    it('should return new colors from set() and keep the original', () => {
+      const blue = new Color('#3366ff');
+      const lighter = blue.set('oklch.l', 0.7);
+      expect(lighter).not.toBe(blue);
+      expect(lighter.space).toBe('srgb');
+      expect(approxEqual(lighter.get('oklch.l'), 0.7, 1e-6)).toBe(true);
+      expect(blue.toString({ format: 'hex' })).toBe('#3366ff');
+      expect(Object.isFrozen(blue)).toBe(true);
+      expect(Object.isFrozen(blue.coords)).toBe(true);
+    });
+
+    it('should set several channels and accept functions', () => {
+      const red = new Color('red');
+      const muted = red.set({ 'oklch.c': c => c / 2, alpha: 0.5 });
+      expect(approxEqual(muted.get('oklch.c'), red.get('oklch.c') / 2, 1e-6)).toBe(true);
+      expect(muted.alpha).toBe(0.5);
+      expect(new Color('oklch(0.5 0.1 none)').set('l', 0.6).toString()).toBe('oklch(0.6 0.1 none)');
+    });
+
+    it('should change mutable colors in place', () => {
+      const color = new Color('red', { mutable: true });
+      expect(color.set('oklch.l', 0.5).set('alpha', 0.3)).toBe(color);
+      expect(approxEqual(color.get('oklch.l'), 0.5, 1e-6)).toBe(true);
+      expect(color.alpha).toBe(0.3);
+      expect(color.to('srgb')).not.toBe(color);
+      expect(color.to('oklch').mutable).toBe(true);
+    });
+  });
+
+  describe('Output', () => {
+    it('should format with formatCSS options', () => {
+      const red = new Color('red');
+      expect(new Color('oklch', [0.7, 0.1, 200]).toString()).toBe('oklch(0.7 0.1 200)');
+      expect(red.toString({ format: 'oklch' })).toBe('oklch(62.8% 0.258 29deg)');
+      expect(red.toString({ format: 'rgb', legacy: true })).toBe('rgb(255, 0, 0)');
+      expect(`${red}`).toBe('rgb(255 0 0)');
+      expect(JSON.stringify(new Color('lab(50 20 30 / 0.4)'))).toBe('{"space":"lab","coords":[50,20,30],"alpha":0.4}');
+    });
+
+    it('should measure color differences', () => {
+      const red = new Color('red');
+      expect(red.deltaE('red')).toBe(0);
+      expect(approxEqual(red.deltaE('#ff0010'), 1.58, 0.01)).toBe(true);
+      expect(approxEqual(red.deltaE(new Color('#ff0010'), '76'), 4.03, 0.01)).toBe(true);
+      expect(approxEqual(red.deltaE('#ff0010', 'ok'), 0.0043, 0.0001)).toBe(true);
+      expect(() => red.deltaE('blue', '94')).toThrow('Unknown deltaE method: 94');
+    });
+
+    it('should compare CIE Lab relative to D65 like the rest of the library', () => {
+      const [color1, color2] = [{ r: 0.2, g: 0.5, b: 0.8 }, { r: 0.3, g: 0.45, b: 0.7 }];
+      const expected = calculateCiede2000(srgbToLab(color1), srgbToLab(color2));
+      expect(approxEqual(new Color('srgb', [0.2, 0.5, 0.8]).deltaE(new Color('srgb', [0.3, 0.45, 0.7])), expected, 1e-6)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,637 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSS, parseCSSStrict, CssParseError, formatCSS, convertCssColor, resolveCssVariables } from '../src/css-color-parser.js';
+import { CSS_NAMED_COLORS } from '../src/css-named-colors.js';
+import { isSrgbInGamut } from '../src/srgb.js';
+import { approxEqual, colorsApproxEqual } from './test-helpers.js';
+
+describe('CSS Color Parser', () => {
+  
+  describe('Alpha Channel', () => {
+    it('should parse alpha numbers and percentages', () => {
+      expect(parseCSS('rgb(255 0 0 / 0.5)')).toEqual({ r: 1, g: 0, b: 0, alpha: 0.5 });
+      expect(parseCSS('rgb(255 0 0 / 25%)')).toEqual({ r: 1, g: 0, b: 0, alpha: 0.25 });
+      expect(parseCSS('rgba(255, 0, 0, 0.3)')).toEqual({ r: 1, g: 0, b: 0, alpha: 0.3 });
+      expect(parseCSS('hsla(0, 100%, 50%, 0.4)').alpha).toBe(0.4);
+      expect(parseCSS('lab(50% 20 -30 / 0.6)').alpha).toBe(0.6);
+      expect(parseCSS('oklch(0.6 0.1 120 / 10%)').alpha).toBeCloseTo(0.1, 10);
+      expect(parseCSS('color(display-p3 1 0 0 / 0.2)').alpha).toBe(0.2);
+    });
+    
+    it('should clamp alpha to [0, 1]', () => {
+      expect(parseCSS('rgb(0 0 0 / 1.5)').alpha).toBe(1);
+      expect(parseCSS('rgb(0 0 0 / -20%)').alpha).toBe(0);
+    });
+    
+    it('should leave alpha off when not specified', () => {
+      expect(parseCSS('rgb(255 0 0)')).toEqual({ r: 1, g: 0, b: 0 });
+      expect('alpha' in parseCSS('oklab(0.5 0 0)')).toBe(false);
+    });
+    
+    it('should reject invalid alpha values', () => {
+      expect(parseCSS('rgb(255 0 0 / nope)')).toBeNull();
+    });
+    
+    it('should parse 4 and 8 digit hex alpha', () => {
+      expect(parseCSS('#ff000080').alpha).toBeCloseTo(128 / 255, 10);
+      expect(parseCSS('#f008').alpha).toBeCloseTo(136 / 255, 10);
+      expect(parseCSS('#ff0000ff')).toEqual({ r: 1, g: 0, b: 0, alpha: 1 });
+    });
+    
+    it('should serialize alpha in every format', () => {
+      const color = { r: 1, g: 0, b: 0, alpha: 0.5 };
+      expect(formatCSS(color, 'hex')).toBe('#ff000080');
+      expect(formatCSS(color, 'rgb')).toBe('rgb(255 0 0 / 0.5)');
+      expect(formatCSS(color, 'hsl')).toBe('hsl(0deg 100% 50% / 0.5)');
+      ['lab', 'lch', 'oklab', 'oklch', 'display-p3'].forEach(format => {
+        expect(formatCSS(color, format)).toMatch(/ \/ 0\.5\)$/);
+      });
+    });
+    
+    it('should omit alpha for opaque colors', () => {
+      expect(formatCSS({ r: 1, g: 0, b: 0, alpha: 1 }, 'rgb')).toBe('rgb(255 0 0)');
+      expect(formatCSS({ r: 1, g: 0, b: 0, alpha: 1 }, 'hex')).toBe('#ff0000');
+    });
+    
+    it('should round-trip translucent colors', () => {
+      const formats = ['rgb', 'oklab', 'oklch', 'lab', 'lch'];
+      const color = { r: 0.2, g: 0.4, b: 0.6, alpha: 0.25 };
+      
+      formats.forEach(format => {
+        const parsed = parseCSS(formatCSS(color, format));
+        expect(colorsApproxEqual(parsed, color, 0.01)).toBe(true);
+        expect(approxEqual(parsed.alpha, 0.25)).toBe(true);
+      });
+    });
+  });
+  
+  describe('Space-Preserving Parsing', () => {
+    it('should return the authored space and coordinates', () => {
+      expect(parseCSS('oklch(62.8% 0.2577 29.23)', { preserveSpace: true }))
+        .toEqual({ space: 'oklch', coords: [0.628, 0.2577, 29.23], alpha: 1 });
+      expect(parseCSS('lab(50 20 -30 / 0.5)', { preserveSpace: true }))
+        .toEqual({ space: 'lab', coords: [50, 20, -30], alpha: 0.5 });
+      expect(parseCSS('color(display-p3 1 0 0)', { preserveSpace: true }))
+        .toEqual({ space: 'display-p3', coords: [1, 0, 0], alpha: 1 });
+      expect(parseCSS('hsl(120 50% 40%)', { preserveSpace: true }))
+        .toEqual({ space: 'hsl', coords: [120, 0.5, 0.4], alpha: 1 });
+      expect(parseCSS('#ff0000', { preserveSpace: true }))
+        .toEqual({ space: 'srgb', coords: [1, 0, 0], alpha: 1 });
+    });
+    
+    it('should resolve percentages against the CSS reference ranges', () => {
+      expect(parseCSS('lab(50% 100% -100%)', { preserveSpace: true }).coords).toEqual([50, 125, -125]);
+      expect(parseCSS('lch(50 100% 30)', { preserveSpace: true }).coords).toEqual([50, 150, 30]);
+      expect(parseCSS('oklab(50% 100% 0)', { preserveSpace: true }).coords).toEqual([0.5, 0.4, 0]);
+      expect(parseCSS('oklch(0.5 50% 30)', { preserveSpace: true }).coords).toEqual([0.5, 0.2, 30]);
+    });
+    
+    it('should keep wide-gamut values unclipped through conversion', () => {
+      const p3 = parseCSS('color(display-p3 1 0 0)', { preserveSpace: true });
+      const srgb = convertCssColor(p3, 'srgb');
+      expect(srgb.space).toBe('srgb');
+      expect(srgb.coords[0]).toBeGreaterThan(1);
+      expect(srgb.coords[1]).toBeLessThan(0);
+      
+      const back = convertCssColor(convertCssColor(srgb, 'oklch'), 'display-p3');
+      back.coords.forEach((c, i) => expect(approxEqual(c, p3.coords[i], 1e-5)).toBe(true));
+    });
+    
+    it('should carry alpha through conversion', () => {
+      const color = parseCSS('oklch(0.7 0.1 200 / 40%)', { preserveSpace: true });
+      expect(convertCssColor(color, 'lab').alpha).toBe(0.4);
+    });
+    
+    it('should throw for unsupported spaces', () => {
+      const color = parseCSS('red', { preserveSpace: true });
+      expect(() => convertCssColor(color, 'cmyk')).toThrow();
+    });
+    
+    it('should write colors back without changing their values', () => {
+      const inputs = [
+        'oklch(0.628 0.2577 29.23)',
+        'lab(52.2345 40.1 -12.75 / 0.5)',
+        'color(display-p3 0.9175 0.2003 0.1386)',
+        'hsl(210 40% 55%)',
+        'rgb(12 34 56)'
+      ];
+      
+      inputs.forEach(css => {
+        expect(formatCSS(parseCSS(css, { preserveSpace: true }))).toBe(css);
+      });
+    });
+    
+    it('should format parsed colors in other formats via sRGB', () => {
+      const color = parseCSS('oklch(0.627955 0.257683 29.2339)', { preserveSpace: true });
+      expect(formatCSS(color, 'hex')).toBe('#ff0000');
+    });
+  });
+  
+  describe('Relative Color Syntax', () => {
+    const parse = css => parseCSS(css, { preserveSpace: true });
+    
+    it('should bind channel keywords of the origin color in the target space', () => {
+      const origin = convertCssColor(parse('#3366ff'), 'oklch');
+      const relative = parse('oklch(from #3366ff l c h)');
+      
+      expect(relative.space).toBe('oklch');
+      relative.coords.forEach((c, i) => expect(approxEqual(c, origin.coords[i], 1e-12)).toBe(true));
+    });
+    
+    it('should evaluate calc() over channel keywords', () => {
+      const origin = convertCssColor(parse('#3366ff'), 'oklch');
+      const lighter = parse('oklch(from #3366ff calc(l + 0.1) c h)');
+      expect(lighter.coords[0]).toBeCloseTo(origin.coords[0] + 0.1, 10);
+      
+      expect(parse('rgb(from red calc(r / 2) g calc(b + 10%))').coords).toEqual([0.5, 0, 0.1]);
+      expect(parse('rgb(from red calc((r + 255) * 0.5 - 127.5) g b)').coords[0]).toBeCloseTo(0.5, 10);
+    });
+    
+    it('should use CSS channel ranges for keywords', () => {
+      // rgb() channels are 0-255 and hsl() s/l are 0-100 in CSS
+      expect(parse('rgb(from #808080 r r r)').coords[0]).toBeCloseTo(128 / 255, 10);
+      expect(parse('hsl(from red h calc(s / 2) l)').coords).toEqual([0, 0.5, 0.5]);
+      expect(parse('hsl(from red calc(h + 0.5turn) s l)').coords[0]).toBeCloseTo(180, 10);
+    });
+    
+    it('should handle alpha', () => {
+      expect(parse('rgb(from red r g b / 50%)').alpha).toBe(0.5);
+      expect(parse('rgb(from rgb(255 0 0 / 0.3) r g b)').alpha).toBe(0.3);
+      expect(parse('rgba(from #00f r g b / calc(alpha * 0.5))').alpha).toBe(0.5);
+      expect(parseCSS('rgb(from red r g b)')).toEqual({ r: 1, g: 0, b: 0 });
+    });
+    
+    it('should support color() and nested origin colors', () => {
+      const p3 = parse('color(from red display-p3 r g b)');
+      const direct = convertCssColor(parse('red'), 'display-p3');
+      p3.coords.forEach((c, i) => expect(approxEqual(c, direct.coords[i], 1e-12)).toBe(true));
+      
+      const nested = parse('oklch(from oklch(from red l c h) l c h)');
+      const mixed = parse('lab(from color-mix(in srgb, red, blue) l a b)');
+      expect(nested.space).toBe('oklch');
+      expect(mixed.space).toBe('lab');
+    });
+    
+    it('should reject invalid relative colors', () => {
+      expect(parse('oklch(from red l c)')).toBeNull();
+      expect(parse('oklch(from red l c bogus)')).toBeNull();
+      expect(parse('oklch(from notacolor l c h)')).toBeNull();
+      expect(parse('rgb(from red r g calc(b +))')).toBeNull();
+      expect(parse('rgb(from red r g 10deg)')).toBeNull();
+      expect(parse('color(from red cmyk r g b)')).toBeNull();
+    });
+  });
+  
+  describe('Predefined Color Spaces', () => {
+    const parse = css => parseCSS(css, { preserveSpace: true });
+    const SPACES = ['srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'xyz-d50', 'xyz-d65'];
+    
+    it('should parse every predefined space in color()', () => {
+      SPACES.forEach(space => {
+        const color = parse(`color(${space} 0.2 0.5 0.7 / 0.5)`);
+        expect(color).toEqual({ space, coords: [0.2, 0.5, 0.7], alpha: 0.5 });
+        expect(formatCSS(color)).toBe(`color(${space} 0.2 0.5 0.7 / 0.5)`);
+      });
+      expect(parse('color(xyz 0.2 0.5 0.7)').space).toBe('xyz-d65');
+      expect(parse('color(cmyk 0.2 0.5 0.7)')).toBeNull();
+    });
+    
+    it('should convert pure sRGB red to the reference values', () => {
+      // Values from the CSS Color 4 sample code
+      const expected = {
+        'a98-rgb': [0.8587, 0, 0],
+        'prophoto-rgb': [0.7023, 0.2757, 0.1036],
+        'rec2020': [0.7920, 0.2310, 0.0738],
+        'xyz-d50': [0.4361, 0.2225, 0.0139],
+        'xyz-d65': [0.4125, 0.2127, 0.0193]
+      };
+      Object.entries(expected).forEach(([space, coords]) => {
+        const converted = convertCssColor(parse('red'), space).coords;
+        converted.forEach((c, i) => expect(approxEqual(c, coords[i], 1e-3)).toBe(true));
+      });
+    });
+    
+    it('should round-trip through sRGB without clipping', () => {
+      SPACES.forEach(space => {
+        const original = parse(`color(${space} 0.9 0.05 0.3)`);
+        const back = convertCssColor(convertCssColor(original, 'srgb'), space);
+        back.coords.forEach((c, i) => expect(approxEqual(c, original.coords[i], 1e-5)).toBe(true));
+      });
+    });
+    
+    it('should format sRGB colors in predefined spaces', () => {
+      expect(formatCSS({ r: 1, g: 0, b: 0 }, 'rec2020')).toBe('color(rec2020 0.7920 0.2310 0.0738)');
+      expect(formatCSS({ r: 1, g: 1, b: 1, alpha: 0.5 }, 'xyz')).toBe('color(xyz-d65 0.9505 1.0000 1.0888 / 0.5)');
+    });
+    
+    it('should support relative color syntax in predefined spaces', () => {
+      const prophoto = parse('color(from red prophoto-rgb r g b)');
+      expect(prophoto.space).toBe('prophoto-rgb');
+      expect(prophoto.coords[1]).toBeCloseTo(0.2757, 3);
+      expect(parse('color(from red xyz calc(x * 2) y z)').coords[0]).toBeCloseTo(0.8249, 3);
+    });
+  });
+  
+  describe('Named and Context Colors', () => {
+    it('should parse all 148 named colors', () => {
+      expect(Object.keys(CSS_NAMED_COLORS)).toHaveLength(148);
+      Object.entries(CSS_NAMED_COLORS).forEach(([name, [r, g, b]]) => {
+        expect(parseCSS(name)).toEqual({ r: r / 255, g: g / 255, b: b / 255 });
+      });
+      expect(parseCSS('RebeccaPurple')).toEqual({ r: 0.4, g: 0.2, b: 0.6 });
+      expect(parseCSS('notacolor')).toBeNull();
+    });
+    
+    it('should parse transparent with zero alpha', () => {
+      expect(parseCSS('transparent')).toEqual({ r: 0, g: 0, b: 0, alpha: 0 });
+      expect(parseCSS('transparent', { preserveSpace: true }).alpha).toBe(0);
+    });
+    
+    it('should resolve currentcolor and system colors from the context', () => {
+      const context = {
+        currentColor: 'rebeccapurple',
+        systemColors: { Canvas: '#ffffff', CanvasText: { r: 0, g: 0, b: 0 } }
+      };
+      
+      expect(parseCSS('currentcolor', { context })).toEqual({ r: 0.4, g: 0.2, b: 0.6 });
+      expect(parseCSS('currentColor', { context })).toEqual({ r: 0.4, g: 0.2, b: 0.6 });
+      expect(parseCSS('canvastext', { context })).toEqual({ r: 0, g: 0, b: 0 });
+      expect(parseCSS('color-mix(in srgb, Canvas, CanvasText)', { context })).toEqual({ r: 0.5, g: 0.5, b: 0.5 });
+      expect(parseCSS('rgb(from currentcolor r g b / 50%)', { context }).alpha).toBe(0.5);
+    });
+    
+    it('should not resolve context keywords without a value', () => {
+      expect(parseCSS('currentcolor')).toBeNull();
+      expect(parseCSS('Canvas')).toBeNull();
+      expect(parseCSS('LinkText', { context: { systemColors: { Canvas: '#fff' } } })).toBeNull();
+      expect(parseCSS('currentcolor', { context: { currentColor: 'currentcolor' } })).toBeNull();
+    });
+    
+    it('should format exact named colors by keyword', () => {
+      expect(formatCSS({ r: 0.4, g: 0.2, b: 0.6 }, 'name')).toBe('rebeccapurple');
+      expect(formatCSS(parseCSS('cyan'), 'name')).toBe('aqua');
+      expect(formatCSS(parseCSS('transparent'), 'name')).toBe('transparent');
+      expect(formatCSS(parseCSS('oklch(from red l c h)', { preserveSpace: true }), 'name')).toBe('red');
+    });
+    
+    it('should fall back to hex when no keyword matches', () => {
+      expect(formatCSS({ r: 0.4, g: 0.2, b: 0.61 }, 'name')).toBe('#66339c');
+      expect(formatCSS({ r: 1, g: 0, b: 0, alpha: 0.5 }, 'name')).toBe('#ff000080');
+      expect(formatCSS({ r: 1.2, g: 0, b: 0 }, 'name')).toBe('#ff0000');
+    });
+  });
+  
+  describe('Color Scheme Functions', () => {
+    it('should pick a light-dark() color by the context color scheme', () => {
+      expect(parseCSS('light-dark(white, black)')).toEqual({ r: 1, g: 1, b: 1 });
+      expect(parseCSS('light-dark(white, black)', { context: { colorScheme: 'light' } })).toEqual({ r: 1, g: 1, b: 1 });
+      expect(parseCSS('light-dark(white, #000)', { context: { colorScheme: 'dark' } })).toEqual({ r: 0, g: 0, b: 0 });
+      expect(parseCSS('light-dark(oklch(0.9 0.1 200), lab(20 10 10))', { preserveSpace: true, context: { colorScheme: 'dark' } }))
+        .toEqual({ space: 'lab', coords: [20, 10, 10], alpha: 1 });
+    });
+    
+    it('should nest light-dark() in other color functions', () => {
+      const context = { colorScheme: 'dark', systemColors: { Canvas: '#000' } };
+      expect(parseCSS('color-mix(in srgb, light-dark(white, blue), Canvas)', { context })).toEqual({ r: 0, g: 0, b: 0.5 });
+      expect(parseCSS('rgb(from light-dark(white, red) r g b / 50%)', { context })).toEqual({ r: 1, g: 0, b: 0, alpha: 0.5 });
+    });
+    
+    it('should choose the contrast-color() with the higher WCAG contrast', () => {
+      expect(parseCSS('contrast-color(#ffffff)')).toEqual({ r: 0, g: 0, b: 0 });
+      expect(parseCSS('contrast-color(navy)')).toEqual({ r: 1, g: 1, b: 1 });
+      // #777 is 4.48:1 against white and 4.69:1 against black
+      expect(parseCSS('contrast-color(#777)')).toEqual({ r: 0, g: 0, b: 0 });
+      expect(parseCSS('contrast-color(light-dark(white, black))', { context: { colorScheme: 'dark' } }))
+        .toEqual({ r: 1, g: 1, b: 1 });
+    });
+    
+    it('should use APCA for contrast-color() when the context asks for it', () => {
+      const context = { contrastAlgorithm: 'apca' };
+      expect(parseCSS('contrast-color(#777)', { context })).toEqual({ r: 1, g: 1, b: 1 });
+      expect(parseCSS('contrast-color(#ffffff)', { context })).toEqual({ r: 0, g: 0, b: 0 });
+    });
+    
+    it('should reject malformed arguments', () => {
+      expect(() => parseCSSStrict('light-dark(white)')).toThrow('Expected "," in light-dark() at offset 16, found ")"');
+      expect(() => parseCSSStrict('light-dark(white, black, red)')).toThrow('Expected ")" in light-dark() at offset 23, found ","');
+      expect(() => parseCSSStrict('contrast-color()')).toThrow('Expected a color in contrast-color() at offset 15, found ")"');
+      expect(parseCSS('contrast-color(red, blue)')).toBeNull();
+      expect(parseCSS('light-dark(white black, red)')).toBeNull();
+    });
+  });
+  
+  describe('Custom Properties', () => {
+    const variables = {
+      '--brand': 'oklch(0.6 0.2 250)',
+      '--button-bg': 'var(--brand)',
+      '--r': 255,
+      '--g': '128',
+      '--b': ' 0 ',
+      '--alpha': '50%',
+      '--loop-a': 'var(--loop-b)',
+      '--loop-b': 'var(--loop-a)',
+      '--broken': 'var(--missing)'
+    };
+    const parse = (css, options = {}) => parseCSS(css, { ...options, context: { variables } });
+    const errorFor = css => {
+      try {
+        parseCSSStrict(css, { context: { variables } });
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+    
+    it('should substitute chains of variables', () => {
+      expect(parse('var(--button-bg)', { preserveSpace: true })).toEqual({ space: 'oklch', coords: [0.6, 0.2, 250], alpha: 1 });
+      expect(parse('rgb(var(--r) var(--g) var(--b) / var(--alpha))')).toEqual({ r: 1, g: 128 / 255, b: 0, alpha: 0.5 });
+      expect(parse('oklch(from var(--brand) l c h)', { preserveSpace: true }).coords).toEqual([0.6, 0.2, 250]);
+    });
+    
+    it('should use fallbacks for undefined and invalid variables', () => {
+      expect(parse('var(--missing, #00f)')).toEqual({ r: 0, g: 0, b: 1 });
+      expect(parse('var(--missing, var(--button-bg))', { preserveSpace: true }).space).toBe('oklch');
+      expect(parse('var(--loop-a, red)')).toEqual({ r: 1, g: 0, b: 0 });
+      expect(parse('var(--broken, rgb(0 0 0))')).toEqual({ r: 0, g: 0, b: 0 });
+      expect(parse('var(--BRAND, red)')).toEqual({ r: 1, g: 0, b: 0 });
+    });
+    
+    it('should report cycles and undefined variables', () => {
+      expect(errorFor('rgb(var(--loop-a) 0 0)')).toMatchObject({ functionName: 'var', offset: 8, token: '--loop-a' });
+      expect(errorFor('var(--loop-a)').message)
+        .toBe('Expected a custom property outside the reference cycle --loop-a → --loop-b → --loop-a in var() at offset 4, found "--loop-a"');
+      expect(errorFor('var( --nope )')).toMatchObject({ offset: 5, token: '--nope', expected: 'a defined custom property or a fallback' });
+      expect(errorFor('var(--broken)')).toMatchObject({ offset: 4, token: '--missing' });
+      expect(errorFor('var(brand)')).toMatchObject({ token: 'brand', expected: 'a custom property name' });
+      expect(errorFor('var(--brand')).toMatchObject({ offset: 11, expected: '")"' });
+    });
+    
+    it('should point parse errors into the substituted text', () => {
+      const error = errorFor('rgb(var(--r) nope 0)');
+      expect(error).toMatchObject({ functionName: 'rgb', offset: 8, token: 'nope', input: 'rgb(255 nope 0)' });
+    });
+    
+    it('should resolve variables in context colors and without parsing', () => {
+      expect(parseCSS('currentcolor', { context: { variables, currentColor: 'rgb(var(--r) 0 0)' } })).toEqual({ r: 1, g: 0, b: 0 });
+      expect(resolveCssVariables('rgb(var(--r) var(--g, 0) 0)', { '--r': 255 })).toBe('rgb(255 0 0)');
+      expect(() => resolveCssVariables('var(--x)')).toThrow(CssParseError);
+      expect(parseCSS('var(--brand)')).toBeNull();
+    });
+  });
+  
+  describe('CSS Lab and LCH (D50)', () => {
+    it('should match browser values for lab() and lch()', () => {
+      // Chrome: getComputedStyle resolves red to lab(54.29 80.8 69.89) / lch(54.29 106.84 40.85)
+      const lab = convertCssColor(parseCSS('red', { preserveSpace: true }), 'lab').coords;
+      const lch = convertCssColor(parseCSS('red', { preserveSpace: true }), 'lch').coords;
+      
+      [54.29, 80.8, 69.89].forEach((v, i) => expect(approxEqual(lab[i], v, 0.05)).toBe(true));
+      [54.29, 106.84, 40.85].forEach((v, i) => expect(approxEqual(lch[i], v, 0.05)).toBe(true));
+      
+      const red = parseCSS('lab(54.29 80.8 69.89)');
+      expect(colorsApproxEqual(red, { r: 1, g: 0, b: 0 }, 1e-3)).toBe(true);
+    });
+    
+    it('should keep white achromatic', () => {
+      expect(formatCSS({ r: 1, g: 1, b: 1 }, 'lab')).toBe('lab(100.0% 0.0 0.0)');
+      expect(colorsApproxEqual(parseCSS('lab(100 0 0)'), { r: 1, g: 1, b: 1 }, 1e-6)).toBe(true);
+    });
+    
+    it('should format lab() and lch() in D50', () => {
+      expect(formatCSS({ r: 1, g: 0, b: 0 }, 'lab')).toBe('lab(54.3% 80.8 69.9)');
+      expect(formatCSS({ r: 1, g: 0, b: 0 }, 'lch')).toBe('lch(54.3% 106.8 41deg)');
+    });
+  });
+  
+  describe('Missing Components', () => {
+    const parse = css => parseCSS(css, { preserveSpace: true });
+    
+    it('should parse none as NaN in every component', () => {
+      const color = parse('oklch(0.6 none 120)');
+      expect(color.coords[0]).toBe(0.6);
+      expect(Number.isNaN(color.coords[1])).toBe(true);
+      
+      expect(Number.isNaN(parse('hsl(none 50% 50%)').coords[0])).toBe(true);
+      expect(Number.isNaN(parse('rgb(none 0 0)').coords[0])).toBe(true);
+      expect(Number.isNaN(parse('color(display-p3 1 none 0)').coords[1])).toBe(true);
+      expect(Number.isNaN(parse('lab(50 20 20 / none)').alpha)).toBe(true);
+    });
+    
+    it('should serialize missing components as none', () => {
+      expect(formatCSS(parse('oklch(0.6 none 120 / none)'))).toBe('oklch(0.6 none 120 / none)');
+      expect(formatCSS(parse('hsl(none 50% none)'))).toBe('hsl(none 50% none)');
+    });
+    
+    it('should treat missing components as 0 when resolving to sRGB', () => {
+      expect(parseCSS('rgb(255 none 0 / none)')).toEqual({ r: 1, g: 0, b: 0, alpha: 0 });
+      const gray = parseCSS('oklch(0.6 none 120)');
+      expect(approxEqual(gray.r, gray.b, 1e-3)).toBe(true);
+    });
+    
+    it('should report powerless hues on conversion', () => {
+      expect(Number.isNaN(convertCssColor(parse('white'), 'oklch').coords[2])).toBe(true);
+      expect(Number.isNaN(convertCssColor(parse('gray'), 'hsl').coords[0])).toBe(true);
+      expect(Number.isNaN(convertCssColor(parse('gray'), 'hwb').coords[0])).toBe(true);
+      expect(Number.isNaN(convertCssColor(parse('red'), 'lch').coords[2])).toBe(false);
+      // An authored hue is kept even if the color is achromatic
+      expect(parse('oklch(0.5 0 120)').coords[2]).toBe(120);
+    });
+    
+    it('should support none in relative colors', () => {
+      expect(Number.isNaN(parse('oklch(from red l c none)').coords[2])).toBe(true);
+      // Missing origin components resolve to 0 as channel keywords
+      expect(parse('oklch(from oklch(none 0.1 30) l c h)').coords[0]).toBe(0);
+    });
+  });
+  
+  describe('HWB', () => {
+    it('should parse hwb()', () => {
+      expect(parseCSS('hwb(0 50% 0%)')).toEqual({ r: 1, g: 0.5, b: 0.5 });
+      expect(parseCSS('hwb(120deg 60% 60% / 0.5)')).toEqual({ r: 0.5, g: 0.5, b: 0.5, alpha: 0.5 });
+      expect(parseCSS('hwb(90 10% 20%)', { preserveSpace: true }))
+        .toEqual({ space: 'hwb', coords: [90, 0.1, 0.2], alpha: 1 });
+    });
+    
+    it('should format hwb()', () => {
+      expect(formatCSS({ r: 1, g: 0.5, b: 0.5 }, 'hwb')).toBe('hwb(0deg 50% 0%)');
+      expect(formatCSS({ r: 0, g: 0, b: 1, alpha: 0.25 }, 'hwb')).toBe('hwb(240deg 0% 0% / 0.25)');
+      expect(formatCSS(parseCSS('hwb(90 10% 20%)', { preserveSpace: true }))).toBe('hwb(90 10% 20%)');
+    });
+    
+    it('should support hwb() relative colors', () => {
+      expect(parseCSS('hwb(from red h calc(w + 20) b)', { preserveSpace: true }).coords).toEqual([0, 0.2, 0]);
+    });
+  });
+  
+  describe('Math Functions', () => {
+    const parse = str => parseCSS(str, { preserveSpace: true });
+    
+    it('should evaluate calc() in every functional notation', () => {
+      expect(parseCSS('rgb(calc(255 * 0.5) 0 0)')).toEqual({ r: 0.5, g: 0, b: 0 });
+      expect(parse('hsl(calc(60 * 2) calc(25% * 2) 50% / calc(1 / 2))'))
+        .toEqual({ space: 'hsl', coords: [120, 0.5, 0.5], alpha: 0.5 });
+      expect(parse('lab(calc(50% + 10) 0 0)').coords[0]).toBe(60);
+      expect(parse('color(display-p3 calc(1 / 4) 0 0)').coords[0]).toBe(0.25);
+      expect(parseCSS('rgba(calc(255), 0, 0, calc(0.5))')).toEqual({ r: 1, g: 0, b: 0, alpha: 0.5 });
+    });
+    
+    it('should support min(), max(), clamp() and round()', () => {
+      const color = parse('oklch(calc(0.5 + 0.1) min(0.3, 0.2) clamp(0deg, 120deg, 90deg))');
+      expect(color.coords[0]).toBeCloseTo(0.6, 12);
+      expect(color.coords.slice(1)).toEqual([0.2, 90]);
+      expect(parse('rgb(max(0, 300) round(127.6) round(down, 99, 10))').coords.map(c => c * 255))
+        .toEqual([300, 128, 90]);
+      expect(parse('rgb(round(up, 42.1, 5) round(to-zero, -2.5) 0)').coords[0] * 255).toBe(45);
+    });
+    
+    it('should support trigonometric functions and constants', () => {
+      expect(parse('rgb(calc(255 * sin(30deg)) 0 0)').coords[0]).toBeCloseTo(0.5, 12);
+      expect(parse('rgb(calc(255 * cos(pi)) 0 0)').coords[0]).toBeCloseTo(-1, 12);
+      expect(parse('oklch(0.5 0.1 atan2(1, 1))').coords[2]).toBeCloseTo(45, 12);
+      expect(parse('oklch(0.5 0.1 acos(0))').coords[2]).toBeCloseTo(90, 12);
+    });
+    
+    it('should clamp infinity and censor NaN', () => {
+      expect(formatCSS(parseCSS('rgb(calc(infinity) 0 0)'), 'rgb')).toBe('rgb(255 0 0)');
+      expect(formatCSS(parseCSS('rgb(calc(NaN) 0 0)'), 'rgb')).toBe('rgb(0 0 0)');
+      expect(formatCSS(parseCSS('rgb(calc(-infinity) calc(1 / 0) calc(infinity * 0))'), 'rgb')).toBe('rgb(0 255 0)');
+      expect(parse('rgb(calc(infinity) 0 0)').coords[0]).toBe(Number.MAX_VALUE / 255);
+      expect(parse('hsl(0 50% 50% / calc(nan))').alpha).toBe(0);
+      expect(parse('hsl(0 50% 50% / calc(INFINITY))').alpha).toBe(1);
+      // Only inside math functions, as in CSS
+      expect(parseCSS('rgb(infinity 0 0)')).toBeNull();
+    });
+    
+    it('should combine math functions with channel keywords', () => {
+      expect(parse('oklch(from oklch(0.9 0.1 30) min(l, 0.8) c calc(h + 0.5turn))').coords).toEqual([0.8, 0.1, 210]);
+    });
+    
+    it('should check units', () => {
+      expect(parseCSS('rgb(10deg 0 0)')).toBeNull();
+      expect(parseCSS('rgb(calc(10 + 5deg) 0 0)')).toBeNull();
+      expect(parseCSS('hsl(50% 50% 50%)')).toBeNull();
+      expect(parseCSS('rgb(asin(1) 0 0)')).toBeNull();
+      expect(parseCSS('rgb(calc(10px) 0 0)')).toBeNull();
+      expect(parseCSS('rgb(calc(1 +) 0 0)')).toBeNull();
+      expect(parseCSS('rgb(pi 0 0)')).toBeNull();
+      expect(parseCSS('rgb(- 5 0 0)')).toBeNull();
+    });
+  });
+  
+  describe('Strict Parsing', () => {
+    const errorFor = str => {
+      try {
+        parseCSSStrict(str);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+    
+    it('should return the same colors as parseCSS', () => {
+      expect(parseCSSStrict('rgb(255 0 0 / 50%)')).toEqual({ r: 1, g: 0, b: 0, alpha: 0.5 });
+      expect(parseCSSStrict('oklch(0.5 0.2 30deg)', { preserveSpace: true }))
+        .toEqual({ space: 'oklch', coords: [0.5, 0.2, 30], alpha: 1 });
+    });
+    
+    it('should locate invalid components', () => {
+      const error = errorFor('rgb(255 0 0 / nope)');
+      expect(error).toBeInstanceOf(CssParseError);
+      expect(error).toBeInstanceOf(SyntaxError);
+      expect(error).toMatchObject({ functionName: 'rgb', offset: 14, token: 'nope', input: 'rgb(255 0 0 / nope)' });
+      expect(error.expected).toMatch(/alpha/);
+      
+      expect(errorFor('lab(50% 12abc 0)')).toMatchObject({ functionName: 'lab', offset: 8, token: '12abc' });
+      expect(errorFor('color(display-p4 1 0 0)')).toMatchObject({ functionName: 'color', offset: 6, token: 'display-p4' });
+    });
+    
+    it('should report missing and extra components', () => {
+      expect(errorFor('lab(50 20)')).toMatchObject({ offset: 9, token: ')', expected: 'a component' });
+      expect(errorFor('lab(50 20 10 5)')).toMatchObject({ offset: 13, token: '5' });
+      expect(errorFor('rgb(255, 0 0)')).toMatchObject({ offset: 11, token: '0', expected: '","' });
+      expect(errorFor('rgb(1 2 3')).toMatchObject({ offset: 9, token: '', expected: '")"' });
+    });
+    
+    it('should reject none in the legacy comma syntax', () => {
+      expect(errorFor('rgb(255, none, 0)')).toMatchObject({ functionName: 'rgb', offset: 9, token: 'none' });
+      expect(errorFor('hsl(120, 50%, none)')).toMatchObject({ functionName: 'hsl', offset: 14, token: 'none' });
+      expect(errorFor('rgba(255, 0, 0, none)')).toMatchObject({ functionName: 'rgba', offset: 16, token: 'none' });
+      expect(errorFor('rgb(255, none, 0)').message)
+        .toBe('Expected a component other than none in the comma syntax in rgb() at offset 9, found "none"');
+      expect(parseCSS('hsl(none, 50%, 50%)')).toBeNull();
+      expect(parseCSS('rgb(255 none 0)')).toEqual({ r: 1, g: 0, b: 0 });
+    });
+    
+    it('should reject trailing tokens', () => {
+      expect(errorFor('oklch(0.7 0.1 120deg) 50%')).toMatchObject({ functionName: null, offset: 22, token: '50%', expected: 'end of input' });
+      expect(errorFor('#fff junk')).toMatchObject({ offset: 5, token: 'junk' });
+      expect(parseCSS('rgb(255 0 0) junk')).toBeNull();
+      expect(parseCSS('rgb(255 0 0 / 0.5 1)')).toBeNull();
+    });
+    
+    it('should point into nested colors', () => {
+      expect(errorFor('color-mix(in oklch, red, notacolor)')).toMatchObject({ offset: 25, token: 'notacolor' });
+      expect(errorFor('color-mix(in srgb, red 120%, blue)'))
+        .toMatchObject({ functionName: 'color-mix', offset: 23, token: '120%' });
+      expect(errorFor('  oklch(from #3366zz l c h)')).toMatchObject({ offset: 13, token: '#3366zz' });
+    });
+    
+    it('should describe the failure in the message', () => {
+      expect(errorFor('rgb(255 0 0 / nope)').message)
+        .toBe('Expected an alpha number, percentage, math function or none in rgb() at offset 14, found "nope"');
+      expect(errorFor('').message).toBe('Expected a color at offset 0, found end of input');
+    });
+    
+    it('should throw a TypeError for non-string input', () => {
+      expect(() => parseCSSStrict(null)).toThrow(TypeError);
+    });
+  });
+  
+  describe('Formatting Options', () => {
+    const red = { r: 1, g: 0, b: 0 };
+    
+    it('should set precision per component', () => {
+      expect(formatCSS(red, 'oklch', { precision: [2, 4, 1], hueUnit: '' })).toBe('oklch(62.80% 0.2577 29.2)');
+      expect(formatCSS(red, 'lab', { precision: 0 })).toBe('lab(54% 81 70)');
+      expect(formatCSS(red, 'oklch', { significantDigits: 4 })).toBe('oklch(62.8% 0.2577 29.23deg)');
+    });
+    
+    it('should write the legacy comma syntax for rgb() and hsl()', () => {
+      expect(formatCSS({ ...red, alpha: 0.5 }, 'rgb', { legacy: true })).toBe('rgba(255, 0, 0, 0.5)');
+      expect(formatCSS(red, 'hsl', { legacy: true, percentages: false })).toBe('hsl(0deg, 100%, 50%)');
+      // There is no legacy syntax for the other notations
+      expect(formatCSS(red, 'hwb', { legacy: true })).toBe('hwb(0deg 0% 0%)');
+    });
+    
+    it('should switch between percentages and numbers', () => {
+      expect(formatCSS(red, 'rgb', { percentages: true })).toBe('rgb(100% 0% 0%)');
+      expect(formatCSS(red, 'oklch', { percentages: false })).toBe('oklch(0.628 0.258 29deg)');
+      expect(formatCSS(red, 'oklab', { percentages: true })).toBe('oklab(62.8% 56.2% 31.5%)');
+    });
+    
+    it('should clip or gamut map before serializing', () => {
+      const orange = { r: 1.2, g: 0.5, b: 0 };
+      expect(formatCSS(orange, 'display-p3', { gamut: 'clip' })).toBe('color(display-p3 1.0000 0.5442 0.2250)');
+      const mapped = parseCSS(formatCSS(orange, 'oklch', { gamut: 'map', precision: 6 }));
+      expect(isSrgbInGamut(mapped)).toBe(true);
+      expect(formatCSS(orange, 'rgb', { gamut: 'none', precision: 1 })).toBe('rgb(306.0 127.5 0.0)');
+      expect(() => formatCSS(orange, 'rec2020', { gamut: 'map' })).toThrow('Gamut mapping to rec2020 is not supported');
+      expect(() => formatCSS(orange, 'rgb', { gamut: 'fit' })).toThrow('Unknown gamut option: fit');
+    });
+    
+    it('should serialize like getComputedStyle() with the spec preset', () => {
+      const computed = (css, format) => formatCSS(parseCSS(css, { preserveSpace: true }), format, 'spec');
+      expect(computed('#ff000080')).toBe('rgba(255, 0, 0, 0.5)');
+      expect(computed('hsl(120deg 100% 25% / 0.123)')).toBe('rgba(0, 128, 0, 0.12)');
+      expect(computed('hwb(90 10% 20%)')).toBe('rgb(115, 204, 25)');
+      expect(computed('rgb(300 -20 0)')).toBe('rgb(255, 0, 0)');
+      expect(computed('oklch(62.8% 0.2577 29.23 / 50%)')).toBe('oklch(0.628 0.2577 29.23 / 0.5)');
+      expect(computed('lab(54.29% 80.8 69.89)')).toBe('lab(54.29 80.8 69.89)');
+      expect(computed('lch(54.29% 106.84 40.85deg)')).toBe('lch(54.29 106.84 40.85)');
+      expect(computed('color(display-p3 1 0 none)')).toBe('color(display-p3 1 0 none)');
+      expect(computed('color(xyz 0.412456 0.212673 0.0193339)')).toBe('color(xyz-d65 0.412456 0.212673 0.0193339)');
+      expect(formatCSS(red, 'lab', 'spec')).toBe('lab(54.2917 80.8125 69.8851)');
+      expect(formatCSS(red, 'lab', { preset: 'spec', significantDigits: 4 })).toBe('lab(54.29 80.81 69.89)');
+      expect(() => formatCSS(red, 'rgb', 'browser')).toThrow('Unknown format preset: browser');
+    });
+  });
+});
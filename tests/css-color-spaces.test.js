@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { registerColorSpace, getColorSpace, convert } from '../src/css-color-spaces.js';
+import { parseCSS, formatCSS } from '../src/css-color-parser.js';
+import { isInGamut } from '../src/gamut-mapping.js';
+import { Color } from '../src/color.js';
+import { MATRIX_LINEAR_SRGB_TO_XYZ_D65, MATRIX_XYZ_TO_LINEAR_SRGB_D65 } from '../src/srgb.js';
+import { createRgbSpace } from '../src/rgb-space.js';
+import { channelsApproxEqual } from './test-helpers.js';
+
+// ProPhoto RGB defined directly against XYZ (D65), relying on automatic adaptation
+const PROPHOTO_D65_BASE = {
+  base: 'xyz-d65',
+  whitePoint: 'D50',
+  ranges: [[0, 1], [0, 1], [0, 1]],
+  toBase: coords => convert(coords, 'prophoto-rgb', 'xyz-d50'),
+  fromBase: coords => convert(coords, 'xyz-d50', 'prophoto-rgb')
+};
+
+describe('Color Space Registry', () => {
+
+  describe('convert()', () => {
+    it('should convert between built-in spaces', () => {
+      expect(channelsApproxEqual(convert([1, 0, 0], 'srgb', 'oklch'), [0.628, 0.2577, 29.234], 0.001)).toBe(true);
+      expect(channelsApproxEqual(convert([120, 0.5, 0.5], 'hsl', 'hwb'), [120, 0.25, 0.25], 1e-9)).toBe(true);
+      expect(channelsApproxEqual(convert([0.5, 0.5, 0.5], 'xyz', 'xyz-d65'), [0.5, 0.5, 0.5], 1e-9)).toBe(true);
+    });
+
+    it('should adapt between white points', () => {
+      const d65White = convert([1, 1, 1], 'srgb', 'xyz-d65');
+      expect(channelsApproxEqual(convert(d65White, 'xyz-d65', 'xyz-d50'), [0.96422, 1, 0.82521], 1e-12)).toBe(true);
+    });
+
+    it('should keep white exactly white in every RGB space', () => {
+      expect(channelsApproxEqual(convert([1, 1, 1], 'srgb', 'xyz-d65'), [0.95047, 1, 1.08883], 1e-12)).toBe(true);
+      for (const space of ['srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'rec2100-linear']) {
+        expect(channelsApproxEqual(convert([1, 1, 1], 'srgb', space), [1, 1, 1], 1e-12)).toBe(true);
+        expect(channelsApproxEqual(convert([1, 1, 1], space, 'srgb'), [1, 1, 1], 1e-12)).toBe(true);
+      }
+      // HDR encodings put SDR white below 1, but it must still come back exactly
+      for (const space of ['rec2100-pq', 'rec2100-hlg']) {
+        expect(channelsApproxEqual(convert(convert([1, 1, 1], 'srgb', space), space, 'srgb'), [1, 1, 1], 1e-12)).toBe(true);
+      }
+    });
+
+    it('should find white and black inside every RGB gamut', () => {
+      for (const target of ['srgb', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020']) {
+        for (const value of [0, 1]) {
+          expect(isInGamut([value, value, value], 'srgb', target)).toBe(true);
+          expect(isInGamut({ r: value, g: value, b: value }, 'srgb', target)).toBe(true);
+          expect(isInGamut([value, value, value], target, 'srgb')).toBe(true);
+        }
+      }
+    });
+
+    it('should build the sRGB matrices against the same D65 white as the other spaces', () => {
+      const srgb = createRgbSpace({
+        primaries: { red: { x: 0.64, y: 0.33 }, green: { x: 0.3, y: 0.6 }, blue: { x: 0.15, y: 0.06 } },
+        white: 'D65'
+      });
+      expect(MATRIX_LINEAR_SRGB_TO_XYZ_D65).toEqual(srgb.toXyzMatrix);
+      expect(MATRIX_XYZ_TO_LINEAR_SRGB_D65).toEqual(srgb.fromXyzMatrix);
+    });
+
+    it('should reject unknown spaces', () => {
+      expect(() => convert([0, 0, 0], 'cmyk', 'srgb')).toThrow('Unsupported color space: cmyk');
+    });
+  });
+
+  describe('registerColorSpace()', () => {
+    it('should insert chromatic adaptation for a different white point', () => {
+      registerColorSpace('test-prophoto', PROPHOTO_D65_BASE);
+      const coords = [0.3, 0.6, 0.2];
+      expect(channelsApproxEqual(convert(coords, 'test-prophoto', 'srgb'), convert(coords, 'prophoto-rgb', 'srgb'), 1e-9)).toBe(true);
+      expect(channelsApproxEqual(convert([0.2, 0.4, 0.6], 'display-p3', 'test-prophoto'), convert([0.2, 0.4, 0.6], 'display-p3', 'prophoto-rgb'), 1e-9)).toBe(true);
+    });
+
+    it('should register XYZ spaces without conversion functions', () => {
+      registerColorSpace('test-xyz-e', { base: 'xyz-d65', whitePoint: 'E', channels: ['X', 'Y', 'Z'], aliases: ['test-xyz-equal'] });
+      const d65White = convert([1, 1, 1], 'srgb', 'xyz-d65');
+      expect(channelsApproxEqual(convert(d65White, 'xyz', 'test-xyz-equal'), [1, 1, 1], 1e-4)).toBe(true);
+      expect(getColorSpace('test-xyz-equal')).toMatchObject({
+        name: 'test-xyz-e',
+        base: 'xyz-d65',
+        whitePoint: { X: 100, Y: 100, Z: 100 },
+        ranges: null,
+        channels: ['x', 'y', 'z']
+      });
+    });
+
+    it('should make registered spaces available everywhere', () => {
+      registerColorSpace('test-rgb', { ...PROPHOTO_D65_BASE, whitePoint: { X: 0.96422, Y: 1, Z: 0.82521 } });
+
+      const color = parseCSS('color(test-rgb 0.3 60% 0.2 / 0.5)', { preserveSpace: true });
+      expect(color).toEqual({ space: 'test-rgb', coords: [0.3, 0.6, 0.2], alpha: 0.5 });
+      expect(formatCSS(color)).toBe('color(test-rgb 0.3 0.6 0.2 / 0.5)');
+      expect(formatCSS({ r: 1, g: 0, b: 0 }, 'test-rgb')).toBe('color(test-rgb 0.7023 0.2757 0.1036)');
+      expect(parseCSS('color(from red test-rgb r g 0)', { preserveSpace: true }).coords[2]).toBe(0);
+
+      expect(isInGamut([1, 0, 0], 'test-rgb', 'srgb')).toBe(false);
+      expect(isInGamut({ r: 1, g: 0, b: 0 }, 'srgb', 'test-rgb')).toBe(true);
+      expect(new Color('test-rgb', [0.3, 0.6, 0.2]).get('test-rgb.g')).toBe(0.6);
+    });
+
+    it('should reject invalid definitions', () => {
+      const identity = coords => [...coords];
+      expect(() => registerColorSpace('srgb', PROPHOTO_D65_BASE)).toThrow('Color space already registered: srgb');
+      expect(() => registerColorSpace('test-a', { ...PROPHOTO_D65_BASE, aliases: ['xyz'] })).toThrow('already registered: xyz');
+      expect(() => registerColorSpace('Test-B', PROPHOTO_D65_BASE)).toThrow(TypeError);
+      expect(() => registerColorSpace('test-c', { base: 'cmyk', toBase: identity, fromBase: identity })).toThrow('Unknown base color space: cmyk');
+      expect(() => registerColorSpace('test-d', { base: 'srgb', toBase: identity })).toThrow(TypeError);
+      expect(() => registerColorSpace('test-e', { base: 'srgb' })).toThrow('as srgb is not an XYZ space');
+      expect(() => registerColorSpace('test-f', { base: 'srgb', whitePoint: 'D50', toBase: identity, fromBase: identity }))
+        .toThrow('another white point than its base srgb');
+      expect(() => registerColorSpace('test-g', { ...PROPHOTO_D65_BASE, whitePoint: 'D93' })).toThrow('Unknown white point: D93');
+      expect(() => registerColorSpace('test-h', { ...PROPHOTO_D65_BASE, ranges: [[0, 1]] })).toThrow(TypeError);
+      expect(getColorSpace('test-a')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { getWideGamutFallbacks, createWideGamutCss } from '../src/css-gamut-fallback.js';
+import { isInGamut } from '../src/gamut-mapping.js';
+import { parseCSS } from '../src/css-color-parser.js';
+
+describe('Wide-Gamut CSS Fallbacks', () => {
+  
+  describe('getWideGamutFallbacks', () => {
+    it('should only return sRGB for colors inside sRGB', () => {
+      expect(getWideGamutFallbacks('#ff0000')).toEqual({ srgb: 'rgb(255 0 0)' });
+      expect(getWideGamutFallbacks({ r: 0.2, g: 0.4, b: 0.6 }, { fallbackFormat: 'hex' })).toEqual({ srgb: '#336699' });
+    });
+
+    it('should only return sRGB for white, black and grays in wide-gamut spaces', () => {
+      for (const space of ['display-p3', 'rec2020']) {
+        expect(getWideGamutFallbacks(`color(${space} 1 1 1)`)).toEqual({ srgb: 'rgb(255 255 255)' });
+        expect(getWideGamutFallbacks(`color(${space} 0 0 0)`)).toEqual({ srgb: 'rgb(0 0 0)' });
+        for (const gray of [0.18, 0.5, 0.73]) {
+          expect(Object.keys(getWideGamutFallbacks(`color(${space} ${gray} ${gray} ${gray})`))).toEqual(['srgb']);
+        }
+      }
+    });
+    
+    it('should add a Display P3 tier for P3 colors', () => {
+      const values = getWideGamutFallbacks('color(display-p3 1 0 0)');
+      expect(Object.keys(values)).toEqual(['srgb', 'display-p3']);
+      expect(values['display-p3']).toBe('color(display-p3 1.0000 0.0000 0.0000)');
+      expect(isInGamut(parseCSS(values.srgb), 'srgb')).toBe(true);
+    });
+    
+    it('should map Rec. 2020 colors into P3 for the middle tier', () => {
+      const values = getWideGamutFallbacks('color(rec2020 0 1 0 / 0.5)');
+      expect(Object.keys(values)).toEqual(['srgb', 'display-p3', 'rec2020']);
+      expect(values.rec2020).toBe('color(rec2020 0.0000 1.0000 0.0000 / 0.5)');
+      
+      const p3 = parseCSS(values['display-p3'], { preserveSpace: true });
+      expect(p3.coords.every(c => c >= 0 && c <= 1)).toBe(true);
+      expect(p3.alpha).toBe(0.5);
+      expect(values.srgb).toMatch(/ \/ 0\.5\)$/);
+    });
+
+    it('should map colors beyond Rec. 2020 into the last tier', () => {
+      for (const color of ['color(prophoto-rgb 0 1 0)', 'oklch(0.9 0.5 150)']) {
+        const values = getWideGamutFallbacks(color);
+        expect(Object.keys(values)).toEqual(['srgb', 'display-p3', 'rec2020']);
+        const rec2020 = parseCSS(values.rec2020, { preserveSpace: true });
+        expect(rec2020.coords.every(c => c >= 0 && c <= 1)).toBe(true);
+      }
+    });
+
+    it('should reject invalid colors', () => {
+      expect(() => getWideGamutFallbacks('notacolor')).toThrow(TypeError);
+    });
+  });
+  
+  describe('createWideGamutCss', () => {
+    it('should emit an sRGB rule followed by an @supports override', () => {
+      expect(createWideGamutCss('.button', { background: 'color(display-p3 0.2 0.8 0.3)' })).toBe([
+        '.button {',
+        `  background: ${getWideGamutFallbacks('color(display-p3 0.2 0.8 0.3)').srgb};`,
+        '}',
+        '',
+        '@supports (color: color(display-p3 0 0 0)) {',
+        '  .button {',
+        '    background: color(display-p3 0.2000 0.8000 0.3000);',
+        '  }',
+        '}'
+      ].join('\n'));
+    });
+    
+    it('should only override custom properties that need a wider gamut', () => {
+      const css = createWideGamutCss(':root', {
+        '--brand': 'color(display-p3 1 0 0)',
+        '--text': '#222'
+      }, { query: 'media' });
+      
+      expect(css).toContain(':root {\n  --brand: ');
+      expect(css).toContain('  --text: rgb(34 34 34);');
+      expect(css).toContain('@media (color-gamut: p3) {\n  :root {\n    --brand: color(display-p3 1.0000 0.0000 0.0000);\n  }\n}');
+      expect(css.match(/--text/g)).toHaveLength(1);
+      expect(css).not.toContain('@supports');
+    });
+    
+    it('should nest @media inside @supports with both queries', () => {
+      const css = createWideGamutCss('a', { color: 'color(rec2020 0 1 0)' }, { query: 'both' });
+      expect(css).toContain('@supports (color: color(display-p3 0 0 0)) {\n  @media (color-gamut: p3) {');
+      expect(css).toContain('@supports (color: color(rec2020 0 0 0)) {\n  @media (color-gamut: rec2020) {');
+    });
+    
+    it('should emit a single rule when everything fits in sRGB', () => {
+      expect(createWideGamutCss('a', { color: 'red' })).toBe('a {\n  color: rgb(255 0 0);\n}');
+    });
+    
+    it('should reject unknown queries', () => {
+      expect(() => createWideGamutCss('a', { color: 'red' }, { query: 'container' })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { findCssColors, replaceCssColors } from '../src/css-stylesheet.js';
+
+const STYLESHEET = `/* Brand colors: #fff and red */
+@import url("theme.css");
+#header, .red:hover {
+  color: #F00;
+  background: linear-gradient(to right, red 0%, rgba(0, 0, 255, .5) 100%), url(#fff.svg);
+  --brand: oklch(0.7 0.1 200);
+  content: "blue #abc";
+  border: 1px solid color-mix(in srgb, var(--accent), Teal);
+  &:focus { outline-color: currentcolor; fill: RebeccaPurple }
+}
+@media (prefers-color-scheme: dark) { a { color: hsl(120 50% 50% / calc(1 / 2)) } }
+`;
+
+describe('Stylesheet Colors', () => {
+  
+  describe('findCssColors', () => {
+    it('should find colors in declarations, custom properties and gradients', () => {
+      const matches = findCssColors(STYLESHEET);
+      expect(matches.map(m => m.text)).toEqual([
+        '#F00',
+        'red',
+        'rgba(0, 0, 255, .5)',
+        'oklch(0.7 0.1 200)',
+        'Teal',
+        'RebeccaPurple',
+        'hsl(120 50% 50% / calc(1 / 2))'
+      ]);
+      expect(matches.map(m => m.property)).toEqual(['color', 'background', 'background', '--brand', 'border', 'fill', 'color']);
+    });
+    
+    it('should report offsets, lines and columns', () => {
+      for (const match of findCssColors(STYLESHEET)) {
+        expect(STYLESHEET.slice(match.start, match.end)).toBe(match.text);
+      }
+      expect(findCssColors(STYLESHEET)[0]).toMatchObject({ line: 4, column: 10 });
+    });
+    
+    it('should return parsed colors in their authored space', () => {
+      const [, , rgba, brand] = findCssColors(STYLESHEET);
+      expect(rgba.color).toEqual({ space: 'srgb', coords: [0, 0, 1], alpha: 0.5 });
+      expect(brand.color).toEqual({ space: 'oklch', coords: [0.7, 0.1, 200], alpha: 1 });
+    });
+    
+    it('should skip selectors, comments, strings and url()', () => {
+      expect(findCssColors('#fff { content: "red"; background: url(red.png) /* blue */; }')).toEqual([]);
+    });
+    
+    it('should only take keywords as colors in properties that accept colors', () => {
+      const css = '.a { animation-name: red; grid-area: blue; font-family: Tan, serif; transition: color 1s; }'
+        + ' .b { border-top-color: Tan; -webkit-text-fill-color: blue; mask-image: linear-gradient(black, transparent); }'
+        + ' .c { grid-area: #abc; will-change: oklch(0.7 0.1 200); }';
+      expect(findCssColors(css).map(m => m.text)).toEqual(['Tan', 'blue', 'black', 'transparent', '#abc', 'oklch(0.7 0.1 200)']);
+      expect(replaceCssColors('.a { animation: red 1s; color: red }', 'hex')).toBe('.a { animation: red 1s; color: #ff0000 }');
+    });
+
+    it('should resolve context colors when a context is given', () => {
+      const matches = findCssColors(STYLESHEET, { context: { currentColor: 'red' } });
+      expect(matches.map(m => m.text)).toContain('currentcolor');
+    });
+    
+    it('should resolve var() references when variables are given', () => {
+      const css = ':root { --brand: #f00; } .a { color: var(--brand); border: 1px solid rgb(var(--gray) var(--gray) var(--gray)); }';
+      const variables = { '--brand': '#f00', '--gray': 128 };
+      expect(findCssColors(css).map(m => m.text)).toEqual(['#f00']);
+      expect(findCssColors(css, { context: { variables } }).map(m => m.text))
+        .toEqual(['#f00', 'var(--brand)', 'rgb(var(--gray) var(--gray) var(--gray))']);
+    });
+    
+    it('should throw for non-string input', () => {
+      expect(() => findCssColors(null)).toThrow(TypeError);
+    });
+  });
+  
+  describe('replaceCssColors', () => {
+    it('should convert every color to a format', () => {
+      expect(replaceCssColors('a { color: #FF0000; border-color: blue }', 'oklch'))
+        .toBe('a { color: oklch(62.8% 0.258 29deg); border-color: oklch(45.2% 0.313 264deg) }');
+    });
+    
+    it('should replace colors via a callback and keep everything else', () => {
+      const lowercased = replaceCssColors(STYLESHEET, ({ text }) => (text.startsWith('#') ? text.toLowerCase() : null));
+      expect(lowercased).toBe(STYLESHEET.replace('#F00', '#f00'));
+      
+      const unchanged = replaceCssColors(STYLESHEET, () => undefined);
+      expect(unchanged).toBe(STYLESHEET);
+    });
+    
+    it('should pass match details to the callback', () => {
+      const properties = [];
+      replaceCssColors('a { --x: red; color: blue }', ({ property }) => {
+        properties.push(property);
+      });
+      expect(properties).toEqual(['--x', 'color']);
+    });
+    
+    it('should reject invalid replacements', () => {
+      expect(() => replaceCssColors('a { color: red }', 42)).toThrow(TypeError);
+    });
+  });
+});
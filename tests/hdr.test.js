@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SDR_REFERENCE_WHITE,
+  pqEotf,
+  pqInverseEotf,
+  hlgOetf,
+  hlgInverseOetf,
+  hlgSystemGamma,
+  hlgEotf,
+  hlgInverseEotf,
+  xyzToAbsoluteXyz,
+  absoluteXyzToXyz
+} from '../src/hdr.js';
+import { xyzToIctcp, ictcpToXyz, srgbToIctcp, ictcpToSrgb } from '../src/ictcp.js';
+import {
+  xyzToJzazbz,
+  jzazbzToXyz,
+  srgbToJzazbz,
+  jzazbzToSrgb,
+  srgbToJzczhz,
+  jzczhzToSrgb
+} from '../src/jzazbz.js';
+import { calculateDeltaEITP } from '../src/color-metrics.js';
+import { TRANSFER_FUNCTIONS } from '../src/rgb-space.js';
+import { approxEqual, channelsApproxEqual } from './test-helpers.js';
+
+describe('HDR transfer functions', () => {
+  it('should encode and decode absolute luminance with PQ', () => {
+    expect(approxEqual(pqInverseEotf(100), 0.508078, 1e-6)).toBe(true);
+    expect(approxEqual(pqInverseEotf(203), 0.580689, 1e-6)).toBe(true);
+    expect(approxEqual(pqInverseEotf(10000), 1, 1e-12)).toBe(true);
+    expect(pqInverseEotf(-5)).toBe(pqInverseEotf(0));
+    for (const luminance of [0.01, 1, 203, 1000, 4000, 10000]) {
+      expect(approxEqual(pqEotf(pqInverseEotf(luminance)), luminance, luminance * 1e-9)).toBe(true);
+    }
+    expect(approxEqual(TRANSFER_FUNCTIONS.pq.toLinear(pqInverseEotf(1000)), 0.1, 1e-12)).toBe(true);
+  });
+
+  it('should apply the HLG OETF and its inverse', () => {
+    expect(hlgOetf(1 / 12)).toBe(0.5);
+    expect(approxEqual(hlgOetf(1), 1, 1e-7)).toBe(true);
+    for (const e of [0, 0.01, 1 / 12, 0.3, 1]) {
+      expect(approxEqual(hlgInverseOetf(hlgOetf(e)), e, 1e-12)).toBe(true);
+    }
+  });
+
+  it('should render HLG on displays of different peak luminance', () => {
+    expect(hlgSystemGamma()).toBe(1.2);
+    expect(approxEqual(hlgSystemGamma(2000), 1.3264, 1e-4)).toBe(true);
+    // HLG reference white (75%) is about 203 cd/m² on the nominal 1000 cd/m² display
+    expect(approxEqual(hlgEotf({ r: 0.75, g: 0.75, b: 0.75 }).g, 203, 0.5)).toBe(true);
+    expect(approxEqual(hlgEotf({ r: 1, g: 1, b: 1 }, { peakLuminance: 2000 }).r, 2000, 1e-3)).toBe(true);
+
+    const options = { peakLuminance: 1500, blackLuminance: 0.05 };
+    expect(approxEqual(hlgEotf({ r: 0, g: 0, b: 0 }, options).g, 0.05, 1e-6)).toBe(true);
+    expect(channelsApproxEqual(hlgInverseEotf(hlgEotf({ r: 0.2, g: 0.5, b: 0.9 }, options), options), { r: 0.2, g: 0.5, b: 0.9 }, 1e-9)).toBe(true);
+    expect(() => hlgEotf({ r: 0, g: 0, b: 0 }, { peakLuminance: 0 })).toThrow(RangeError);
+    expect(() => hlgEotf({ r: 0, g: 0, b: 0 }, { blackLuminance: 1000 })).toThrow(RangeError);
+  });
+
+  it('should scale XYZ through the SDR reference white', () => {
+    expect(SDR_REFERENCE_WHITE).toBe(203);
+    expect(xyzToAbsoluteXyz({ X: 0.5, Y: 1, Z: 2 })).toEqual({ X: 101.5, Y: 203, Z: 406 });
+    expect(absoluteXyzToXyz({ X: 50, Y: 100, Z: 200 }, { referenceWhite: 100 })).toEqual({ X: 0.5, Y: 1, Z: 2 });
+    expect(() => xyzToAbsoluteXyz({ X: 0, Y: 0, Z: 0 }, { referenceWhite: -1 })).toThrow(RangeError);
+  });
+});
+
+describe('ICtCp', () => {
+  it('should match BT.2100 reference values', () => {
+    // Achromatic colors have I equal to their PQ-encoded luminance
+    expect(channelsApproxEqual(srgbToIctcp({ r: 1, g: 1, b: 1 }), { I: 0.580689, Ct: 0, Cp: 0 }, 1e-4)).toBe(true);
+    expect(channelsApproxEqual(srgbToIctcp({ r: 1, g: 0, b: 0 }), { I: 0.427895, Ct: -0.115707, Cp: 0.278733 }, 1e-5)).toBe(true);
+    expect(channelsApproxEqual(srgbToIctcp({ r: 1, g: 1, b: 1 }, { referenceWhite: 1000 }), { I: pqInverseEotf(1000) }, 1e-4)).toBe(true);
+    // HLG reference white
+    expect(channelsApproxEqual(srgbToIctcp({ r: 1, g: 1, b: 1 }, { transfer: 'hlg' }), { I: 0.75, Ct: 0, Cp: 0 }, 1e-3)).toBe(true);
+  });
+
+  it('should round-trip in both variants', () => {
+    const absolute = { X: 350, Y: 420, Z: 180 };
+    expect(channelsApproxEqual(ictcpToXyz(xyzToIctcp(absolute)), absolute, 1e-6)).toBe(true);
+    const options = { transfer: 'hlg', peakLuminance: 2000 };
+    expect(channelsApproxEqual(ictcpToXyz(xyzToIctcp(absolute, options), options), absolute, 1e-6)).toBe(true);
+    const srgb = { r: 0.2, g: 0.5, b: 0.9 };
+    expect(channelsApproxEqual(ictcpToSrgb(srgbToIctcp(srgb, { referenceWhite: 100 }), { referenceWhite: 100 }), srgb, 1e-6)).toBe(true);
+    expect(() => xyzToIctcp(absolute, { transfer: 'gamma' })).toThrow('Unknown ICtCp transfer function');
+  });
+
+  it('should keep alpha through sRGB conversions', () => {
+    const ictcp = srgbToIctcp({ r: 0.2, g: 0.5, b: 0.9, alpha: 0.4 });
+    expect(ictcp.alpha).toBe(0.4);
+    expect(ictcpToSrgb(ictcp).alpha).toBe(0.4);
+    expect(ictcpToSrgb({ I: 0.5, Ct: 0, Cp: 0, alpha: 0 }).alpha).toBe(0);
+    expect(srgbToIctcp({ r: 0.2, g: 0.5, b: 0.9 })).not.toHaveProperty('alpha');
+  });
+
+  it('should compute the BT.2124 ITP color difference', () => {
+    const reference = xyzToIctcp({ X: 192.93, Y: 203, Z: 221.03 });
+    expect(calculateDeltaEITP(reference, reference)).toBe(0);
+    const darker = xyzToIctcp({ X: 190.08, Y: 200, Z: 217.77 });
+    expect(approxEqual(calculateDeltaEITP(reference, darker), 1.12, 0.01)).toBe(true);
+    expect(calculateDeltaEITP({ I: 0.5, Ct: 0.02, Cp: 0 }, { I: 0.5, Ct: 0, Cp: 0 })).toBeCloseTo(7.2, 10);
+  });
+});
+
+describe('Jzazbz', () => {
+  it('should match published reference values', () => {
+    expect(channelsApproxEqual(srgbToJzazbz({ r: 1, g: 1, b: 1 }), { Jz: 0.222065, az: 0, bz: 0 }, 2e-4)).toBe(true);
+    expect(channelsApproxEqual(srgbToJzczhz({ r: 1, g: 0, b: 0 }), { Jz: 0.134394, Cz: 0.162529, hz: 43.5026 }, 1e-4)).toBe(true);
+    expect(srgbToJzczhz({ r: 0, g: 0, b: 0 }).hz).toBe(0);
+    // Brighter reference whites give higher Jz
+    expect(srgbToJzazbz({ r: 1, g: 1, b: 1 }, { referenceWhite: 1000 }).Jz).toBeGreaterThan(0.4);
+  });
+
+  it('should round-trip through XYZ, sRGB and JzCzhz', () => {
+    const absolute = { X: 1200, Y: 1000, Z: 400 };
+    expect(channelsApproxEqual(jzazbzToXyz(xyzToJzazbz(absolute)), absolute, 1e-6)).toBe(true);
+    const srgb = { r: 0.2, g: 0.5, b: 0.9 };
+    expect(channelsApproxEqual(jzazbzToSrgb(srgbToJzazbz(srgb)), srgb, 1e-6)).toBe(true);
+    expect(channelsApproxEqual(jzczhzToSrgb(srgbToJzczhz(srgb, { referenceWhite: 80 }), { referenceWhite: 80 }), srgb, 1e-6)).toBe(true);
+  });
+
+  it('should keep alpha through sRGB conversions', () => {
+    const srgb = { r: 0.2, g: 0.5, b: 0.9, alpha: 0.4 };
+    expect(srgbToJzazbz(srgb).alpha).toBe(0.4);
+    expect(jzazbzToSrgb(srgbToJzazbz(srgb)).alpha).toBe(0.4);
+    expect(srgbToJzczhz(srgb).alpha).toBe(0.4);
+    expect(jzczhzToSrgb(srgbToJzczhz(srgb)).alpha).toBe(0.4);
+    expect(jzczhzToSrgb({ Jz: 0.1, Cz: 0, hz: 0, alpha: 0 }).alpha).toBe(0);
+    expect(srgbToJzczhz({ r: 0.2, g: 0.5, b: 0.9 })).not.toHaveProperty('alpha');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { srgbToHsl, hslToSrgb } from '../src/hsl.js';
+import { srgbToHsv, hsvToSrgb } from '../src/hsv.js';
+import { srgbToHwb, hwbToSrgb, hsvToHwb, hwbToHsv } from '../src/hwb.js';
+import { colorsApproxEqual, TEST_COLORS } from './test-helpers.js';
+
+describe('HSL, HSV and HWB Modules', () => {
+  
+  describe('HSL', () => {
+    it('should convert sRGB to HSL correctly', () => {
+      expect(srgbToHsl(TEST_COLORS.red.srgb)).toEqual({ h: 0, s: 1, l: 0.5 });
+      expect(srgbToHsl({ r: 0, g: 0.5, b: 0 })).toEqual({ h: 120, s: 1, l: 0.25 });
+      expect(srgbToHsl({ r: 1, g: 0, b: 0.5 })).toEqual({ h: 330, s: 1, l: 0.5 });
+    });
+    
+    it('should convert HSL to sRGB correctly', () => {
+      expect(hslToSrgb({ h: 240, s: 1, l: 0.5 })).toEqual({ r: 0, g: 0, b: 1 });
+      expect(colorsApproxEqual(hslToSrgb({ h: -30, s: 0.5, l: 0.5 }), { r: 0.75, g: 0.25, b: 0.5 })).toBe(true);
+      expect(colorsApproxEqual(hslToSrgb({ h: 690, s: 0.5, l: 0.5 }), { r: 0.75, g: 0.25, b: 0.5 })).toBe(true);
+    });
+  });
+  
+  describe('HSV', () => {
+    it('should convert sRGB to HSV correctly', () => {
+      expect(srgbToHsv({ r: 1, g: 0.5, b: 0 })).toEqual({ h: 30, s: 1, v: 1 });
+      expect(srgbToHsv({ r: 0.25, g: 0.5, b: 0.5 })).toEqual({ h: 180, s: 0.5, v: 0.5 });
+    });
+    
+    it('should convert HSV to sRGB correctly', () => {
+      expect(hsvToSrgb({ h: 30, s: 1, v: 1 })).toEqual({ r: 1, g: 0.5, b: 0 });
+      expect(hsvToSrgb({ h: 180, s: 0.5, v: 0.5 })).toEqual({ r: 0.25, g: 0.5, b: 0.5 });
+    });
+  });
+  
+  describe('HWB', () => {
+    it('should convert sRGB to HWB correctly', () => {
+      expect(srgbToHwb({ r: 1, g: 0.5, b: 0.5 })).toEqual({ h: 0, w: 0.5, b: 0 });
+      expect(srgbToHwb({ r: 0, g: 0, b: 0 })).toEqual({ h: 0, w: 0, b: 1 });
+    });
+    
+    it('should normalize whiteness and blackness summing past 1 to gray', () => {
+      expect(hwbToSrgb({ h: 120, w: 0.6, b: 0.6 })).toEqual({ r: 0.5, g: 0.5, b: 0.5 });
+      expect(hwbToSrgb({ h: 0, w: 1, b: 0 })).toEqual({ r: 1, g: 1, b: 1 });
+    });
+    
+    it('should convert between HSV and HWB', () => {
+      const hsv = { h: 200, s: 0.4, v: 0.8 };
+      const hwb = hsvToHwb(hsv);
+      expect(colorsApproxEqual(hwb, { h: 200, w: 0.48, b: 0.2 }, 1e-12)).toBe(true);
+      expect(colorsApproxEqual(hwbToHsv(hwb), hsv, 1e-12)).toBe(true);
+    });
+  });
+  
+  describe('Shared Behavior', () => {
+    const modules = [
+      ['HSL', srgbToHsl, hslToSrgb],
+      ['HSV', srgbToHsv, hsvToSrgb],
+      ['HWB', srgbToHwb, hwbToSrgb]
+    ];
+    
+    it('should round-trip sRGB colors', () => {
+      const colors = [
+        { r: 0.2, g: 0.4, b: 0.6 },
+        { r: 0.9, g: 0.1, b: 0.1 },
+        { r: 0.05, g: 0.95, b: 0.5 },
+        { r: 0.7, g: 0.7, b: 0.2 }
+      ];
+      modules.forEach(([, to, from]) => {
+        colors.forEach(color => {
+          expect(colorsApproxEqual(from(to(color)), color, 1e-12)).toBe(true);
+        });
+      });
+    });
+    
+    it('should give achromatic colors a hue of 0 and ignore hue on the way back', () => {
+      const gray = { r: 0.4, g: 0.4, b: 0.4 };
+      modules.forEach(([, to, from]) => {
+        const converted = to(gray);
+        expect(converted.h).toBe(0);
+        expect(colorsApproxEqual(from({ ...converted, h: 217 }), gray, 1e-12)).toBe(true);
+      });
+    });
+    
+    it('should pass alpha through', () => {
+      modules.forEach(([, to, from]) => {
+        const converted = to({ r: 0.2, g: 0.4, b: 0.6, alpha: 0.3 });
+        expect(converted.alpha).toBe(0.3);
+        expect(from(converted).alpha).toBe(0.3);
+      });
+    });
+    
+    it('should reject invalid input', () => {
+      modules.forEach(([, to, from]) => {
+        expect(() => to(null)).toThrow(TypeError);
+        expect(() => from({ r: 1, g: 0, b: 0 })).toThrow(TypeError);
+      });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { Hsluv } from 'hsluv';
+import {
+  xyzToLuv,
+  luvToXyz,
+  luvToLchuv,
+  lchuvToLuv,
+  srgbToLuv,
+  luvToSrgb,
+  srgbToLchuv,
+  lchuvToSrgb
+} from '../src/cieluv.js';
+import {
+  srgbToHsluv,
+  hsluvToSrgb,
+  srgbToHpluv,
+  hpluvToSrgb,
+  hexToHsluv,
+  hsluvToHex,
+  hexToHpluv,
+  hpluvToHex,
+  lchuvToHsluv,
+  hsluvToLchuv
+} from '../src/hsluv.js';
+import { srgbToXyz, isSrgbInGamut, parseSrgbHex } from '../src/srgb.js';
+import { D50_WHITE_POINT_XYZ } from '../src/utils.js';
+import { channelsApproxEqual } from './test-helpers.js';
+
+// Every 12-bit sRGB color, as the HSLuv reference snapshot does
+const HEX_DIGITS = '0123456789abcdef';
+const snapshotHexes = [];
+for (const r of HEX_DIGITS) for (const g of HEX_DIGITS) for (const b of HEX_DIGITS) {
+  snapshotHexes.push(`#${r}${r}${g}${g}${b}${b}`);
+}
+
+/**
+ * Values of the HSLuv reference implementation for a hex color
+ */
+function referenceValues(hex) {
+  const hsluv = new Hsluv();
+  hsluv.hex = hex;
+  hsluv.hexToHsluv();
+  const hpluv = new Hsluv();
+  hpluv.hex = hex;
+  hpluv.hexToHpluv();
+  return {
+    luv: { L: hsluv.luv_l, u: hsluv.luv_u, v: hsluv.luv_v },
+    lchuv: { L: hsluv.lch_l, C: hsluv.lch_c, h: hsluv.lch_h },
+    hsluv: { h: hsluv.hsluv_h, s: hsluv.hsluv_s, l: hsluv.hsluv_l },
+    hpluv: { h: hpluv.hpluv_h, p: hpluv.hpluv_p, l: hpluv.hpluv_l }
+  };
+}
+
+describe('CIELUV and LChuv', () => {
+  it('should convert sRGB primaries and white', () => {
+    expect(channelsApproxEqual(srgbToLuv({ r: 1, g: 0, b: 0 }), { L: 53.24, u: 175.01, v: 37.76 }, 0.01)).toBe(true);
+    expect(channelsApproxEqual(srgbToLchuv({ r: 0, g: 0, b: 1 }), { L: 32.30, C: 130.68, h: 265.87 }, 0.01)).toBe(true);
+    expect(channelsApproxEqual(srgbToLuv({ r: 1, g: 1, b: 1 }), { L: 100, u: 0, v: 0 }, 1e-3)).toBe(true);
+    expect(srgbToLuv({ r: 0, g: 0, b: 0 })).toEqual({ L: 0, u: 0, v: 0 });
+    expect(luvToLchuv({ L: 50, u: 0, v: 0 }).h).toBe(0);
+  });
+
+  it('should round-trip through XYZ, sRGB and LChuv', () => {
+    const xyz = { X: 0.3, Y: 0.2, Z: 0.6 };
+    expect(channelsApproxEqual(luvToXyz(xyzToLuv(xyz)), xyz, 1e-12)).toBe(true);
+    expect(channelsApproxEqual(luvToXyz(xyzToLuv(xyz, D50_WHITE_POINT_XYZ), D50_WHITE_POINT_XYZ), xyz, 1e-12)).toBe(true);
+    expect(channelsApproxEqual(luvToXyz(xyzToLuv({ X: 0.001, Y: 0.002, Z: 0.001 })), { X: 0.001, Y: 0.002, Z: 0.001 }, 1e-15)).toBe(true);
+    const srgb = { r: 0.2, g: 0.6, b: 0.9, alpha: 0.4 };
+    expect(channelsApproxEqual(luvToSrgb(srgbToLuv(srgb)), srgb, 1e-6)).toBe(true);
+    expect(channelsApproxEqual(lchuvToSrgb(srgbToLchuv(srgb)), srgb, 1e-6)).toBe(true);
+    expect(lchuvToLuv(luvToLchuv({ L: 50, u: 0, v: -20 }))).toEqual({ L: 50, u: expect.closeTo(0, 12), v: -20 });
+  });
+
+  it('should use the reference white like xyzToLab', () => {
+    // D50 white is achromatic relative to D50 but not D65
+    const d50 = { X: 0.96422, Y: 1, Z: 0.82521 };
+    expect(channelsApproxEqual(xyzToLuv(d50, D50_WHITE_POINT_XYZ), { L: 100, u: 0, v: 0 }, 1e-9)).toBe(true);
+    expect(xyzToLuv(d50).v).toBeGreaterThan(5);
+    expect(xyzToLuv(srgbToXyz({ r: 1, g: 1, b: 1, alpha: 0.5 })).alpha).toBe(0.5);
+  });
+});
+
+describe('HSLuv and HPLuv', () => {
+  it('should match the reference implementation for every snapshot color', () => {
+    // srgb.js rounds its matrices and white point differently from the reference
+    for (const hex of snapshotHexes) {
+      const reference = referenceValues(hex);
+      const srgb = parseSrgbHex(hex);
+      const lchuv = srgbToLchuv(srgb);
+      const hsluv = hexToHsluv(hex);
+      const hpluv = hexToHpluv(hex);
+
+      expect(channelsApproxEqual(srgbToLuv(srgb), reference.luv, 0.025)).toBe(true);
+      expect(channelsApproxEqual(lchuv, { L: reference.lchuv.L, C: reference.lchuv.C }, 0.025)).toBe(true);
+      expect(channelsApproxEqual(hsluv, { s: reference.hsluv.s, l: reference.hsluv.l }, 0.01)).toBe(true);
+      expect(hpluv.l).toBeCloseTo(reference.hpluv.l, 2);
+      // p exceeds 100 for saturated colors, so compare it relatively
+      expect(Math.abs(hpluv.p - reference.hpluv.p)).toBeLessThan(1e-3 * Math.max(reference.hpluv.p, 100));
+
+      // Hue is only meaningful away from the gray axis
+      if (reference.lchuv.C > 1) {
+        expect(channelsApproxEqual([lchuv.h, hsluv.h, hpluv.h], [reference.lchuv.h, reference.hsluv.h, reference.hpluv.h], 0.01)).toBe(true);
+      }
+    }
+  });
+
+  it('should convert primaries, black and white', () => {
+    expect(channelsApproxEqual(hexToHsluv('#ff0000'), { h: 12.174, s: 100, l: 53.241 }, 1e-3)).toBe(true);
+    expect(channelsApproxEqual(hexToHpluv('#ff0000'), { h: 12.174, p: 426.642, l: 53.241 }, 1e-3)).toBe(true);
+    expect(hexToHsluv('#ffffff')).toEqual({ h: 0, s: 0, l: 100 });
+    expect(hexToHsluv('#808080')).toEqual({ h: 0, s: expect.closeTo(0, 9), l: expect.closeTo(53.585, 3) });
+    expect(hexToHpluv('#000000')).toEqual({ h: 0, p: 0, l: 0 });
+  });
+
+  it('should round-trip every snapshot color', () => {
+    for (const hex of snapshotHexes) {
+      const hsluv = hexToHsluv(hex);
+      expect(hsluv.s).toBeLessThanOrEqual(100 + 2e-3);
+      expect(hsluvToHex(hsluv)).toBe(hex);
+      expect(hpluvToHex(hexToHpluv(hex))).toBe(hex);
+    }
+    const srgb = { r: 0.2, g: 0.4, b: 0.6, alpha: 0.3 };
+    expect(channelsApproxEqual(hsluvToSrgb(srgbToHsluv(srgb)), srgb, 1e-6)).toBe(true);
+    expect(channelsApproxEqual(hpluvToSrgb(srgbToHpluv(srgb)), srgb, 1e-6)).toBe(true);
+  });
+
+  it('should stay in the sRGB gamut across the whole range', () => {
+    for (let h = 0; h < 360; h += 15) {
+      for (const l of [1, 25, 50, 75, 99]) {
+        expect(isSrgbInGamut(hsluvToSrgb({ h, s: 100, l }))).toBe(true);
+        expect(isSrgbInGamut(hpluvToSrgb({ h, p: 100, l }))).toBe(true);
+      }
+    }
+    // HSLuv saturation is relative to the gamut edge at that hue
+    const lchuv = hsluvToLchuv({ h: 120, s: 50, l: 60 });
+    expect(channelsApproxEqual(lchuvToHsluv({ ...lchuv, C: lchuv.C * 2 }), { h: 120, s: 100, l: 60 }, 1e-9)).toBe(true);
+  });
+
+  it('should reject invalid hex strings', () => {
+    expect(() => hexToHsluv('red')).toThrow(TypeError);
+    expect(() => hexToHpluv('#12345')).toThrow('Invalid hex color');
+  });
+});
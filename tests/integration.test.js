@@ -64,6 +64,15 @@ describe('Integration Tests', () => {
       expect(deltaE).toBeGreaterThan(0);
     });
     
+    it('should calculate APCA lightness contrast', () => {
+      // Reference values of APCA-W3 0.0.98G-4g
+      expect(colorUtils.calculateApcaContrast('#000000', '#ffffff')).toBeCloseTo(106.04, 2);
+      expect(colorUtils.calculateApcaContrast('#ffffff', '#000000')).toBeCloseTo(-107.88, 2);
+      expect(colorUtils.calculateApcaContrast('#888888', '#ffffff')).toBeCloseTo(63.06, 2);
+      expect(colorUtils.calculateApcaContrast('#ffffff', '#888888')).toBeCloseTo(-68.54, 2);
+      expect(colorUtils.calculateApcaContrast({ r: 0.5, g: 0.5, b: 0.5 }, { r: 0.5, g: 0.5, b: 0.5 })).toBe(0);
+    });
+    
     it('should handle wide gamut conversions', () => {
       const srgb = { r: 1, g: 0, b: 0 };
       
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  rec2100PqToLinearRec2100,
+  linearRec2100ToRec2100Pq,
+  rec2100HlgToLinearRec2100,
+  linearRec2100ToRec2100Hlg,
+  srgbToRec2100Pq,
+  rec2100PqToSrgb,
+  srgbToRec2100Hlg,
+  rec2100HlgToSrgb,
+  rec2100PqToNits,
+  nitsToRec2100Pq,
+  rec2100HlgToNits,
+  nitsToRec2100Hlg,
+  calculateHdrHeadroom,
+  headroomToPeakLuminance,
+  getLinearRec2100Headroom,
+  limitLinearRec2100Headroom,
+  getHdrHeadroom,
+  limitToHdrHeadroom
+} from '../src/rec2100.js';
+import { convert } from '../src/css-color-spaces.js';
+import { parseCSS, formatCSS } from '../src/css-color-parser.js';
+import { isInGamut } from '../src/gamut-mapping.js';
+import { Color } from '../src/color.js';
+import { channelsApproxEqual } from './test-helpers.js';
+
+describe('Rec. 2100', () => {
+  it('should put the SDR reference white at PQ 0.5807 and HLG 0.75', () => {
+    expect(channelsApproxEqual(srgbToRec2100Pq({ r: 1, g: 1, b: 1 }), [0.5807, 0.5807, 0.5807], 2e-4)).toBe(true);
+    expect(channelsApproxEqual(srgbToRec2100Hlg({ r: 1, g: 1, b: 1 }), [0.75, 0.75, 0.75], 2e-4)).toBe(true);
+    expect(channelsApproxEqual(rec2100HlgToLinearRec2100({ r: 0.75, g: 0.75, b: 0.75 }), [1, 1, 1], 1e-12)).toBe(true);
+    expect(channelsApproxEqual(rec2100PqToNits({ r: 0.5807, g: 0.5807, b: 0.5807 }), [203, 203, 203], 0.1)).toBe(true);
+  });
+
+  it('should round-trip every encoding, including highlights and negative values', () => {
+    const linear = { r: 12, g: 0.5, b: -0.01 };
+    expect(channelsApproxEqual(rec2100PqToLinearRec2100(linearRec2100ToRec2100Pq(linear)), [12, 0.5, -0.01], 1e-9)).toBe(true);
+    expect(channelsApproxEqual(rec2100HlgToLinearRec2100(linearRec2100ToRec2100Hlg(linear)), [12, 0.5, -0.01], 1e-9)).toBe(true);
+    const srgb = { r: 0.2, g: 0.6, b: 0.9 };
+    expect(channelsApproxEqual(rec2100PqToSrgb(srgbToRec2100Pq(srgb)), [0.2, 0.6, 0.9], 1e-6)).toBe(true);
+    expect(channelsApproxEqual(rec2100HlgToSrgb(srgbToRec2100Hlg(srgb)), [0.2, 0.6, 0.9], 1e-6)).toBe(true);
+    expect(channelsApproxEqual(rec2100PqToNits(nitsToRec2100Pq({ r: 1000, g: 4000, b: 0.1 })), [1000, 4000, 0.1], 1e-6)).toBe(true);
+    const display = { peakLuminance: 2000, blackLuminance: 0.01 };
+    expect(channelsApproxEqual(rec2100HlgToNits(nitsToRec2100Hlg({ r: 500, g: 80, b: 20 }, display), display), [500, 80, 20], 1e-6)).toBe(true);
+  });
+
+  it('should apply the HLG OOTF only when decoding to display light', () => {
+    // 1000 cd/m² display: reference white at about 203 cd/m², peak white at 1000
+    expect(channelsApproxEqual(rec2100HlgToNits({ r: 0.75, g: 0.75, b: 0.75 }), [203, 203, 203], 0.5)).toBe(true);
+    expect(channelsApproxEqual(rec2100HlgToNits({ r: 1, g: 1, b: 1 }), [1000, 1000, 1000], 1e-3)).toBe(true);
+    expect(rec2100HlgToNits({ r: 1, g: 1, b: 1 }, { peakLuminance: 2000 }).g).toBeCloseTo(2000, 3);
+  });
+});
+
+describe('Rec. 2100 in CSS', () => {
+  it('should parse, convert and format color(rec2100-*)', () => {
+    const pq = parseCSS('color(rec2100-pq 0.7 0.3 0.2 / 0.5)', { preserveSpace: true });
+    expect(pq).toEqual({ space: 'rec2100-pq', coords: [0.7, 0.3, 0.2], alpha: 0.5 });
+    expect(formatCSS(pq)).toBe('color(rec2100-pq 0.7 0.3 0.2 / 0.5)');
+    expect(formatCSS({ r: 1, g: 1, b: 1 }, 'rec2100-pq')).toBe('color(rec2100-pq 0.5807 0.5807 0.5807)');
+    expect(channelsApproxEqual(parseCSS('color(rec2100-hlg 0.75 0.75 0.75)'), [1, 1, 1], 2e-4)).toBe(true);
+
+    // The registry matches the object API
+    const [r, g, b] = convert([1, 0, 0], 'srgb', 'rec2100-linear');
+    expect(channelsApproxEqual(linearRec2100ToRec2100Pq({ r, g, b }), convert([1, 0, 0], 'srgb', 'rec2100-pq'), 1e-12)).toBe(true);
+    expect(channelsApproxEqual(srgbToRec2100Hlg({ r: 0, g: 0.5, b: 1 }), convert([0, 0.5, 1], 'srgb', 'rec2100-hlg'), 1e-12)).toBe(true);
+    expect(new Color('color(rec2100-linear 1 1 1)').to('rec2100-pq').coords[1]).toBeCloseTo(0.5807, 4);
+  });
+
+  it('should check the HDR gamuts', () => {
+    expect(isInGamut([1, 0.5, 0], 'rec2100-pq', 'rec2100-pq')).toBe(true);
+    expect(isInGamut([60, 1, 1], 'rec2100-linear', 'rec2100-pq')).toBe(false);
+    expect(isInGamut([1, 1, 1], 'srgb', 'rec2100-hlg')).toBe(true);
+  });
+});
+
+describe('HDR headroom', () => {
+  it('should measure the headroom of displays', () => {
+    expect(calculateHdrHeadroom(1000)).toBeCloseTo(2.3004, 4);
+    expect(calculateHdrHeadroom(1600, { referenceWhite: 100 })).toBe(4);
+    expect(calculateHdrHeadroom(100)).toBe(0);
+    expect(headroomToPeakLuminance(2)).toBe(812);
+    expect(() => calculateHdrHeadroom(0)).toThrow(RangeError);
+  });
+
+  it('should measure and limit the headroom of colors', () => {
+    expect(getLinearRec2100Headroom({ r: 4, g: 2, b: 1 })).toBe(2);
+    expect(getLinearRec2100Headroom({ r: 0.5, g: 0.2, b: 1 })).toBe(0);
+    expect(limitLinearRec2100Headroom({ r: 8, g: 4, b: 2 }, 1)).toEqual({ r: 2, g: 1, b: 0.5 });
+
+    expect(getHdrHeadroom('#ff0000')).toBe(0);
+    expect(getHdrHeadroom('color(rec2100-pq 0.7518 0.7518 0.7518)')).toBeCloseTo(2.3, 3);
+    expect(getHdrHeadroom('color(rec2100-linear 4 2 1)')).toBe(2);
+
+    const limited = limitToHdrHeadroom('color(rec2100-pq 0.9 0.9 0.9 / 0.8)', calculateHdrHeadroom(1000));
+    expect(limited.space).toBe('rec2100-pq');
+    expect(limited.alpha).toBe(0.8);
+    expect(formatCSS(limited, 'rec2100-pq')).toBe('color(rec2100-pq 0.7518 0.7518 0.7518 / 0.8)');
+    const sdr = parseCSS('color(display-p3 1 0 0)', { preserveSpace: true });
+    expect(limitToHdrHeadroom(sdr, 0)).toBe(sdr);
+  });
+
+  it('should give SDR white no headroom', () => {
+    for (const white of ['white', 'color(display-p3 1 1 1)', 'color(rec2020 1 1 1)', 'color(rec2100-linear 1 1 1)']) {
+      expect(getHdrHeadroom(white)).toBe(0);
+    }
+    expect(getHdrHeadroom({ r: 1, g: 1, b: 1 })).toBe(0);
+    const white = parseCSS('white', { preserveSpace: true });
+    expect(limitToHdrHeadroom(white, 0)).toBe(white);
+
+    const limited = limitToHdrHeadroom({ r: 2, g: 2, b: 2 }, 0);
+    expect(limited.space).toBe('srgb');
+    expect(channelsApproxEqual(limited.coords, [1, 1, 1], 1e-12)).toBe(true);
+    expect(formatCSS(limited, 'hex')).toBe('#ffffff');
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRgbSpace,
+  computeRgbToXyzMatrix,
+  TRANSFER_FUNCTIONS,
+  gammaTransfer,
+  bt1886Transfer,
+  iccParametricTransfer
+} from '../src/rgb-space.js';
+import { DISPLAY_P3_PRIMARIES, MATRIX_LINEAR_DISPLAY_P3_TO_XYZ_D65, srgbToDisplayP3 } from '../src/display-p3.js';
+import { REC2020_PRIMARIES, MATRIX_XYZ_TO_LINEAR_REC2020_D65, srgbToRec2020 } from '../src/rec2020.js';
+import { convert } from '../src/css-color-spaces.js';
+import { parseCSS, formatCSS } from '../src/css-color-parser.js';
+import { ILLUMINANTS } from '../src/chromatic-adaptation.js';
+import { approxEqual, channelsApproxEqual } from './test-helpers.js';
+
+const D65 = { x: 0.3127, y: 0.3290 };
+
+const ADOBE_RGB = {
+  name: 'test-adobe-rgb',
+  primaries: { red: { x: 0.64, y: 0.33 }, green: { x: 0.21, y: 0.71 }, blue: { x: 0.15, y: 0.06 } },
+  white: D65,
+  transfer: 563 / 256
+};
+
+const PROPHOTO_RGB = {
+  name: 'test-prophoto-rgb',
+  primaries: {
+    red: { x: 0.734699, y: 0.265301 },
+    green: { x: 0.159597, y: 0.840403 },
+    blue: { x: 0.036598, y: 0.000105 },
+    white: { x: 0.3457, y: 0.3585 }
+  },
+  transfer: iccParametricTransfer([1.8, 1, 0, 1 / 16, 16 / 512])
+};
+
+describe('RGB Space Factory', () => {
+
+  describe('computeRgbToXyzMatrix()', () => {
+    it('should reproduce the CSS Color 4 sRGB matrix at full precision', () => {
+      const matrix = computeRgbToXyzMatrix(
+        { red: { x: 0.64, y: 0.33 }, green: { x: 0.3, y: 0.6 }, blue: { x: 0.15, y: 0.06 } },
+        D65
+      );
+      const expected = [
+        [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+        [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+        [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+      ];
+      matrix.flat().forEach((value, i) => expect(approxEqual(value, expected.flat()[i], 1e-15)).toBe(true));
+    });
+
+    it('should reject collinear primaries', () => {
+      const point = { x: 0.3, y: 0.3 };
+      expect(() => computeRgbToXyzMatrix({ red: point, green: point, blue: { x: 0.2, y: 0.1 } }, D65)).toThrow('collinear');
+    });
+  });
+
+  describe('Transfer functions', () => {
+    it('should round-trip every named curve', () => {
+      for (const [name, curve] of Object.entries(TRANSFER_FUNCTIONS)) {
+        for (const value of [0.01, 0.18, 0.5, 1]) {
+          expect(approxEqual(curve.fromLinear(curve.toLinear(value)), value, 1e-12), name).toBe(true);
+        }
+      }
+    });
+
+    it('should match reference values', () => {
+      expect(approxEqual(TRANSFER_FUNCTIONS.srgb.toLinear(0.5), 0.214041, 1e-6)).toBe(true);
+      // 100 cd/m² in PQ
+      expect(approxEqual(TRANSFER_FUNCTIONS.pq.fromLinear(0.01), 0.508078, 1e-6)).toBe(true);
+      expect(approxEqual(TRANSFER_FUNCTIONS.hlg.toLinear(0.5), 1 / 12, 1e-12)).toBe(true);
+      expect(TRANSFER_FUNCTIONS.bt709.toLinear(1)).toBeCloseTo(1, 12);
+      expect(approxEqual(gammaTransfer(2.2).toLinear(0.5), 0.217638, 1e-6)).toBe(true);
+      expect(gammaTransfer(2.2).toLinear(-0.5)).toBe(-gammaTransfer(2.2).toLinear(0.5));
+    });
+
+    it('should build BT.1886 curves with a black level', () => {
+      const curve = bt1886Transfer({ black: 0.001 });
+      expect(approxEqual(curve.toLinear(0), 0.001, 1e-12)).toBe(true);
+      expect(approxEqual(curve.toLinear(1), 1, 1e-12)).toBe(true);
+      expect(approxEqual(curve.fromLinear(curve.toLinear(0.4)), 0.4, 1e-12)).toBe(true);
+      expect(TRANSFER_FUNCTIONS.bt1886.toLinear(0.5)).toBe(Math.pow(0.5, 2.4));
+      expect(() => bt1886Transfer({ black: 2 })).toThrow(RangeError);
+    });
+
+    it('should build ICC parametric curves of every type', () => {
+      const srgb = iccParametricTransfer([2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]);
+      for (const value of [-0.5, 0.02, 0.5]) {
+        expect(approxEqual(srgb.toLinear(value), TRANSFER_FUNCTIONS.srgb.toLinear(value), 1e-15)).toBe(true);
+      }
+      for (const params of [[2.2], [2.2, 1.1, -0.1], [2.2, 1.1, -0.1, 0.05], [2.2, 0.9, 0.1, 0.1, 0.05, 0.01, 0.02]]) {
+        const curve = iccParametricTransfer(params);
+        expect(approxEqual(curve.fromLinear(curve.toLinear(0.6)), 0.6, 1e-12)).toBe(true);
+      }
+      expect(() => iccParametricTransfer([2.2, 1])).toThrow(RangeError);
+    });
+  });
+
+  describe('createRgbSpace()', () => {
+    it('should match the built-in Adobe RGB and Display P3 conversions', () => {
+      const adobeRgb = createRgbSpace(ADOBE_RGB);
+      const a98 = convert([0, 1, 0], 'srgb', 'a98-rgb');
+      expect(channelsApproxEqual(adobeRgb.fromSrgb({ r: 0, g: 1, b: 0 }), a98, 1e-12)).toBe(true);
+
+      const p3 = createRgbSpace({ name: 'p3', primaries: DISPLAY_P3_PRIMARIES });
+      expect(channelsApproxEqual(p3.fromSrgb({ r: 1, g: 0, b: 0 }), srgbToDisplayP3({ r: 1, g: 0, b: 0 }), 1e-12)).toBe(true);
+      expect(MATRIX_LINEAR_DISPLAY_P3_TO_XYZ_D65).toEqual(p3.toXyzMatrix);
+
+      const rec2020 = createRgbSpace({ name: 'rec2020-test', primaries: REC2020_PRIMARIES, transfer: 'bt709' });
+      expect(channelsApproxEqual(rec2020.fromSrgb({ r: 0, g: 0.5, b: 1 }), srgbToRec2020({ r: 0, g: 0.5, b: 1 }), 1e-12)).toBe(true);
+      expect(MATRIX_XYZ_TO_LINEAR_REC2020_D65).toEqual(rec2020.fromXyzMatrix);
+    });
+
+    it('should adapt spaces with another white point', () => {
+      const prophoto = createRgbSpace(PROPHOTO_RGB);
+      expect(prophoto.whitePoint.Y).toBe(100);
+      const xyz = prophoto.toXyz({ r: 1, g: 1, b: 1 });
+      expect(channelsApproxEqual(xyz, { X: 0.96422, Y: 1, Z: 0.82521 }, 1e-12)).toBe(true);
+      expect(channelsApproxEqual(prophoto.toSrgb({ r: 1, g: 1, b: 1 }), [1, 1, 1], 1e-12)).toBe(true);
+      expect(channelsApproxEqual(prophoto.toSrgb({ r: 0.4, g: 0.5, b: 0.3 }), convert([0.4, 0.5, 0.3], 'prophoto-rgb', 'srgb'), 1e-12)).toBe(true);
+    });
+
+    it('should take white points close to a standard illuminant as that illuminant', () => {
+      // xy 0.3127, 0.3290 is D65 as 95.047, 100, 108.883, the white of sRGB and the registry
+      expect(createRgbSpace(ADOBE_RGB).whitePoint).toBe(ILLUMINANTS.D65);
+      expect(createRgbSpace({ ...ADOBE_RGB, white: 'D50' }).whitePoint).toBe(ILLUMINANTS.D50);
+      const matrix = computeRgbToXyzMatrix(ADOBE_RGB.primaries, ILLUMINANTS.D65);
+      expect(createRgbSpace(ADOBE_RGB).toXyzMatrix).toEqual(matrix);
+      expect(matrix.map(row => row[0] + row[1] + row[2])).toEqual([0.95047, 1, 1.08883].map(c => expect.closeTo(c, 15)));
+
+      // Other whites keep their own chromaticity
+      const dci = createRgbSpace({ ...ADOBE_RGB, white: { x: 0.314, y: 0.351 } });
+      expect(channelsApproxEqual(dci.whitePoint, { X: 100 * 0.314 / 0.351, Y: 100 }, 1e-12)).toBe(true);
+      expect(channelsApproxEqual(dci.toSrgb({ r: 1, g: 1, b: 1 }), [1, 1, 1], 1e-12)).toBe(true);
+    });
+
+    it('should check gamuts and format CSS', () => {
+      const adobeRgb = createRgbSpace(ADOBE_RGB);
+      expect(adobeRgb.isInGamut(adobeRgb.fromSrgb({ r: 0, g: 1, b: 0 }))).toBe(true);
+      expect(adobeRgb.isInSrgbGamut({ r: 0, g: 1, b: 0 })).toBe(false);
+      expect(adobeRgb.isInSrgbGamut({ r: 0.5, g: 0.5, b: 0.5 })).toBe(true);
+      expect(adobeRgb.formatCSS({ r: 1, g: 0.5, b: 0 })).toBe('color(test-adobe-rgb 1.0000 0.5000 0.0000)');
+    });
+
+    it('should register with the color space registry', () => {
+      const prophoto = createRgbSpace(PROPHOTO_RGB);
+      expect(prophoto.register().name).toBe('test-prophoto-rgb');
+      const color = parseCSS('color(test-prophoto-rgb 0.4 0.5 0.3)', { preserveSpace: true });
+      const srgb = prophoto.toSrgb({ r: 0.4, g: 0.5, b: 0.3 });
+      convert(color.coords, color.space, 'srgb').forEach((c, i) => expect(approxEqual(c, [srgb.r, srgb.g, srgb.b][i], 1e-9)).toBe(true));
+      expect(formatCSS({ r: 1, g: 1, b: 1 }, 'test-prophoto-rgb')).toBe('color(test-prophoto-rgb 1.0000 1.0000 1.0000)');
+
+      // White stays white through the registry, in both directions
+      const adobeRgb = createRgbSpace({ ...ADOBE_RGB, name: 'test-registered-adobe-rgb' });
+      adobeRgb.register();
+      for (const space of ['test-prophoto-rgb', 'test-registered-adobe-rgb']) {
+        expect(channelsApproxEqual(convert([1, 1, 1], 'srgb', space), [1, 1, 1], 1e-12)).toBe(true);
+        expect(channelsApproxEqual(convert([1, 1, 1], space, 'display-p3'), [1, 1, 1], 1e-12)).toBe(true);
+      }
+    });
+
+    it('should reject unknown transfer functions and white points', () => {
+      expect(() => createRgbSpace({ ...ADOBE_RGB, transfer: 'gamma' })).toThrow('Unknown transfer function: gamma');
+      expect(() => createRgbSpace({ ...ADOBE_RGB, transfer: {} })).toThrow(TypeError);
+      expect(() => createRgbSpace({ ...ADOBE_RGB, white: 'D93' })).toThrow('Unknown white point: D93');
+      expect(() => createRgbSpace({ ...ADOBE_RGB, white: undefined })).toThrow('A white point is required');
+    });
+  });
+});
@@ -133,6 +133,19 @@ describe('sRGB Module', () => {
       expect(parseSrgbHex('F00')).toEqual({ r: 1, g: 0, b: 0 });
     });
     
+    it('should parse 4 and 8 digit hex colors with alpha', () => {
+      expect(parseSrgbHex('#FF000080')).toEqual({ r: 1, g: 0, b: 0, alpha: 128 / 255 });
+      expect(parseSrgbHex('#F000')).toEqual({ r: 1, g: 0, b: 0, alpha: 0 });
+      expect(formatSrgbAsHex({ r: 1, g: 0, b: 0, alpha: 128 / 255 })).toBe('#ff000080');
+    });
+    
+    it('should pass alpha through conversions untouched', () => {
+      const color = { r: 0.2, g: 0.5, b: 0.8, alpha: 0.4 };
+      expect(srgbToLinearSrgb(color).alpha).toBe(0.4);
+      expect(srgbToXyz(color).alpha).toBe(0.4);
+      expect(xyzToSrgb(srgbToXyz(color)).alpha).toBe(0.4);
+    });
+    
     it('should return null for invalid hex colors', () => {
       expect(parseSrgbHex('')).toBeNull();
       expect(parseSrgbHex('invalid')).toBeNull();
@@ -32,6 +32,23 @@ export function colorsApproxEqual(color1, color2, tolerance = 0.0001) {
   return keys1.every(key => approxEqual(color1[key], color2[key], tolerance));
 }
 
+/**
+ * Check if the channels of a color approximately match the expected values
+ * Only the channels present in `expected` are compared, so extra properties
+ * such as alpha are ignored. Arrays and typed arrays are compared index by
+ * index; an object color compared against an array is read in property order.
+ * @param {Object|ArrayLike<number>} actual - Color, coordinate array or pixel buffer
+ * @param {Object|ArrayLike<number>} expected - Expected channel values
+ * @param {number} [tolerance=0.0001] - Acceptable difference per channel
+ * @returns {boolean} True if every expected channel is approximately equal
+ */
+export function channelsApproxEqual(actual, expected, tolerance = 0.0001) {
+  const values = Array.isArray(expected) && !Array.isArray(actual) && !ArrayBuffer.isView(actual)
+    ? Object.values(actual)
+    : actual;
+  return Object.keys(expected).every(key => approxEqual(values[key], expected[key], tolerance));
+}
+
 /**
  * Test data for common colors in different spaces
  */